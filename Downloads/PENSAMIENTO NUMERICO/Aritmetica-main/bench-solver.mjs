@@ -0,0 +1,154 @@
+/**
+ * Benchmark del Solver
+ * 
+ * Mide cuánto tarda el solver en las dos tareas que se hacen cada ronda:
+ * 1. Generar el target (`rateCandidateTargets`): en frío y con la tabla ya cacheada
+ * 2. Resolver la mano entera (`solveHand`) con la tabla cacheada
+ * 3. Manos grandes (5-6 números, operadores avanzados) como las de una dificultad personalizada
+ * 4. Rendimiento del pool de worker threads del servidor frente al hilo principal
+ * 
+ * Ejecutar con: node bench-solver.mjs
+ */
+
+import { performance } from 'perf_hooks';
+import {
+    generateCardsByDifficulty,
+    rateCandidateTargets,
+    pickRatedTarget,
+    solveHand,
+    DIFFICULTY_CONFIG
+} from './shared/gameLogic.js';
+import { createRandom } from './shared/random.js';
+import { runInSolverPool, closeSolverPool } from './server/solverPool.js';
+
+const HANDS = 20;
+const SEED = 'K7QM-2XHD';
+const POOL_TASKS = 12;
+
+/** Manos grandes: configuraciones a medida que superan los límites del editor */
+const LARGE_HANDS = [
+    { label: '5 cartas (+ - * /)', config: { ...DIFFICULTY_CONFIG.integers, cardCount: 5 } },
+    { label: '6 cartas (+ - * /)', config: { ...DIFFICULTY_CONFIG.integers, cardCount: 6 } },
+    { label: '4 cartas + x (experto)', config: { ...DIFFICULTY_CONFIG.experto, variableConfig: DIFFICULTY_CONFIG.medium.variableConfig } },
+    { label: '5 cartas (experto)', config: { ...DIFFICULTY_CONFIG.experto, cardCount: 5 } }
+];
+
+/** Reparte `count` manos con la misma semilla (mismas manos en cada ejecución) */
+function dealHands(difficulty, count, seed = SEED) {
+    const random = createRandom(seed);
+    return Array.from({ length: count }, () => {
+        const { cards, variables } = generateCardsByDifficulty(difficulty, random);
+        const variableValues = Object.fromEntries(variables.map(v => [v.symbol, v.value]));
+        return { cards, variableValues };
+    });
+}
+
+function time(fn) {
+    const start = performance.now();
+    const result = fn();
+    return { ms: performance.now() - start, result };
+}
+
+function summarize(samples) {
+    const sorted = [...samples].sort((a, b) => a - b);
+    const avg = samples.reduce((a, b) => a + b, 0) / samples.length;
+    return {
+        avg: Number(avg.toFixed(2)),
+        p95: Number(sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))].toFixed(2)),
+        max: Number(sorted[sorted.length - 1].toFixed(2))
+    };
+}
+
+/**
+ * Mide una dificultad: target en frío, target con la tabla cacheada y solver completo
+ */
+function benchDifficulty(difficulty, count = HANDS) {
+    const random = createRandom(SEED);
+    const cold = [];
+    const warm = [];
+    const solve = [];
+    let solutions = 0;
+
+    for (const { cards, variableValues } of dealHands(difficulty, count)) {
+        const first = time(() => rateCandidateTargets(difficulty, cards, variableValues));
+        cold.push(first.ms);
+        warm.push(time(() => rateCandidateTargets(difficulty, cards, variableValues)).ms);
+
+        const { target } = pickRatedTarget(difficulty, first.result, { random });
+        const solved = time(() => solveHand(target, cards, difficulty, variableValues));
+        solve.push(solved.ms);
+        solutions += solved.result.solutionCount;
+    }
+
+    return {
+        cold: summarize(cold),
+        warm: summarize(warm),
+        solve: summarize(solve),
+        avgSolutions: Number((solutions / count).toFixed(1))
+    };
+}
+
+function printRow(label, stats) {
+    console.log(`${label.padEnd(24)} ` +
+        `frío ${String(stats.cold.avg).padStart(8)} ms (p95 ${stats.cold.p95}) | ` +
+        `cacheado ${String(stats.warm.avg).padStart(6)} ms | ` +
+        `solveHand ${String(stats.solve.avg).padStart(8)} ms (máx ${stats.solve.max}) | ` +
+        `${stats.avgSolutions} soluciones`);
+}
+
+/**
+ * Mismas manos en el pool y en el hilo principal, ambas en frío
+ * (otra semilla: las manos de `benchDifficulty` ya están en la caché)
+ */
+async function benchPool(difficulty) {
+    const hands = dealHands(difficulty, POOL_TASKS, 'ZZZZ-2222')
+        .map(({ cards, variableValues }) => [difficulty, cards, variableValues]);
+
+    // Arrancar (y calentar) los workers antes de medir: el hilo principal ya viene caliente
+    for (const { cards, variableValues } of dealHands(difficulty, POOL_TASKS, 'M7PQ-3RKT')) {
+        await runInSolverPool('rateTargets', [difficulty, cards, variableValues]);
+    }
+
+    const start = performance.now();
+    await Promise.all(hands.map(args => runInSolverPool('rateTargets', args)));
+    const pooled = performance.now() - start;
+
+    const sequential = time(() => hands.map(args => rateCandidateTargets(...args)));
+
+    return { sequential: sequential.ms, pooled };
+}
+
+async function runBenchmark() {
+    console.log('='.repeat(60));
+    console.log('BENCHMARK DEL SOLVER');
+    console.log('='.repeat(60));
+    console.log(`Semilla: ${SEED}`);
+    console.log(`Manos por dificultad: ${HANDS}`);
+    console.log('');
+
+    console.log('⏱️ DIFICULTADES PREDEFINIDAS');
+    console.log('-'.repeat(40));
+    for (const difficulty of Object.keys(DIFFICULTY_CONFIG)) {
+        printRow(difficulty, benchDifficulty(difficulty));
+    }
+    console.log('');
+
+    console.log('🐘 MANOS GRANDES');
+    console.log('-'.repeat(40));
+    for (const { label, config } of LARGE_HANDS) {
+        printRow(label, benchDifficulty(config, 5));
+    }
+    console.log('');
+
+    console.log('🧵 POOL DE WORKERS (servidor)');
+    console.log('-'.repeat(40));
+    const { sequential, pooled } = await benchPool('experto');
+    console.log(`${POOL_TASKS} targets de experto (manos nuevas):`);
+    console.log(`  Hilo principal (secuencial): ${sequential.toFixed(1)} ms`);
+    console.log(`  Pool de workers:             ${pooled.toFixed(1)} ms (el bucle de eventos queda libre)`);
+    console.log('');
+
+    await closeSolverPool();
+}
+
+runBenchmark();
@@ -5,48 +5,67 @@
  * Maneja la lógica de juego, turnos simultáneos, y resolución de rondas.
  */
 
-// Importar lógica del juego existente (funciones puras)
-// Nota: Copiamos las funciones necesarias aquí para el servidor
-// ya que el código original usa sintaxis ES6 de React
-
-// ============================================
-// Configuración de Dificultades (duplicada del cliente)
-// ============================================
-const DIFFICULTY_CONFIG = {
-    easy: {
-        name: 'Fácil',
-        cardRange: { min: 1, max: 9 },
-        cardCount: 4,
-        targetRange: { min: 5, max: 30 },
-        allowParentheses: false,
-        operatorSymbols: ['+', '-'],
-        accuracyThresholds: { perfect: 0, excellent: 3, good: 6, ok: 10, miss: 15 },
-        playerHp: 150,
-        variableConfig: null
-    },
-    medium: {
-        name: 'Medio',
-        cardRange: { min: 2, max: 10 },
-        cardCount: 3,
-        targetRange: { min: 10, max: 60 },
-        allowParentheses: true,
-        operatorSymbols: ['+', '-', '*'],
-        accuracyThresholds: { perfect: 0, excellent: 2, good: 4, ok: 7, miss: 12 },
-        playerHp: 200,
-        variableConfig: { enabled: true, count: 1, valueRange: { min: 2, max: 8 } }
-    },
-    hard: {
-        name: 'Difícil',
-        cardRange: { min: 2, max: 20 },
-        cardCount: 3,
-        targetRange: { min: 20, max: 120 },
-        allowParentheses: true,
-        operatorSymbols: ['+', '-', '*', '/'],
-        accuracyThresholds: { perfect: 0, excellent: 1, good: 2, ok: 4, miss: 8 },
-        playerHp: 250,
-        variableConfig: { enabled: true, count: 2, valueRange: { min: 2, max: 10 } }
-    }
-};
+// Reglas compartidas con el cliente: misma configuración, generación y daño.
+// Así una ronda multijugador y una ronda PvP local con la misma expresión
+// producen exactamente el mismo resultado.
+import {
+    getDifficultyConfig,
+    generateCardsByDifficulty,
+    rateCandidateTargets,
+    pickRatedTarget,
+    evaluateExpressionWithVariables,
+    validateExpressionForHand,
+    calculateAttackDamage,
+    getEvaluationTrace,
+    solveHand
+} from '../shared/gameLogic.js';
+import {
+    getRoundType,
+    generateEquation,
+    hideEquationSolution,
+    parseEquationAnswer,
+    scoreEquationAnswer
+} from '../shared/equations.js';
+import {
+    dealMysteryVariable,
+    generateMysteryTarget,
+    hideMysterySolution,
+    scoreMysteryExpression
+} from '../shared/mystery.js';
+import {
+    createSpellRandom,
+    drawSpell,
+    castSpell,
+    startTurn,
+    applyAttackBonus,
+    absorbHit
+} from '../shared/spells.js';
+import {
+    createDeckRandom,
+    createDeck,
+    getHandSize,
+    drawCards,
+    playCards,
+    performDeckAction,
+    intersectRatedTargets
+} from '../shared/deck.js';
+import {
+    createDraftRandom,
+    createDraft,
+    getCurrentPicker,
+    isDraftComplete,
+    pickDraftCard,
+    getAutoPickIndex,
+    getDraftedHand
+} from '../shared/draft.js';
+import { DEFAULT_ROUND_SECONDS, getRoundDeadline } from '../shared/roundTimer.js';
+import { getRankedDamage } from '../shared/freeForAll.js';
+import { TEAMS, TEAM_KEYS, getTeamHp, pickTeamAnswer } from '../shared/teams.js';
+import { parseExpression, analyzeAst, EXPRESSION_LIMITS } from '../shared/expressionParser.js';
+import { compareValues } from '../shared/rational.js';
+import { createRandom, createSeedCode } from '../shared/random.js';
+import { runInSolverPool } from './solverPool.js';
+import { getLobbySeats } from './lobbyManager.js';
 
 // ============================================
 // Estado de Juegos
@@ -58,23 +77,55 @@ const DIFFICULTY_CONFIG = {
  * @property {string} name - Nombre del jugador
  * @property {number} hp - HP actual
  * @property {number} maxHp - HP máximo
- * @property {number[]} cards - Cartas numéricas
+ * @property {number[]} cards - Cartas numéricas (empiezan siendo las compartidas; Robar y Congelar las cambian;
+ *   en el modo mazo es la mano persistente del jugador; en el modo draft, las que eligió del pool)
+ * @property {Object|null} deck - Mazo y descarte propios en el modo mazo (ver shared/deck.js), null si no
  * @property {Array<{symbol: string, value: number}>} variables - Variables algebraicas
  * @property {string} expression - Expresión enviada esta ronda
  * @property {boolean} submitted - Si ya envió su expresión
  * @property {number|null} result - Resultado de la expresión
+ * @property {number} streak - Aciertos exactos consecutivos
+ * @property {string[]} spells - Hechizos en la mano (ver shared/spells.js)
+ * @property {string[]} statuses - Estados activos de los hechizos (escudo, doble, congelado)
+ * @property {boolean} spellUsed - Si ya lanzó un hechizo esta ronda
+ * @property {number|null} lostCard - Carta perdida al empezar la ronda por estar congelado
+ * @property {boolean} handModified - Si un hechizo cambió su mano (si no, juega con las cartas compartidas)
+ * @property {boolean} eliminated - Todos contra todos: se quedó sin HP (o abandonó) y ya no juega
+ * @property {string|null} team - Modo equipos: su equipo ('A' o 'B'); el HP es el del equipo, igual en los dos compañeros
  */
 
 /**
  * @typedef {Object} GameState
  * @property {string} roomCode
- * @property {string} difficulty
- * @property {number} target - Número objetivo
- * @property {Object} variableValues - Valores de variables {x: 4, y: 7}
- * @property {PlayerState} player1
- * @property {PlayerState} player2
+ * @property {string|Object} difficulty - Clave del preset o configuración personalizada
+ * @property {string} seed - Código de semilla: reproduce todas las manos y targets de la partida
+ * @property {() => number} random - PRNG de la partida (creado a partir de `seed`)
+ * @property {() => number} spellRandom - PRNG del mazo de hechizos (ver `createSpellRandom`)
+ * @property {boolean} deckMode - Modo mazo: cada jugador tiene su mano y su mazo (ver shared/deck.js)
+ * @property {() => number} deckRandom - PRNG de los mazos (ver `createDeckRandom`)
+ * @property {boolean} draftMode - Modo draft: las cartas se eligen de un pool antes de cada ronda (ver shared/draft.js)
+ * @property {() => number} draftRandom - PRNG del draft (ver `createDraftRandom`)
+ * @property {Object|null} draft - Draft en curso (`DraftState`, ver shared/draft.js), null si no hay
+ * @property {number} roundSeconds - Tiempo por ronda de la sala (0 = sin límite, ver shared/roundTimer.js)
+ * @property {number|null} roundDeadline - Hora límite de la ronda en juego (null si no hay límite o no se está jugando)
+ * @property {string} roundMode - Modo de rondas de la sala (ver ROUND_MODES)
+ * @property {'target'|'equation'|'mystery'} roundType - Tipo de la ronda actual
+ * @property {Object|null} equation - Ecuación de la ronda "Despeja x" (con solución; a los clientes va sin ella)
+ * @property {Object|null} mystery - Target en x de la ronda de incógnita (con solución; a los clientes va sin ella)
+ * @property {number|{num: number, den: number}|null} target - Número objetivo (racional en modo Fracciones; null en rondas de ecuación)
+ * @property {Object|null} targetRating - Complejidad del target (ver `rateTarget`), null si no se pudo medir
+ * @property {Object|null} bestPlay - Mejor jugada de la ronda (se calcula al repartir, se revela en el resumen)
+ * @property {boolean} [dealing] - Hay un reparto en curso en el pool del solver
+ * @property {Object} variableValues - Valores de variables {x: 4, y: 7} (en rondas de incógnita no se envían hasta el resumen)
+ * @property {PlayerState[]} players - Jugadores en orden de asiento (host primero)
+ * @property {PlayerState} player1 - El host (`players[0]`)
+ * @property {PlayerState} player2 - El invitado (`players[1]`)
+ * @property {boolean} freeForAll - Más de dos jugadores: todos contra todos (ver shared/freeForAll.js)
+ * @property {string} ffaRule - Regla de daño de todos contra todos (ver FFA_DAMAGE_RULES)
+ * @property {boolean} teamMode - Modo equipos: 2 vs 2 con HP compartido (ver shared/teams.js)
  * @property {number} round
- * @property {'playing'|'revealing'|'finished'} status
+ * @property {Object|null} lastRoundResult - Resumen de la última ronda mientras no se reparta la siguiente (para quien se reconecta)
+ * @property {'drafting'|'playing'|'revealing'|'waiting_next'|'finished'} status
  */
 
 /** @type {Map<string, GameState>} */
@@ -84,164 +135,411 @@ const games = new Map();
 // Funciones de Generación
 // ============================================
 
+/** Para el resumen basta la mejor jugada y el número de soluciones */
+const BEST_PLAY_OPTIONS = { maxSolutions: 1, maxClosest: 1 };
+
 /**
- * Genera un número aleatorio entre min y max (inclusive)
+ * Reparte cartas y variables COMPARTIDAS (la parte barata de la ronda)
+ * @returns {{ sharedCards: number[], sharedVariables: Array<{symbol: string, value: number}>, variableValues: Object }}
  */
-function randomInt(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+function dealHand(difficulty, random) {
+    const { cards, variables } = generateCardsByDifficulty(difficulty, random);
+
+    const variableValues = {};
+    for (const v of variables) {
+        variableValues[v.symbol] = v.value;
+    }
+
+    return { sharedCards: cards, sharedVariables: variables, variableValues };
 }
 
 /**
- * Genera cartas para un jugador
+ * Mejor jugada posible con la mano de la ronda, para el resumen
+ * (solo datos serializables: el desglose completo se queda en el servidor)
+ * @param {Object} solved - Resultado de `solveHand`
+ * @returns {{expression: string, value: number|Object, difference: number|Object, damage: number, exact: boolean, solutionCount: number}|null}
  */
-function generateCards(difficulty) {
-    const config = DIFFICULTY_CONFIG[difficulty];
-    const cards = [];
-
-    for (let i = 0; i < config.cardCount; i++) {
-        cards.push(randomInt(config.cardRange.min, config.cardRange.max));
-    }
+function summarizeBestPlay({ exact, solutionCount, best }) {
+    if (!best) return null;
 
-    return cards;
+    return {
+        expression: best.expression,
+        value: best.value,
+        difference: best.difference,
+        damage: best.damage,
+        exact,
+        solutionCount
+    };
 }
 
 /**
- * Genera variables algebraicas
+ * La mejor de las mejores jugadas de dos manos (modo mazo): primero la exacta, luego la de más daño
  */
-function generateVariables(difficulty) {
-    const config = DIFFICULTY_CONFIG[difficulty];
-    const variables = [];
+function pickBestPlay(first, second) {
+    if (!first || !second) return first || second;
+    if (first.exact !== second.exact) return first.exact ? first : second;
+    return second.damage > first.damage ? second : first;
+}
 
-    if (config.variableConfig?.enabled) {
-        const symbols = ['x', 'y'];
-        for (let i = 0; i < config.variableConfig.count; i++) {
-            variables.push({
-                symbol: symbols[i],
-                value: randomInt(config.variableConfig.valueRange.min, config.variableConfig.valueRange.max)
-            });
-        }
+/**
+ * Reparte una ronda: cartas y variables COMPARTIDAS más un target alcanzable
+ * (con la complejidad en la banda de la dificultad) y la mejor jugada para el resumen.
+ * En el modo mazo se pasan las manos de los jugadores: el target se elige para las dos.
+ * @param {string|Object} difficulty - Clave del preset o configuración personalizada
+ * @param {() => number} random - PRNG de la partida
+ * @param {'target'|'equation'|'mystery'} [roundType='target'] - Tipo de ronda (ver `getRoundType`)
+ * @param {number[][]|null} [hands=null] - Manos de los dos jugadores en el modo mazo
+ * @returns {{ sharedCards: number[], sharedVariables: Array<{symbol: string, value: number}>, variableValues: Object, target: number|{num: number, den: number}|null, targetRating: Object|null, bestPlay: Object|null, roundType: string, equation: Object|null, mystery: Object|null }}
+ */
+function dealRound(difficulty, random, roundType = 'target', hands = null) {
+    if (roundType === 'equation') return dealEquationRound(difficulty, random);
+    if (roundType === 'mystery') return dealMysteryRound(difficulty, random);
+
+    const hand = dealHand(difficulty, random);
+    if (hands) {
+        const rated = intersectRatedTargets(
+            rateCandidateTargets(difficulty, hands[0], hand.variableValues),
+            rateCandidateTargets(difficulty, hands[1], hand.variableValues)
+        );
+        const { target, rating } = pickRatedTarget(difficulty, rated, { random });
+        const [first, second] = hands.map(cards => summarizeBestPlay(solveHand(target, cards, difficulty, hand.variableValues, BEST_PLAY_OPTIONS)));
+        return { ...hand, target, targetRating: rating, bestPlay: pickBestPlay(first, second), roundType: 'target', equation: null, mystery: null };
     }
 
-    return variables;
+    const rated = rateCandidateTargets(difficulty, hand.sharedCards, hand.variableValues);
+    const { target, rating } = pickRatedTarget(difficulty, rated, { random });
+    const solved = solveHand(target, hand.sharedCards, difficulty, hand.variableValues, BEST_PLAY_OPTIONS);
+
+    return { ...hand, target, targetRating: rating, bestPlay: summarizeBestPlay(solved), roundType: 'target', equation: null, mystery: null };
 }
 
 /**
- * Genera valores de variables (compartidos entre jugadores)
+ * Reparte una ronda "Despeja x": sin cartas ni target, solo la ecuación
+ * (no hace falta el solver, así que es igual en el hilo principal y en el pool)
  */
-function generateVariableValues(difficulty) {
-    const config = DIFFICULTY_CONFIG[difficulty];
-    const values = {};
+function dealEquationRound(difficulty, random) {
+    return {
+        sharedCards: [],
+        sharedVariables: [],
+        variableValues: {},
+        target: null,
+        targetRating: null,
+        bestPlay: null,
+        roundType: 'equation',
+        equation: generateEquation(random, { difficulty }),
+        mystery: null
+    };
+}
 
-    if (config.variableConfig?.enabled) {
-        const symbols = ['x', 'y'];
-        for (let i = 0; i < config.variableConfig.count; i++) {
-            values[symbols[i]] = randomInt(config.variableConfig.valueRange.min, config.variableConfig.valueRange.max);
-        }
-    }
+/**
+ * Reparte una ronda de incógnita: cartas de la dificultad, x con un valor secreto
+ * y un target en x que se forma con la mano (tampoco hace falta el solver)
+ */
+function dealMysteryRound(difficulty, random) {
+    const { cards } = generateCardsByDifficulty(difficulty, random);
+    const { variables, variableValues } = dealMysteryVariable(random);
 
-    return values;
+    return {
+        sharedCards: cards,
+        sharedVariables: variables,
+        variableValues,
+        target: null,
+        targetRating: null,
+        bestPlay: null,
+        roundType: 'mystery',
+        equation: null,
+        mystery: generateMysteryTarget(random, cards, { difficulty })
+    };
 }
 
 /**
- * Genera un target alcanzable
+ * Igual que `dealRound`, pero el solver corre en el pool de workers.
+ * El PRNG se consume en el mismo orden, así la misma semilla reparte lo mismo.
  */
-function generateTarget(difficulty, cards, variableValues) {
-    const config = DIFFICULTY_CONFIG[difficulty];
+async function dealRoundInWorker(difficulty, random, roundType = 'target', hands = null) {
+    if (roundType === 'equation') return dealEquationRound(difficulty, random);
+    if (roundType === 'mystery') return dealMysteryRound(difficulty, random);
+
+    const hand = dealHand(difficulty, random);
+    if (hands) {
+        const [firstRated, secondRated] = await Promise.all(
+            hands.map(cards => runInSolverPool('rateTargets', [difficulty, cards, hand.variableValues]))
+        );
+        const { target, rating } = pickRatedTarget(difficulty, intersectRatedTargets(firstRated, secondRated), { random });
+        const [first, second] = await Promise.all(
+            hands.map(cards => runInSolverPool('solveHand', [target, cards, difficulty, hand.variableValues, BEST_PLAY_OPTIONS]))
+        );
+        return { ...hand, target, targetRating: rating, bestPlay: pickBestPlay(summarizeBestPlay(first), summarizeBestPlay(second)), roundType: 'target', equation: null, mystery: null };
+    }
 
-    // Intentar generar un target que sea alcanzable
-    // Usamos un enfoque simplificado: suma aleatoria de algunas cartas
-    const numCardsToUse = Math.min(3, cards.length);
-    const shuffled = [...cards].sort(() => Math.random() - 0.5);
+    const rated = await runInSolverPool('rateTargets', [difficulty, hand.sharedCards, hand.variableValues]);
+    const { target, rating } = pickRatedTarget(difficulty, rated, { random });
+    const solved = await runInSolverPool('solveHand', [target, hand.sharedCards, difficulty, hand.variableValues, BEST_PLAY_OPTIONS]);
 
-    let target = 0;
-    for (let i = 0; i < numCardsToUse; i++) {
-        const op = Math.random() > 0.3 ? 1 : -1;
-        target += shuffled[i] * op;
+    return { ...hand, target, targetRating: rating, bestPlay: summarizeBestPlay(solved), roundType: 'target', equation: null, mystery: null };
+}
+
+/**
+ * Evalúa una expresión matemática con variables.
+ * Usa el parser compartido: lo que llega por `game:submit` nunca se ejecuta como JavaScript.
+ * En dificultades con aritmética exacta devuelve un racional `{ num, den }`.
+ */
+function evaluateExpression(expression, variableValues = {}, difficulty = 'medium') {
+    if (!expression || expression.trim() === '') {
+        return null;
     }
 
-    // Agregar valor de variable si existe
-    if (variableValues.x) {
-        target += variableValues.x * (Math.random() > 0.5 ? 1 : 2);
+    const exact = Boolean(getDifficultyConfig(difficulty).exactArithmetic);
+    return evaluateExpressionWithVariables(expression, variableValues, { exact });
+}
+
+/**
+ * Compara dos distancias al target (números, racionales o Infinity si no respondió)
+ * @returns {number} Negativo si `a` está más cerca, positivo si `b`, 0 si empatan
+ */
+function compareDifferences(a, b) {
+    if (a === Infinity || b === Infinity) {
+        return a === b ? 0 : (a === Infinity ? 1 : -1);
     }
+    return compareValues(a, b);
+}
+
+/**
+ * Busca al jugador de una partida por su socket ID
+ * @returns {PlayerState|null}
+ */
+function getPlayer(game, playerId) {
+    return game.players.find(player => player.id === playerId) || null;
+}
+
+/**
+ * Jugadores que siguen en la partida (en un duelo, los dos)
+ * @returns {PlayerState[]}
+ */
+function getAlivePlayers(game) {
+    return game.players.filter(player => !player.eliminated);
+}
 
-    // Asegurar que esté en el rango válido
-    target = Math.max(config.targetRange.min, Math.min(config.targetRange.max, Math.abs(target)));
+/**
+ * Modo equipos: jugadores de un equipo (también los que abandonaron)
+ * @returns {PlayerState[]}
+ */
+function getTeamMembers(game, team) {
+    return game.players.filter(player => player.team === team);
+}
 
-    return target;
+/**
+ * Modo equipos: el HP es del equipo, así que lo que cambia en uno se copia al compañero
+ */
+function syncTeamHp(game, player) {
+    if (!game.teamMode) return;
+    for (const mate of getTeamMembers(game, player.team)) mate.hp = player.hp;
 }
 
 /**
- * Evalúa una expresión matemática con variables
+ * Rival al que apuntan los hechizos de un jugador (Robar, Congelar): en un duelo el otro;
+ * en todos contra todos, el rival vivo con más HP (el primero en la sala si empatan);
+ * en el modo equipos, el rival vivo con más racha (el que más peligro tiene)
+ * @returns {PlayerState|null} null si ya no queda ningún rival (partida terminada)
  */
-function evaluateExpression(expression, variableValues = {}) {
-    if (!expression || expression.trim() === '') {
-        return null;
+function getSpellTarget(game, player) {
+    if (game.teamMode) {
+        return getAlivePlayers(game)
+            .filter(rival => rival.team !== player.team)
+            .reduce((leader, rival) => (leader === null || rival.streak > leader.streak ? rival : leader), null);
     }
+    if (!game.freeForAll) return player === game.player1 ? game.player2 : game.player1;
 
-    try {
-        let expr = expression;
-
-        // Reemplazar multiplicación implícita: "3x" -> "3*x", "(2+1)x" -> "(2+1)*x"
-        expr = expr.replace(/(\d)([xy])/g, '$1*$2');
-        expr = expr.replace(/(\))([xy])/g, '$1*$2');
-        expr = expr.replace(/([xy])(\()/g, '$1*$2');
-        expr = expr.replace(/([xy])(\d)/g, '$1*$2');
-
-        // Reemplazar variables con sus valores
-        for (const [symbol, value] of Object.entries(variableValues)) {
-            const regex = new RegExp(symbol, 'g');
-            expr = expr.replace(regex, `(${value})`);
+    return getAlivePlayers(game)
+        .filter(rival => rival !== player)
+        .reduce((leader, rival) => (leader === null || rival.hp > leader.hp ? rival : leader), null);
+}
+
+/**
+ * Calcula el ataque de un jugador con el pipeline compartido de daño
+ * (en rondas de ecuación, con `scoreEquationAnswer`; en las de incógnita, con `scoreMysteryExpression`)
+ * @returns {{ damage: number, type: string, isMiss: boolean, attack: Object|null }}
+ */
+function calculatePlayerAttack(game, player) {
+    if (game.roundType === 'mystery') {
+        const attack = player.expression ? scoreMysteryExpression({
+            expression: player.expression,
+            mystery: game.mystery,
+            variableValues: game.variableValues,
+            streak: player.streak,
+            difficulty: game.difficulty
+        }) : null;
+
+        if (!attack || !attack.correct) {
+            return { damage: 0, type: 'miss', isMiss: true, attack };
         }
+        return { damage: attack.totalDamage, type: attack.accuracyType, isMiss: false, attack };
+    }
 
-        // Evaluar la expresión
-        const result = eval(expr);
+    if (game.roundType === 'equation') {
+        const answer = player.result === null ? null : scoreEquationAnswer({
+            equation: game.equation,
+            answer: player.expression,
+            streak: player.streak,
+            difficulty: game.difficulty
+        });
 
-        if (typeof result !== 'number' || isNaN(result) || !isFinite(result)) {
-            return null;
+        if (!answer || !answer.correct) {
+            return { damage: 0, type: 'miss', isMiss: true, attack: answer };
         }
+        return { damage: answer.totalDamage, type: answer.accuracyType, isMiss: false, attack: answer };
+    }
 
-        return result;
-    } catch (error) {
-        return null;
+    const attack = player.result === null ? null : calculateAttackDamage({
+        expression: player.expression,
+        target: game.target,
+        streak: player.streak,
+        difficulty: game.difficulty,
+        variableValues: game.variableValues
+    });
+
+    if (!attack || attack.damageResult.miss) {
+        return { damage: 0, type: 'miss', isMiss: true, attack };
     }
+
+    return { damage: attack.totalDamage, type: attack.damageResult.accuracyType, isMiss: false, attack };
 }
 
 /**
- * Calcula el daño basado en la cercanía al target
+ * Mano con la que juega un jugador esta ronda: la compartida, salvo que
+ * Robar o Congelar la hayan cambiado (en los modos mazo y draft, siempre la suya)
+ * @returns {number[]}
  */
-function calculateDamage(result, target, difficulty) {
-    if (result === null) {
-        return { damage: 0, type: 'miss', isMiss: true };
+function getPlayerHand(game, player) {
+    return (game.deckMode || game.draftMode || player.handModified) ? player.cards : game.sharedCards;
+}
+
+/**
+ * Inicio de la ronda de un jugador con su mano ya repartida: Congelar quita una carta
+ * y se puede volver a lanzar un hechizo
+ */
+function startPlayerTurn(player) {
+    const { player: next, lostCard } = startTurn(player);
+    Object.assign(player, next);
+    player.lostCard = lostCard;
+    player.handModified = lostCard !== null;
+    // En el modo mazo la carta congelada va al descarte
+    if (player.deck && lostCard !== null) {
+        player.deck = { ...player.deck, discardPile: [...player.deck.discardPile, lostCard] };
     }
+}
 
-    const config = DIFFICULTY_CONFIG[difficulty];
-    const difference = Math.abs(result - target);
-    const thresholds = config.accuracyThresholds;
+/**
+ * Empieza a contar el tiempo de la ronda (el temporizador lo lleva server/index.js)
+ */
+function startRoundClock(game) {
+    game.roundDeadline = getRoundDeadline(game.roundSeconds);
+}
 
-    let baseDamage = 0;
-    let type = 'miss';
+/**
+ * Modo draft: las cartas de la ronda pasan a un pool y empiezan las elecciones
+ * (elige primero el jugador 1 en las rondas impares y el 2 en las pares).
+ * Las rondas de ecuación no tienen cartas: se juegan sin draft.
+ * @returns {boolean} Si empezó un draft
+ */
+function startDraft(game) {
+    if (!game.draftMode || game.roundType === 'equation') {
+        game.draft = null;
+        return false;
+    }
 
-    if (difference === thresholds.perfect) {
-        baseDamage = 50;
-        type = 'perfect';
-    } else if (difference <= thresholds.excellent) {
-        baseDamage = 40;
-        type = 'excellent';
-    } else if (difference <= thresholds.good) {
-        baseDamage = 30;
-        type = 'good';
-    } else if (difference <= thresholds.ok) {
-        baseDamage = 20;
-        type = 'ok';
-    } else if (difference < thresholds.miss) {
-        baseDamage = 10;
-        type = 'close';
-    } else {
-        baseDamage = 0;
-        type = 'miss';
+    const [first, second] = game.round % 2 === 1 ? ['player1', 'player2'] : ['player2', 'player1'];
+    game.draft = createDraft({ cards: game.sharedCards, difficulty: game.difficulty, first, second, random: game.draftRandom });
+    for (const player of [game.player1, game.player2]) {
+        player.cards = [];
+        player.lostCard = null;
     }
+    game.status = 'drafting';
+    return true;
+}
 
-    return { damage: baseDamage, type, isMiss: type === 'miss', difference };
+/**
+ * Modo draft: con las manos completas empieza la ronda. La mejor jugada del resumen
+ * se vuelve a calcular con las manos elegidas (son de 2 a 4 cartas: basta el hilo principal).
+ */
+function finishDraft(game) {
+    game.draft = null;
+    game.status = 'playing';
+
+    const [first, second] = [game.player1, game.player2].map(player =>
+        summarizeBestPlay(solveHand(game.target, player.cards, game.difficulty, game.variableValues, BEST_PLAY_OPTIONS))
+    );
+    game.bestPlay = pickBestPlay(first, second);
+
+    // Congelar se aplica ahora, sobre la mano elegida
+    startPlayerTurn(game.player1);
+    startPlayerTurn(game.player2);
+    startRoundClock(game);
+}
+
+/**
+ * Modo draft: registra la elección de una carta del pool y, si era la última, empieza la ronda
+ * @returns {{ success: boolean, error?: string, code?: string, value?: number, done?: boolean }}
+ */
+function applyDraftPick(game, picker, index) {
+    const result = pickDraftCard(game.draft, picker, index);
+    if (!result.success) {
+        return { success: false, error: result.error, code: result.code };
+    }
+
+    game.draft = result.draft;
+    game[picker].cards = getDraftedHand(result.draft, picker);
+
+    const done = isDraftComplete(result.draft);
+    if (done) finishDraft(game);
+    return { success: true, value: result.value, done };
+}
+
+/**
+ * Modo mazo: cada jugador roba hasta completar la mano (antes de elegir el target)
+ */
+function refillHands(game) {
+    const handSize = getHandSize(game.difficulty);
+    for (const player of [game.player1, game.player2]) {
+        const drawn = drawCards(player.cards, player.deck, handSize, game.deckRandom);
+        player.cards = drawn.hand;
+        player.deck = drawn.deck;
+    }
+}
+
+/**
+ * Modo mazo: las cartas de la expresión enviada pasan al descarte
+ */
+function discardPlayedCards(player) {
+    const parsed = parseExpression(player.expression);
+    if (!parsed.success) return;
+
+    const played = playCards(player.cards, player.deck, analyzeAst(parsed.ast).numbers);
+    player.cards = played.hand;
+    player.deck = played.deck;
+}
+
+/**
+ * Aplica el Doble de un jugador a su ataque (solo si envió algo: saltar no lo gasta)
+ * @returns {boolean} Si el daño se duplicó
+ */
+function applyPlayerDouble(player, playerDamage) {
+    if (!playerDamage.attack) return false;
+
+    const bonus = applyAttackBonus(player, { damage: playerDamage.damage, perfect: playerDamage.type === 'perfect' });
+    Object.assign(player, bonus.attacker);
+    playerDamage.damage = bonus.damage;
+    return bonus.doubled;
+}
+
+/**
+ * Aplica el Escudo de un jugador al daño que recibe
+ * @returns {{ damage: number, blocked: boolean }}
+ */
+function applyPlayerShield(player, damageTaken) {
+    const hit = absorbHit(player, damageTaken);
+    Object.assign(player, hit.defender);
+    return { damage: hit.damage, blocked: hit.blocked };
 }
 
 // ============================================
@@ -249,64 +547,189 @@ function calculateDamage(result, target, difficulty) {
 // ============================================
 
 /**
- * Inicializa un nuevo juego
- * @param {string} roomCode 
- * @param {Object} lobby - Lobby con información de jugadores
- * @returns {GameState}
+ * Dificultad, semilla, modo de rondas, mazos (modo mazo), draft y tiempo por ronda de una partida nueva
+ * @returns {{ difficulty: string|Object, seed: string, random: () => number, roundMode: string, deckRandom: () => number, decks: Array<{hand: number[], deck: Object}>|null, draftMode: boolean, draftRandom: () => number, roundSeconds: number }}
  */
-export function initializeGame(roomCode, lobby) {
-    const difficulty = lobby.difficulty;
-    const config = DIFFICULTY_CONFIG[difficulty];
+function prepareMatch(lobby) {
+    // Las salas personalizadas juegan con la configuración validada al crear la sala
+    const difficulty = lobby.customDifficulty || lobby.difficulty;
 
-    // Generar valores de variables compartidos
-    const variableValues = generateVariableValues(difficulty);
+    // Toda la partida sale de una semilla: con el mismo código se repiten las mismas manos
+    const seed = lobby.seed || createSeedCode();
+    const random = createRandom(seed);
 
-    // CARTAS COMPARTIDAS - Ambos jugadores tienen las mismas cartas
-    const sharedCards = generateCards(difficulty);
-    const sharedVariables = generateVariables(difficulty);
+    // Modo mazo: un mazo por jugador y su primera mano
+    const deckRandom = createDeckRandom(seed);
+    const decks = lobby.deckMode
+        ? [0, 1].map(() => drawCards([], createDeck(difficulty, deckRandom), getHandSize(difficulty), deckRandom))
+        : null;
 
-    // Generar target basado en las cartas compartidas
-    const target = generateTarget(difficulty, sharedCards, variableValues);
+    return {
+        difficulty,
+        seed,
+        random,
+        roundMode: lobby.roundMode || 'classic',
+        deckRandom,
+        decks,
+        draftMode: Boolean(lobby.draftMode),
+        draftRandom: createDraftRandom(seed),
+        roundSeconds: lobby.roundSeconds ?? DEFAULT_ROUND_SECONDS
+    };
+}
+
+/**
+ * Crea y registra el estado de una partida con su primer reparto
+ * @returns {GameState}
+ */
+function registerGame(roomCode, lobby, { difficulty, seed, random, roundMode, deckRandom, decks, draftMode, draftRandom, roundSeconds }, deal) {
+    const config = getDifficultyConfig(difficulty);
+
+    // CARTAS COMPARTIDAS - Ambos jugadores tienen las mismas cartas
+    // (el target se genera a partir de ellas y siempre es alcanzable)
+    const { sharedCards, sharedVariables, variableValues, target, targetRating, bestPlay, roundType, equation, mystery } = deal;
+    // Mazo de hechizos aparte: no cambia las manos que reparte la semilla. Los hechizos del
+    // rival están ocultos, así que salen de una semilla propia del servidor y no de la de la sala
+    const spellRandom = createSpellRandom(createSeedCode());
+    // Modo equipos: cada equipo tiene una reserva de HP compartida
+    const teamMode = Boolean(lobby.teamMode);
+    const playerHp = teamMode ? getTeamHp(config.playerHp) : config.playerHp;
+
+    /** @type {PlayerState[]} */
+    const players = getLobbySeats(lobby).map((seat, index) => ({
+        id: seat.id,
+        name: seat.name,
+        hp: playerHp,
+        maxHp: playerHp,
+        cards: decks ? decks[index].hand : sharedCards, // Mismas cartas (salvo en el modo mazo)
+        deck: decks ? decks[index].deck : null,
+        variables: sharedVariables, // Mismas variables
+        expression: '',
+        submitted: false,
+        result: null,
+        streak: 0,
+        spells: drawSpell([], spellRandom),
+        statuses: [],
+        spellUsed: false,
+        lostCard: null,
+        handModified: false,
+        eliminated: false,
+        team: teamMode ? seat.team : null
+    }));
 
     /** @type {GameState} */
     const gameState = {
         roomCode,
         difficulty,
+        seed,
+        random,
+        spellRandom,
+        deckMode: Boolean(decks),
+        deckRandom,
+        draftMode,
+        draftRandom,
+        draft: null,
+        roundSeconds,
+        roundDeadline: null,
+        roundMode,
+        roundType,
+        equation,
+        mystery,
         target,
+        targetRating,
+        bestPlay,
         variableValues,
         // Cartas compartidas (para referencia en nuevas rondas)
         sharedCards,
         sharedVariables,
-        player1: {
-            id: lobby.hostId,
-            name: lobby.hostName,
-            hp: config.playerHp,
-            maxHp: config.playerHp,
-            cards: sharedCards,      // Mismas cartas
-            variables: sharedVariables, // Mismas variables
-            expression: '',
-            submitted: false,
-            result: null
-        },
-        player2: {
-            id: lobby.guestId,
-            name: lobby.guestName,
-            hp: config.playerHp,
-            maxHp: config.playerHp,
-            cards: sharedCards,      // Mismas cartas
-            variables: sharedVariables, // Mismas variables
-            expression: '',
-            submitted: false,
-            result: null
-        },
+        players,
+        player1: players[0],
+        player2: players[1],
+        freeForAll: players.length > 2 && !teamMode,
+        ffaRule: lobby.ffaRule || 'ranked',
+        teamMode,
         round: 1,
+        lastRoundResult: null,
         status: 'playing'
     };
 
+    // Modo draft: la primera ronda empieza eligiendo cartas (el tiempo corre al terminar el draft)
+    if (!startDraft(gameState)) startRoundClock(gameState);
+
     games.set(roomCode, gameState);
     return gameState;
 }
 
+/**
+ * Inicializa un nuevo juego
+ * @param {string} roomCode 
+ * @param {Object} lobby - Lobby con información de jugadores
+ * @returns {GameState}
+ */
+export function initializeGame(roomCode, lobby) {
+    const match = prepareMatch(lobby);
+    const deal = dealRound(match.difficulty, match.random, getRoundType(1, match.roundMode), match.decks?.map(d => d.hand));
+    return registerGame(roomCode, lobby, match, deal);
+}
+
+/**
+ * Inicializa un nuevo juego con el solver en el pool de workers
+ * (lo usa el servidor: no bloquea al resto de salas mientras reparte)
+ * @param {string} roomCode 
+ * @param {Object} lobby - Lobby con información de jugadores
+ * @returns {Promise<GameState>}
+ */
+export async function initializeGameAsync(roomCode, lobby) {
+    const match = prepareMatch(lobby);
+    const deal = await dealRoundInWorker(match.difficulty, match.random, getRoundType(1, match.roundMode), match.decks?.map(d => d.hand));
+    return registerGame(roomCode, lobby, match, deal);
+}
+
+/**
+ * Semilla que ven los clientes: solo con la partida terminada. Con ella se rehace todo el
+ * reparto (la solución de "Despeja x", el valor de la incógnita, los mazos de los rivales),
+ * así que mientras se juega no sale del servidor
+ * @returns {string|null}
+ */
+function getPublicSeed(game) {
+    return game.status === 'finished' ? game.seed : null;
+}
+
+/**
+ * Lo que todos ven de un jugador: HP, si ya envió, estados, racha, si sigue en la partida
+ * y su equipo (null fuera del modo equipos)
+ */
+function describePublicPlayer(player) {
+    return {
+        name: player.name,
+        hp: player.hp,
+        maxHp: player.maxHp,
+        submitted: player.submitted,
+        statuses: player.statuses,
+        streak: player.streak,
+        eliminated: player.eliminated,
+        team: player.team
+    };
+}
+
+/**
+ * Modo equipos: HP y jugadores de cada equipo (null fuera del modo equipos)
+ * @returns {Array<{ team: string, name: string, hp: number, maxHp: number, members: string[] }>|null}
+ */
+function describeTeams(game) {
+    if (!game.teamMode) return null;
+
+    return TEAM_KEYS.map(team => {
+        const members = getTeamMembers(game, team);
+        return {
+            team,
+            name: TEAMS[team].name,
+            hp: members[0]?.hp ?? 0,
+            maxHp: members[0]?.maxHp ?? 0,
+            members: members.map(member => member.name)
+        };
+    });
+}
+
 /**
  * Obtiene el estado del juego para un jugador específico
  * (Solo muestra sus propias cartas)
@@ -316,8 +739,11 @@ export function getGameState(roomCode, playerId) {
     if (!game) return null;
 
     const isPlayer1 = game.player1.id === playerId;
-    const myPlayer = isPlayer1 ? game.player1 : game.player2;
-    const opponent = isPlayer1 ? game.player2 : game.player1;
+    const myPlayer = getPlayer(game, playerId) || game.player2;
+    // En todos contra todos y en equipos el "oponente" es el rival al que apuntan tus hechizos
+    // (con la partida ya terminada puede no quedar ninguno)
+    const opponent = getSpellTarget(game, myPlayer) ?? myPlayer;
+    const myKey = isPlayer1 ? 'player1' : 'player2';
 
     // Extraer solo los símbolos de las variables (el cliente espera strings, no objetos)
     const myVariableSymbols = myPlayer.variables.map(v => v.symbol || v);
@@ -325,152 +751,574 @@ export function getGameState(roomCode, playerId) {
     return {
         roomCode: game.roomCode,
         difficulty: game.difficulty,
+        seed: getPublicSeed(game),
+        roundMode: game.roundMode,
+        deckMode: game.deckMode,
+        draftMode: game.draftMode,
+        // Draft en curso: el pool es público (también lo que eligió el rival)
+        draft: game.draft ? {
+            pool: game.draft.pool.map(({ value, pickedBy }) => ({
+                value,
+                pickedBy: pickedBy === null ? null : (pickedBy === myKey ? 'me' : 'opponent')
+            })),
+            myTurn: getCurrentPicker(game.draft) === myKey,
+            picksLeft: game.draft.order.length - game.draft.pick
+        } : null,
+        roundType: game.roundType,
+        // La solución de la ecuación no sale del servidor hasta el resumen de la ronda
+        equation: hideEquationSolution(game.equation),
+        mystery: hideMysterySolution(game.mystery),
         target: game.target,
-        variableValues: game.variableValues,
+        targetRating: game.targetRating,
+        // En rondas de incógnita el valor de x se revela en el resumen (game:roundResult)
+        variableValues: game.roundType === 'mystery' ? null : game.variableValues,
         round: game.round,
         status: game.status,
+        // Hora límite de la ronda y hora del servidor al enviar (el cliente corrige la diferencia de relojes)
+        roundDeadline: game.roundDeadline,
+        serverTime: Date.now(),
         // Información del jugador actual
-        myCards: myPlayer.cards,
+        myCards: getPlayerHand(game, myPlayer),
+        mySpells: myPlayer.spells,
+        myStatuses: myPlayer.statuses,
+        mySpellUsed: myPlayer.spellUsed,
+        myLostCard: myPlayer.lostCard,
+        // Modo mazo: cartas que quedan por robar y en el descarte (null fuera del modo mazo)
+        myDeck: myPlayer.deck ? { drawCount: myPlayer.deck.drawPile.length, discardCount: myPlayer.deck.discardPile.length } : null,
+        myStreak: myPlayer.streak,
         myVariables: myVariableSymbols, // Solo símbolos: ['x', 'y']
         myHp: myPlayer.hp,
         myMaxHp: myPlayer.maxHp,
         myName: myPlayer.name,
         mySubmitted: myPlayer.submitted,
+        myEliminated: myPlayer.eliminated,
+        // Todos contra todos: la regla de daño y lo público de todos los jugadores (en un duelo, los dos)
+        freeForAll: game.freeForAll,
+        ffaRule: game.ffaRule,
+        players: game.players.map(player => ({ ...describePublicPlayer(player), isMe: player === myPlayer })),
+        // Modo equipos: el equipo propio y el HP compartido de cada equipo
+        teamMode: game.teamMode,
+        myTeam: myPlayer.team,
+        teams: describeTeams(game),
+        // Resumen de la ronda ya resuelta (waiting_next/finished): quien se reconecta no recibió game:roundResult
+        roundResult: game.lastRoundResult,
         // Información del oponente (limitada)
         opponentName: opponent.name,
         opponentHp: opponent.hp,
         opponentMaxHp: opponent.maxHp,
-        opponentSubmitted: opponent.submitted
-        // NO enviamos las cartas del oponente
+        opponentSubmitted: opponent.submitted,
+        opponentStatuses: opponent.statuses,
+        opponentSpellCount: opponent.spells.length,
+        opponentDeck: opponent.deck ? { drawCount: opponent.deck.drawPile.length, discardCount: opponent.deck.discardPile.length } : null
+        // NO enviamos las cartas ni los hechizos del oponente
+    };
+}
+
+/**
+ * Obtiene la vista de los espectadores: lo público de los dos jugadores
+ * (HP, si ya enviaron, estados) sin las manos, hechizos ni expresiones de la ronda en curso.
+ * Las expresiones llegan con el resumen (`roundResult`) al resolverse la ronda.
+ * @param {string} roomCode
+ * @returns {Object|null}
+ */
+export function getSpectatorState(roomCode) {
+    const game = games.get(roomCode);
+    if (!game) return null;
+
+    return {
+        roomCode: game.roomCode,
+        difficulty: game.difficulty,
+        seed: getPublicSeed(game),
+        roundMode: game.roundMode,
+        roundType: game.roundType,
+        equation: hideEquationSolution(game.equation),
+        mystery: hideMysterySolution(game.mystery),
+        target: game.target,
+        targetRating: game.targetRating,
+        drafting: Boolean(game.draft),
+        round: game.round,
+        status: game.status,
+        roundDeadline: game.roundDeadline,
+        serverTime: Date.now(),
+        roundResult: game.lastRoundResult,
+        freeForAll: game.freeForAll,
+        ffaRule: game.ffaRule,
+        teamMode: game.teamMode,
+        teams: describeTeams(game),
+        players: game.players.map(describePublicPlayer),
+        player1: describePublicPlayer(game.player1),
+        player2: describePublicPlayer(game.player2)
     };
 }
 
 /**
  * Registra la expresión de un jugador
+ * 
+ * La expresión se valida contra la mano repartida (cartas, variables, operadores
+ * y paréntesis de la dificultad): un cliente modificado no puede inventar números.
+ * En una ronda de ecuación la "expresión" es la respuesta (ver `parseEquationAnswer`).
+ * Una expresión vacía equivale a no responder (skip).
+ * 
+ * @returns {{ success: boolean, error?: string, code?: string }}
  */
 export function submitPlayerExpression(roomCode, playerId, expression) {
     const game = games.get(roomCode);
     if (!game) {
-        return { success: false, error: 'Juego no encontrado' };
+        return { success: false, error: 'Juego no encontrado', code: 'GAME_NOT_FOUND' };
     }
 
     if (game.status !== 'playing') {
-        return { success: false, error: 'No es momento de enviar expresiones' };
+        return { success: false, error: 'No es momento de enviar expresiones', code: 'NOT_PLAYING' };
     }
 
-    const isPlayer1 = game.player1.id === playerId;
-    const player = isPlayer1 ? game.player1 : game.player2;
+    const player = getPlayer(game, playerId);
+    if (!player) {
+        return { success: false, error: 'No eres jugador de esta partida', code: 'NOT_IN_GAME' };
+    }
+
+    if (player.eliminated) {
+        return { success: false, error: 'Estás eliminado: la partida sigue sin ti', code: 'ELIMINATED' };
+    }
 
     if (player.submitted) {
-        return { success: false, error: 'Ya enviaste tu expresión' };
+        return { success: false, error: 'Ya enviaste tu expresión', code: 'ALREADY_SUBMITTED' };
+    }
+
+    if (typeof expression !== 'string') {
+        return { success: false, error: 'Expresión inválida', code: 'INVALID_EXPRESSION' };
+    }
+
+    // Antes de analizarla: una entrada enorme no debe llegar al parser
+    if (expression.length > EXPRESSION_LIMITS.maxLength) {
+        return {
+            success: false,
+            error: `La expresión es demasiado larga (máximo ${EXPRESSION_LIMITS.maxLength} caracteres)`,
+            code: 'EXPRESSION_TOO_LONG'
+        };
+    }
+
+    if (expression.trim() !== '' && game.roundType === 'equation') {
+        if (parseEquationAnswer(expression, game.equation.variable) === null) {
+            return { success: false, error: 'Responde con el valor de x, ej: 5 o x = 5', code: 'INVALID_ANSWER' };
+        }
+    } else if (expression.trim() !== '') {
+        // La mano propia: Robar y Congelar pueden haberla cambiado
+        const validation = validateExpressionForHand(expression, {
+            cards: getPlayerHand(game, player),
+            variables: game.sharedVariables,
+            difficulty: game.difficulty
+        });
+
+        if (!validation.valid) {
+            return { success: false, error: validation.message, code: validation.code };
+        }
     }
 
     player.expression = expression;
     player.submitted = true;
-    player.result = evaluateExpression(expression, game.variableValues);
+    player.result = game.roundType === 'equation'
+        ? parseEquationAnswer(expression, game.equation.variable)
+        : evaluateExpression(expression, game.variableValues, game.difficulty);
 
     return { success: true };
 }
 
 /**
- * Verifica si ambos jugadores han enviado su expresión
+ * Verifica si todos los jugadores que siguen en la partida han enviado su expresión
  */
 export function checkBothPlayersReady(roomCode) {
     const game = games.get(roomCode);
     if (!game) return false;
 
-    return game.player1.submitted && game.player2.submitted;
+    return getAlivePlayers(game).every(player => player.submitted);
 }
 
 /**
- * Resuelve la ronda actual
- * Determina ganador, aplica daño, prepara siguiente ronda
+ * Lanza un hechizo de la mano de un jugador (uno por ronda, antes de enviar su expresión)
+ * @returns {{ success: boolean, error?: string, code?: string, effect?: Object, target?: string }}
+ *   `target`: nombre del rival al que apunta (ver `getSpellTarget`)
  */
-export function resolveRound(roomCode) {
+export function castPlayerSpell(roomCode, playerId, spell) {
     const game = games.get(roomCode);
-    if (!game) return null;
+    if (!game) {
+        return { success: false, error: 'Juego no encontrado', code: 'GAME_NOT_FOUND' };
+    }
 
-    game.status = 'revealing';
+    if (game.status !== 'playing') {
+        return { success: false, error: 'No es momento de lanzar hechizos', code: 'NOT_PLAYING' };
+    }
 
-    const p1Result = game.player1.result;
-    const p2Result = game.player2.result;
-    const target = game.target;
+    const player = getPlayer(game, playerId);
+    if (!player) {
+        return { success: false, error: 'No eres jugador de esta partida', code: 'NOT_IN_GAME' };
+    }
 
-    // Calcular cercanía al target
-    const p1Damage = calculateDamage(p1Result, target, game.difficulty);
-    const p2Damage = calculateDamage(p2Result, target, game.difficulty);
+    if (player.eliminated) {
+        return { success: false, error: 'Estás eliminado: la partida sigue sin ti', code: 'ELIMINATED' };
+    }
+
+    if (player.submitted) {
+        return { success: false, error: 'Ya enviaste tu expresión', code: 'ALREADY_SUBMITTED' };
+    }
+
+    const opponent = getSpellTarget(game, player);
+    const cast = castSpell({
+        caster: { ...player, cards: getPlayerHand(game, player) },
+        opponent: { ...opponent, cards: getPlayerHand(game, opponent) },
+        spell
+    });
+    if (!cast.success) {
+        return { success: false, error: cast.error, code: cast.code };
+    }
+
+    Object.assign(player, cast.caster);
+    Object.assign(opponent, cast.opponent);
+    // Curar cura al equipo entero
+    syncTeamHp(game, player);
+    if (spell === 'steal') {
+        player.handModified = true;
+        opponent.handModified = true;
+    }
+    return { success: true, effect: cast.effect, target: opponent.name };
+}
+
+/**
+ * Modo mazo: descarta una carta o hace mulligan pagando su coste
+ * (antes de enviar la expresión; ver `performDeckAction`)
+ * @param {string} roomCode
+ * @param {string} playerId
+ * @param {'discard'|'mulligan'} action
+ * @param {number} [index] - Carta de la mano a descartar
+ * @returns {{ success: boolean, error?: string, code?: string, discarded?: number[] }}
+ */
+export function deckPlayerAction(roomCode, playerId, action, index) {
+    const game = games.get(roomCode);
+    if (!game) {
+        return { success: false, error: 'Juego no encontrado', code: 'GAME_NOT_FOUND' };
+    }
+
+    if (!game.deckMode) {
+        return { success: false, error: 'La partida no es en modo mazo', code: 'NOT_DECK_MODE' };
+    }
+
+    if (game.status !== 'playing') {
+        return { success: false, error: 'No es momento de cambiar cartas', code: 'NOT_PLAYING' };
+    }
+
+    const player = getPlayer(game, playerId);
+    if (!player) {
+        return { success: false, error: 'No eres jugador de esta partida', code: 'NOT_IN_GAME' };
+    }
+
+    if (player.submitted) {
+        return { success: false, error: 'Ya enviaste tu expresión', code: 'ALREADY_SUBMITTED' };
+    }
+
+    const result = performDeckAction({
+        action,
+        hand: player.cards,
+        deck: player.deck,
+        hp: player.hp,
+        streak: player.streak,
+        index,
+        random: game.deckRandom
+    });
+    if (!result.success) {
+        return { success: false, error: result.error, code: result.code };
+    }
+
+    player.cards = result.hand;
+    player.deck = result.deck;
+    player.hp = result.hp;
+    player.streak = result.streak;
+    return { success: true, discarded: result.discarded };
+}
+
+/**
+ * Modo draft: un jugador elige una carta del pool (en su turno del orden serpiente)
+ * @param {string} roomCode
+ * @param {string} playerId
+ * @param {number} index - Posición de la carta en el pool
+ * @returns {{ success: boolean, error?: string, code?: string, value?: number, done?: boolean }}
+ *   `done`: era la última elección y la ronda ya empezó
+ */
+export function draftPlayerPick(roomCode, playerId, index) {
+    const game = games.get(roomCode);
+    if (!game) {
+        return { success: false, error: 'Juego no encontrado', code: 'GAME_NOT_FOUND' };
+    }
+
+    if (game.status !== 'drafting') {
+        return { success: false, error: 'No hay un draft en curso', code: 'NOT_DRAFTING' };
+    }
+
+    const player = getPlayer(game, playerId);
+    if (!player) {
+        return { success: false, error: 'No eres jugador de esta partida', code: 'NOT_IN_GAME' };
+    }
+
+    return applyDraftPick(game, player === game.player1 ? 'player1' : 'player2', index);
+}
+
+/**
+ * Modo draft: se acabó el tiempo de la elección actual, se elige por el jugador
+ * la carta más alta que quede (ver `getAutoPickIndex`)
+ * @param {string} roomCode
+ * @returns {{ success: boolean, error?: string, code?: string, playerId?: string, value?: number, done?: boolean }}
+ */
+export function autoDraftPick(roomCode) {
+    const game = games.get(roomCode);
+    if (!game) {
+        return { success: false, error: 'Juego no encontrado', code: 'GAME_NOT_FOUND' };
+    }
+
+    if (game.status !== 'drafting') {
+        return { success: false, error: 'No hay un draft en curso', code: 'NOT_DRAFTING' };
+    }
+
+    const picker = getCurrentPicker(game.draft);
+    const result = applyDraftPick(game, picker, getAutoPickIndex(game.draft));
+    return result.success ? { ...result, playerId: game[picker].id } : result;
+}
+
+/**
+ * Ataque de un jugador en la ronda (mismo pipeline que el PvP local), con el Doble
+ * ya aplicado, su racha nueva y la distancia exacta al target
+ * @returns {{ player: PlayerState, result: *, attack: Object, doubled: boolean, difference: number|Object }}
+ */
+function scorePlayerRound(game, player) {
+    const result = player.result;
+    const attack = calculatePlayerAttack(game, player);
+
+    // Hechizo Doble: x2 si el ataque fue perfecto (se gasta al atacar)
+    const doubled = applyPlayerDouble(player, attack);
+
+    // Actualizar racha (un fallo o no responder rompe la racha)
+    player.streak = attack.attack ? attack.attack.streakResult.newStreak : 0;
+
+    // Distancia exacta al target (también con fracciones); sin respuesta = infinitamente lejos
+    const difference = attack.attack ? attack.attack.difference : Infinity;
+
+    return { player, result, attack, doubled, difference };
+}
+
+/**
+ * Aplica el golpe que recibe un jugador (Escudo incluido) y resume su ronda para game:roundResult
+ * @returns {Object} Entrada del jugador en el resumen de la ronda
+ */
+function applyRoundDamage(game, { player, result, attack, doubled, difference }, damageTaken) {
+    // Hechizo Escudo: bloquea el golpe entero
+    const shield = applyPlayerShield(player, damageTaken);
+    player.hp = Math.max(0, player.hp - shield.damage);
+
+    return {
+        name: player.name,
+        expression: player.expression || '(sin respuesta)',
+        result,
+        difference: difference === Infinity ? null : difference,
+        // Las rondas de ecuación no tienen traza: la respuesta es un número
+        trace: (result === null || game.roundType === 'equation')
+            ? null
+            : getEvaluationTrace(player.expression, game.variableValues, game.difficulty),
+        damageType: attack.type,
+        attackDamage: attack.damage,
+        doubled,
+        blocked: shield.blocked,
+        streak: player.streak,
+        damageTaken: shield.damage,
+        currentHp: player.hp
+    };
+}
 
-    const p1Diff = p1Result !== null ? Math.abs(p1Result - target) : Infinity;
-    const p2Diff = p2Result !== null ? Math.abs(p2Result - target) : Infinity;
+/**
+ * Duelo: el más cercano al target golpea al otro con su ataque; si empatan, los dos
+ * reciben la mitad del ataque del rival
+ * @returns {{ entries: Object[], roundWinner: string }}
+ */
+function resolveDuelRound(game) {
+    const p1 = scorePlayerRound(game, game.player1);
+    const p2 = scorePlayerRound(game, game.player2);
+    const closeness = compareDifferences(p1.difference, p2.difference);
 
     let winner = null;
     let p1DamageTaken = 0;
     let p2DamageTaken = 0;
 
     // Determinar ganador de la ronda
-    if (p1Damage.isMiss && p2Damage.isMiss) {
+    if (p1.attack.isMiss && p2.attack.isMiss) {
         // Ambos fallaron - nadie recibe daño
         winner = 'draw_miss';
-    } else if (p1Diff < p2Diff) {
+    } else if (closeness < 0) {
         // Jugador 1 más cerca - Jugador 2 recibe daño
         winner = game.player1.name;
-        p2DamageTaken = p1Damage.damage;
-    } else if (p2Diff < p1Diff) {
+        p2DamageTaken = p1.attack.damage;
+    } else if (closeness > 0) {
         // Jugador 2 más cerca - Jugador 1 recibe daño
         winner = game.player2.name;
-        p1DamageTaken = p2Damage.damage;
+        p1DamageTaken = p2.attack.damage;
     } else {
         // Empate - ambos reciben 50% del daño
         winner = 'draw';
-        p1DamageTaken = Math.floor(p2Damage.damage * 0.5);
-        p2DamageTaken = Math.floor(p1Damage.damage * 0.5);
+        p1DamageTaken = Math.floor(p2.attack.damage * 0.5);
+        p2DamageTaken = Math.floor(p1.attack.damage * 0.5);
     }
 
-    // Aplicar daño
-    game.player1.hp = Math.max(0, game.player1.hp - p1DamageTaken);
-    game.player2.hp = Math.max(0, game.player2.hp - p2DamageTaken);
+    return {
+        entries: [applyRoundDamage(game, p1, p1DamageTaken), applyRoundDamage(game, p2, p2DamageTaken)],
+        roundWinner: winner
+    };
+}
+
+/**
+ * Todos contra todos: se ordenan las respuestas de los que siguen vivos y el mejor ataque
+ * golpea a los demás según la regla de la sala (ver `getRankedDamage`). Quien se queda
+ * sin HP queda eliminado.
+ * @returns {{ entries: Object[], roundWinner: string }} Cada entrada lleva además su `rank` y si quedó `eliminated`
+ */
+function resolveFreeForAllRound(game) {
+    const scored = getAlivePlayers(game).map(player => scorePlayerRound(game, player));
+    const ranking = getRankedDamage({
+        entries: scored.map(({ attack, difference }) => ({ difference, isMiss: attack.isMiss, damage: attack.damage })),
+        rule: game.ffaRule
+    });
+
+    const entries = scored.map((score, index) => {
+        const entry = applyRoundDamage(game, score, ranking[index].damageTaken);
+        if (score.player.hp <= 0) score.player.eliminated = true;
+        return { ...entry, rank: ranking[index].rank, eliminated: score.player.eliminated };
+    });
+
+    // Ganan la ronda los primeros: si todos fallan o todos empatan, nadie
+    const leaders = entries.filter(entry => entry.rank === 1).map(entry => entry.name);
+    let roundWinner = leaders.join(' y ');
+    if (scored.every(({ attack }) => attack.isMiss)) {
+        roundWinner = 'draw_miss';
+    } else if (leaders.length === entries.length) {
+        roundWinner = 'draw';
+    }
+
+    return { entries, roundWinner };
+}
+
+/**
+ * Modo equipos: cuenta la mejor respuesta de cada equipo (ver `pickTeamAnswer`) y se comparan
+ * como en un duelo. El golpe que recibe un equipo lo para el Escudo del jugador cuya respuesta
+ * contó, y el HP resultante es el de los dos compañeros.
+ * @returns {{ entries: Object[], roundWinner: string, teams: Object[] }} Cada entrada lleva además
+ *   su `team` y si su respuesta fue la que `counted`; `teams`, el resumen de cada equipo
+ */
+function resolveTeamRound(game) {
+    const scored = getAlivePlayers(game).map(player => scorePlayerRound(game, player));
+    const [home, away] = TEAM_KEYS.map(team => {
+        const members = scored.filter(score => score.player.team === team);
+        const best = members[pickTeamAnswer(members.map(({ attack, difference }) => ({ difference, isMiss: attack.isMiss, damage: attack.damage })))];
+        return { team, members, best, damageTaken: 0 };
+    });
+
+    // Mismo reparto de daño que un duelo, entre las dos mejores respuestas
+    const closeness = compareDifferences(home.best.difference, away.best.difference);
+    let roundWinner;
+    if (home.best.attack.isMiss && away.best.attack.isMiss) {
+        roundWinner = 'draw_miss';
+    } else if (closeness < 0) {
+        roundWinner = TEAMS[home.team].name;
+        away.damageTaken = home.best.attack.damage;
+    } else if (closeness > 0) {
+        roundWinner = TEAMS[away.team].name;
+        home.damageTaken = away.best.attack.damage;
+    } else {
+        roundWinner = 'draw';
+        home.damageTaken = Math.floor(away.best.attack.damage * 0.5);
+        away.damageTaken = Math.floor(home.best.attack.damage * 0.5);
+    }
 
-    // Verificar game over
-    let gameOver = false;
-    let gameWinner = null;
+    const entries = [];
+    const teams = [home, away].map(side => {
+        const sideEntries = side.members.map(score => ({
+            ...applyRoundDamage(game, score, score === side.best ? side.damageTaken : 0),
+            team: side.team,
+            counted: score === side.best
+        }));
+        syncTeamHp(game, side.best.player);
+        for (const entry of sideEntries) entry.currentHp = side.best.player.hp;
+        entries.push(...sideEntries);
+
+        const counted = sideEntries.find(entry => entry.counted);
+        return {
+            team: side.team,
+            name: TEAMS[side.team].name,
+            best: counted.name,
+            damageTaken: counted.damageTaken,
+            blocked: counted.blocked,
+            currentHp: side.best.player.hp
+        };
+    });
+
+    return { entries, roundWinner, teams };
+}
 
-    if (game.player1.hp <= 0 && game.player2.hp <= 0) {
-        // Ambos mueren al mismo tiempo - empate final
-        gameOver = true;
-        gameWinner = 'draw';
-    } else if (game.player1.hp <= 0) {
-        gameOver = true;
-        gameWinner = game.player2.name;
-    } else if (game.player2.hp <= 0) {
-        gameOver = true;
-        gameWinner = game.player1.name;
+/**
+ * ¿Terminó la partida? Queda un jugador en pie (en el modo equipos, un equipo con HP
+ * y alguien que siga jugando); si no queda nadie, es empate
+ * @returns {{ gameOver: boolean, winner: string|null, winningTeam: string|null }}
+ *   `winner`: nombre del jugador (o del equipo) ganador, 'draw' o null si sigue la partida
+ */
+function getMatchOutcome(game) {
+    if (game.teamMode) {
+        const standing = TEAM_KEYS.filter(team => getTeamMembers(game, team).some(player => !player.eliminated && player.hp > 0));
+        if (standing.length > 1) return { gameOver: false, winner: null, winningTeam: null };
+        return { gameOver: true, winner: standing.length ? TEAMS[standing[0]].name : 'draw', winningTeam: standing[0] ?? null };
     }
 
+    const survivors = game.players.filter(player => !player.eliminated && player.hp > 0);
+    if (survivors.length > 1) return { gameOver: false, winner: null, winningTeam: null };
+    return { gameOver: true, winner: survivors[0]?.name ?? 'draw', winningTeam: null };
+}
+
+/**
+ * Resuelve la ronda actual
+ * Determina ganador, aplica daño, prepara siguiente ronda.
+ * El resumen trae a los jugadores de la ronda en `players` (en un duelo también como `player1` y `player2`;
+ * en el modo equipos, el resumen de cada equipo en `teams`).
+ */
+export function resolveRound(roomCode) {
+    const game = games.get(roomCode);
+    if (!game) return null;
+
+    game.status = 'revealing';
+    game.roundDeadline = null;
+
+    let round;
+    if (game.teamMode) round = resolveTeamRound(game);
+    else round = game.freeForAll ? resolveFreeForAllRound(game) : resolveDuelRound(game);
+    const { entries, roundWinner } = round;
+
+    // Verificar game over: queda uno (o nadie: todos caen a la vez y es empate)
+    const { gameOver, winner: gameWinner, winningTeam } = getMatchOutcome(game);
+
     const result = {
         round: game.round,
+        roundType: game.roundType,
+        // Aquí sí van las soluciones y el valor de x: la ronda ya terminó
+        equation: game.equation,
+        mystery: game.mystery,
+        variableValues: game.variableValues,
         target: game.target,
-        player1: {
-            name: game.player1.name,
-            expression: game.player1.expression || '(sin respuesta)',
-            result: p1Result,
-            difference: p1Diff === Infinity ? null : p1Diff,
-            damageType: p1Damage.type,
-            damageTaken: p1DamageTaken,
-            currentHp: game.player1.hp
-        },
-        player2: {
-            name: game.player2.name,
-            expression: game.player2.expression || '(sin respuesta)',
-            result: p2Result,
-            difference: p2Diff === Infinity ? null : p2Diff,
-            damageType: p2Damage.type,
-            damageTaken: p2DamageTaken,
-            currentHp: game.player2.hp
-        },
-        roundWinner: winner,
+        freeForAll: game.freeForAll,
+        ffaRule: game.ffaRule,
+        teamMode: game.teamMode,
+        teams: round.teams ?? null,
+        players: entries,
+        ...(game.freeForAll || game.teamMode ? {} : { player1: entries[0], player2: entries[1] }),
+        roundWinner,
+        bestPlay: game.bestPlay,
         gameOver,
         winner: gameWinner,
+        winningTeam,
+        // La semilla se revela al terminar (para repetir la partida)
+        seed: gameOver ? game.seed : null,
         finalStats: gameOver ? {
+            players: game.players.map(player => ({ name: player.name, finalHp: player.hp })),
             player1: { name: game.player1.name, finalHp: game.player1.hp },
             player2: { name: game.player2.name, finalHp: game.player2.hp },
             totalRounds: game.round
@@ -482,22 +1330,65 @@ export function resolveRound(roomCode) {
     if (!gameOver) {
         game.status = 'waiting_next';  // Esperando a que host inicie siguiente ronda
 
-        // Solo resetear estados de envío
-        game.player1.expression = '';
-        game.player1.submitted = false;
-        game.player1.result = null;
-        game.player2.expression = '';
-        game.player2.submitted = false;
-        game.player2.result = null;
+        for (const player of game.players) {
+            // Modo mazo: lo jugado va al descarte, el resto de la mano se queda
+            if (game.deckMode && game.roundType !== 'equation') discardPlayedCards(player);
+
+            // Solo resetear estados de envío
+            player.expression = '';
+            player.submitted = false;
+            player.result = null;
+        }
     } else {
         game.status = 'finished';
     }
 
+    game.lastRoundResult = result;
     return result;
 }
 
 /**
- * Inicia una nueva ronda con cartas y target nuevos
+ * Aplica un reparto nuevo a la partida y reinicia los envíos
+ * (en el modo draft la ronda empieza con las elecciones del pool)
+ */
+function applyDeal(game, { sharedCards, sharedVariables, variableValues, target, targetRating, bestPlay, roundType, equation, mystery }) {
+    // Actualizar estado del juego
+    game.status = 'playing';
+    game.lastRoundResult = null;
+    game.round += 1;
+    game.roundType = roundType;
+    game.equation = equation;
+    game.mystery = mystery;
+    game.target = target;
+    game.targetRating = targetRating;
+    game.bestPlay = bestPlay;
+    game.variableValues = variableValues;
+    game.sharedCards = sharedCards;
+    game.sharedVariables = sharedVariables;
+
+    // Actualizar cartas de todos los jugadores (en el modo mazo cada uno conserva su mano)
+    for (const player of game.players) {
+        if (!game.deckMode) player.cards = sharedCards;
+        player.variables = sharedVariables;
+        player.expression = '';
+        player.submitted = false;
+        player.result = null;
+    }
+
+    // Modo draft: las manos se eligen antes de jugar (Congelar espera a que estén completas)
+    const drafting = startDraft(game);
+
+    // Hechizos: Congelar quita una carta, se roba un hechizo y se puede volver a lanzar
+    // (los eliminados de todos contra todos ya no juegan)
+    for (const player of getAlivePlayers(game)) {
+        if (!drafting) startPlayerTurn(player);
+        player.spells = drawSpell(player.spells, game.spellRandom);
+    }
+    if (!drafting) startRoundClock(game);
+}
+
+/**
+ * Inicia una nueva ronda con cartas y target nuevos (o una ecuación, según el modo de rondas)
  * @param {string} roomCode 
  * @returns {Object|null} El estado actualizado del juego o null si no existe
  */
@@ -505,36 +1396,37 @@ export function startNextRound(roomCode) {
     const game = games.get(roomCode);
     if (!game) return null;
 
-    const difficulty = game.difficulty;
-    const variableValues = generateVariableValues(difficulty);
-
-    // Generar nuevas cartas compartidas
-    const sharedCards = generateCards(difficulty);
-    const sharedVariables = generateVariables(difficulty);
-
-    // Generar nuevo target
-    const target = generateTarget(difficulty, sharedCards, variableValues);
+    // Generar nuevas cartas compartidas y nuevo target (modo mazo: se completan las manos)
+    if (game.deckMode) refillHands(game);
+    const hands = game.deckMode ? [game.player1.cards, game.player2.cards] : null;
+    applyDeal(game, dealRound(game.difficulty, game.random, getRoundType(game.round + 1, game.roundMode), hands));
+    return game;
+}
 
-    // Actualizar estado del juego
-    game.round += 1;
-    game.target = target;
-    game.variableValues = variableValues;
-    game.sharedCards = sharedCards;
-    game.sharedVariables = sharedVariables;
+/**
+ * Inicia una nueva ronda con el solver en el pool de workers
+ * @param {string} roomCode 
+ * @returns {Promise<Object|null>} El estado actualizado, o null si no existe,
+ *   ya se está repartiendo o la partida terminó durante el reparto
+ */
+export async function startNextRoundAsync(roomCode) {
+    const game = games.get(roomCode);
+    if (!game || game.dealing) return null;
 
-    // Actualizar cartas de ambos jugadores
-    game.player1.cards = sharedCards;
-    game.player1.variables = sharedVariables;
-    game.player1.expression = '';
-    game.player1.submitted = false;
-    game.player1.result = null;
+    game.dealing = true;
+    let deal;
+    try {
+        if (game.deckMode) refillHands(game);
+        const hands = game.deckMode ? [game.player1.cards, game.player2.cards] : null;
+        deal = await dealRoundInWorker(game.difficulty, game.random, getRoundType(game.round + 1, game.roundMode), hands);
+    } finally {
+        game.dealing = false;
+    }
 
-    game.player2.cards = sharedCards;
-    game.player2.variables = sharedVariables;
-    game.player2.expression = '';
-    game.player2.submitted = false;
-    game.player2.result = null;
+    // Si la partida se limpió mientras tanto (abandono), no hay nada que actualizar
+    if (games.get(roomCode) !== game) return null;
 
+    applyDeal(game, deal);
     return game;
 }
 
@@ -545,6 +1437,48 @@ export function skipPlayerTurn(roomCode, playerId) {
     return submitPlayerExpression(roomCode, playerId, '');
 }
 
+/**
+ * Pasa el asiento de un jugador a su socket nuevo al reconectarse
+ * @returns {boolean} false si no hay partida o el socket anterior no jugaba en ella
+ */
+export function reassignPlayer(roomCode, previousId, newId) {
+    const game = games.get(roomCode);
+    const player = game && getPlayer(game, previousId);
+    if (!player) return false;
+
+    player.id = newId;
+    return true;
+}
+
+/**
+ * Todos contra todos o equipos: un jugador abandona a mitad de partida y queda eliminado
+ * (su respuesta de la ronda en curso ya no cuenta). Si solo queda uno (o un equipo), la partida termina.
+ * @returns {{ success: boolean, error?: string, code?: string, gameOver?: boolean, winner?: string|null, winningTeam?: string|null, seed?: string }}
+ *   `gameOver`: la partida acaba de terminar por el abandono (`winner`, el que queda; `seed`, ya revelada)
+ */
+export function forfeitPlayer(roomCode, playerId) {
+    const game = games.get(roomCode);
+    if (!game) {
+        return { success: false, error: 'Juego no encontrado', code: 'GAME_NOT_FOUND' };
+    }
+
+    const player = getPlayer(game, playerId);
+    if (!player) {
+        return { success: false, error: 'No eres jugador de esta partida', code: 'NOT_IN_GAME' };
+    }
+
+    player.eliminated = true;
+
+    const outcome = getMatchOutcome(game);
+    if (game.status === 'finished' || !outcome.gameOver) {
+        return { success: true, gameOver: false, winner: null, winningTeam: null };
+    }
+
+    game.status = 'finished';
+    game.roundDeadline = null;
+    return { success: true, ...outcome, seed: game.seed };
+}
+
 /**
  * Limpia un juego terminado
  */
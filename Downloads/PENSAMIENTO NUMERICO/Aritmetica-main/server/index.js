@@ -16,20 +16,39 @@ import {
     leaveLobby,
     getAvailableLobbies,
     getLobbyBySocketId,
-    startLobbyGame
+    getLobbyByCode,
+    startLobbyGame,
+    resumeSession,
+    spectateLobby,
+    leaveSpectator,
+    getLobbySeats,
+    getLobbyTeams,
+    setLobbyTeam
 } from './lobbyManager.js';
 
 import {
-    initializeGame,
+    initializeGameAsync,
     submitPlayerExpression,
     checkBothPlayersReady,
     resolveRound,
     getGameState,
     cleanupGame,
     skipPlayerTurn,
-    startNextRound
+    startNextRoundAsync,
+    castPlayerSpell,
+    deckPlayerAction,
+    draftPlayerPick,
+    autoDraftPick,
+    reassignPlayer,
+    getSpectatorState,
+    forfeitPlayer
 } from './gameManager.js';
 
+import { TARGET_BANDS } from '../shared/gameLogic.js';
+import { formatValue } from '../shared/rational.js';
+import { DRAFT_PICK_MS } from '../shared/draft.js';
+import { TEAMS } from '../shared/teams.js';
+
 // ============================================
 // Configuración del Servidor
 // ============================================
@@ -37,6 +56,12 @@ import {
 const PORT = process.env.PORT || 3001;
 const BROADCAST_PORT = 3002;
 
+/** Tiempo que se guarda el asiento de un jugador desconectado a mitad de partida */
+const SEAT_GRACE_MS = 30000;
+
+/** Largo máximo de la expresión en borrador que se reenvía al compañero de equipo */
+const MAX_TEAM_DRAFT_LENGTH = 200;
+
 const httpServer = createServer();
 const io = new Server(httpServer, {
     cors: {
@@ -64,6 +89,227 @@ function getLocalIPs() {
     return results;
 }
 
+// ============================================
+// Utilidades de Log
+// ============================================
+
+/**
+ * Describe el target de la ronda para los logs, ej: "target 42 · 🟡 Intermedio 47"
+ */
+function describeTarget(game) {
+    const rating = game.targetRating;
+    if (!rating) return `target ${formatValue(game.target)}`;
+
+    const band = TARGET_BANDS[rating.band];
+    return `target ${formatValue(game.target)} · ${band.emoji} ${band.name} ${rating.score}`;
+}
+
+/**
+ * Nombre del jugador de la sala con ese socket
+ */
+function getSeatName(lobby, socketId) {
+    return getLobbySeats(lobby).find(seat => seat.id === socketId)?.name ?? null;
+}
+
+// ============================================
+// Espectadores
+// ============================================
+
+/**
+ * Envía a los espectadores de la sala su vista de la partida (spectate:state).
+ * Como están en la room de Socket.IO, game:roundResult y game:over les llegan igual que a los jugadores.
+ */
+function updateSpectators(roomCode) {
+    const lobby = getLobbyByCode(roomCode);
+    if (!lobby?.spectators.length) return;
+
+    const state = getSpectatorState(roomCode);
+    for (const { id } of lobby.spectators) {
+        io.to(id).emit('spectate:state', state);
+    }
+}
+
+// ============================================
+// Equipos
+// ============================================
+
+/**
+ * Room de Socket.IO de un equipo: solo la escuchan sus dos jugadores (borradores en vivo, team:draft)
+ */
+function getTeamRoom(roomCode, team) {
+    return `${roomCode}:team:${team}`;
+}
+
+/**
+ * Mete a cada jugador de una partida por equipos en la room de su equipo
+ */
+function joinTeamRooms(lobby) {
+    if (!lobby.teamMode) return;
+    for (const { id, team } of getLobbySeats(lobby)) {
+        io.in(id).socketsJoin(getTeamRoom(lobby.roomCode, team));
+    }
+}
+
+// ============================================
+// Draft
+// ============================================
+
+/** @type {Map<string, NodeJS.Timeout>} roomCode -> temporizador de la elección actual */
+const draftTimers = new Map();
+
+function clearDraftTimer(roomCode) {
+    clearTimeout(draftTimers.get(roomCode));
+    draftTimers.delete(roomCode);
+}
+
+/**
+ * Programa la elección automática si se acaba el tiempo de la elección actual
+ */
+function scheduleDraftPick(roomCode, lobby) {
+    clearDraftTimer(roomCode);
+    draftTimers.set(roomCode, setTimeout(() => {
+        draftTimers.delete(roomCode);
+        const result = autoDraftPick(roomCode);
+        if (result.success) emitDraftPick(roomCode, lobby, result.playerId, result, true);
+    }, DRAFT_PICK_MS));
+}
+
+/**
+ * Empieza el draft de la ronda si la partida está eligiendo cartas:
+ * draft:start con el pool a cada jugador y el temporizador de la primera elección
+ */
+function startDraftIfNeeded(roomCode, lobby) {
+    const hostState = getGameState(roomCode, lobby.hostId);
+    if (hostState?.status !== 'drafting') return;
+
+    io.to(lobby.hostId).emit('draft:start', hostState);
+    io.to(lobby.guestId).emit('draft:start', getGameState(roomCode, lobby.guestId));
+    scheduleDraftPick(roomCode, lobby);
+}
+
+/**
+ * Notifica una elección (draft:pick con el draft actualizado) y, si era la última,
+ * draft:done con el estado de la ronda ya lista para jugar
+ */
+function emitDraftPick(roomCode, lobby, pickerId, { value, done }, auto = false) {
+    const picker = pickerId === lobby.hostId ? lobby.hostName : lobby.guestName;
+
+    for (const playerId of [lobby.hostId, lobby.guestId]) {
+        const state = getGameState(roomCode, playerId);
+        io.to(playerId).emit('draft:pick', { picker, value, auto, draft: state.draft, myCards: state.myCards });
+        if (done) io.to(playerId).emit('draft:done', state);
+    }
+
+    updateSpectators(roomCode);
+
+    if (done) {
+        clearDraftTimer(roomCode);
+        scheduleRoundTimer(roomCode, lobby);
+        console.log(`[Draft] Draft terminado en ${roomCode}`);
+    } else {
+        scheduleDraftPick(roomCode, lobby);
+    }
+}
+
+// ============================================
+// Rondas
+// ============================================
+
+/** @type {Map<string, NodeJS.Timeout>} roomCode -> temporizador de la ronda en juego */
+const roundTimers = new Map();
+
+function clearRoundTimer(roomCode) {
+    clearTimeout(roundTimers.get(roomCode));
+    roundTimers.delete(roomCode);
+}
+
+/**
+ * Resuelve la ronda si ya respondieron todos los que siguen jugando: game:roundResult
+ * a la sala y, si solo queda uno con HP, game:over
+ */
+function resolveRoundIfReady(roomCode) {
+    if (!checkBothPlayersReady(roomCode)) return;
+
+    clearRoundTimer(roomCode);
+    const roundResult = resolveRound(roomCode);
+
+    // Enviar resultados a todos los jugadores
+    io.to(roomCode).emit('game:roundResult', roundResult);
+
+    console.log(`[Game] Ronda ${roundResult.round} resuelta en ${roomCode}`);
+
+    // Si hay un ganador, terminar el juego
+    if (roundResult.gameOver) {
+        io.to(roomCode).emit('game:over', {
+            winner: roundResult.winner,
+            winningTeam: roundResult.winningTeam,
+            finalStats: roundResult.finalStats,
+            seed: roundResult.seed
+        });
+
+        // Limpiar el juego después de un delay
+        setTimeout(() => {
+            cleanupGame(roomCode);
+        }, 5000);
+    }
+}
+
+/**
+ * Programa el fin de la ronda en juego según su hora límite (roundDeadline).
+ * Si se acaba, salta el turno de quien no haya enviado (game:submitted con
+ * timedOut para él, game:opponentReady para el resto de la sala) y resuelve la ronda.
+ */
+function scheduleRoundTimer(roomCode, lobby) {
+    clearRoundTimer(roomCode);
+    const deadline = getGameState(roomCode, lobby.hostId)?.roundDeadline;
+    if (!deadline) return;
+
+    roundTimers.set(roomCode, setTimeout(() => {
+        roundTimers.delete(roomCode);
+
+        // Los IDs se leen al vencer: un jugador puede haberse reconectado con otro socket
+        for (const { id, name } of getLobbySeats(lobby)) {
+            if (!skipPlayerTurn(roomCode, id).success) continue;
+            io.to(id).emit('game:submitted', { expression: '', skipped: true, timedOut: true });
+            io.to(roomCode).except(id).emit('game:opponentReady', { playerName: name });
+        }
+
+        console.log(`[Game] Se acabó el tiempo de la ronda en ${roomCode}`);
+        resolveRoundIfReady(roomCode);
+        updateSpectators(roomCode);
+    }, Math.max(0, deadline - Date.now())));
+}
+
+// ============================================
+// Reconexión
+// ============================================
+
+/** @type {Map<string, NodeJS.Timeout>} socketId desconectado -> fin del plazo para volver */
+const seatTimers = new Map();
+
+function clearSeatTimer(socketId) {
+    clearTimeout(seatTimers.get(socketId));
+    seatTimers.delete(socketId);
+}
+
+/**
+ * Guarda el asiento de un jugador que se desconectó en plena partida: el resto de la
+ * sala recibe session:opponentDisconnected y, si no vuelve (session:resume) en
+ * SEAT_GRACE_MS, abandona como antes (ver handlePlayerLeave)
+ */
+function holdSeat(socket, lobby) {
+    socket.to(lobby.roomCode).emit('session:opponentDisconnected', {
+        playerName: getSeatName(lobby, socket.id),
+        graceMs: SEAT_GRACE_MS
+    });
+
+    seatTimers.set(socket.id, setTimeout(() => {
+        seatTimers.delete(socket.id);
+        console.log(`[Session] ${socket.id} no volvió a tiempo a ${lobby.roomCode}`);
+        handlePlayerLeave(socket);
+    }, SEAT_GRACE_MS));
+}
+
 // ============================================
 // UDP Broadcast para Auto-descubrimiento
 // ============================================
@@ -106,11 +352,16 @@ io.on('connection', (socket) => {
 
     /**
      * Crear nueva sala
-     * Payload: { playerName: string, difficulty: string }
+     * Payload: { playerName: string, difficulty: string, customConfig?: Object, seed?: string, roundMode?: string, deckMode?: boolean, draftMode?: boolean, roundSeconds?: number, maxPlayers?: number, ffaRule?: string }
+     * (customConfig solo si difficulty es 'custom'; seed para repetir una partida con las mismas manos;
+     * roundMode: 'classic', 'mixed', 'equations' o 'mystery', ver ROUND_MODES; deckMode: mano persistente con mazo;
+     * draftMode: las cartas se eligen de un pool antes de cada ronda; roundSeconds: tiempo por ronda, ver ROUND_TIME_OPTIONS;
+     * maxPlayers: 2 = duelo, de 3 a 8 = todos contra todos con la regla de daño ffaRule, ver FFA_DAMAGE_RULES;
+     * teamMode: 2 vs 2 con HP compartido por equipo, ver shared/teams.js)
      */
-    socket.on('lobby:create', ({ playerName, difficulty }) => {
+    socket.on('lobby:create', ({ playerName, difficulty, customConfig, seed, roundMode, deckMode, draftMode, roundSeconds, maxPlayers, ffaRule, teamMode }) => {
         try {
-            const result = createLobby(socket.id, playerName, difficulty);
+            const result = createLobby(socket.id, playerName, difficulty, customConfig, seed, roundMode, deckMode, draftMode, roundSeconds, maxPlayers, ffaRule, teamMode);
             socket.join(result.roomCode);
             socket.emit('lobby:created', result);
             console.log(`[Lobby] Sala ${result.roomCode} creada por ${playerName}`);
@@ -134,9 +385,11 @@ io.on('connection', (socket) => {
             // Notificar al jugador que se unió
             socket.emit('lobby:joined', result);
 
-            // Notificar al host que alguien se unió
+            // Notificar a la sala que alguien se unió (con la lista de jugadores y los equipos al completo)
             socket.to(roomCode.toUpperCase()).emit('lobby:playerJoined', {
-                playerName
+                playerName,
+                players: result.players,
+                teams: result.teams
             });
 
             console.log(`[Lobby] ${playerName} se unió a sala ${roomCode}`);
@@ -148,6 +401,39 @@ io.on('connection', (socket) => {
         }
     });
 
+    /**
+     * Modo equipos: cambiarse de equipo antes de empezar
+     * Payload: { team: string } ('A' o 'B', ver TEAMS)
+     * Responde a la sala con lobby:teamsUpdate { teams } (ver getLobbyTeams)
+     */
+    socket.on('lobby:setTeam', ({ team } = {}) => {
+        try {
+            const lobby = setLobbyTeam(socket.id, team);
+            io.to(lobby.roomCode).emit('lobby:teamsUpdate', { teams: getLobbyTeams(lobby) });
+            console.log(`[Lobby] ${getSeatName(lobby, socket.id)} se pasó al ${TEAMS[team].name} en ${lobby.roomCode}`);
+        } catch (error) {
+            socket.emit('lobby:error', { message: error.message });
+        }
+    });
+
+    /**
+     * Ver una sala como espectador (sin jugar; también con la partida empezada)
+     * Payload: { playerName?: string, roomCode: string }
+     * Responde spectate:joined { roomCode, hostName, guestName, ..., state } (state: getSpectatorState,
+     * null si aún no empezó) y después spectate:state con cada cambio de la partida.
+     * Para dejar de verla, lobby:leave.
+     */
+    socket.on('lobby:spectate', ({ playerName, roomCode }) => {
+        try {
+            const result = spectateLobby(socket.id, roomCode, playerName);
+            socket.join(result.roomCode);
+            socket.emit('spectate:joined', { ...result, state: getSpectatorState(result.roomCode) });
+            console.log(`[Lobby] ${playerName || 'Espectador'} mira la sala ${result.roomCode}`);
+        } catch (error) {
+            socket.emit('lobby:error', { message: error.message });
+        }
+    });
+
     /**
      * Abandonar sala actual
      */
@@ -162,6 +448,51 @@ io.on('connection', (socket) => {
         socket.emit('lobby:listUpdate', getAvailableLobbies());
     });
 
+    // ----------------------------------------
+    // SESSION EVENTS
+    // ----------------------------------------
+
+    /**
+     * Recuperar el asiento en una partida en curso tras reconectarse
+     * Payload: { token: string } (sessionToken de lobby:created / lobby:joined)
+     * Responde session:resumed { roomCode, isHost, playerName, opponentName, state }, donde `state`
+     * es el getGameState actual (con `roundResult` si la ronda ya se resolvió),
+     * o session:expired { message } si el asiento ya no existe.
+     */
+    socket.on('session:resume', ({ token } = {}) => {
+        try {
+            const { lobby, isHost, playerName, team, previousSocketId } = resumeSession(token, socket.id);
+            clearSeatTimer(previousSocketId);
+            reassignPlayer(lobby.roomCode, previousSocketId, socket.id);
+            socket.join(lobby.roomCode);
+            if (team) socket.join(getTeamRoom(lobby.roomCode, team));
+
+            // Si el servidor aún no había notado la desconexión, el socket viejo sobra
+            if (previousSocketId !== socket.id) {
+                io.sockets.sockets.get(previousSocketId)?.disconnect(true);
+            }
+
+            const state = getGameState(lobby.roomCode, socket.id);
+            if (!state) {
+                socket.emit('session:expired', { message: 'La partida ya terminó' });
+                return;
+            }
+
+            socket.emit('session:resumed', {
+                roomCode: lobby.roomCode,
+                isHost,
+                playerName,
+                opponentName: isHost ? lobby.guestName : lobby.hostName,
+                state
+            });
+            socket.to(lobby.roomCode).emit('session:opponentReconnected', { playerName });
+
+            console.log(`[Session] ${playerName} volvió a la sala ${lobby.roomCode}`);
+        } catch (error) {
+            socket.emit('session:expired', { message: error.message });
+        }
+    });
+
     // ----------------------------------------
     // GAME EVENTS
     // ----------------------------------------
@@ -170,7 +501,7 @@ io.on('connection', (socket) => {
      * Iniciar partida (solo host)
      * Payload: { roomCode: string }
      */
-    socket.on('game:start', ({ roomCode }) => {
+    socket.on('game:start', async ({ roomCode }) => {
         try {
             const lobby = startLobbyGame(roomCode, socket.id);
             if (!lobby) {
@@ -178,17 +509,25 @@ io.on('connection', (socket) => {
                 return;
             }
 
-            // Inicializar estado del juego
-            const gameState = initializeGame(roomCode, lobby);
+            // Inicializar estado del juego (el solver reparte en el pool de workers)
+            const gameState = await initializeGameAsync(roomCode, lobby);
 
-            // Enviar estado inicial a cada jugador (con sus propias cartas)
-            const player1State = getGameState(roomCode, lobby.hostId);
-            const player2State = getGameState(roomCode, lobby.guestId);
+            // Si alguien abandonó mientras se repartía, la partida ya no tiene sala
+            if (getLobbyBySocketId(socket.id) !== lobby || lobby.status !== 'playing') {
+                cleanupGame(roomCode);
+                return;
+            }
 
-            io.to(lobby.hostId).emit('game:started', player1State);
-            io.to(lobby.guestId).emit('game:started', player2State);
+            // Enviar estado inicial a cada jugador (con sus propias cartas)
+            for (const { id } of getLobbySeats(lobby)) {
+                io.to(id).emit('game:started', getGameState(roomCode, id));
+            }
+            joinTeamRooms(lobby);
 
-            console.log(`[Game] Partida iniciada en sala ${roomCode}`);
+            console.log(`[Game] Partida iniciada en sala ${roomCode} (semilla ${gameState.seed}, ${describeTarget(gameState)})`);
+            startDraftIfNeeded(roomCode, lobby);
+            scheduleRoundTimer(roomCode, lobby);
+            updateSpectators(roomCode);
 
             // Actualizar lista (ya no está disponible)
             io.emit('lobby:listUpdate', getAvailableLobbies());
@@ -200,45 +539,152 @@ io.on('connection', (socket) => {
     /**
      * Enviar expresión (submit)
      * Payload: { roomCode: string, expression: string }
+     * En una ronda de ecuación `expression` es la respuesta (el valor de x).
+     * Si la expresión no respeta la mano o la dificultad, responde
+     * game:error con { message, code } (ej: CARD_NOT_IN_HAND, OPERATOR_NOT_ALLOWED, INVALID_ANSWER)
      */
     socket.on('game:submit', ({ roomCode, expression }) => {
         try {
             const result = submitPlayerExpression(roomCode, socket.id, expression);
 
             if (!result.success) {
-                socket.emit('game:error', { message: result.error });
+                console.log(`[Game] Expresión rechazada en ${roomCode} (${result.code}): ${expression}`);
+                socket.emit('game:error', { message: result.error, code: result.code });
                 return;
             }
 
             // Confirmar al jugador que su expresión fue recibida
             socket.emit('game:submitted', { expression });
 
-            // Notificar al oponente que el jugador está listo
-            socket.to(roomCode).emit('game:opponentReady');
+            // Notificar al resto de la sala que el jugador está listo
+            socket.to(roomCode).emit('game:opponentReady', { playerName: getSeatName(getLobbyBySocketId(socket.id), socket.id) });
+
+            // Si todos los jugadores han enviado su respuesta, resolver la ronda
+            resolveRoundIfReady(roomCode);
+            updateSpectators(roomCode);
+        } catch (error) {
+            socket.emit('game:error', { message: error.message });
+        }
+    });
 
-            // Verificar si ambos jugadores han enviado su respuesta
-            if (checkBothPlayersReady(roomCode)) {
-                // Resolver la ronda
-                const roundResult = resolveRound(roomCode);
+    /**
+     * Modo equipos: expresión que el jugador está escribiendo, para que la vea su compañero
+     * Payload: { roomCode: string, expression: string }
+     * Se reenvía solo a la room del equipo como team:draft { playerName, expression }
+     * (el equipo rival nunca la recibe). Si no juega una partida por equipos,
+     * game:error con { message, code: 'NOT_IN_TEAM' }.
+     */
+    socket.on('team:draft', ({ roomCode, expression } = {}) => {
+        const lobby = getLobbyBySocketId(socket.id);
+        const seat = lobby && getLobbySeats(lobby).find(({ id }) => id === socket.id);
+        if (!seat?.team || lobby.roomCode !== roomCode || lobby.status !== 'playing') {
+            socket.emit('game:error', { message: 'No estás jugando una partida por equipos', code: 'NOT_IN_TEAM' });
+            return;
+        }
+        if (typeof expression !== 'string' || expression.length > MAX_TEAM_DRAFT_LENGTH) {
+            socket.emit('game:error', { message: 'Borrador inválido', code: 'INVALID_DRAFT' });
+            return;
+        }
 
-                // Enviar resultados a ambos jugadores
-                io.to(roomCode).emit('game:roundResult', roundResult);
+        socket.to(getTeamRoom(roomCode, seat.team)).emit('team:draft', { playerName: seat.name, expression });
+    });
 
-                console.log(`[Game] Ronda ${roundResult.round} resuelta en ${roomCode}`);
+    /**
+     * Lanzar un hechizo (uno por ronda, antes de enviar la expresión)
+     * Payload: { roomCode: string, spell: string }
+     * Responde a todos los jugadores con game:spellCast { caster, target, spell, effect, state },
+     * donde `state` es su propio getGameState (Robar cambia las cartas de los dos) y `target`
+     * el rival afectado (en todos contra todos, el que tiene más HP).
+     * Si no se puede lanzar, game:error con { message, code } (ej: SPELL_NOT_IN_HAND, SPELL_ALREADY_USED)
+     */
+    socket.on('game:castSpell', ({ roomCode, spell }) => {
+        try {
+            const lobby = getLobbyBySocketId(socket.id);
+            if (!lobby) {
+                socket.emit('game:error', { message: 'Juego no encontrado' });
+                return;
+            }
 
-                // Si hay un ganador, terminar el juego
-                if (roundResult.gameOver) {
-                    io.to(roomCode).emit('game:over', {
-                        winner: roundResult.winner,
-                        finalStats: roundResult.finalStats
-                    });
+            const result = castPlayerSpell(roomCode, socket.id, spell);
+            if (!result.success) {
+                socket.emit('game:error', { message: result.error, code: result.code });
+                return;
+            }
 
-                    // Limpiar el juego después de un delay
-                    setTimeout(() => {
-                        cleanupGame(roomCode);
-                    }, 5000);
-                }
+            const caster = getSeatName(lobby, socket.id);
+            for (const { id: playerId } of getLobbySeats(lobby)) {
+                io.to(playerId).emit('game:spellCast', {
+                    caster,
+                    target: result.target,
+                    spell,
+                    effect: result.effect,
+                    state: getGameState(roomCode, playerId)
+                });
+            }
+            updateSpectators(roomCode);
+        } catch (error) {
+            socket.emit('game:error', { message: error.message });
+        }
+    });
+
+    /**
+     * Modo mazo: descartar una carta o hacer mulligan (antes de enviar la expresión)
+     * Payload: { roomCode: string, action: 'discard'|'mulligan', index?: number }
+     * Responde a ambos jugadores con game:deckUpdated { player, action, discarded, state }
+     * (`discarded` solo para quien la hizo; el coste en HP lo ven los dos).
+     * Si no se puede, game:error con { message, code } (ej: NOT_ENOUGH_HP, NOT_DECK_MODE)
+     */
+    socket.on('game:deckAction', ({ roomCode, action, index }) => {
+        try {
+            const lobby = getLobbyBySocketId(socket.id);
+            if (!lobby) {
+                socket.emit('game:error', { message: 'Juego no encontrado' });
+                return;
+            }
+
+            const result = deckPlayerAction(roomCode, socket.id, action, index);
+            if (!result.success) {
+                socket.emit('game:error', { message: result.error, code: result.code });
+                return;
+            }
+
+            const player = getSeatName(lobby, socket.id);
+            for (const { id: playerId } of getLobbySeats(lobby)) {
+                io.to(playerId).emit('game:deckUpdated', {
+                    player,
+                    action,
+                    discarded: playerId === socket.id ? result.discarded : null,
+                    state: getGameState(roomCode, playerId)
+                });
+            }
+            updateSpectators(roomCode);
+        } catch (error) {
+            socket.emit('game:error', { message: error.message });
+        }
+    });
+
+    /**
+     * Modo draft: elegir una carta del pool (en tu turno del orden serpiente)
+     * Payload: { roomCode: string, index: number }
+     * Responde a ambos jugadores con draft:pick { picker, value, auto, draft, myCards }
+     * y, con la última elección, draft:done con el estado de la ronda.
+     * Si no se puede, game:error con { message, code } (ej: NOT_YOUR_PICK, CARD_NOT_AVAILABLE)
+     */
+    socket.on('draft:pick', ({ roomCode, index }) => {
+        try {
+            const lobby = getLobbyBySocketId(socket.id);
+            if (!lobby) {
+                socket.emit('game:error', { message: 'Juego no encontrado' });
+                return;
             }
+
+            const result = draftPlayerPick(roomCode, socket.id, index);
+            if (!result.success) {
+                socket.emit('game:error', { message: result.error, code: result.code });
+                return;
+            }
+
+            emitDraftPick(roomCode, lobby, socket.id, result);
         } catch (error) {
             socket.emit('game:error', { message: error.message });
         }
@@ -253,32 +699,19 @@ io.on('connection', (socket) => {
             const result = skipPlayerTurn(roomCode, socket.id);
 
             if (!result.success) {
-                socket.emit('game:error', { message: result.error });
+                socket.emit('game:error', { message: result.error, code: result.code });
                 return;
             }
 
             // Confirmar al jugador
             socket.emit('game:submitted', { expression: '', skipped: true });
 
-            // Notificar al oponente
-            socket.to(roomCode).emit('game:opponentReady');
+            // Notificar al resto de la sala
+            socket.to(roomCode).emit('game:opponentReady', { playerName: getSeatName(getLobbyBySocketId(socket.id), socket.id) });
 
-            // Verificar si ambos han respondido
-            if (checkBothPlayersReady(roomCode)) {
-                const roundResult = resolveRound(roomCode);
-                io.to(roomCode).emit('game:roundResult', roundResult);
-
-                if (roundResult.gameOver) {
-                    io.to(roomCode).emit('game:over', {
-                        winner: roundResult.winner,
-                        finalStats: roundResult.finalStats
-                    });
-
-                    setTimeout(() => {
-                        cleanupGame(roomCode);
-                    }, 5000);
-                }
-            }
+            // Verificar si todos han respondido
+            resolveRoundIfReady(roomCode);
+            updateSpectators(roomCode);
         } catch (error) {
             socket.emit('game:error', { message: error.message });
         }
@@ -288,7 +721,7 @@ io.on('connection', (socket) => {
      * Solicitar siguiente ronda (SOLO HOST puede iniciar)
      * Payload: { roomCode: string }
      */
-    socket.on('game:nextRound', ({ roomCode }) => {
+    socket.on('game:nextRound', async ({ roomCode }) => {
         try {
             const lobby = getLobbyBySocketId(socket.id);
             if (!lobby) {
@@ -303,20 +736,21 @@ io.on('connection', (socket) => {
             }
 
             // Generar nuevas cartas y target para la ronda
-            const updatedGame = startNextRound(roomCode);
+            const updatedGame = await startNextRoundAsync(roomCode);
             if (!updatedGame) {
                 socket.emit('game:error', { message: 'Error al iniciar nueva ronda' });
                 return;
             }
 
             // Enviar nuevo estado a cada jugador
-            const player1State = getGameState(roomCode, lobby.hostId);
-            const player2State = getGameState(roomCode, lobby.guestId);
-
-            io.to(lobby.hostId).emit('game:roundStart', player1State);
-            io.to(lobby.guestId).emit('game:roundStart', player2State);
+            for (const { id } of getLobbySeats(lobby)) {
+                io.to(id).emit('game:roundStart', getGameState(roomCode, id));
+            }
 
-            console.log(`[Game] Nueva ronda ${updatedGame.round} iniciada en ${roomCode}`);
+            console.log(`[Game] Nueva ronda ${updatedGame.round} iniciada en ${roomCode} (${describeTarget(updatedGame)})`);
+            startDraftIfNeeded(roomCode, lobby);
+            scheduleRoundTimer(roomCode, lobby);
+            updateSpectators(roomCode);
         } catch (error) {
             socket.emit('game:error', { message: error.message });
         }
@@ -328,6 +762,15 @@ io.on('connection', (socket) => {
 
     socket.on('disconnect', () => {
         console.log(`[Socket] Cliente desconectado: ${socket.id}`);
+
+        // En plena partida se guarda el asiento por si vuelve (ver holdSeat)
+        const lobby = getLobbyBySocketId(socket.id);
+        const state = lobby?.status === 'playing' ? getGameState(lobby.roomCode, socket.id) : null;
+        if (state && state.status !== 'finished') {
+            holdSeat(socket, lobby);
+            return;
+        }
+
         handlePlayerLeave(socket);
     });
 });
@@ -336,32 +779,80 @@ io.on('connection', (socket) => {
  * Manejar cuando un jugador abandona (voluntario o desconexión)
  */
 function handlePlayerLeave(socket) {
+    // Un espectador solo deja de mirar
+    const watched = leaveSpectator(socket.id);
+    if (watched) {
+        socket.leave(watched.roomCode);
+        return;
+    }
+
     const lobby = getLobbyBySocketId(socket.id);
 
     if (lobby) {
         const wasHost = lobby.hostId === socket.id;
-        const otherPlayerId = wasHost ? lobby.guestId : lobby.hostId;
+        const seats = getLobbySeats(lobby);
+        const playerName = getSeatName(lobby, socket.id);
+        const team = seats.find(seat => seat.id === socket.id)?.team;
+        const others = seats.filter(seat => seat.id !== socket.id);
+        // Todos contra todos y equipos siguen sin quien se va (salvo el host: con él se va la sala)
+        const keepsPlaying = lobby.status === 'playing' && lobby.maxPlayers > 2 && !wasHost;
+
+        if (!keepsPlaying) {
+            clearDraftTimer(lobby.roomCode);
+            clearRoundTimer(lobby.roomCode);
+        }
 
-        // Notificar al otro jugador
-        if (otherPlayerId) {
-            io.to(otherPlayerId).emit('lobby:playerLeft', {
-                playerName: wasHost ? lobby.hostName : lobby.guestName,
-                hostLeft: wasHost
+        // Notificar a los demás jugadores (`players`: quienes quedan en la sala)
+        for (const seat of others) {
+            io.to(seat.id).emit('lobby:playerLeft', {
+                playerName,
+                hostLeft: wasHost,
+                players: others.map(({ name }) => name)
             });
+        }
 
-            // Si estaban en juego, el otro jugador gana por abandono
-            if (lobby.status === 'playing') {
-                io.to(otherPlayerId).emit('game:over', {
-                    winner: wasHost ? lobby.guestName : lobby.hostName,
-                    reason: 'opponent_disconnected'
-                });
+        if (lobby.status === 'playing' && others.length > 0) {
+            if (keepsPlaying) {
+                // Queda eliminado; si era el último rival, gana el que queda
+                const forfeit = forfeitPlayer(lobby.roomCode, socket.id);
+                if (forfeit.gameOver) {
+                    clearRoundTimer(lobby.roomCode);
+                    socket.to(lobby.roomCode).emit('game:over', { winner: forfeit.winner, winningTeam: forfeit.winningTeam, reason: 'opponent_disconnected', seed: forfeit.seed });
+                    cleanupGame(lobby.roomCode);
+                } else {
+                    // Puede que solo faltara su respuesta
+                    resolveRoundIfReady(lobby.roomCode);
+                }
+            } else {
+                // En un duelo el otro jugador gana por abandono; si el host cierra una sala de
+                // todos contra todos o de equipos, la partida acaba sin ganador (los espectadores también lo ven)
+                const gameOver = lobby.maxPlayers > 2
+                    ? { winner: null, reason: 'host_left', seed: lobby.seed }
+                    : { winner: others[0].name, reason: 'opponent_disconnected', seed: lobby.seed };
+                others.forEach(({ id }) => io.to(id).emit('game:over', gameOver));
+                lobby.spectators.forEach(({ id }) => io.to(id).emit('game:over', gameOver));
                 cleanupGame(lobby.roomCode);
             }
         }
 
+        // Si se va el host la sala desaparece: los espectadores salen con ella
+        if (wasHost) {
+            for (const { id } of lobby.spectators) {
+                io.to(id).emit('spectate:ended', { message: `${lobby.hostName} cerró la sala` });
+                io.in(id).socketsLeave(lobby.roomCode);
+            }
+        }
+
         // Limpiar lobby
         leaveLobby(socket.id);
         socket.leave(lobby.roomCode);
+        if (team) socket.leave(getTeamRoom(lobby.roomCode, team));
+        updateSpectators(lobby.roomCode);
+
+        // Modo equipos: los que quedan ven el hueco en su equipo
+        if (lobby.teamMode && !wasHost) {
+            io.to(lobby.roomCode).emit('lobby:teamsUpdate', { teams: getLobbyTeams(lobby) });
+        }
 
         // Actualizar lista de lobbies
         io.emit('lobby:listUpdate', getAvailableLobbies());
@@ -5,6 +5,14 @@
  * Maneja la creación, unión y gestión de salas de juego.
  */
 
+import { randomUUID } from 'crypto';
+import { CUSTOM_DIFFICULTY_KEY, validateCustomDifficulty } from '../shared/customDifficulty.js';
+import { createSeedCode, normalizeSeedCode } from '../shared/random.js';
+import { normalizeRoundMode } from '../shared/equations.js';
+import { DEFAULT_ROUND_SECONDS, normalizeRoundSeconds } from '../shared/roundTimer.js';
+import { MIN_FFA_PLAYERS, normalizeMaxPlayers, normalizeFfaRule } from '../shared/freeForAll.js';
+import { TEAMS, TEAM_SIZE, TEAM_KEYS, pickOpenTeam } from '../shared/teams.js';
+
 // ============================================
 // Estado de Lobbies
 // ============================================
@@ -16,7 +24,21 @@
  * @property {string} hostName - Nombre del host
  * @property {string|null} guestId - Socket ID del invitado
  * @property {string|null} guestName - Nombre del invitado
- * @property {string} difficulty - Dificultad seleccionada
+ * @property {string} hostToken - Token de sesión del host (para recuperar su asiento al reconectarse)
+ * @property {string|null} guestToken - Token de sesión del invitado
+ * @property {Array<{ id: string, name: string, token: string }>} extraSeats - Jugadores a partir del tercero (todos contra todos)
+ * @property {number} maxPlayers - Jugadores como máximo: 2 es un duelo, de 3 a 8 todos contra todos (ver shared/freeForAll.js)
+ * @property {string} ffaRule - Regla de daño de todos contra todos (ver FFA_DAMAGE_RULES)
+ * @property {boolean} teamMode - Modo equipos: 2 vs 2 con HP compartido por equipo (ver shared/teams.js)
+ * @property {Object<string, string>} teams - Modo equipos: token de sesión -> equipo ('A' o 'B')
+ * @property {Array<{ id: string, name: string }>} spectators - Espectadores: ven la partida pero no juegan
+ * @property {string} difficulty - Dificultad seleccionada ('custom' si es personalizada)
+ * @property {Object|null} customDifficulty - Configuración validada de una dificultad personalizada
+ * @property {string} seed - Código de semilla de la partida (manos y targets reproducibles)
+ * @property {string} roundMode - Modo de rondas (ver ROUND_MODES: clásico, mixto, solo ecuaciones o incógnita)
+ * @property {boolean} deckMode - Modo mazo: mano persistente y mazo propio (ver shared/deck.js)
+ * @property {boolean} draftMode - Modo draft: las cartas se eligen de un pool antes de cada ronda (ver shared/draft.js)
+ * @property {number} roundSeconds - Tiempo por ronda en segundos, 0 = sin límite (ver shared/roundTimer.js)
  * @property {'waiting'|'ready'|'playing'|'finished'} status - Estado de la sala
  * @property {number} createdAt - Timestamp de creación
  */
@@ -27,6 +49,63 @@ const lobbies = new Map();
 /** @type {Map<string, string>} socketId -> roomCode */
 const playerToRoom = new Map();
 
+/** @type {Map<string, string>} token de sesión -> roomCode */
+const sessionToRoom = new Map();
+
+/** @type {Map<string, string>} socketId de espectador -> roomCode */
+const spectatorToRoom = new Map();
+
+/** Espectadores como máximo por sala */
+export const MAX_SPECTATORS = 30;
+
+/**
+ * Si un socket ya está en alguna sala (como jugador o como espectador)
+ * @param {string} socketId
+ * @returns {boolean}
+ */
+function isInRoom(socketId) {
+    return playerToRoom.has(socketId) || spectatorToRoom.has(socketId);
+}
+
+/**
+ * Jugadores sentados en una sala, en orden: host, invitado y el resto (todos contra todos o equipos)
+ * @param {Lobby} lobby - También vale un lobby sin `extraSeats` (solo host e invitado)
+ * @returns {Array<{ id: string, name: string, token: string|null, team: string|null }>}
+ *   (`team`: equipo en el modo equipos, null fuera de él)
+ */
+export function getLobbySeats(lobby) {
+    const seats = [{ id: lobby.hostId, name: lobby.hostName, token: lobby.hostToken ?? null }];
+    if (lobby.guestId) {
+        seats.push({ id: lobby.guestId, name: lobby.guestName, token: lobby.guestToken ?? null });
+    }
+    return seats
+        .concat(lobby.extraSeats || [])
+        .map(seat => ({ id: seat.id, name: seat.name, token: seat.token, team: lobby.teams?.[seat.token] ?? null }));
+}
+
+/**
+ * Modo equipos: nombres de los jugadores de cada equipo
+ * @param {Lobby} lobby
+ * @returns {Object<string, string[]>|null} { A: [...], B: [...] }, o null fuera del modo equipos
+ */
+export function getLobbyTeams(lobby) {
+    if (!lobby.teamMode) return null;
+
+    const seats = getLobbySeats(lobby);
+    return Object.fromEntries(TEAM_KEYS.map(team => [team, seats.filter(seat => seat.team === team).map(seat => seat.name)]));
+}
+
+/**
+ * Jugadores necesarios para empezar: 2 en un duelo, MIN_FFA_PLAYERS en todos contra todos
+ * y la sala completa en el modo equipos
+ * @param {Lobby} lobby
+ * @returns {number}
+ */
+function getMinPlayers(lobby) {
+    if (lobby.teamMode) return lobby.maxPlayers;
+    return lobby.maxPlayers > 2 ? MIN_FFA_PLAYERS : 2;
+}
+
 // ============================================
 // Generación de Códigos
 // ============================================
@@ -53,19 +132,101 @@ function generateRoomCode() {
 // Funciones de Lobby
 // ============================================
 
+/**
+ * ¿Se puede jugar con una semilla elegida por el host?
+ * Solo si la semilla no reparte valores ocultos: rondas clásicas con mano nueva.
+ */
+function allowsChosenSeed(roundMode, deckMode, draftMode) {
+    return roundMode === 'classic' && !deckMode && !draftMode;
+}
+
 /**
  * Crea una nueva sala
  * @param {string} hostSocketId - Socket ID del host
  * @param {string} hostName - Nombre del jugador host
- * @param {string} difficulty - Dificultad seleccionada
- * @returns {{ roomCode: string, difficulty: string }}
+ * @param {string} difficulty - Dificultad seleccionada ('custom' para una personalizada)
+ * @param {Object|null} customConfig - Configuración enviada por el host si difficulty es 'custom'
+ * @param {string|null} seedCode - Código de semilla para repetir una partida (null = semilla nueva;
+ *   solo en rondas clásicas sin mazo ni draft)
+ * @param {string} [roundMode='classic'] - Modo de rondas (ver ROUND_MODES)
+ * @param {boolean} [deckMode=false] - Modo mazo (no se combina con el modo Incógnita)
+ * @param {boolean} [draftMode=false] - Modo draft (no se combina con el modo mazo ni con Incógnita)
+ * @param {number} [roundSeconds=DEFAULT_ROUND_SECONDS] - Tiempo por ronda en segundos (ver ROUND_TIME_OPTIONS, 0 = sin límite)
+ * @param {number} [maxPlayers=2] - Jugadores como máximo: 2 = duelo, de 3 a 8 = todos contra todos
+ * @param {string} [ffaRule='ranked'] - Regla de daño de todos contra todos (ver FFA_DAMAGE_RULES)
+ * @param {boolean} [teamMode=false] - Modo equipos: 2 vs 2 con HP compartido (la sala es de 4 jugadores)
+ * @returns {{ roomCode: string, sessionToken: string, difficulty: string, customDifficulty: Object|null, seed: string|null, roundMode: string, deckMode: boolean, draftMode: boolean, roundSeconds: number, maxPlayers: number, ffaRule: string, teamMode: boolean, teams: Object|null }}
+ *   (`seed`: la que eligió el host; si la genera el servidor no se revela hasta el final de la partida)
+ * @throws {Error} Si la dificultad personalizada, el código de semilla, el modo de rondas, el tiempo por ronda,
+ *   el número de jugadores, la regla de daño o la combinación de modos no son válidos, o si se elige
+ *   la semilla en un modo con valores ocultos
  */
-export function createLobby(hostSocketId, hostName, difficulty = 'medium') {
+export function createLobby(hostSocketId, hostName, difficulty = 'medium', customConfig = null, seedCode = null, roundMode = 'classic', deckMode = false, draftMode = false, roundSeconds = DEFAULT_ROUND_SECONDS, maxPlayers = 2, ffaRule = 'ranked', teamMode = false) {
     // Verificar si el jugador ya está en una sala
-    if (playerToRoom.has(hostSocketId)) {
+    if (isInRoom(hostSocketId)) {
         throw new Error('Ya estás en una sala. Abandónala primero.');
     }
 
+    // La configuración viene del cliente: se revalida entera (incluido el rango de targets)
+    let customDifficulty = null;
+    if (difficulty === CUSTOM_DIFFICULTY_KEY) {
+        const validation = validateCustomDifficulty(customConfig);
+        if (!validation.valid) {
+            throw new Error(`Dificultad personalizada inválida: ${validation.errors[0].message}`);
+        }
+        customDifficulty = validation.config;
+    }
+
+    const seed = seedCode ? normalizeSeedCode(seedCode) : createSeedCode();
+    if (!seed) {
+        throw new Error('Código de semilla inválido. Usa 8 letras o números, ej: K7QM-2XHD');
+    }
+
+    const mode = normalizeRoundMode(roundMode);
+    if (!mode) {
+        throw new Error('Modo de rondas inválido');
+    }
+
+    const seconds = normalizeRoundSeconds(roundSeconds);
+    if (seconds === null) {
+        throw new Error('Tiempo por ronda inválido');
+    }
+
+    // El modo equipos siempre es de dos equipos completos
+    const seats = teamMode ? TEAM_SIZE * TEAM_KEYS.length : normalizeMaxPlayers(maxPlayers);
+    if (seats === null) {
+        throw new Error('Número de jugadores inválido');
+    }
+
+    const rule = normalizeFfaRule(ffaRule);
+    if (rule === null) {
+        throw new Error('Regla de daño inválida');
+    }
+
+    // Mazo y draft son de dos manos (pool serpiente, target elegido para las dos)
+    if (seats > 2 && (deckMode || draftMode)) {
+        throw new Error(`${teamMode ? 'El modo equipos' : 'Todos contra todos'} no se puede combinar con el modo mazo ni con el draft`);
+    }
+
+    // El target en x de Incógnita sale de una mano compartida: no hay mano común en el modo mazo
+    if (deckMode && mode === 'mystery') {
+        throw new Error('El modo mazo no se puede combinar con el modo Incógnita');
+    }
+
+    // El draft reparte las manos de cada ronda: no convive con la mano persistente del mazo
+    if (draftMode && deckMode) {
+        throw new Error('El modo draft no se puede combinar con el modo mazo');
+    }
+    if (draftMode && mode === 'mystery') {
+        throw new Error('El modo draft no se puede combinar con el modo Incógnita');
+    }
+
+    // La misma semilla reparte lo que el rival no ve (la x de Incógnita, la solución de
+    // "Despeja x", los mazos y el draft): un host que la elige podría recalcularlo en plena partida
+    if (seedCode && !allowsChosenSeed(mode, deckMode, draftMode)) {
+        throw new Error('Solo se puede elegir la semilla en rondas Clásicas con mano nueva');
+    }
+
     const roomCode = generateRoomCode();
 
     /** @type {Lobby} */
@@ -75,15 +236,32 @@ export function createLobby(hostSocketId, hostName, difficulty = 'medium') {
         hostName: hostName || 'Jugador 1',
         guestId: null,
         guestName: null,
+        hostToken: randomUUID(),
+        guestToken: null,
+        extraSeats: [],
+        maxPlayers: seats,
+        ffaRule: rule,
+        teamMode: Boolean(teamMode),
+        teams: {},
+        spectators: [],
         difficulty,
+        customDifficulty,
+        seed,
+        roundMode: mode,
+        deckMode: Boolean(deckMode),
+        draftMode: Boolean(draftMode),
+        roundSeconds: seconds,
         status: 'waiting',
         createdAt: Date.now()
     };
 
+    if (lobby.teamMode) lobby.teams[lobby.hostToken] = TEAM_KEYS[0];
+
     lobbies.set(roomCode, lobby);
     playerToRoom.set(hostSocketId, roomCode);
+    sessionToRoom.set(lobby.hostToken, roomCode);
 
-    return { roomCode, difficulty };
+    return { roomCode, sessionToken: lobby.hostToken, difficulty, customDifficulty, seed: seedCode ? seed : null, roundMode: mode, deckMode: lobby.deckMode, draftMode: lobby.draftMode, roundSeconds: seconds, maxPlayers: seats, ffaRule: rule, teamMode: lobby.teamMode, teams: getLobbyTeams(lobby) };
 }
 
 /**
@@ -91,11 +269,12 @@ export function createLobby(hostSocketId, hostName, difficulty = 'medium') {
  * @param {string} guestSocketId - Socket ID del invitado
  * @param {string} roomCode - Código de la sala
  * @param {string} guestName - Nombre del jugador invitado
- * @returns {{ roomCode: string, hostName: string, difficulty: string }}
+ * @returns {{ roomCode: string, sessionToken: string, hostName: string, players: string[], teams: Object|null, difficulty: string, customDifficulty: Object|null, roundMode: string, deckMode: boolean, draftMode: boolean, roundSeconds: number, maxPlayers: number, ffaRule: string, teamMode: boolean }}
+ *   (`players`: nombres de todos los jugadores de la sala, incluido el que entra; `teams`: ver getLobbyTeams)
  */
 export function joinLobby(guestSocketId, roomCode, guestName) {
     // Verificar si el jugador ya está en una sala
-    if (playerToRoom.has(guestSocketId)) {
+    if (isInRoom(guestSocketId)) {
         throw new Error('Ya estás en una sala. Abandónala primero.');
     }
 
@@ -105,28 +284,151 @@ export function joinLobby(guestSocketId, roomCode, guestName) {
         throw new Error('Sala no encontrada. Verifica el código.');
     }
 
-    if (lobby.guestId) {
+    const seats = getLobbySeats(lobby);
+    if (seats.length >= lobby.maxPlayers) {
         throw new Error('La sala está llena.');
     }
 
-    if (lobby.status !== 'waiting') {
+    // En todos contra todos se puede seguir entrando con la sala lista hasta que empiece
+    if (lobby.status !== 'waiting' && !(lobby.status === 'ready' && lobby.maxPlayers > 2)) {
         throw new Error('La sala ya no está disponible.');
     }
 
-    // Agregar al invitado
-    lobby.guestId = guestSocketId;
-    lobby.guestName = guestName || 'Jugador 2';
-    lobby.status = 'ready';
+    // Con más de dos jugadores el nombre es lo que identifica a cada uno en el ranking y en los equipos
+    const name = guestName || `Jugador ${seats.length + 1}`;
+    if (lobby.maxPlayers > 2 && seats.some(seat => seat.name === name)) {
+        throw new Error('Ya hay un jugador con ese nombre en la sala.');
+    }
+
+    // Agregar al invitado (el segundo ocupa el asiento del invitado; el resto, los extra)
+    const token = randomUUID();
+    if (!lobby.guestId) {
+        lobby.guestId = guestSocketId;
+        lobby.guestName = name;
+        lobby.guestToken = token;
+    } else {
+        lobby.extraSeats.push({ id: guestSocketId, name, token });
+    }
+    // Modo equipos: entra en el equipo con menos jugadores (luego puede cambiarse)
+    if (lobby.teamMode) lobby.teams[token] = pickOpenTeam(seats.map(seat => seat.team));
+    lobby.status = seats.length + 1 >= getMinPlayers(lobby) ? 'ready' : 'waiting';
 
     playerToRoom.set(guestSocketId, roomCode.toUpperCase());
+    sessionToRoom.set(token, lobby.roomCode);
 
     return {
         roomCode: lobby.roomCode,
+        sessionToken: token,
         hostName: lobby.hostName,
-        difficulty: lobby.difficulty
+        players: getLobbySeats(lobby).map(seat => seat.name),
+        teams: getLobbyTeams(lobby),
+        difficulty: lobby.difficulty,
+        customDifficulty: lobby.customDifficulty,
+        roundMode: lobby.roundMode,
+        deckMode: lobby.deckMode,
+        draftMode: lobby.draftMode,
+        roundSeconds: lobby.roundSeconds,
+        maxPlayers: lobby.maxPlayers,
+        ffaRule: lobby.ffaRule,
+        teamMode: lobby.teamMode
     };
 }
 
+/**
+ * Modo equipos: un jugador se cambia de equipo antes de empezar la partida
+ * @param {string} socketId - Socket ID del jugador
+ * @param {string} team - Equipo al que se cambia ('A' o 'B')
+ * @returns {Lobby}
+ * @throws {Error} Si no está en una sala de equipos, la partida ya empezó o el equipo está completo
+ */
+export function setLobbyTeam(socketId, team) {
+    const lobby = getLobbyBySocketId(socketId);
+    if (!lobby?.teamMode) {
+        throw new Error('No estás en una sala de equipos.');
+    }
+    if (lobby.status === 'playing') {
+        throw new Error('La partida ya empezó.');
+    }
+    if (!Object.prototype.hasOwnProperty.call(TEAMS, team)) {
+        throw new Error('Equipo inválido.');
+    }
+
+    const seats = getLobbySeats(lobby);
+    const seat = seats.find(s => s.id === socketId);
+    if (seat.team !== team && seats.filter(s => s.team === team).length >= TEAM_SIZE) {
+        throw new Error(`El ${TEAMS[team].name} está completo.`);
+    }
+
+    lobby.teams[seat.token] = team;
+    return lobby;
+}
+
+/**
+ * Entrar a una sala como espectador (también con la partida empezada)
+ * @param {string} socketId - Socket ID del espectador
+ * @param {string} roomCode - Código de la sala
+ * @param {string} name - Nombre del espectador
+ * @returns {{ roomCode: string, hostName: string, guestName: string|null, players: string[], teams: Object|null, difficulty: string, customDifficulty: Object|null, roundMode: string, deckMode: boolean, draftMode: boolean, roundSeconds: number, maxPlayers: number, ffaRule: string, teamMode: boolean }}
+ */
+export function spectateLobby(socketId, roomCode, name) {
+    if (isInRoom(socketId)) {
+        throw new Error('Ya estás en una sala. Abandónala primero.');
+    }
+
+    const lobby = lobbies.get(String(roomCode || '').toUpperCase());
+    if (!lobby) {
+        throw new Error('Sala no encontrada. Verifica el código.');
+    }
+    if (lobby.spectators.length >= MAX_SPECTATORS) {
+        throw new Error('La sala no admite más espectadores.');
+    }
+
+    lobby.spectators.push({ id: socketId, name: name || 'Espectador' });
+    spectatorToRoom.set(socketId, lobby.roomCode);
+
+    return {
+        roomCode: lobby.roomCode,
+        hostName: lobby.hostName,
+        guestName: lobby.guestName,
+        players: getLobbySeats(lobby).map(seat => seat.name),
+        teams: getLobbyTeams(lobby),
+        difficulty: lobby.difficulty,
+        customDifficulty: lobby.customDifficulty,
+        roundMode: lobby.roundMode,
+        deckMode: lobby.deckMode,
+        draftMode: lobby.draftMode,
+        roundSeconds: lobby.roundSeconds,
+        maxPlayers: lobby.maxPlayers,
+        ffaRule: lobby.ffaRule,
+        teamMode: lobby.teamMode
+    };
+}
+
+/**
+ * Deja de ver una sala
+ * @param {string} socketId - Socket ID del espectador
+ * @returns {Lobby|null} La sala que estaba viendo
+ */
+export function leaveSpectator(socketId) {
+    const lobby = getLobbyBySpectatorId(socketId);
+    spectatorToRoom.delete(socketId);
+    if (!lobby) return null;
+
+    lobby.spectators = lobby.spectators.filter(({ id }) => id !== socketId);
+    return lobby;
+}
+
+/**
+ * Obtiene la sala que está viendo un espectador
+ * @param {string} socketId
+ * @returns {Lobby|null}
+ */
+export function getLobbyBySpectatorId(socketId) {
+    const roomCode = spectatorToRoom.get(socketId);
+    if (!roomCode) return null;
+    return lobbies.get(roomCode) || null;
+}
+
 /**
  * Abandonar una sala
  * @param {string} socketId - Socket ID del jugador que abandona
@@ -144,21 +446,29 @@ export function leaveLobby(socketId) {
 
     // Si es el host quien abandona, eliminar la sala completa
     if (lobby.hostId === socketId) {
-        // Limpiar referencias del guest también
-        if (lobby.guestId) {
-            playerToRoom.delete(lobby.guestId);
-        }
-        lobbies.delete(roomCode);
-        playerToRoom.delete(socketId);
+        deleteLobby(roomCode);
         return true;
     }
 
-    // Si es el guest quien abandona, solo removerlo de la sala
+    // Si es el guest quien abandona, su asiento pasa al primero de los extra (si hay)
     if (lobby.guestId === socketId) {
-        lobby.guestId = null;
-        lobby.guestName = null;
-        lobby.status = 'waiting';
-        playerToRoom.delete(socketId);
+        sessionToRoom.delete(lobby.guestToken);
+        delete lobby.teams?.[lobby.guestToken];
+        const next = lobby.extraSeats.shift();
+        lobby.guestId = next?.id ?? null;
+        lobby.guestName = next?.name ?? null;
+        lobby.guestToken = next?.token ?? null;
+    } else {
+        const seat = lobby.extraSeats.find(({ id }) => id === socketId);
+        sessionToRoom.delete(seat?.token);
+        delete lobby.teams?.[seat?.token];
+        lobby.extraSeats = lobby.extraSeats.filter(({ id }) => id !== socketId);
+    }
+    playerToRoom.delete(socketId);
+
+    // Un duelo se queda sin rival; todos contra todos sigue jugándose sin quien se fue
+    if (lobby.status !== 'playing' || lobby.maxPlayers === 2) {
+        lobby.status = getLobbySeats(lobby).length >= getMinPlayers(lobby) ? 'ready' : 'waiting';
     }
 
     return false;
@@ -166,17 +476,28 @@ export function leaveLobby(socketId) {
 
 /**
  * Obtiene la lista de salas disponibles (esperando jugadores)
- * @returns {Array<{ roomCode: string, hostName: string, difficulty: string, createdAt: number }>}
+ * @returns {Array<{ roomCode: string, hostName: string, difficulty: string, customName: string|null, roundMode: string, deckMode: boolean, draftMode: boolean, roundSeconds: number, maxPlayers: number, ffaRule: string, teamMode: boolean, playerCount: number, createdAt: number }>}
  */
 export function getAvailableLobbies() {
     const available = [];
 
     for (const [_, lobby] of lobbies) {
-        if (lobby.status === 'waiting' && !lobby.guestId) {
+        const playerCount = getLobbySeats(lobby).length;
+        const open = lobby.status === 'waiting' || (lobby.status === 'ready' && lobby.maxPlayers > 2);
+        if (open && playerCount < lobby.maxPlayers) {
             available.push({
                 roomCode: lobby.roomCode,
                 hostName: lobby.hostName,
                 difficulty: lobby.difficulty,
+                customName: lobby.customDifficulty?.name || null,
+                roundMode: lobby.roundMode,
+                deckMode: lobby.deckMode,
+                draftMode: lobby.draftMode,
+                roundSeconds: lobby.roundSeconds,
+                maxPlayers: lobby.maxPlayers,
+                ffaRule: lobby.ffaRule,
+                teamMode: lobby.teamMode,
+                playerCount,
                 createdAt: lobby.createdAt
             });
         }
@@ -217,8 +538,8 @@ export function startLobbyGame(roomCode, hostSocketId) {
 
     if (!lobby) return null;
     if (lobby.hostId !== hostSocketId) return null; // Solo el host puede iniciar
-    if (lobby.status !== 'ready') return null; // Debe tener 2 jugadores
-    if (!lobby.guestId) return null;
+    if (lobby.status !== 'ready') return null; // Debe tener 2 jugadores (3 en todos contra todos)
+    if (getLobbySeats(lobby).length < getMinPlayers(lobby)) return null;
 
     lobby.status = 'playing';
     return lobby;
@@ -242,19 +563,59 @@ export function finishLobby(roomCode) {
 export function deleteLobby(roomCode) {
     const lobby = lobbies.get(roomCode);
     if (lobby) {
-        playerToRoom.delete(lobby.hostId);
-        if (lobby.guestId) {
-            playerToRoom.delete(lobby.guestId);
+        for (const seat of getLobbySeats(lobby)) {
+            playerToRoom.delete(seat.id);
+            sessionToRoom.delete(seat.token);
         }
+        lobby.spectators.forEach(({ id }) => spectatorToRoom.delete(id));
         lobbies.delete(roomCode);
     }
 }
 
+/**
+ * Recupera el asiento de un jugador que se reconecta con otro socket
+ * (solo en partidas en curso: fuera de ellas no hay nada que conservar)
+ * @param {string} token - Token de sesión recibido en lobby:created / lobby:joined
+ * @param {string} socketId - Socket ID nuevo del jugador
+ * @returns {{ lobby: Lobby, isHost: boolean, playerName: string, team: string|null, previousSocketId: string }}
+ * @throws {Error} Si el token no corresponde a ninguna partida en curso
+ */
+export function resumeSession(token, socketId) {
+    const lobby = lobbies.get(sessionToRoom.get(token));
+    if (!lobby || lobby.status !== 'playing') {
+        throw new Error('La sesión ha caducado. Vuelve a entrar en una sala.');
+    }
+    if (playerToRoom.has(socketId) && playerToRoom.get(socketId) !== lobby.roomCode) {
+        throw new Error('Ya estás en una sala. Abandónala primero.');
+    }
+
+    const seat = getLobbySeats(lobby).find(s => s.token === token);
+    if (!seat) {
+        throw new Error('La sesión ha caducado. Vuelve a entrar en una sala.');
+    }
+
+    const isHost = lobby.hostToken === token;
+    const previousSocketId = seat.id;
+
+    playerToRoom.delete(previousSocketId);
+    playerToRoom.set(socketId, lobby.roomCode);
+    if (isHost) {
+        lobby.hostId = socketId;
+    } else if (lobby.guestToken === token) {
+        lobby.guestId = socketId;
+    } else {
+        lobby.extraSeats.find(s => s.token === token).id = socketId;
+    }
+
+    return { lobby, isHost, playerName: seat.name, team: seat.team, previousSocketId };
+}
+
 // Para debugging
 export function debugLobbies() {
     console.log('=== LOBBIES ===');
     for (const [code, lobby] of lobbies) {
-        console.log(`${code}: ${lobby.hostName} vs ${lobby.guestName || '(esperando)'} [${lobby.status}]`);
+        const players = getLobbySeats(lobby).map(seat => seat.name);
+        console.log(`${code}: ${players.length > 1 ? players.join(' vs ') : `${lobby.hostName} vs (esperando)`} [${lobby.status}] · ${lobby.spectators.length} espectadores`);
     }
     console.log('===============');
 }
@@ -0,0 +1,130 @@
+/**
+ * @file server/solverPool.js
+ * @description Pool de worker threads para el solver
+ * 
+ * Generar el target de una mano grande o resolverla entera puede tardar cientos de
+ * milisegundos; en el hilo principal eso congelaría todas las salas a la vez.
+ * Las tareas se encolan y se reparten entre unos pocos workers que se crean bajo demanda.
+ */
+
+import { Worker } from 'worker_threads';
+import { availableParallelism } from 'os';
+
+// ============================================
+// Estado del Pool
+// ============================================
+
+/** Deja un núcleo libre para Socket.IO (mínimo un worker, máximo cuatro) */
+const POOL_SIZE = Math.max(1, Math.min(4, availableParallelism() - 1));
+
+/**
+ * @typedef {Object} SolverTask
+ * @property {number} id
+ * @property {string} type - Tarea de shared/solverTasks.js
+ * @property {Array} args
+ * @property {Function} resolve
+ * @property {Function} reject
+ */
+
+/** @type {Array<{worker: Worker, task: SolverTask|null}>} */
+let slots = [];
+
+/** @type {SolverTask[]} */
+const queue = [];
+
+let nextTaskId = 1;
+
+// ============================================
+// Gestión de Workers
+// ============================================
+
+/**
+ * Crea un worker nuevo. Mientras está libre no mantiene vivo el proceso (`unref`).
+ */
+function createSlot() {
+    const slot = { worker: new Worker(new URL('./solverWorker.js', import.meta.url)), task: null };
+    slot.worker.unref();
+
+    slot.worker.on('message', ({ result, error }) => {
+        const task = slot.task;
+        slot.task = null;
+        slot.worker.unref();
+
+        if (task) {
+            if (error) task.reject(new Error(error));
+            else task.resolve(result);
+        }
+        dispatch();
+    });
+
+    // Un worker que falla se descarta: su tarea se rechaza y el resto sigue en la cola
+    slot.worker.on('error', (error) => retireSlot(slot, error));
+    slot.worker.on('exit', (code) => retireSlot(slot, new Error(`El worker del solver terminó (código ${code})`)));
+
+    slots.push(slot);
+    return slot;
+}
+
+function retireSlot(slot, error) {
+    const index = slots.indexOf(slot);
+    if (index === -1) return;
+
+    slots.splice(index, 1);
+    if (slot.task) {
+        slot.task.reject(error);
+        slot.task = null;
+    }
+    dispatch();
+}
+
+/**
+ * Asigna las tareas en cola a los workers libres (creando más si hay hueco en el pool)
+ */
+function dispatch() {
+    while (queue.length > 0) {
+        let slot = slots.find(s => !s.task);
+        if (!slot) {
+            if (slots.length >= POOL_SIZE) return;
+            slot = createSlot();
+        }
+
+        const task = queue.shift();
+        slot.task = task;
+        // Con una tarea en curso el proceso espera su respuesta
+        slot.worker.ref();
+        slot.worker.postMessage({ id: task.id, type: task.type, args: task.args });
+    }
+}
+
+// ============================================
+// API Pública
+// ============================================
+
+/**
+ * Ejecuta una tarea del solver en el pool
+ * @param {string} type - Tarea de shared/solverTasks.js ('rateTargets', 'solveHand')
+ * @param {Array} args - Argumentos (datos serializables)
+ * @returns {Promise<*>} Resultado de la tarea
+ */
+export function runInSolverPool(type, args) {
+    return new Promise((resolve, reject) => {
+        queue.push({ id: nextTaskId++, type, args, resolve, reject });
+        dispatch();
+    });
+}
+
+/**
+ * Termina todos los workers (las tareas en curso se rechazan)
+ * @returns {Promise<void>}
+ */
+export async function closeSolverPool() {
+    const closing = slots;
+    slots = [];
+
+    closing.forEach(slot => {
+        if (slot.task) slot.task.reject(new Error('Pool del solver cerrado'));
+    });
+    queue.splice(0).forEach(task => task.reject(new Error('Pool del solver cerrado')));
+
+    await Promise.all(closing.map(slot => slot.worker.terminate()));
+}
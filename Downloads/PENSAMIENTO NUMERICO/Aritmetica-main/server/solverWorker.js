@@ -0,0 +1,12 @@
+/**
+ * @file server/solverWorker.js
+ * @description Worker thread del solver: genera targets y resuelve manos sin bloquear
+ * el bucle de eventos del servidor. Se usa a través de server/solverPool.js.
+ */
+
+import { parentPort } from 'worker_threads';
+import { handleSolverMessage } from '../shared/solverTasks.js';
+
+parentPort.on('message', (message) => {
+    parentPort.postMessage(handleSolverMessage(message));
+});
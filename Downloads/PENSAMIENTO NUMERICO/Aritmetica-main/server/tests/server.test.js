@@ -14,7 +14,13 @@ import {
     leaveLobby,
     getAvailableLobbies,
     getLobbyBySocketId,
-    startLobbyGame
+    startLobbyGame,
+    resumeSession,
+    spectateLobby,
+    leaveSpectator,
+    getLobbyBySpectatorId,
+    getLobbySeats,
+    setLobbyTeam
 } from '../lobbyManager.js';
 
 import {
@@ -23,8 +29,71 @@ import {
     checkBothPlayersReady,
     resolveRound,
     getGameState,
-    cleanupGame
+    startNextRound,
+    castPlayerSpell,
+    deckPlayerAction,
+    draftPlayerPick,
+    autoDraftPick,
+    cleanupGame,
+    initializeGameAsync,
+    startNextRoundAsync,
+    reassignPlayer,
+    getSpectatorState,
+    forfeitPlayer
 } from '../gameManager.js';
+import { closeSolverPool } from '../solverPool.js';
+
+import { evaluateExpression, parseExpression, traceExpression, formatTrace, EXPRESSION_LIMITS } from '../../shared/expressionParser.js';
+import {
+    DIFFICULTY_CONFIG,
+    calculateAttackDamage,
+    calculateParenthesesBonus,
+    generateCardsByDifficulty,
+    generateTargetByDifficulty,
+    generateRatedTarget,
+    rateCandidateTargets,
+    pickRatedTarget,
+    rateTarget,
+    TARGET_BANDS,
+    findSolution,
+    solveHand,
+    validateExpressionForHand,
+    getOperatorsFromExpression,
+    HINT_TIERS,
+    buildSolutionHints,
+    applyHintPenalty,
+    getEvaluationTrace,
+    VARIABLE_SYMBOLS,
+    getVariableSymbols,
+    detectVariablesInExpression
+} from '../../shared/gameLogic.js';
+import { rational, add, divide, compareValues, formatValue, toRational } from '../../shared/rational.js';
+import {
+    createCustomDifficulty,
+    normalizeCustomDifficulty,
+    validateCustomDifficulty
+} from '../../shared/customDifficulty.js';
+import { createRandom, createSeedCode, normalizeSeedCode } from '../../shared/random.js';
+import {
+    EQUATION_TYPES,
+    getRoundType,
+    generateEquation,
+    parseEquationAnswer,
+    scoreEquationAnswer
+} from '../../shared/equations.js';
+import {
+    areExpressionsEquivalent,
+    toLinearForm,
+    generateMysteryTarget,
+    scoreMysteryExpression,
+    dealMysteryVariable
+} from '../../shared/mystery.js';
+import { SPELL_HAND_SIZE, castSpell, startTurn, resolveHit, drawSpell } from '../../shared/spells.js';
+import { createDeck, drawCards, playCards, performDeckAction, DECK_COPIES } from '../../shared/deck.js';
+import { getSnakeOrder, createDraft, pickDraftCard, getAutoPickIndex, getDraftedHand } from '../../shared/draft.js';
+import { DEFAULT_ROUND_SECONDS, normalizeRoundSeconds, getRoundDeadline, getSecondsLeft } from '../../shared/roundTimer.js';
+import { normalizeMaxPlayers, normalizeFfaRule, rankAnswers, getRankedDamage } from '../../shared/freeForAll.js';
+import { pickOpenTeam, pickTeamAnswer } from '../../shared/teams.js';
 
 // ============================================
 // Test Utilities
@@ -44,6 +113,18 @@ function test(name, fn) {
     }
 }
 
+async function testAsync(name, fn) {
+    try {
+        await fn();
+        console.log(`  ✅ ${name}`);
+        testsPassed++;
+    } catch (error) {
+        console.log(`  ❌ ${name}`);
+        console.log(`     Error: ${error.message}`);
+        testsFailed++;
+    }
+}
+
 function assertEqual(actual, expected, message = '') {
     if (actual !== expected) {
         throw new Error(`${message} - Expected: ${expected}, Got: ${actual}`);
@@ -190,7 +271,8 @@ test('Submit expresión guarda correctamente', () => {
         difficulty: 'easy'
     };
 
-    initializeGame('TEST2', lobby);
+    const game = initializeGame('TEST2', lobby);
+    game.sharedCards = [3, 5, 1, 2];
 
     const result = submitPlayerExpression('TEST2', 'p1', '3+5');
     assertTrue(result.success, 'Submit should succeed');
@@ -211,7 +293,8 @@ test('Ambos jugadores ready detectado correctamente', () => {
         difficulty: 'easy'
     };
 
-    initializeGame('TEST3', lobby);
+    const game = initializeGame('TEST3', lobby);
+    game.sharedCards = [5, 5, 4, 4];
 
     submitPlayerExpression('TEST3', 'p1', '5+5');
     assertTrue(!checkBothPlayersReady('TEST3'), 'Should not be ready with 1 player');
@@ -233,12 +316,13 @@ test('Resolver ronda calcula ganador correctamente', () => {
     };
 
     const game = initializeGame('TEST4', lobby);
-    const target = game.target;
+    game.sharedCards = [3, 4, 5, 1];
+    game.target = 12;
 
     // Player1 envía respuesta perfecta
-    submitPlayerExpression('TEST4', 'p1', String(target));
+    submitPlayerExpression('TEST4', 'p1', '3+4+5');
     // Player2 envía respuesta alejada
-    submitPlayerExpression('TEST4', 'p2', String(target + 20));
+    submitPlayerExpression('TEST4', 'p2', '1');
 
     const result = resolveRound('TEST4');
 
@@ -259,11 +343,12 @@ test('Empate aplica 50% daño a ambos', () => {
     };
 
     const game = initializeGame('TEST5', lobby);
-    const target = game.target;
+    game.sharedCards = [3, 4, 5, 1];
+    game.target = 12;
 
     // Ambos envían la misma respuesta (empate)
-    submitPlayerExpression('TEST5', 'p1', String(target));
-    submitPlayerExpression('TEST5', 'p2', String(target));
+    submitPlayerExpression('TEST5', 'p1', '3+4+5');
+    submitPlayerExpression('TEST5', 'p2', '5+4+3');
 
     const result = resolveRound('TEST5');
 
@@ -286,10 +371,11 @@ test('Skip/No respuesta cuenta como MISS', () => {
     };
 
     const game = initializeGame('TEST6', lobby);
-    const target = game.target;
+    game.sharedCards = [3, 4, 5, 1];
+    game.target = 12;
 
     // Player1 envía respuesta perfecta
-    submitPlayerExpression('TEST6', 'p1', String(target));
+    submitPlayerExpression('TEST6', 'p1', '3+4+5');
     // Player2 no envía nada (skip)
     submitPlayerExpression('TEST6', 'p2', '');
 
@@ -313,11 +399,12 @@ test('Game Over cuando HP llega a 0', () => {
 
     // Inicializar y forzar HP bajo
     const game = initializeGame('TEST7', lobby);
-    game.player2.hp = 30; // HP bajo
+    game.player2.hp = 1; // HP bajo
+    game.sharedCards = [3, 4, 5, 1];
+    game.target = 12;
 
-    const target = game.target;
-    submitPlayerExpression('TEST7', 'p1', String(target)); // Perfecto = 50 daño
-    submitPlayerExpression('TEST7', 'p2', String(target + 100)); // Miss
+    submitPlayerExpression('TEST7', 'p1', '3+4+5'); // Perfecto = daño > 0
+    submitPlayerExpression('TEST7', 'p2', ''); // Miss
 
     const result = resolveRound('TEST7');
 
@@ -327,6 +414,1830 @@ test('Game Over cuando HP llega a 0', () => {
     cleanupGame('TEST7');
 });
 
+// ============================================
+// EXPRESSION PARSER TESTS
+// ============================================
+console.log('\n🧮 EXPRESSION PARSER TESTS\n');
+
+test('Respeta la precedencia de operadores', () => {
+    assertEqual(evaluateExpression('2+3*4').value, 14, '2+3*4');
+    assertEqual(evaluateExpression('(2+3)*4').value, 20, '(2+3)*4');
+});
+
+test('Multiplicación implícita con variables', () => {
+    const values = { x: 5, y: 2 };
+    assertEqual(evaluateExpression('3x', values).value, 15, '3x');
+    assertEqual(evaluateExpression('(2+1)x', values).value, 15, '(2+1)x');
+    assertEqual(evaluateExpression('x(4-1)+y', values).value, 17, 'x(4-1)+y');
+
+    const { ast } = parseExpression('3x');
+    assertEqual(ast.type, 'binary', 'Root should be binary');
+    assertTrue(ast.implicit, 'Multiplication should be marked as implicit');
+});
+
+test('Errores estructurados con columna', () => {
+    const result = evaluateExpression('2+*3');
+    assertTrue(!result.success, 'Should fail');
+    assertEqual(result.error.code, 'UNEXPECTED_OPERATOR', 'Error code');
+    assertEqual(result.error.column, 3, 'Error column');
+
+    assertEqual(evaluateExpression('(2+3').error.code, 'MISSING_CLOSE_PAREN', 'Unclosed paren');
+    assertEqual(evaluateExpression('7/0').error.code, 'DIVISION_BY_ZERO', 'Division by zero');
+    assertEqual(evaluateExpression('xy', { x: 1, y: 2 }).error.code, 'UNKNOWN_VARIABLE', 'Identifiers are not split');
+});
+
+test('Nunca ejecuta JavaScript', () => {
+    const attempts = ['process.exit(1)', 'globalThis.hacked=1', '(()=>1)()', 'constructor'];
+    for (const attempt of attempts) {
+        assertTrue(!evaluateExpression(attempt).success, `Should reject ${attempt}`);
+    }
+    assertTrue(globalThis.hacked === undefined, 'Global state must not change');
+});
+
+test('Las entradas enormes o muy anidadas dan error en vez de desbordar la pila', () => {
+    const nested = (levels) => '('.repeat(levels) + '1' + ')'.repeat(levels);
+
+    // Antes: RangeError (Maximum call stack size exceeded) desde funciones que no lanzan
+    const huge = nested(5000);
+    assertEqual(evaluateExpression(huge).error.code, 'EXPRESSION_TOO_LONG', 'Huge input');
+    assertEqual(parseExpression(huge).error.code, 'EXPRESSION_TOO_LONG', 'Huge input (parse)');
+    assertEqual(traceExpression(huge).error.code, 'EXPRESSION_TOO_LONG', 'Huge input (trace)');
+
+    const deep = evaluateExpression(nested(EXPRESSION_LIMITS.maxDepth + 1));
+    assertEqual(deep.error.code, 'TOO_DEEPLY_NESTED', 'Too many nested parentheses');
+    assertEqual(deep.error.column, EXPRESSION_LIMITS.maxDepth + 1, 'Column of the offending parenthesis');
+    assertEqual(evaluateExpression(nested(EXPRESSION_LIMITS.maxDepth)).value, 1, 'Nesting up to the limit is fine');
+    assertEqual(evaluateExpression('(1+(2))*(3+(4))').value, 21, 'Sibling groups do not add depth');
+});
+
+test('El bonus de paréntesis solo cuenta si cambian el resultado', () => {
+    const effective = calculateParenthesesBonus('2(3+4)');
+    assertEqual(effective.bonus, 5, '2(3+4) = 14 vs 2*3+4 = 10');
+    assertTrue(effective.hasEffectiveParentheses, '2(3+4) uses its parentheses');
+
+    // Quitar los paréntesis no pega las cartas: "(3)(4)" es 3 * 4, no 34
+    const glued = calculateParenthesesBonus('(3)(4)');
+    assertEqual(glued.bonus, 0, '(3)(4) = 3 * 4 earns nothing');
+    assertEqual(glued.pairsUsed, 2, 'Both pairs are counted');
+    assertEqual(calculateParenthesesBonus('(x)(2)', { x: 5 }).bonus, 0, '(x)(2) = x * 2');
+    assertEqual(calculateParenthesesBonus('(2+3)').bonus, 0, 'Redundant parentheses');
+
+    // En fracciones se compara en exacto: (1/3)*3 y 1/3*3 son el mismo 1
+    assertEqual(calculateParenthesesBonus('(1/3)*3', {}, 'fractions').bonus, 0, 'Exact comparison');
+    assertEqual(calculateParenthesesBonus('1/(3*3)', {}, 'fractions').bonus, 5, '1/(3*3) = 1/9 vs 1/3*3 = 1');
+});
+
+// ============================================
+// RULES PARITY TESTS
+// ============================================
+console.log('\n⚖️ RULES PARITY TESTS\n');
+
+function createParityGame(roomCode, difficulty) {
+    return initializeGame(roomCode, {
+        roomCode,
+        hostId: 'p1',
+        hostName: 'Player1',
+        guestId: 'p2',
+        guestName: 'Player2',
+        difficulty
+    });
+}
+
+test('El servidor reparte según la configuración compartida', () => {
+    for (const difficulty of Object.keys(DIFFICULTY_CONFIG)) {
+        const config = DIFFICULTY_CONFIG[difficulty];
+        const game = createParityGame('PARITY1', difficulty);
+
+        assertEqual(game.player1.maxHp, config.playerHp, `${difficulty}: maxHp`);
+        assertEqual(game.sharedCards.length, config.cardCount, `${difficulty}: cardCount`);
+        assertTrue(
+            game.sharedCards.every(card => card >= config.cardRange.min && card <= config.cardRange.max),
+            `${difficulty}: cards within range`
+        );
+        assertEqual(game.sharedVariables.length, config.variableConfig.variables.length, `${difficulty}: variables`);
+        for (const { symbol, value } of game.sharedVariables) {
+            assertEqual(game.variableValues[symbol], value, `${difficulty}: variable ${symbol} value`);
+        }
+
+        cleanupGame('PARITY1');
+    }
+});
+
+test('El servidor aplica el daño calculado a mano para cada dificultad', () => {
+    // Daño = floor((20 base + cartas + operadores + división exacta) × precisión)
+    //        + racha + paréntesis efectivos + variables. x = 10, y = 2.
+    const cases = [
+        // 20 + 10 (3 cartas) + 5 (+) = 35, perfecto
+        { difficulty: 'easy', target: 16, cards: [3, 4, 9, 1], attacker: '3+4+9', type: 'perfect', damage: 35, streak: 1 },
+        // 20 + 25 (4 cartas) + 10 (+, -) = 55; 15 está a 1: × 0.75 = 41
+        { difficulty: 'easy', target: 16, cards: [3, 4, 9, 1], attacker: '9+4+3-1', type: 'close', damage: 41, streak: 0 },
+        // 20 + 5 (-) = 25; 8 está a 8: × 0.5 = 12
+        { difficulty: 'easy', target: 16, cards: [3, 4, 9, 1], attacker: '9-1', type: 'far', damage: 12, streak: 0 },
+        // 20 + 10 + 10 (+, *) = 40, perfecto; + 5 porque 2+7*3 = 23
+        { difficulty: 'medium', target: 27, cards: [2, 7, 3], attacker: '(2+7)*3', type: 'perfect', damage: 45, streak: 1 },
+        // 40; 38 está a 2: × 0.75 = 30
+        { difficulty: 'medium', target: 40, cards: [4, 6, 8], attacker: '4*8+6', type: 'close', damage: 30, streak: 0 },
+        // 20 + 10 + 10 (/, +) + 10 (6/3 exacta) = 50
+        { difficulty: 'medium', target: 9, cards: [6, 3, 7], attacker: '6/3+7', type: 'perfect', damage: 50, streak: 1 },
+        // 20 + 0 (2 cartas) + 5 (+; "3x" no cuenta) = 25; + floor(25 × 10%) = 2
+        { difficulty: 'medium', target: 32, cards: [2, 7, 3], attacker: '3x+2', type: 'perfect', damage: 27, streak: 1 },
+        // 25; 42 está a 5: × 0.75 = 18; + floor(18 × 10%) = 1
+        { difficulty: 'hard', target: 47, cards: [3, 6, 12], attacker: '3x+12', type: 'close', damage: 19, streak: 0 },
+        // 25 + 5 (12-6*2 = 0) + floor(25 × 10%) = 2
+        { difficulty: 'hard', target: 12, cards: [3, 6, 12], attacker: '(12-6)y', type: 'perfect', damage: 32, streak: 1 },
+        // 20 + 10 + 10 (/, +) = 40; 1/2 no es división exacta
+        { difficulty: 'fractions', target: rational(7, 2), cards: [1, 2, 3, 4], attacker: '1/2+3', type: 'perfect', damage: 40, streak: 1 },
+        // 20 (1 carta); 3 está a 1/2 (umbral ±1/2): × 0.75 = 15
+        { difficulty: 'fractions', target: rational(7, 2), cards: [1, 2, 3, 4], attacker: '3', type: 'close', damage: 15, streak: 0 },
+        // 20 + 5 (*; la negación no cuenta) = 25; -3*4 también es -12: sin bonus de paréntesis
+        { difficulty: 'integers', target: -12, cards: [3, 4, 5, 6], attacker: '-(3*4)', type: 'perfect', damage: 25, streak: 1 },
+        // 20 + 10 (! avanzado) + 5 (/) = 35
+        { difficulty: 'experto', target: 30, cards: [5, 4, 2, 1], attacker: '5!/4', type: 'perfect', damage: 35, streak: 1 }
+    ];
+
+    for (const c of cases) {
+        const game = createParityGame('PARITY2', c.difficulty);
+        game.target = c.target;
+        game.sharedCards = c.cards;
+        game.sharedVariables = [{ symbol: 'x', value: 10 }, { symbol: 'y', value: 2 }];
+        game.variableValues = { x: 10, y: 2 };
+
+        assertTrue(submitPlayerExpression('PARITY2', 'p1', c.attacker).success, `${c.difficulty} ${c.attacker}: accepted`);
+        submitPlayerExpression('PARITY2', 'p2', '');
+        const result = resolveRound('PARITY2');
+
+        assertEqual(result.player1.damageType, c.type, `${c.difficulty} ${c.attacker}: damage type`);
+        assertEqual(result.player2.damageTaken, c.damage, `${c.difficulty} ${c.attacker}: damage`);
+        assertEqual(result.player1.streak, c.streak, `${c.difficulty} ${c.attacker}: streak`);
+
+        cleanupGame('PARITY2');
+    }
+});
+
+// ============================================
+// SUBMISSION VALIDATION TESTS
+// ============================================
+console.log('\n🛡️ SUBMISSION VALIDATION TESTS\n');
+
+function createValidationGame(roomCode, difficulty, cards, variables = []) {
+    const game = initializeGame(roomCode, {
+        roomCode,
+        hostId: 'p1',
+        hostName: 'Player1',
+        guestId: 'p2',
+        guestName: 'Player2',
+        difficulty
+    });
+    game.sharedCards = cards;
+    game.sharedVariables = variables;
+    game.variableValues = Object.fromEntries(variables.map(v => [v.symbol, v.value]));
+    return game;
+}
+
+test('Rechaza números que no están en la mano', () => {
+    createValidationGame('VALID1', 'medium', [2, 3, 7]);
+
+    assertEqual(submitPlayerExpression('VALID1', 'p1', '999').code, 'CARD_NOT_IN_HAND', '999');
+    assertEqual(submitPlayerExpression('VALID1', 'p1', '100*100').code, 'CARD_NOT_IN_HAND', '100*100');
+    assertEqual(submitPlayerExpression('VALID1', 'p1', '7*7').code, 'CARD_NOT_IN_HAND', 'Reused card');
+    assertEqual(submitPlayerExpression('VALID1', 'p1', '2.5+3').code, 'CARD_NOT_IN_HAND', 'Decimal literal');
+
+    const state = getGameState('VALID1', 'p1');
+    assertTrue(!state.mySubmitted, 'Rejected submissions must not count');
+
+    const tooLong = submitPlayerExpression('VALID1', 'p1', '-'.repeat(EXPRESSION_LIMITS.maxLength) + '7');
+    assertEqual(tooLong.code, 'EXPRESSION_TOO_LONG', 'Oversized input is rejected before parsing');
+    assertTrue(submitPlayerExpression('VALID1', 'p1', '7*3-2').success, 'Valid hand should pass');
+
+    cleanupGame('VALID1');
+});
+
+test('Rechaza operadores y paréntesis no permitidos en la dificultad', () => {
+    createValidationGame('VALID2', 'easy', [8, 4, 2, 1]);
+
+    assertEqual(submitPlayerExpression('VALID2', 'p1', '8/4').code, 'OPERATOR_NOT_ALLOWED', '/ in easy');
+    assertEqual(submitPlayerExpression('VALID2', 'p1', '8×4').code, 'OPERATOR_NOT_ALLOWED', '× in easy');
+    assertEqual(submitPlayerExpression('VALID2', 'p1', '(8+4)-2').code, 'PARENTHESES_NOT_ALLOWED', 'Parentheses in easy');
+    assertTrue(submitPlayerExpression('VALID2', 'p1', '8−4+2').success, 'Unicode minus is allowed');
+
+    cleanupGame('VALID2');
+
+    // Reglas personalizadas con + y − y paréntesis: pegar dos grupos también multiplica
+    const addOnly = normalizeCustomDifficulty({ ...createCustomDifficulty('medium'), operators: ['+', '-'] });
+    assertEqual(validateExpressionForHand('(3)(4)', { cards: [3, 4], difficulty: addOnly }).code, 'OPERATOR_NOT_ALLOWED', 'Implicit product without ×');
+    assertTrue(validateExpressionForHand('(3)+(4)', { cards: [3, 4], difficulty: addOnly }).valid, 'Parentheses alone are fine');
+    assertTrue(validateExpressionForHand('(3)(4)', { cards: [3, 4], difficulty: 'medium' }).valid, 'Implicit product where × is allowed');
+});
+
+test('Rechaza variables no repartidas o repetidas', () => {
+    createValidationGame('VALID3', 'medium', [2, 3, 7], [{ symbol: 'x', value: 4 }]);
+
+    assertEqual(submitPlayerExpression('VALID3', 'p1', '3y').code, 'VARIABLE_NOT_IN_HAND', 'Unknown variable');
+    assertEqual(submitPlayerExpression('VALID3', 'p1', '3x+x').code, 'VARIABLE_NOT_IN_HAND', 'Reused variable');
+    assertEqual(submitPlayerExpression('VALID3', 'p1', '3+').code, 'INVALID_EXPRESSION', 'Syntax error');
+    assertTrue(submitPlayerExpression('VALID3', 'p1', '3x+7').success, 'Valid variable use');
+
+    cleanupGame('VALID3');
+});
+
+test('Skip y jugadores ajenos', () => {
+    createValidationGame('VALID4', 'medium', [2, 3, 7]);
+
+    assertEqual(submitPlayerExpression('VALID4', 'intruder', '2+3').code, 'NOT_IN_GAME', 'Unknown socket');
+    assertTrue(submitPlayerExpression('VALID4', 'p2', '').success, 'Empty expression is a skip');
+    assertEqual(submitPlayerExpression('VALID4', 'p2', '2+3').code, 'ALREADY_SUBMITTED', 'Double submit');
+
+    cleanupGame('VALID4');
+});
+
+// ============================================
+// FRACTIONS TESTS
+// ============================================
+console.log('\n🍕 FRACTIONS TESTS\n');
+
+test('Aritmética racional exacta y normalizada', () => {
+    assertEqual(formatValue(add(rational(1, 3), rational(1, 6))), '1/2', '1/3 + 1/6');
+    assertEqual(formatValue(divide(rational(7), rational(-14))), '-1/2', 'Sign goes to numerator');
+    assertEqual(formatValue(toRational('14/4')), '7/2', 'Parsed and simplified');
+    assertEqual(formatValue(toRational(0.25)), '1/4', 'Finite decimals are exact');
+    assertEqual(compareValues(rational(1, 3), 0.3333), 1, '1/3 > 0.3333');
+});
+
+test('El evaluador exacto no pierde precisión', () => {
+    const result = evaluateExpression('1/3+1/3+1/3', {}, { exact: true });
+    assertEqual(formatValue(result.value), '1', 'Three thirds make one');
+    assertEqual(evaluateExpression('7/(2-2)', {}, { exact: true }).error.code, 'DIVISION_BY_ZERO', 'Division by zero');
+});
+
+test('Los targets de Fracciones son alcanzables', () => {
+    const { min, max } = DIFFICULTY_CONFIG.fractions.targetRange;
+
+    for (let i = 0; i < 20; i++) {
+        const { cards } = generateCardsByDifficulty('fractions');
+        const target = generateTargetByDifficulty('fractions', cards, {});
+        assertTrue(compareValues(target, min) >= 0 && compareValues(target, max) <= 0, `${formatValue(target)} within range`);
+
+        const solution = findSolution(target, cards, 'fractions');
+        const attack = calculateAttackDamage({ expression: solution, target, difficulty: 'fractions' });
+        assertTrue(attack && attack.isPerfect, `${solution} = ${formatValue(target)} with ${cards}`);
+    }
+});
+
+test('El daño compara fracciones con exactitud', () => {
+    const target = rational(7, 2);
+    const perfect = calculateAttackDamage({ expression: '7/2', target, difficulty: 'fractions' });
+    assertEqual(perfect.damageResult.accuracyType, 'perfect', '7/2');
+
+    const close = calculateAttackDamage({ expression: '7/2-1/3', target, difficulty: 'fractions' });
+    assertEqual(close.damageResult.accuracyType, 'close', '±1/3');
+    assertEqual(formatValue(close.difference), '1/3', 'Exact difference');
+
+    const miss = calculateAttackDamage({ expression: '9', target, difficulty: 'fractions' });
+    assertTrue(miss.damageResult.miss, '±11/2 is a miss');
+});
+
+test('El servidor resuelve rondas con targets fraccionarios', () => {
+    const game = createValidationGame('FRAC1', 'fractions', [7, 2, 3, 1]);
+    game.target = rational(7, 2);
+
+    submitPlayerExpression('FRAC1', 'p1', '7/2');
+    submitPlayerExpression('FRAC1', 'p2', '3+1/2');
+    const result = resolveRound('FRAC1');
+
+    assertEqual(result.roundWinner, 'draw', 'Both hit 7/2 exactly');
+    assertEqual(formatValue(result.player1.result), '7/2', 'Result is exact');
+
+    cleanupGame('FRAC1');
+});
+
+// ============================================
+// EXPERTO TESTS
+// ============================================
+console.log('\n🧠 EXPERTO TESTS\n');
+
+test('Precedencia de ^, √, mod y !', () => {
+    assertEqual(evaluateExpression('2^3^2').value, 512, '^ is right-associative');
+    assertEqual(evaluateExpression('√9+3!').value, 9, 'Prefix and postfix bind tighter than +');
+    assertEqual(evaluateExpression('2*3 mod 4').value, 2, 'mod has the precedence of *');
+    assertEqual(evaluateExpression('√(4^2)').value, 4, 'Root of a group');
+    assertEqual(formatValue(evaluateExpression('√(9/4)', {}, { exact: true }).value), '3/2', 'Exact root');
+});
+
+test('Límites contra números gigantes', () => {
+    assertEqual(evaluateExpression('9^10').error.code, 'NUMBER_TOO_LARGE', '9^10');
+    assertEqual(evaluateExpression('2^11').error.code, 'EXPONENT_TOO_LARGE', 'Exponent above limit');
+    assertEqual(evaluateExpression('11!').error.code, 'FACTORIAL_TOO_LARGE', '11!');
+    assertEqual(evaluateExpression('7 mod 0').error.code, 'DIVISION_BY_ZERO', 'mod 0');
+    assertEqual(evaluateExpression('√2', {}, { exact: true }).error.code, 'IRRATIONAL_ROOT', 'Irrational root');
+});
+
+test('Los targets de Experto son alcanzables', () => {
+    const { min, max } = DIFFICULTY_CONFIG.experto.targetRange;
+
+    for (let i = 0; i < 20; i++) {
+        const { cards } = generateCardsByDifficulty('experto');
+        const target = generateTargetByDifficulty('experto', cards, {});
+        assertTrue(target >= min && target <= max, `${target} within range`);
+
+        const solution = findSolution(target, cards, 'experto');
+        const validation = validateExpressionForHand(solution, { cards, difficulty: 'experto' });
+        assertTrue(validation.valid, `${solution} uses the hand ${cards}`);
+        assertEqual(evaluateExpression(solution).value, target, `${solution} = ${target}`);
+    }
+});
+
+test('Los operadores avanzados solo se aceptan en Experto', () => {
+    const rejected = validateExpressionForHand('2^3', { cards: [2, 3], difficulty: 'hard' });
+    assertEqual(rejected.code, 'OPERATOR_NOT_ALLOWED', '^ rejected in hard');
+    assertTrue(validateExpressionForHand('√9 + 4! mod 5', { cards: [9, 4, 5], difficulty: 'experto' }).valid, 'Accepted in experto');
+});
+
+test('Los operadores avanzados cuentan doble en el bonus de variedad', () => {
+    assertEqual(getOperatorsFromExpression('2^3 mod 5 + √9 - 3!').sort().join(' '), '! + - ^ mod √', 'Parsed operators');
+    assertEqual(getOperatorsFromExpression('3x + 2').join(' '), '+', 'Implicit multiplication is not counted');
+
+    const basic = calculateAttackDamage({ expression: '5*6', target: 30, difficulty: 'experto' });
+    const advanced = calculateAttackDamage({ expression: '5!/4', target: 30, difficulty: 'experto' });
+    assertEqual(basic.damageResult.operatorBonus, 5, '* gives 5');
+    assertEqual(advanced.damageResult.operatorBonus, 15, '! gives 10, / gives 5');
+});
+
+test('El servidor resuelve rondas de Experto', () => {
+    const game = createValidationGame('EXP1', 'experto', [2, 7, 5, 3]);
+    game.target = 130;
+
+    submitPlayerExpression('EXP1', 'p1', '5!+7+3');
+    submitPlayerExpression('EXP1', 'p2', '2^7 mod 5');
+    const result = resolveRound('EXP1');
+
+    assertEqual(result.roundWinner, game.player1.name, 'Exact factorial answer wins');
+    assertEqual(result.player2.result, 3, '128 mod 5');
+
+    cleanupGame('EXP1');
+});
+
+// ============================================
+// INTEGERS TESTS
+// ============================================
+console.log('\n🌡️ INTEGERS TESTS\n');
+
+test('El menos unario es negación', () => {
+    assertEqual(evaluateExpression('-(3+4)').value, -7, '-(3+4)');
+    assertEqual(evaluateExpression('2*-3').value, -6, '2*-3');
+    assertEqual(evaluateExpression('-2^2').value, -4, 'Power binds tighter than negation');
+    assertEqual(evaluateExpression('2^-1').value, 0.5, 'Negative exponent');
+    assertEqual(evaluateExpression('-3x', { x: 2 }).value, -6, '-3x');
+    assertEqual(formatValue(evaluateExpression('-(7/2)', {}, { exact: true }).value), '-7/2', 'Exact negation');
+    assertEqual(evaluateExpression('-').error.code, 'UNEXPECTED_END', 'Lone minus');
+
+    const { ast } = parseExpression('-(3+4)');
+    assertEqual(ast.type, 'unary', 'Root should be unary');
+    assertEqual(ast.operator, '-', 'Unary minus operator');
+});
+
+test('Los targets de Enteros pueden ser negativos y son alcanzables', () => {
+    const { min, max } = DIFFICULTY_CONFIG.integers.targetRange;
+
+    for (let i = 0; i < 20; i++) {
+        const { cards } = generateCardsByDifficulty('integers');
+        const target = generateTargetByDifficulty('integers', cards, {});
+        assertTrue(target >= min && target <= max, `${target} within range`);
+
+        const solution = findSolution(target, cards, 'integers');
+        assertEqual(evaluateExpression(solution).value, target, `${solution} = ${target}`);
+    }
+
+    // Fuera de Enteros el generador sigue devolviendo targets positivos
+    const { cards } = generateCardsByDifficulty('medium');
+    assertTrue(generateTargetByDifficulty('medium', cards, {}) > 0, 'Medium targets stay positive');
+});
+
+test('El daño mide la distancia con signo', () => {
+    const perfect = calculateAttackDamage({ expression: '-(3*4)', target: -12, difficulty: 'integers' });
+    assertTrue(perfect.isPerfect, '-(3*4) hits -12');
+
+    const close = calculateAttackDamage({ expression: '-(3*3)', target: -12, difficulty: 'integers' });
+    assertEqual(close.difference, 3, '|-9 - (-12)| = 3');
+
+    const wrongSign = calculateAttackDamage({ expression: '3*4', target: -12, difficulty: 'integers' });
+    assertTrue(wrongSign.damageResult.miss, 'The sign matters: 12 misses -12');
+});
+
+test('El servidor acepta la negación y targets negativos', () => {
+    const game = createValidationGame('INT1', 'integers', [3, 4, 5, 1]);
+    game.target = -7;
+
+    submitPlayerExpression('INT1', 'p1', '-(3+4)');
+    submitPlayerExpression('INT1', 'p2', '1-5');
+    const result = resolveRound('INT1');
+
+    assertEqual(result.player1.result, -7, 'Negated group');
+    assertEqual(result.roundWinner, game.player1.name, 'Exact negative answer wins');
+
+    cleanupGame('INT1');
+});
+
+test('La negación no cuenta en el bonus de variedad', () => {
+    assertEqual(getOperatorsFromExpression('-3+4').join(' '), '+ neg', 'Negation is not subtraction');
+
+    // Mismo daño en el servidor: "-3+4" no es más variado que "3+4"
+    const damageFor = (expression, target) => {
+        const game = createValidationGame('INT2', 'integers', [3, 4, 5, 1]);
+        game.target = target;
+        submitPlayerExpression('INT2', 'p1', expression);
+        submitPlayerExpression('INT2', 'p2', '');
+        const { player2 } = resolveRound('INT2');
+        cleanupGame('INT2');
+        return player2.damageTaken;
+    };
+    assertEqual(damageFor('3+4', 7), 25, '3+4: 20 + 5 (+)');
+    assertEqual(damageFor('-3+4', 1), 25, '-3+4: the sign adds nothing');
+    assertEqual(damageFor('4 - -3', 7), 25, '4 - -3: only - counts');
+
+    const plain = calculateAttackDamage({ expression: '3+4', target: 7, difficulty: 'integers' });
+    const negated = calculateAttackDamage({ expression: '-3+4', target: 1, difficulty: 'integers' });
+    assertEqual(negated.damageResult.operatorBonus, plain.damageResult.operatorBonus, 'Same operator bonus');
+
+    // Dos operadores y un signo no son una Jugada Maestra
+    const signed = calculateAttackDamage({ expression: '-5 + 4 * 3 + 1', target: 8, difficulty: 'integers' });
+    assertTrue(signed.isPerfect, '-5 + 12 + 1 = 8');
+    assertTrue(!signed.damageResult.isMasterPlay, 'Negation does not reach 3 operators');
+    assertTrue(validateExpressionForHand('-3+4', { cards: [3, 4], difficulty: 'easy' }).valid, 'Negation is allowed where - is');
+});
+
+// ============================================
+// CUSTOM DIFFICULTY TESTS
+// ============================================
+console.log('\n✏️ CUSTOM DIFFICULTY TESTS\n');
+
+test('Todas las dificultades predefinidas sirven como base válida', () => {
+    for (const key of Object.keys(DIFFICULTY_CONFIG)) {
+        const validation = validateCustomDifficulty(createCustomDifficulty(key));
+        assertTrue(validation.valid, `${key}: ${JSON.stringify(validation.errors)}`);
+    }
+});
+
+test('Rechaza un rango de targets que el solver nunca alcanza', () => {
+    const config = {
+        ...createCustomDifficulty('easy'),
+        cardRange: { min: 1, max: 3 },
+        targetRange: { min: 900, max: 999 },
+        operators: ['+', '-']
+    };
+    const validation = validateCustomDifficulty(config);
+
+    assertTrue(!validation.valid, 'Unreachable range rejected');
+    assertEqual(validation.errors[0].field, 'targetRange', 'Error points at the target range');
+});
+
+test('Rechaza configuraciones incoherentes', () => {
+    const base = createCustomDifficulty('medium');
+
+    const noOperators = validateCustomDifficulty({ ...base, operators: ['√', '!'] });
+    assertTrue(noOperators.errors.some(e => e.field === 'operators'), 'Needs a binary operator');
+
+    const exactWithPower = validateCustomDifficulty({ ...base, operators: ['+', '^'], exactArithmetic: true });
+    assertTrue(exactWithPower.errors.some(e => e.field === 'exactArithmetic'), 'Fractions exclude ^');
+
+    const reversed = validateCustomDifficulty({ ...base, cardRange: { min: 9, max: 2 } });
+    assertTrue(reversed.errors.some(e => e.field === 'cardRange'), 'min > max rejected');
+});
+
+test('La normalización descarta campos desconocidos', () => {
+    const config = normalizeCustomDifficulty({
+        ...createCustomDifficulty('medium'),
+        operators: ['+', 'eval', '*'],
+        evil: 'process.exit()'
+    });
+
+    assertEqual(config.evil, undefined, 'Unknown field dropped');
+    assertEqual(config.operators.join(','), '+,*', 'Unknown operator dropped');
+    assertEqual(config.operatorSymbols.join(' '), '+ ×', 'Symbols follow operators');
+});
+
+test('createLobby rechaza una dificultad personalizada inválida', () => {
+    let threw = false;
+    try {
+        createLobby('custom-host-1', 'Host', 'custom', { ...createCustomDifficulty('easy'), playerHp: 5 });
+    } catch (error) {
+        threw = error.message.startsWith('Dificultad personalizada inválida');
+    }
+    assertTrue(threw, 'Invalid custom config throws');
+    assertEqual(getLobbyBySocketId('custom-host-1'), null, 'No lobby created');
+});
+
+test('Una sala personalizada juega con su configuración', () => {
+    const custom = { ...createCustomDifficulty('easy'), name: 'Casa', playerHp: 80 };
+    const created = createLobby('custom-host-2', 'Host', 'custom', custom);
+    assertEqual(created.customDifficulty.name, 'Casa', 'Lobby keeps the config');
+
+    const listed = getAvailableLobbies().find(l => l.roomCode === created.roomCode);
+    assertEqual(listed.customName, 'Casa', 'Lobby list shows the custom name');
+
+    joinLobby('custom-guest-2', created.roomCode, 'Guest');
+    const game = initializeGame(created.roomCode, getLobbyBySocketId('custom-host-2'));
+    assertEqual(game.player1.hp, 80, 'Custom HP');
+    assertEqual(getGameState(created.roomCode).difficulty.name, 'Casa', 'Clients receive the config');
+
+    const solution = findSolution(game.target, game.sharedCards, game.difficulty, game.variableValues);
+    assertTrue(solution !== null, 'Dealt target is reachable');
+
+    cleanupGame(created.roomCode);
+    leaveLobby('custom-host-2');
+});
+
+// ============================================
+// SEED TESTS
+// ============================================
+console.log('\n🌱 SEED TESTS\n');
+
+/** Reparte `rounds` rondas seguidas con un PRNG, como hace una partida */
+function dealSequence(seed, difficulty, rounds = 5) {
+    const random = createRandom(seed);
+    return Array.from({ length: rounds }, () => {
+        const { cards, variables } = generateCardsByDifficulty(difficulty, random);
+        const variableValues = Object.fromEntries(variables.map(v => [v.symbol, v.value]));
+        return { cards, variableValues, target: generateTargetByDifficulty(difficulty, cards, variableValues, random) };
+    });
+}
+
+test('La misma semilla reproduce manos, variables y targets', () => {
+    for (const difficulty of ['medium', 'hard', 'fractions', 'integers']) {
+        const first = JSON.stringify(dealSequence('K7QM-2XHD', difficulty));
+        const second = JSON.stringify(dealSequence('K7QM-2XHD', difficulty));
+        assertEqual(first, second, `${difficulty} is deterministic`);
+    }
+
+    const other = JSON.stringify(dealSequence('ZZZZ-2222', 'hard'));
+    assertTrue(other !== JSON.stringify(dealSequence('K7QM-2XHD', 'hard')), 'Different seeds differ');
+});
+
+test('Los códigos de semilla se normalizan y validan', () => {
+    const code = createSeedCode();
+    assertEqual(normalizeSeedCode(code), code, 'Generated codes are canonical');
+    assertEqual(normalizeSeedCode(' k7qm 2xhd '), 'K7QM-2XHD', 'Case and spaces ignored');
+    assertEqual(normalizeSeedCode('K7QM-2XH0'), null, 'Ambiguous characters rejected');
+    assertEqual(normalizeSeedCode('K7QM'), null, 'Too short');
+
+    const a = createRandom('k7qm2xhd');
+    const b = createRandom('K7QM-2XHD');
+    assertEqual(a(), b(), 'Same sequence for equivalent codes');
+});
+
+test('Una sala con semilla repite la partida entera', () => {
+    const playRounds = (roomId) => {
+        const created = createLobby(`seed-host-${roomId}`, 'Host', 'medium', null, 'k7qm-2xhd');
+        assertEqual(created.seed, 'K7QM-2XHD', 'Seed normalized by the lobby');
+        joinLobby(`seed-guest-${roomId}`, created.roomCode, 'Guest');
+
+        const game = initializeGame(created.roomCode, getLobbyBySocketId(`seed-host-${roomId}`));
+        const rounds = [{ cards: game.sharedCards, target: game.target }];
+        for (let i = 0; i < 3; i++) {
+            startNextRound(created.roomCode);
+            rounds.push({ cards: game.sharedCards, target: game.target });
+        }
+
+        assertEqual(getGameState(created.roomCode, `seed-host-${roomId}`).seed, null, 'Seed stays on the server while playing');
+        cleanupGame(created.roomCode);
+        leaveLobby(`seed-host-${roomId}`);
+        return JSON.stringify(rounds);
+    };
+
+    assertEqual(playRounds(1), playRounds(2), 'Rematch deals the same hands');
+});
+
+test('createLobby rechaza códigos de semilla inválidos', () => {
+    let threw = false;
+    try {
+        createLobby('seed-host-bad', 'Host', 'medium', null, 'NOPE');
+    } catch (error) {
+        threw = error.message.startsWith('Código de semilla inválido');
+    }
+    assertTrue(threw, 'Invalid seed throws');
+    assertEqual(getLobbyBySocketId('seed-host-bad'), null, 'No lobby created');
+});
+
+test('createLobby rechaza semillas elegidas en modos con valores ocultos', () => {
+    // [modo de rondas, mazo, draft]: x, soluciones de ecuaciones, mazos y draft salen de la semilla
+    const hiddenModes = [['mystery', false, false], ['equations', false, false], ['mixed', false, false], ['classic', true, false], ['classic', false, true]];
+
+    for (const [roundMode, deckMode, draftMode] of hiddenModes) {
+        const label = `${roundMode}${deckMode ? ' + mazo' : ''}${draftMode ? ' + draft' : ''}`;
+        let threw = false;
+        try {
+            createLobby('seed-host-hidden', 'Host', 'medium', null, 'K7QM-2XHD', roundMode, deckMode, draftMode);
+        } catch (error) {
+            threw = error.message.includes('semilla');
+        }
+        assertTrue(threw, `${label}: chosen seed rejected`);
+        assertEqual(getLobbyBySocketId('seed-host-hidden'), null, `${label}: no lobby created`);
+
+        // Sin semilla elegida el modo sigue disponible (la genera el servidor y no se revela)
+        const created = createLobby('seed-host-hidden', 'Host', 'medium', null, null, roundMode, deckMode, draftMode);
+        assertEqual(created.seed, null, `${label}: generated seed stays hidden`);
+        leaveLobby('seed-host-hidden');
+    }
+
+    const classic = createLobby('seed-host-hidden', 'Host', 'medium', null, 'K7QM-2XHD', 'classic');
+    assertEqual(classic.seed, 'K7QM-2XHD', 'Classic rounds with fresh hands keep chosen seeds');
+    leaveLobby('seed-host-hidden');
+});
+
+// ============================================
+// TARGET RATING TESTS
+// ============================================
+console.log('\n📊 TARGET RATING TESTS\n');
+
+test('rateTarget mide operaciones, soluciones, paréntesis y división', () => {
+    const single = rateTarget('easy', [1, 2, 3, 4], {}, 3);
+    assertEqual(single.minOperations, 0, 'A card on its own needs no operations');
+    assertEqual(single.band, 'easy', 'Trivial target is Sencillo');
+
+    const parenthesized = rateTarget('medium', [2, 3, 4], { x: 7 }, 36);
+    assertEqual(parenthesized.solutions, 1, 'Only (2 + 7) * 4 reaches 36');
+    assertTrue(parenthesized.needsParentheses, '36 needs parentheses');
+    assertEqual(parenthesized.band, 'hard', 'Single parenthesized solution is Desafiante');
+    assertTrue(parenthesized.score > single.score, 'Harder target scores higher');
+
+    const division = rateTarget('medium', [2, 6, 9], { x: 3 }, 22);
+    assertTrue(division.needsDivision, '22 needs a division');
+
+    assertEqual(rateTarget('medium', [2, 3, 5], { x: 7 }, 999), null, 'Unreachable target has no rating');
+});
+
+test('generateRatedTarget apunta a la banda pedida', () => {
+    const random = createRandom('K7QM-2XHD');
+    for (const band of Object.keys(TARGET_BANDS)) {
+        const { target, rating } = generateRatedTarget('medium', [2, 3, 5], { x: 7 }, { random, band });
+        assertEqual(rating.band, band, `${band} band honored`);
+        assertEqual(JSON.stringify(rateTarget('medium', [2, 3, 5], { x: 7 }, target)), JSON.stringify(rating),
+            'Returned rating matches rateTarget');
+    }
+});
+
+test('La banda de una dificultad personalizada se normaliza', () => {
+    assertEqual(normalizeCustomDifficulty({ ...createCustomDifficulty('hard') }).targetBand, 'hard', 'Inherited from preset');
+    assertEqual(normalizeCustomDifficulty({ ...createCustomDifficulty('medium'), targetBand: 'imposible' }).targetBand,
+        'medium', 'Unknown band falls back to medium');
+});
+
+test('Cada ronda multijugador expone el rating del target', () => {
+    const created = createLobby('rating-host', 'Host', 'hard');
+    joinLobby('rating-guest', created.roomCode, 'Guest');
+    const game = initializeGame(created.roomCode, getLobbyBySocketId('rating-host'));
+
+    for (let i = 0; i < 3; i++) {
+        const state = getGameState(created.roomCode, 'rating-guest');
+        assertTrue(state.targetRating !== undefined, 'State includes targetRating');
+        if (state.targetRating) {
+            assertEqual(JSON.stringify(state.targetRating),
+                JSON.stringify(rateTarget('hard', game.sharedCards, game.variableValues, game.target)),
+                `Round ${game.round} rating matches the dealt hand`);
+        }
+        startNextRound(created.roomCode);
+    }
+
+    cleanupGame(created.roomCode);
+    leaveLobby('rating-host');
+});
+
+// ============================================
+// SOLVER TESTS
+// ============================================
+console.log('\n🧩 SOLVER TESTS\n');
+
+test('solveHand descarta duplicados por conmutatividad y asociatividad', () => {
+    // 1 + 2 + 3 + 4 en cualquier orden o agrupación es la misma solución
+    const { solutions } = solveHand(10, [1, 2, 3, 4], 'easy');
+    assertEqual(solutions.length, 1, 'Only one distinct solution');
+    assertEqual(solutions[0].expression, '1 + 2 + 3 + 4', 'Written without redundant parentheses');
+
+    const { solutions: repeated } = solveHand(8, [3, 5, 3, 1], 'easy');
+    const expressions = repeated.map(play => play.expression);
+    assertEqual(new Set(expressions).size, expressions.length, 'Equal cards do not duplicate solutions');
+});
+
+test('solveHand devuelve todas las soluciones ordenadas por daño', () => {
+    const variableValues = { x: 7 };
+    const { exact, solutions, best } = solveHand(20, [2, 3, 5], 'medium', variableValues);
+
+    assertTrue(exact, 'Target reachable');
+    assertTrue(solutions.length > 1, 'Several solutions');
+    assertEqual(best, solutions[0], 'Best play is the first solution');
+
+    for (let i = 0; i < solutions.length; i++) {
+        const attack = calculateAttackDamage({ expression: solutions[i].expression, target: 20, difficulty: 'medium', variableValues });
+        assertTrue(attack.isPerfect, `${solutions[i].expression} hits the target`);
+        assertEqual(solutions[i].damage, attack.totalDamage, 'Damage from the shared pipeline');
+        if (i > 0) assertTrue(solutions[i - 1].damage >= solutions[i].damage, 'Sorted by damage');
+    }
+});
+
+test('solveHand respeta paréntesis y operadores de la dificultad', () => {
+    const { solutions } = solveHand(14, [2, 3, 4, 5], 'easy');
+    assertTrue(solutions.length > 0, 'Easy hand solvable');
+    for (const play of solutions) {
+        const validation = validateExpressionForHand(play.expression, { cards: [2, 3, 4, 5], difficulty: 'easy' });
+        assertTrue(validation.valid, `${play.expression}: ${validation.message}`);
+    }
+});
+
+test('Sin solución exacta devuelve los valores más cercanos', () => {
+    const result = solveHand(999, [2, 3, 4], 'medium', { x: 7 });
+    assertTrue(!result.exact, 'No exact solution');
+    assertEqual(result.solutions.length, 0, 'No solutions');
+    assertEqual(result.closest.length, 3, 'Three closest values');
+    assertEqual(result.best.value, 168, '2 * 3 * 4 * x is the closest');
+    assertTrue(compareValues(result.closest[0].difference, result.closest[1].difference) <= 0, 'Sorted by distance');
+    assertEqual(findSolution(999, [2, 3, 4], 'medium', { x: 7 }), null, 'findSolution returns null');
+});
+
+test('El resultado de la ronda incluye la mejor jugada posible', () => {
+    const created = createLobby('solver-host', 'Host', 'medium');
+    joinLobby('solver-guest', created.roomCode, 'Guest');
+    const game = initializeGame(created.roomCode, getLobbyBySocketId('solver-host'));
+
+    submitPlayerExpression(created.roomCode, 'solver-host', '');
+    submitPlayerExpression(created.roomCode, 'solver-guest', '');
+    const { bestPlay } = resolveRound(created.roomCode);
+
+    assertTrue(bestPlay.exact, 'Dealt target has an exact solution');
+    assertTrue(bestPlay.solutionCount > 0, 'Solution count included');
+    const attack = calculateAttackDamage({
+        expression: bestPlay.expression,
+        target: game.target,
+        difficulty: game.difficulty,
+        variableValues: game.variableValues
+    });
+    assertTrue(attack.isPerfect, 'Best play hits the target');
+
+    cleanupGame(created.roomCode);
+    leaveLobby('solver-host');
+});
+
+// ============================================
+// SOLVER CACHE & WORKER TESTS
+// ============================================
+console.log('\n⚡ SOLVER CACHE & WORKER TESTS\n');
+
+test('El solver da lo mismo con cualquier orden de cartas (tabla cacheada por valores)', () => {
+    const expressionsOf = (cards, variableValues) => solveHand(24, cards, 'medium', variableValues).solutions
+        .map(play => play.expression)
+        .sort()
+        .join(' | ');
+
+    const first = expressionsOf([3, 5, 3], { x: 8 });
+    assertTrue(first.length > 0, 'Hand solvable');
+    assertEqual(expressionsOf([5, 3, 3], { x: 8 }), first, 'Card order does not matter');
+    assertEqual(expressionsOf([3, 5, 3], { x: 8 }), first, 'Cached table gives the same result');
+    assertEqual(
+        JSON.stringify(rateCandidateTargets('medium', [3, 5, 3], { x: 8 })),
+        JSON.stringify(rateCandidateTargets('medium', [3, 3, 5], { x: 8 })),
+        'Same candidates for the same multiset'
+    );
+});
+
+test('maxSolutions limita las jugadas pero solutionCount las cuenta todas', () => {
+    const full = solveHand(20, [2, 3, 5], 'medium', { x: 7 });
+    const limited = solveHand(20, [2, 3, 5], 'medium', { x: 7 }, { maxSolutions: 2 });
+
+    assertEqual(full.solutionCount, full.solutions.length, 'Full count');
+    assertEqual(limited.solutionCount, full.solutionCount, 'Count ignores the limit');
+    assertEqual(limited.solutions.length, 2, 'Only two plays returned');
+    assertEqual(limited.best.expression, full.best.expression, 'Same best play');
+});
+
+test('rateCandidateTargets + pickRatedTarget equivale a generateRatedTarget', () => {
+    const { cards, variables } = generateCardsByDifficulty('hard', createRandom('K7QM-2XHD'));
+    const variableValues = Object.fromEntries(variables.map(v => [v.symbol, v.value]));
+
+    const direct = generateRatedTarget('hard', cards, variableValues, { random: createRandom('ZZZZ-2222') });
+    // Lo que viaja al worker y de vuelta es JSON plano
+    const rated = JSON.parse(JSON.stringify(rateCandidateTargets('hard', cards, variableValues)));
+    const split = pickRatedTarget('hard', rated, { random: createRandom('ZZZZ-2222') });
+
+    assertEqual(JSON.stringify(split), JSON.stringify(direct), 'Same target and rating');
+});
+
+await testAsync('El pool de workers reparte lo mismo que el hilo principal', async () => {
+    const playRounds = async (roomId, useWorkers) => {
+        const created = createLobby(`pool-host-${roomId}`, 'Host', 'hard', null, 'K7QM-2XHD');
+        joinLobby(`pool-guest-${roomId}`, created.roomCode, 'Guest');
+        const lobby = getLobbyBySocketId(`pool-host-${roomId}`);
+
+        const game = useWorkers
+            ? await initializeGameAsync(created.roomCode, lobby)
+            : initializeGame(created.roomCode, lobby);
+        const rounds = [{ cards: game.sharedCards, target: game.target, bestPlay: game.bestPlay }];
+        for (let i = 0; i < 2; i++) {
+            if (useWorkers) await startNextRoundAsync(created.roomCode);
+            else startNextRound(created.roomCode);
+            rounds.push({ cards: game.sharedCards, target: game.target, bestPlay: game.bestPlay });
+        }
+
+        assertEqual(getGameState(created.roomCode, `pool-host-${roomId}`).bestPlay, undefined, 'Best play hidden from clients');
+        cleanupGame(created.roomCode);
+        leaveLobby(`pool-host-${roomId}`);
+        return JSON.stringify(rounds);
+    };
+
+    assertEqual(await playRounds(1, true), await playRounds(2, false), 'Workers deal the same rounds');
+});
+
+await testAsync('startNextRoundAsync ignora repartos duplicados y partidas cerradas', async () => {
+    const created = createLobby('pool-host-dup', 'Host', 'medium');
+    joinLobby('pool-guest-dup', created.roomCode, 'Guest');
+    const game = initializeGame(created.roomCode, getLobbyBySocketId('pool-host-dup'));
+
+    const [first, second] = await Promise.all([
+        startNextRoundAsync(created.roomCode),
+        startNextRoundAsync(created.roomCode)
+    ]);
+    assertEqual(first, game, 'First request deals');
+    assertEqual(second, null, 'Concurrent request ignored');
+    assertEqual(game.round, 2, 'Only one new round');
+
+    const pending = startNextRoundAsync(created.roomCode);
+    cleanupGame(created.roomCode);
+    assertEqual(await pending, null, 'Closed game is not updated');
+    leaveLobby('pool-host-dup');
+});
+
+await closeSolverPool();
+
+// ============================================
+// HINT TESTS
+// ============================================
+console.log('\n💡 HINT TESTS\n');
+
+test('Las pistas salen del árbol de la solución', () => {
+    const hints = buildSolutionHints('(3 + 5) * x - 2', 'medium');
+    assertEqual(hints.cards.join(','), '2,3,5,x', 'Cards sorted, variables last');
+    assertEqual(hints.operators.join(' '), '+ − ×', 'Operators in config order with their symbols');
+    assertEqual(hints.structure, '(_ + _) * x - _', 'Cards blanked, variables kept');
+    assertEqual(hints.answer, '(3 + 5) * x - 2', 'Full answer');
+
+    const advanced = buildSolutionHints('√9 ^ 2 mod 4!', 'experto');
+    assertEqual(advanced.structure, '√_ ^ _ mod _!', 'Unary operators kept in the structure');
+
+    // La estructura sale del árbol: productos implícitos explícitos, sin paréntesis de más
+    const implicit = buildSolutionHints('2(x + 3)', 'medium');
+    assertEqual(implicit.structure, '_ * (x + _)', 'Implicit multiplication written out');
+    assertEqual(implicit.answer, '2(x + 3)', 'The answer keeps what the solver wrote');
+    assertEqual(buildSolutionHints('3x + ((4))', 'medium').structure, '_ * x + _', 'Redundant parentheses dropped');
+    assertEqual(buildSolutionHints('(12)(5)', 'medium').structure, '_ * _', 'Glued groups are a product, not one number');
+    assertEqual(buildSolutionHints('(2 + 1) * (9 - 3)', 'medium').structure, '(_ + _) * (_ - _)', 'Needed parentheses kept');
+    assertEqual(buildSolutionHints('3 +', 'medium'), null, 'Invalid expression gives no hints');
+});
+
+test('Las pistas de la mejor jugada llevan al target', () => {
+    const variableValues = { x: 7 };
+    const { best } = solveHand(20, [2, 3, 5], 'medium', variableValues, { maxSolutions: 1 });
+    const hints = buildSolutionHints(best.expression, 'medium');
+
+    // Rellenar los huecos con las cartas de la pista 1 en el orden de la respuesta reconstruye la jugada
+    const cardsInOrder = best.expression.match(/\d+/g);
+    assertEqual(cardsInOrder.slice().sort((a, b) => a - b).join(','), hints.cards.filter(c => /\d/.test(c)).join(','), 'Same cards');
+    let i = 0;
+    const rebuilt = hints.structure.replace(/_/g, () => cardsInOrder[i++]);
+    assertTrue(calculateAttackDamage({ expression: rebuilt, target: 20, difficulty: 'medium', variableValues }).isPerfect, 'Structure + cards hit the target');
+});
+
+test('Cada nivel de pista cuesta más que el anterior', () => {
+    assertEqual(applyHintPenalty(40, 0), 40, 'No hints, full damage');
+    let previous = 40;
+    HINT_TIERS.forEach(tier => {
+        const damage = applyHintPenalty(40, tier.level);
+        assertTrue(damage < previous, `${tier.name} costs more`);
+        previous = damage;
+    });
+    assertTrue(HINT_TIERS[HINT_TIERS.length - 1].resetsStreak, 'Full answer loses the streak');
+    assertTrue(!HINT_TIERS[0].resetsStreak, 'First hint keeps the streak');
+});
+
+// ============================================
+// TRACE TESTS
+// ============================================
+console.log('\n🧮 TRACE TESTS\n');
+
+test('La traza sustituye variables y respeta la precedencia', () => {
+    assertEqual(formatTrace(traceExpression('3 + 4*x', { x: 5 }).steps), '3 + 4 * x → 3 + 4 * 5 → 3 + 20 → 23', 'Substitution first');
+    assertEqual(formatTrace(traceExpression('2+3*4').steps), '2 + 3 * 4 → 2 + 12 → 14', 'Multiplication before addition');
+    assertEqual(formatTrace(traceExpression('(2+3)*4').steps), '(2 + 3) * 4 → 5 * 4 → 20', 'Parentheses first');
+    assertEqual(formatTrace(traceExpression('2 ^ 3 ^ 2').steps), '2 ^ 3 ^ 2 → 2 ^ 9 → 512', 'Power is right-associative');
+
+    const steps = traceExpression('3x + (2+1)y', { x: 4, y: 7 }).steps;
+    assertEqual(steps[1].expression, '3 * 4 + (2 + 1) * 7', 'Implicit multiplication written out after substitution');
+    assertEqual(steps[1].note, 'x = 4, y = 7', 'Substitution note');
+    assertEqual(steps[steps.length - 1].expression, '33', 'Ends with the value');
+});
+
+test('La traza escribe negativos y fracciones sin ambigüedad', () => {
+    const negative = traceExpression('5 - (1 - 4)').steps;
+    assertEqual(formatTrace(negative), '5 - (1 - 4) → 5 - (-3) → 8', 'Negative value wrapped');
+    assertEqual(negative[2].note, '5 − (-3) = 8', 'Note with the operation');
+
+    assertEqual(
+        formatTrace(getEvaluationTrace('1/2 * (1/3 + 1)', {}, 'fractions')),
+        '1 / 2 * (1 / 3 + 1) → 1/2 * (4/3) → 2/3',
+        'Exact fractions in Fracciones'
+    );
+});
+
+test('La traza omite los pasos que solo cambian la forma', () => {
+    // Negar un valor ya reducido no es una operación: "5 * -3 → 5 * (-3)" sobraba
+    const negated = traceExpression('(2+3)*-(4-1)').steps;
+    assertEqual(formatTrace(negated), '(2 + 3) * -(4 - 1) → 5 * -(4 - 1) → 5 * -3 → -15', 'No step for the sign');
+    assertEqual(negated[3].note, '5 × (-3) = -15', 'The sign shows up in the next operation');
+    assertEqual(formatTrace(traceExpression('-(2-5)').steps), '-(2 - 5) → -(-3) → 3', 'Negating a negative is a real step');
+
+    // En exacto "1 / 3" ya es la fracción 1/3: solo cambiaban los espacios
+    const fractions = traceExpression('1 / 3 + 1 / 6', {}, { exact: true }).steps;
+    assertEqual(formatTrace(fractions), '1 / 3 + 1 / 6 → 1/2', 'No step for literal fractions');
+    assertEqual(fractions[1].note, '1/3 + 1/6 = 1/2', 'Note keeps the fractions');
+    assertEqual(formatTrace(traceExpression('2/4 + 6/3', {}, { exact: true }).steps), '2 / 4 + 6 / 3 → 1/2 + 6 / 3 → 1/2 + 2 → 5/2', 'Simplifying is a real step');
+});
+
+test('La traza se corta en el paso que falla', () => {
+    const traced = traceExpression('10 / (5 - 5)');
+    assertTrue(!traced.success, 'Evaluation fails');
+    assertEqual(traced.error.code, 'DIVISION_BY_ZERO', 'Same error as the evaluator');
+    assertEqual(formatTrace(traced.steps), '10 / (5 - 5) → 10 / 0', 'Steps up to the error');
+    assertEqual(traceExpression('3 +').steps.length, 0, 'No steps for invalid syntax');
+});
+
+test('El resultado de la ronda incluye la traza de cada jugador', () => {
+    const created = createLobby('trace-host', 'Host', 'easy');
+    joinLobby('trace-guest', created.roomCode, 'Guest');
+    const game = initializeGame(created.roomCode, getLobbyBySocketId('trace-host'));
+    const [a, b] = game.sharedCards;
+
+    submitPlayerExpression(created.roomCode, 'trace-host', `${a} + ${b}`);
+    submitPlayerExpression(created.roomCode, 'trace-guest', '');
+    const result = resolveRound(created.roomCode);
+
+    assertEqual(formatTrace(result.player1.trace), `${a} + ${b} → ${a + b}`, 'Host trace');
+    assertEqual(result.player2.trace, null, 'No trace without an answer');
+
+    cleanupGame(created.roomCode);
+    leaveLobby('trace-host');
+});
+
+// ============================================
+// VARIABLE SYMBOL TESTS
+// ============================================
+console.log('\n🔤 VARIABLE SYMBOL TESTS\n');
+
+test('Los símbolos de variable salen de la configuración', () => {
+    assertEqual(getVariableSymbols('algebra').join(','), 'x,y,z', 'Algebra deals three variables');
+    assertEqual(getVariableSymbols('easy').length, 0, 'Easy has no variables');
+
+    const { variables } = generateCardsByDifficulty('algebra', createRandom('VARS'));
+    assertEqual(variables.map(v => v.symbol).join(','), 'x,y,z', 'Dealt symbols');
+
+    const custom = normalizeCustomDifficulty({
+        ...createCustomDifficulty('easy'),
+        variableConfig: { enabled: true, variables: ['n', 'a', 'mod', 'q'], range: { min: 2, max: 5 } }
+    });
+    assertEqual(custom.variableConfig.variables.join(','), 'a,n', 'Only known symbols, in VARIABLE_SYMBOLS order');
+});
+
+test('Cualquier símbolo se sustituye sin chocar con otros tokens', () => {
+    const values = Object.fromEntries(VARIABLE_SYMBOLS.map((symbol, i) => [symbol, i + 2]));
+
+    for (const symbol of VARIABLE_SYMBOLS) {
+        assertEqual(evaluateExpression(`3${symbol} + 1`, values).value, 3 * values[symbol] + 1, `3${symbol} + 1`);
+    }
+    assertEqual(evaluateExpression('a(b + n) mod z', values).value, 1, 'a(b + n) mod z = 65 mod 4');
+    assertEqual(evaluateExpression('ab', values).error.code, 'UNKNOWN_VARIABLE', 'Adjacent letters are one identifier');
+
+    const detected = detectVariablesInExpression('2z + n mod 3 + z');
+    assertEqual(detected.variablesUsed.join(','), 'z,n', 'mod is not a variable');
+});
+
+test('La validación y el daño funcionan con variables nuevas', () => {
+    const hand = { cards: [4, 6], variables: [{ symbol: 'z', value: 5 }], difficulty: 'algebra' };
+    assertTrue(validateExpressionForHand('4z + 6', hand).valid, 'z is in the hand');
+    assertEqual(validateExpressionForHand('4n + 6', hand).code, 'VARIABLE_NOT_IN_HAND', 'n is not in the hand');
+
+    const attack = calculateAttackDamage({
+        expression: '4z + 6', target: 26, difficulty: 'algebra', variableValues: { z: 5 }
+    });
+    assertEqual(attack.result, 26, 'Result with z');
+    assertEqual(attack.variableBonus.variablesUsed.join(','), 'z', 'Variable bonus counts z');
+});
+
+// ============================================
+// EQUATION ROUND TESTS
+// ============================================
+console.log('\n🔍 EQUATION ROUND TESTS\n');
+
+test('Las ecuaciones generadas se cumplen con su solución entera', () => {
+    const random = createRandom('DESPEJA1');
+    for (const type of Object.keys(EQUATION_TYPES)) {
+        for (let i = 0; i < 40; i++) {
+            const equation = generateEquation(random, { type, difficulty: i % 2 ? 'integers' : 'easy' });
+            const values = { [equation.variable]: equation.solution };
+            assertEqual(equation.type, type, 'Requested type');
+            assertTrue(Number.isInteger(equation.solution), `${equation.equation}: integer solution`);
+            assertEqual(
+                evaluateExpression(equation.left, values).value,
+                evaluateExpression(equation.right, values).value,
+                `${equation.equation} with x = ${equation.solution}`
+            );
+        }
+    }
+    assertTrue(generateEquation(random, { type: 'bothSides' }).right.includes('x'), 'x on both sides');
+});
+
+test('Respuestas: número, cuenta o "x = n"', () => {
+    assertEqual(parseEquationAnswer('5'), 5, 'Plain number');
+    assertEqual(parseEquationAnswer(' x = -3 '), -3, 'x = n');
+    assertEqual(parseEquationAnswer('15 / 3'), 5, 'Arithmetic');
+    assertEqual(parseEquationAnswer('y = 5'), null, 'Wrong variable');
+    assertEqual(parseEquationAnswer('x'), null, 'Unknown value');
+    assertEqual(parseEquationAnswer(''), null, 'Empty');
+});
+
+test('El daño escala con la complejidad de la ecuación', () => {
+    const damages = Object.keys(EQUATION_TYPES).map(type => {
+        const equation = generateEquation(createRandom('DAMAGE1'), { type });
+        const score = scoreEquationAnswer({ equation, answer: String(equation.solution), difficulty: 'easy' });
+        assertTrue(score.correct, `${type}: correct answer`);
+        return score.totalDamage;
+    });
+    assertTrue(damages[0] < damages[1] && damages[1] < damages[2], `Damage order: ${damages.join(' < ')}`);
+
+    const equation = generateEquation(createRandom('DAMAGE2'), { type: 'twoStep' });
+    const miss = scoreEquationAnswer({ equation, answer: String(equation.solution + 1), streak: 3, difficulty: 'easy' });
+    assertEqual(miss.totalDamage, 0, 'Wrong answer deals no damage');
+    assertEqual(miss.difference, 1, 'Distance to the solution');
+    assertEqual(miss.streakResult.newStreak, 0, 'Wrong answer breaks the streak');
+
+    assertEqual(getRoundType(3, 'mixed'), 'equation', 'Mixed: every third round');
+    assertEqual(getRoundType(4, 'mixed'), 'target', 'Mixed: target otherwise');
+    assertEqual(getRoundType(1, 'classic'), 'target', 'Classic never deals equations');
+});
+
+test('Multijugador: la solución se oculta y resolveRound puntúa la ecuación', () => {
+    const created = createLobby('eq-host', 'Host', 'easy', null, null, 'equations');
+    joinLobby('eq-guest', created.roomCode, 'Guest');
+    const game = initializeGame(created.roomCode, getLobbyBySocketId('eq-host'));
+    const { solution, type } = game.equation;
+
+    const state = getGameState(created.roomCode, 'eq-host');
+    assertEqual(state.roundType, 'equation', 'Round type is sent');
+    assertTrue(state.equation.equation.includes('='), 'Equation is sent');
+    assertTrue(!('solution' in state.equation), 'Solution stays on the server');
+
+    assertEqual(submitPlayerExpression(created.roomCode, 'eq-host', '2 +').code, 'INVALID_ANSWER', 'Unreadable answer');
+    assertTrue(submitPlayerExpression(created.roomCode, 'eq-host', `x = ${solution}`).success, 'Host answers');
+    assertTrue(submitPlayerExpression(created.roomCode, 'eq-guest', String(solution + 2)).success, 'Guest answers');
+    const result = resolveRound(created.roomCode);
+
+    assertEqual(result.equation.solution, solution, 'Solution revealed after the round');
+    assertEqual(result.roundWinner, 'Host', 'Correct answer wins');
+    assertEqual(result.player2.damageTaken, EQUATION_TYPES[type].damage, 'Damage from the equation type');
+    assertEqual(result.player1.trace, null, 'No trace for equation answers');
+
+    assertEqual(startNextRound(created.roomCode).roundType, 'equation', 'Next round is an equation too');
+
+    cleanupGame(created.roomCode);
+    leaveLobby('eq-host');
+});
+
+test('Multijugador: la respuesta de "Despeja x" no se rehace desde el estado del cliente', () => {
+    const created = createLobby('eqs-host', 'Host', 'easy', null, null, 'equations');
+    const joined = joinLobby('eqs-guest', created.roomCode, 'Guest');
+    const game = initializeGame(created.roomCode, getLobbyBySocketId('eqs-host'));
+
+    // La semilla rehace la ecuación con su solución: no puede viajar mientras se juega
+    assertEqual(generateEquation(createRandom(game.seed), { difficulty: 'easy' }).solution, game.equation.solution, 'The seed rebuilds the answer');
+    for (const payload of [created, joined, getGameState(created.roomCode, 'eqs-guest'), getSpectatorState(created.roomCode)]) {
+        assertTrue(!JSON.stringify(payload).includes(game.seed), 'No client payload carries the seed');
+    }
+    cleanupGame(created.roomCode);
+    leaveLobby('eqs-host');
+
+    // Modo mazo: con la semilla también se rehace el mazo del rival
+    const deck = createLobby('eqs-deck', 'Host', 'easy', null, null, 'classic', true);
+    joinLobby('eqs-deck-guest', deck.roomCode, 'Guest');
+    const deckGame = initializeGame(deck.roomCode, getLobbyBySocketId('eqs-deck'));
+    assertTrue(!JSON.stringify(getGameState(deck.roomCode, 'eqs-deck-guest')).includes(deckGame.seed), 'Deck games hide the seed too');
+    cleanupGame(deck.roomCode);
+    leaveLobby('eqs-deck');
+});
+
+test('Modo de rondas inválido al crear sala', () => {
+    let errorThrown = false;
+    try {
+        createLobby('eq-bad-host', 'Host', 'easy', null, null, 'blitz');
+    } catch (error) {
+        errorThrown = error.message.includes('Modo de rondas');
+    }
+    assertTrue(errorThrown, 'Should reject unknown round modes');
+});
+
+// ============================================
+// MYSTERY ROUND TESTS
+// ============================================
+console.log('\n🎭 MYSTERY ROUND TESTS\n');
+
+test('Equivalencia algebraica, no numérica', () => {
+    assertTrue(areExpressionsEquivalent('3(x + 4)', '3x + 12'), 'Distributive property');
+    assertTrue(areExpressionsEquivalent('x*2 - 5 + 11', '2x + 6'), 'Reordered terms');
+    assertTrue(!areExpressionsEquivalent('2x + 6', '3x + 2'), 'Equal only at x = 4');
+    assertTrue(!areExpressionsEquivalent('14', '2x + 6'), 'Numbers are not expressions in x');
+    assertTrue(!areExpressionsEquivalent('2x + 6 + 1/(x - 2)', '2x + 6'), 'Undefined at some x');
+    assertEqual(toLinearForm('4 - (x + 1) * 3').text, '-3x + 1', 'Simplified linear form');
+    assertEqual(toLinearForm('x * x'), null, 'Not linear');
+});
+
+test('Los targets de incógnita se forman con la mano', () => {
+    const random = createRandom('MYSTERY1');
+    for (let i = 0; i < 40; i++) {
+        const difficulty = i % 2 ? 'easy' : 'hard';
+        const { cards } = generateCardsByDifficulty(difficulty, random);
+        const mystery = generateMysteryTarget(random, cards, { difficulty });
+        const variables = [{ symbol: 'x' }];
+
+        assertTrue(validateExpressionForHand(mystery.solution, { cards, variables, difficulty }).valid, `${mystery.solution} uses the hand`);
+        assertTrue(areExpressionsEquivalent(mystery.solution, mystery.target), `${mystery.solution} ≡ ${mystery.target}`);
+        assertTrue(mystery.target.includes('x'), 'Target depends on x');
+    }
+
+    const mystery = { variable: 'x', target: '2x + 6', solution: '2 * (x + 3)' };
+    const hit = scoreMysteryExpression({ expression: '(x + 3) * 2', mystery, variableValues: { x: 4 }, difficulty: 'medium' });
+    assertTrue(hit.correct && hit.totalDamage > 0, 'Equivalent expression hits');
+    assertEqual(hit.value, 14, 'Value with the secret x');
+    const miss = scoreMysteryExpression({ expression: '3x + 2', mystery, variableValues: { x: 4 }, streak: 2, difficulty: 'medium' });
+    assertEqual(miss.totalDamage, 0, 'Same value at x = 4 is still a miss');
+    assertEqual(miss.streakResult.newStreak, 0, 'Miss breaks the streak');
+});
+
+test('Multijugador: x se oculta hasta resolveRound', () => {
+    const created = createLobby('my-host', 'Host', 'medium', null, null, 'mystery');
+    joinLobby('my-guest', created.roomCode, 'Guest');
+    const game = initializeGame(created.roomCode, getLobbyBySocketId('my-host'));
+    const secret = game.variableValues.x;
+
+    const state = getGameState(created.roomCode, 'my-guest');
+    assertEqual(state.roundType, 'mystery', 'Round type is sent');
+    assertEqual(state.variableValues, null, 'Value of x stays on the server');
+    assertEqual(state.myVariables.join(), 'x', 'Players get the variable x');
+    assertTrue(!('solution' in state.mystery), 'Solution stays on the server');
+
+    assertTrue(submitPlayerExpression(created.roomCode, 'my-host', game.mystery.solution).success, 'Host builds the target');
+    assertTrue(submitPlayerExpression(created.roomCode, 'my-guest', '').success, 'Guest skips');
+    const result = resolveRound(created.roomCode);
+
+    assertEqual(result.variableValues.x, secret, 'x revealed after the round');
+    assertEqual(result.roundWinner, 'Host', 'Equivalent expression wins');
+    assertTrue(result.player2.damageTaken > 0, 'Guest takes damage');
+
+    cleanupGame(created.roomCode);
+    leaveLobby('my-host');
+});
+
+test('Multijugador: la semilla no sale del servidor hasta el final (x no se puede rehacer)', () => {
+    const created = createLobby('ms-host', 'Host', 'medium', null, null, 'mystery');
+    const joined = joinLobby('ms-guest', created.roomCode, 'Guest');
+    const watched = spectateLobby('ms-watch', created.roomCode, 'Profe');
+    const game = initializeGame(created.roomCode, getLobbyBySocketId('ms-host'));
+
+    // Con la semilla se rehace el reparto entero, x incluida: por eso no puede llegar a los clientes
+    const replay = (seed) => {
+        const random = createRandom(seed);
+        generateCardsByDifficulty('medium', random);
+        return dealMysteryVariable(random).variableValues.x;
+    };
+    assertEqual(replay(game.seed), game.variableValues.x, 'The seed rebuilds x');
+
+    const received = [
+        created,
+        joined,
+        watched,
+        getGameState(created.roomCode, 'ms-host'),
+        getGameState(created.roomCode, 'ms-guest'),
+        getSpectatorState(created.roomCode)
+    ];
+    for (const payload of received) {
+        assertTrue(!JSON.stringify(payload).includes(game.seed), 'No client payload carries the seed');
+    }
+
+    submitPlayerExpression(created.roomCode, 'ms-host', game.mystery.solution);
+    submitPlayerExpression(created.roomCode, 'ms-guest', '');
+    assertEqual(resolveRound(created.roomCode).seed, null, 'Still hidden between rounds');
+
+    startNextRound(created.roomCode);
+    game.player2.hp = 1;
+    submitPlayerExpression(created.roomCode, 'ms-host', game.mystery.solution);
+    submitPlayerExpression(created.roomCode, 'ms-guest', '');
+    const final = resolveRound(created.roomCode);
+    assertTrue(final.gameOver && final.seed === game.seed, 'Revealed with game over');
+    assertEqual(getGameState(created.roomCode, 'ms-guest').seed, game.seed, 'Finished games show the seed');
+
+    cleanupGame(created.roomCode);
+    leaveSpectator('ms-watch');
+    leaveLobby('ms-host');
+});
+
+// ============================================
+// SPELL TESTS
+// ============================================
+console.log('\n🪄 SPELL TESTS\n');
+
+const combatant = (overrides = {}) => ({ hp: 100, maxHp: 120, cards: [2, 7, 4], spells: [], statuses: [], spellUsed: false, ...overrides });
+
+test('Efectos de los hechizos: curar, robar y congelar', () => {
+    const healed = castSpell({ caster: combatant({ hp: 110, spells: ['heal'] }), opponent: combatant(), spell: 'heal' });
+    assertEqual(healed.caster.hp, 120, 'Heal is capped at max HP');
+    assertEqual(healed.effect.healed, 10, 'Heal reports the HP recovered');
+    assertEqual(healed.caster.spells.length, 0, 'Spell leaves the hand');
+
+    const stolen = castSpell({ caster: combatant({ spells: ['steal'] }), opponent: combatant({ cards: [9, 1] }), spell: 'steal' });
+    assertEqual(stolen.caster.cards.join(), '9,7,4', 'Lowest card swapped for their highest');
+    assertEqual(stolen.opponent.cards.join(), '2,1', 'Opponent gets the lowest card');
+
+    const frozen = castSpell({ caster: combatant({ spells: ['freeze', 'heal'] }), opponent: combatant(), spell: 'freeze' });
+    const turn = startTurn(frozen.opponent);
+    assertEqual(turn.lostCard, 7, 'Frozen player loses the highest card');
+    assertEqual(turn.player.cards.join(), '2,4', 'Card removed from the hand');
+    assertTrue(!turn.player.statuses.includes('frozen'), 'Freeze wears off');
+
+    const again = castSpell({ caster: frozen.caster, opponent: frozen.opponent, spell: 'heal' });
+    assertEqual(again.code, 'SPELL_ALREADY_USED', 'One spell per turn');
+    assertEqual(castSpell({ caster: combatant(), opponent: combatant(), spell: 'shield' }).code, 'SPELL_NOT_IN_HAND', 'Spell must be in hand');
+    assertEqual(drawSpell(['heal', 'heal'], createRandom('SPELLS01')).length, SPELL_HAND_SIZE, 'Hand size limit');
+});
+
+test('Escudo bloquea y Doble duplica solo si es perfecto', () => {
+    const attacker = combatant({ statuses: ['double'] });
+    const perfect = resolveHit({ attacker, defender: combatant(), damage: 30, perfect: true });
+    assertEqual(perfect.damage, 60, 'Perfect attack doubled');
+    assertTrue(!perfect.attacker.statuses.includes('double'), 'Double is consumed');
+
+    const close = resolveHit({ attacker, defender: combatant(), damage: 20, perfect: false });
+    assertEqual(close.damage, 20, 'Non-perfect attack not doubled');
+    assertTrue(!close.attacker.statuses.includes('double'), 'Double is consumed anyway');
+
+    const blocked = resolveHit({ attacker, defender: combatant({ statuses: ['shield'] }), damage: 30, perfect: true });
+    assertTrue(blocked.blocked && blocked.damage === 0, 'Shield blocks the whole hit');
+    assertTrue(!blocked.defender.statuses.includes('shield'), 'Shield is consumed');
+});
+
+test('Multijugador: hechizos en el servidor', () => {
+    const created = createLobby('sp-host', 'Host', 'easy');
+    joinLobby('sp-guest', created.roomCode, 'Guest');
+    const game = initializeGame(created.roomCode, getLobbyBySocketId('sp-host'));
+    game.sharedCards = [3, 4, 5, 1];
+    game.player1.spells = ['steal', 'shield'];
+    game.player2.spells = ['freeze'];
+
+    assertEqual(castPlayerSpell(created.roomCode, 'sp-host', 'heal').code, 'SPELL_NOT_IN_HAND', 'Spell must be in hand');
+    assertTrue(castPlayerSpell(created.roomCode, 'sp-host', 'steal').success, 'Host steals');
+    assertEqual(getGameState(created.roomCode, 'sp-host').myCards.join(), '3,4,5,5', 'Host got the 5');
+    assertEqual(getGameState(created.roomCode, 'sp-guest').myCards.join(), '3,4,1,1', 'Guest got the 1');
+    assertEqual(submitPlayerExpression(created.roomCode, 'sp-guest', '5+4').code, 'CARD_NOT_IN_HAND', 'Stolen card is gone');
+    assertTrue(castPlayerSpell(created.roomCode, 'sp-guest', 'freeze').success, 'Guest freezes');
+    assertEqual(getGameState(created.roomCode, 'sp-guest').opponentStatuses.join(), 'frozen', 'Status is visible');
+
+    submitPlayerExpression(created.roomCode, 'sp-host', '5+5');
+    submitPlayerExpression(created.roomCode, 'sp-guest', '');
+    resolveRound(created.roomCode);
+    startNextRound(created.roomCode);
+
+    const state = getGameState(created.roomCode, 'sp-host');
+    assertEqual(state.myLostCard, Math.max(...game.sharedCards), 'Frozen host loses the highest card');
+    assertEqual(state.myCards.length, game.sharedCards.length - 1, 'One card fewer this round');
+    assertTrue(!state.mySpellUsed, 'Spells can be cast again');
+
+    cleanupGame(created.roomCode);
+    leaveLobby('sp-host');
+});
+
+// ============================================
+// DECK TESTS
+// ============================================
+console.log('\n🂠 DECK TESTS\n');
+
+test('Mazo finito: robar, jugar y rebarajar el descarte', () => {
+    const random = createRandom('DECKTEST');
+    const deck = createDeck('medium', random);
+    assertEqual(deck.drawPile.length, 9 * DECK_COPIES, 'Every value in the card range, DECK_COPIES times');
+
+    const opening = drawCards([], deck, 3, random);
+    assertEqual(opening.hand.length, 3, 'Draws up to hand size');
+    assertEqual(opening.deck.drawPile.length, 9 * DECK_COPIES - 3, 'Cards leave the deck');
+
+    const played = playCards([2, 5, 5], opening.deck, [5, 2, 8]);
+    assertEqual(played.hand.join(), '5', 'Played cards leave the hand (unknown values ignored)');
+    assertEqual(played.deck.discardPile.join(), '5,2', 'And go to the discard pile');
+
+    const reshuffled = drawCards([5], { drawPile: [], discardPile: [4, 6] }, 3, random);
+    assertTrue(reshuffled.reshuffled, 'Empty deck reshuffles the discard pile');
+    assertEqual(reshuffled.hand.length, 3, 'Hand refilled from the reshuffled pile');
+});
+
+test('Descartar cuesta HP y el mulligan cuesta la racha', () => {
+    const deck = { drawPile: [9, 8, 7, 6], discardPile: [] };
+    const discard = performDeckAction({ action: 'discard', hand: [2, 3, 4], deck, hp: 50, streak: 2, index: 0 });
+    assertEqual(discard.hand.join(), '3,4,6', 'Discarded card replaced from the deck');
+    assertEqual(discard.hp, 45, 'Discard costs HP');
+    assertEqual(discard.streak, 2, 'Streak kept');
+
+    const mulligan = performDeckAction({ action: 'mulligan', hand: [2, 3, 4], deck, hp: 50, streak: 2, random: createRandom('MULLIGAN') });
+    assertEqual(mulligan.hand.length, 3, 'Same hand size');
+    assertEqual(mulligan.deck.drawPile.length, 4, 'Hand shuffled back into the deck');
+    assertEqual(mulligan.streak, 0, 'Mulligan costs the streak');
+    assertEqual(mulligan.hp, 50, 'No HP cost while there is a streak');
+    assertEqual(performDeckAction({ action: 'mulligan', hand: [2], deck, hp: 50, streak: 0 }).hp, 40, 'Without streak it costs HP');
+
+    assertEqual(performDeckAction({ action: 'discard', hand: [2], deck, hp: 5, streak: 0, index: 0 }).code, 'NOT_ENOUGH_HP', 'Cannot pay with the last HP');
+    assertEqual(performDeckAction({ action: 'discard', hand: [2], deck, hp: 50, streak: 0, index: 3 }).code, 'CARD_NOT_IN_HAND', 'Index must be in hand');
+});
+
+test('Multijugador: mano persistente y mazo por jugador', () => {
+    let threw = false;
+    try {
+        createLobby('dk-bad', 'Host', 'easy', null, null, 'mystery', true);
+    } catch (error) {
+        threw = error.message.includes('Incógnita');
+    }
+    assertTrue(threw, 'Deck mode is not compatible with mystery rounds');
+
+    const created = createLobby('dk-host', 'Host', 'easy', null, null, 'classic', true);
+    assertTrue(created.deckMode, 'Lobby remembers deck mode');
+    joinLobby('dk-guest', created.roomCode, 'Guest');
+    const game = initializeGame(created.roomCode, getLobbyBySocketId('dk-host'));
+
+    const state = getGameState(created.roomCode, 'dk-host');
+    assertTrue(state.deckMode, 'State reports deck mode');
+    assertEqual(state.myCards.length, 4, 'Opening hand of cardCount cards');
+    assertEqual(state.myDeck.drawCount, 9 * DECK_COPIES - 4, 'Cards left in the deck');
+    assertEqual(state.opponentDeck.drawCount, 9 * DECK_COPIES - 4, 'Opponent deck count is visible');
+
+    game.player1.cards = [1, 2, 3, 4];
+    assertTrue(deckPlayerAction(created.roomCode, 'dk-host', 'discard', 3).success, 'Host discards');
+    assertEqual(game.player1.hp, game.player1.maxHp - 5, 'Discard paid in HP');
+    assertEqual(game.player1.deck.discardPile.join(), '4', 'Card in the discard pile');
+
+    game.player1.cards = [1, 2, 3, 4];
+    submitPlayerExpression(created.roomCode, 'dk-host', '1+2');
+    submitPlayerExpression(created.roomCode, 'dk-guest', '');
+    resolveRound(created.roomCode);
+    startNextRound(created.roomCode);
+
+    assertEqual(game.player1.cards.slice(0, 2).join(), '3,4', 'Unused cards stay in the hand');
+    assertEqual(game.player1.cards.length, 4, 'Hand refilled from the deck');
+    assertEqual(game.player1.deck.discardPile.join(), '4,1,2', 'Played cards discarded');
+    assertEqual(game.status, 'playing', 'The next round is playable again');
+    assertEqual(deckPlayerAction('NOPE', 'dk-host', 'discard', 0).code, 'GAME_NOT_FOUND', 'Unknown room');
+
+    cleanupGame(created.roomCode);
+    leaveLobby('dk-host');
+});
+
+// ============================================
+// DRAFT TESTS
+// ============================================
+console.log('\n🔀 DRAFT TESTS\n');
+
+test('Draft: orden serpiente, elecciones y elección automática', () => {
+    assertEqual(getSnakeOrder(3, 'A', 'B').join(''), 'ABBAAB', 'Snake order');
+
+    const draft = createDraft({ cards: [3, 4, 5, 6], difficulty: 'easy', first: 'A', second: 'B', random: createRandom('DRAFTPOOL') });
+    assertEqual(draft.pool.length, 4 * 2 + 2, 'Pool: the round cards, as many extra and two spare');
+    assertTrue([3, 4, 5, 6].every(card => draft.pool.some(({ value }) => value === card)), 'Round cards are in the pool');
+
+    assertEqual(pickDraftCard(draft, 'B', 0).code, 'NOT_YOUR_PICK', 'Only the current picker');
+    const first = pickDraftCard(draft, 'A', 0);
+    assertTrue(first.success, 'A picks');
+    assertEqual(pickDraftCard(first.draft, 'B', 0).code, 'CARD_NOT_AVAILABLE', 'A card can only be picked once');
+    assertEqual(getDraftedHand(first.draft, 'A').join(), String(draft.pool[0].value), 'Picked card in the hand');
+
+    const auto = getAutoPickIndex(first.draft);
+    const highest = Math.max(...first.draft.pool.filter(card => card.pickedBy === null).map(card => card.value));
+    assertEqual(first.draft.pool[auto].value, highest, 'Timeout picks the highest card left');
+});
+
+test('Multijugador: draft antes de cada ronda', () => {
+    let threw = false;
+    try {
+        createLobby('df-bad', 'Host', 'easy', null, null, 'classic', true, true);
+    } catch (error) {
+        threw = error.message.includes('mazo');
+    }
+    assertTrue(threw, 'Draft mode is not compatible with deck mode');
+
+    const created = createLobby('df-host', 'Host', 'easy', null, null, 'classic', false, true);
+    assertTrue(created.draftMode, 'Lobby remembers draft mode');
+    joinLobby('df-guest', created.roomCode, 'Guest');
+    const game = initializeGame(created.roomCode, getLobbyBySocketId('df-host'));
+
+    const state = getGameState(created.roomCode, 'df-host');
+    assertEqual(state.status, 'drafting', 'The round starts with the draft');
+    assertEqual(state.myCards.length, 0, 'Empty hand until picking');
+    assertTrue(state.draft.myTurn, 'Player 1 picks first in odd rounds');
+    assertEqual(submitPlayerExpression(created.roomCode, 'df-host', '1').code, 'NOT_PLAYING', 'No submitting while drafting');
+
+    assertEqual(draftPlayerPick(created.roomCode, 'df-guest', 0).code, 'NOT_YOUR_PICK', 'Guest waits for their turn');
+    assertTrue(draftPlayerPick(created.roomCode, 'df-host', 0).success, 'Host picks');
+    assertEqual(getGameState(created.roomCode, 'df-guest').draft.pool[0].pickedBy, 'opponent', 'Picks are public');
+
+    let pick;
+    do {
+        pick = autoDraftPick(created.roomCode);
+    } while (pick.success && !pick.done);
+    assertTrue(pick.done, 'Draft finishes after every pick');
+    assertEqual(game.status, 'playing', 'Then the round starts');
+    assertEqual(game.player1.cards.length, 4, 'Host drafted a full hand');
+    assertEqual(game.player2.cards.length, 4, 'Guest drafted a full hand');
+
+    game.player1.cards = [1, 2, 3, 4];
+    assertEqual(submitPlayerExpression(created.roomCode, 'df-host', '5').code, 'CARD_NOT_IN_HAND', 'Expressions use the drafted hand');
+    assertTrue(submitPlayerExpression(created.roomCode, 'df-host', '1+2').success, 'Drafted cards are playable');
+    submitPlayerExpression(created.roomCode, 'df-guest', '');
+    resolveRound(created.roomCode);
+    startNextRound(created.roomCode);
+
+    assertEqual(game.status, 'drafting', 'Next round drafts again');
+    assertTrue(getGameState(created.roomCode, 'df-guest').draft.myTurn, 'Player 2 picks first in even rounds');
+    assertEqual(draftPlayerPick('NOPE', 'df-host', 0).code, 'GAME_NOT_FOUND', 'Unknown room');
+
+    cleanupGame(created.roomCode);
+    leaveLobby('df-host');
+});
+
+// ============================================
+// RECONNECT TESTS
+// ============================================
+console.log('\n🔌 RECONNECT TESTS\n');
+
+test('Multijugador: recuperar el asiento con el token de sesión', () => {
+    const created = createLobby('rc-host', 'Host', 'easy');
+    const joined = joinLobby('rc-guest', created.roomCode, 'Guest');
+    assertTrue(Boolean(created.sessionToken) && Boolean(joined.sessionToken), 'Both players get a session token');
+    assertTrue(created.sessionToken !== joined.sessionToken, 'Tokens are per seat');
+
+    let threw = false;
+    try {
+        resumeSession(joined.sessionToken, 'rc-guest-2');
+    } catch (error) {
+        threw = error.message.includes('caducado');
+    }
+    assertTrue(threw, 'Seats are only held during a game');
+
+    const lobby = startLobbyGame(created.roomCode, 'rc-host');
+    const game = initializeGame(created.roomCode, lobby);
+    game.sharedCards = [1, 2, 3, 4];
+    assertTrue(submitPlayerExpression(created.roomCode, 'rc-guest', '1+2').success, 'Guest submits before the drop');
+
+    const resumed = resumeSession(joined.sessionToken, 'rc-guest-2');
+    assertTrue(!resumed.isHost && resumed.previousSocketId === 'rc-guest', 'Token identifies the guest seat');
+    assertEqual(lobby.guestId, 'rc-guest-2', 'The new socket takes the seat');
+    assertEqual(getLobbyBySocketId('rc-guest'), null, 'The old socket is forgotten');
+    assertTrue(reassignPlayer(created.roomCode, 'rc-guest', 'rc-guest-2'), 'Game player follows the new socket');
+
+    const state = getGameState(created.roomCode, 'rc-guest-2');
+    assertEqual(state.myName, 'Guest', 'Resumed state is the guest view');
+    assertTrue(state.mySubmitted, 'Submission survives the reconnect');
+    assertEqual(state.roundResult, null, 'No pending result mid-round');
+
+    assertTrue(submitPlayerExpression(created.roomCode, 'rc-host', '').success, 'Host still plays');
+    const result = resolveRound(created.roomCode);
+    assertEqual(getGameState(created.roomCode, 'rc-guest-2').roundResult, result, 'Pending round result is in the state');
+    startNextRound(created.roomCode);
+    assertEqual(getGameState(created.roomCode, 'rc-guest-2').roundResult, null, 'Cleared with the next deal');
+
+    cleanupGame(created.roomCode);
+    leaveLobby('rc-host');
+    threw = false;
+    try {
+        resumeSession(created.sessionToken, 'rc-host-2');
+    } catch (error) {
+        threw = error.message.includes('caducado');
+    }
+    assertTrue(threw, 'Tokens die with the lobby');
+});
+
+// ============================================
+// ROUND TIMER TESTS
+// ============================================
+console.log('\n⏱️ ROUND TIMER TESTS\n');
+
+test('Tiempo por ronda: opciones y cuenta atrás con el reloj del servidor', () => {
+    assertEqual(normalizeRoundSeconds(undefined), DEFAULT_ROUND_SECONDS, 'Default time');
+    assertEqual(normalizeRoundSeconds(0), 0, 'No limit is an option');
+    assertEqual(normalizeRoundSeconds(45), null, 'Only listed options');
+    assertEqual(getRoundDeadline(0, 1000), null, 'No deadline without limit');
+    assertEqual(getRoundDeadline(30, 1000), 31000, 'Deadline in server time');
+
+    // El reloj local va 5 s por detrás del servidor: quedan 10 s, no 15
+    assertEqual(getSecondsLeft(31000, 5000, 16000), 10, 'Corrected with the clock offset');
+    assertEqual(getSecondsLeft(31000, 0, 40000), 0, 'Never negative');
+});
+
+test('Multijugador: hora límite de la ronda', () => {
+    let threw = false;
+    try {
+        createLobby('rt-bad', 'Host', 'easy', null, null, 'classic', false, false, 45);
+    } catch (error) {
+        threw = error.message.includes('Tiempo');
+    }
+    assertTrue(threw, 'Invalid round time is rejected');
+
+    const created = createLobby('rt-host', 'Host', 'easy', null, null, 'classic', false, false, 30);
+    assertEqual(created.roundSeconds, 30, 'Lobby remembers the round time');
+    joinLobby('rt-guest', created.roomCode, 'Guest');
+    const before = Date.now();
+    initializeGame(created.roomCode, getLobbyBySocketId('rt-host'));
+
+    const state = getGameState(created.roomCode, 'rt-guest');
+    assertTrue(state.roundDeadline >= before + 30000 && state.roundDeadline <= Date.now() + 30000, 'Deadline sent with the state');
+    assertTrue(Math.abs(state.serverTime - Date.now()) < 1000, 'Server clock sent with the state');
+
+    submitPlayerExpression(created.roomCode, 'rt-host', '');
+    submitPlayerExpression(created.roomCode, 'rt-guest', '');
+    resolveRound(created.roomCode);
+    assertEqual(getGameState(created.roomCode, 'rt-host').roundDeadline, null, 'No clock between rounds');
+    startNextRound(created.roomCode);
+    assertTrue(getGameState(created.roomCode, 'rt-host').roundDeadline > 0, 'Clock restarts every round');
+
+    cleanupGame(created.roomCode);
+    leaveLobby('rt-host');
+
+    const untimed = createLobby('rt-host-2', 'Host', 'easy', null, null, 'classic', false, false, 0);
+    joinLobby('rt-guest-2', untimed.roomCode, 'Guest');
+    initializeGame(untimed.roomCode, getLobbyBySocketId('rt-host-2'));
+    assertEqual(getGameState(untimed.roomCode, 'rt-host-2').roundDeadline, null, 'No deadline without limit');
+    cleanupGame(untimed.roomCode);
+    leaveLobby('rt-host-2');
+});
+
+// ============================================
+// SPECTATOR TESTS
+// ============================================
+console.log('\n👁️ SPECTATOR TESTS\n');
+
+test('Multijugador: espectadores de solo lectura', () => {
+    const created = createLobby('sv-host', 'Host', 'easy');
+    joinLobby('sv-guest', created.roomCode, 'Guest');
+
+    const watched = spectateLobby('sv-watch', created.roomCode.toLowerCase(), 'Profe');
+    assertEqual(watched.guestName, 'Guest', 'Spectators can join a full room');
+    assertEqual(getLobbyBySpectatorId('sv-watch').spectators[0].name, 'Profe', 'Spectator list per lobby');
+    assertEqual(getLobbyBySocketId('sv-watch'), null, 'Spectators are not players');
+
+    let threw = false;
+    try {
+        joinLobby('sv-watch', created.roomCode, 'Profe');
+    } catch (error) {
+        threw = error.message.includes('Ya estás');
+    }
+    assertTrue(threw, 'A spectator cannot take a seat while watching');
+
+    const lobby = startLobbyGame(created.roomCode, 'sv-host');
+    const game = initializeGame(created.roomCode, lobby);
+    game.sharedCards = [1, 2, 3, 4];
+    assertEqual(submitPlayerExpression(created.roomCode, 'sv-watch', '1+2').code, 'NOT_IN_GAME', 'Spectators cannot submit');
+    assertEqual(castPlayerSpell(created.roomCode, 'sv-watch', game.player1.spells[0]).code, 'NOT_IN_GAME', 'Spectators cannot cast');
+
+    submitPlayerExpression(created.roomCode, 'sv-host', '1+2');
+    const view = getSpectatorState(created.roomCode);
+    assertTrue(view.player1.submitted && !view.player2.submitted, 'Ready status is visible');
+    assertEqual(view.player2.hp, game.player2.hp, 'HP is visible');
+    assertTrue(!('cards' in view.player1) && !('spells' in view.player1) && !('expression' in view.player1), 'No hands, spells or live expressions');
+    assertEqual(view.roundResult, null, 'No result mid-round');
+
+    submitPlayerExpression(created.roomCode, 'sv-guest', '');
+    resolveRound(created.roomCode);
+    assertEqual(getSpectatorState(created.roomCode).roundResult.player1.expression, '1+2', 'Expressions after the reveal');
+
+    assertEqual(leaveSpectator('sv-watch').roomCode, created.roomCode, 'Spectator leaves');
+    assertEqual(lobby.spectators.length, 0, 'Removed from the list');
+    spectateLobby('sv-watch', created.roomCode, 'Profe');
+    cleanupGame(created.roomCode);
+    leaveLobby('sv-host');
+    assertEqual(getLobbyBySpectatorId('sv-watch'), null, 'Spectators go with the lobby');
+    assertEqual(leaveSpectator('sv-watch'), null, 'Nothing left to leave');
+});
+
+// ============================================
+// FREE-FOR-ALL TESTS
+// ============================================
+console.log('\n⚔️ FREE-FOR-ALL TESTS\n');
+
+test('Todos contra todos: puestos y reglas de daño', () => {
+    assertEqual(normalizeMaxPlayers(undefined), 2, 'Duel by default');
+    assertEqual(normalizeMaxPlayers(8), 8, 'Up to 8 players');
+    assertEqual(normalizeMaxPlayers(9), null, 'No more than 8');
+    assertEqual(normalizeMaxPlayers(1), null, 'At least 2');
+    assertEqual(normalizeFfaRule(null), 'ranked', 'Ranked damage by default');
+    assertEqual(normalizeFfaRule('nope'), null, 'Unknown rule');
+
+    const entries = [
+        { difference: 2, isMiss: false, damage: 10 },
+        { difference: 0, isMiss: false, damage: 30 },
+        { difference: rational(2), isMiss: false, damage: 12 },
+        { difference: 50, isMiss: true, damage: 0 }
+    ];
+    assertEqual(rankAnswers(entries).join(), '2,1,2,3', 'Ties share a rank, misses go last');
+
+    const ranked = getRankedDamage({ entries, rule: 'ranked' }).map(({ damageTaken }) => damageTaken);
+    assertEqual(ranked.join(), '15,0,15,30', 'Best attack scaled by rank');
+    const last = getRankedDamage({ entries, rule: 'last' }).map(({ damageTaken }) => damageTaken);
+    assertEqual(last.join(), '0,0,0,30', 'Only the last rank is hit');
+
+    const allMiss = entries.map(entry => ({ ...entry, isMiss: true }));
+    assertTrue(getRankedDamage({ entries: allMiss }).every(({ damageTaken }) => damageTaken === 0), 'Nobody is hit if everyone misses');
+});
+
+test('Todos contra todos: sala de N jugadores, eliminaciones y abandono', () => {
+    const created = createLobby('ffa-1', 'Ana', 'easy', null, null, 'classic', false, false, 90, 4, 'ranked');
+    assertEqual(created.maxPlayers, 4, 'Room size');
+    joinLobby('ffa-2', created.roomCode, 'Bea');
+    assertEqual(getLobbyBySocketId('ffa-1').status, 'waiting', 'Two players are not enough');
+    assertEqual(startLobbyGame(created.roomCode, 'ffa-1'), null, 'Cannot start with two');
+
+    let threw = false;
+    try {
+        joinLobby('ffa-x', created.roomCode, 'Bea');
+    } catch (error) {
+        threw = error.message.includes('nombre');
+    }
+    assertTrue(threw, 'Names are unique in the room');
+
+    joinLobby('ffa-3', created.roomCode, 'Cai');
+    assertEqual(getLobbyBySocketId('ffa-3').status, 'ready', 'Ready with three');
+    const joined = joinLobby('ffa-4', created.roomCode, 'Dani');
+    assertEqual(joined.players.join(), 'Ana,Bea,Cai,Dani', 'Everyone in seat order');
+    assertTrue(!getAvailableLobbies().some(room => room.roomCode === created.roomCode), 'A full room is not listed');
+
+    threw = false;
+    try {
+        joinLobby('ffa-5', created.roomCode, 'Eva');
+    } catch (error) {
+        threw = error.message.includes('llena');
+    }
+    assertTrue(threw, 'Room is full');
+
+    threw = false;
+    try {
+        createLobby('ffa-d', 'Deck', 'easy', null, null, 'classic', true, false, 90, 3);
+    } catch (error) {
+        threw = error.message.includes('mazo');
+    }
+    assertTrue(threw, 'Free-for-all is not combined with deck mode');
+
+    leaveLobby('ffa-2');
+    const lobby = getLobbyBySocketId('ffa-1');
+    assertEqual(getLobbySeats(lobby).map(seat => seat.name).join(), 'Ana,Cai,Dani', 'The next seat moves up');
+    assertEqual(lobby.guestName, 'Cai', 'Guest seat is refilled');
+
+    startLobbyGame(created.roomCode, 'ffa-1');
+    const game = initializeGame(created.roomCode, lobby);
+    assertTrue(game.freeForAll && game.players.length === 3, 'One player state per seat');
+    Object.assign(game, { roundType: 'target', target: 10, sharedCards: [1, 2, 3, 4], equation: null, mystery: null });
+
+    const state = getGameState(created.roomCode, 'ffa-4');
+    assertEqual(state.players.map(player => player.name).join(), 'Ana,Cai,Dani', 'Public player list');
+    assertTrue(state.players[2].isMe && state.freeForAll, 'Own entry is marked');
+
+    game.players[2].hp = 1;
+    submitPlayerExpression(created.roomCode, 'ffa-1', '1+2+3+4');
+    submitPlayerExpression(created.roomCode, 'ffa-3', '2+3+4');
+    assertTrue(!checkBothPlayersReady(created.roomCode), 'Waits for every player');
+    submitPlayerExpression(created.roomCode, 'ffa-4', '');
+
+    const result = resolveRound(created.roomCode);
+    const [ana, cai, dani] = result.players;
+    assertEqual([ana.rank, cai.rank, dani.rank].join(), '1,2,3', 'Ranking by closeness');
+    assertEqual(result.roundWinner, 'Ana', 'Closest wins the round');
+    assertEqual(dani.damageTaken, ana.attackDamage, 'Last place takes the best attack');
+    assertEqual(cai.damageTaken, Math.floor(ana.attackDamage / 2), 'Middle place takes half');
+    assertTrue(dani.eliminated && dani.currentHp === 0 && !result.gameOver, 'Eliminated at 0 HP, the game goes on');
+
+    startNextRound(created.roomCode);
+    Object.assign(game, { roundType: 'target', target: 10, sharedCards: [1, 2, 3, 4], equation: null, mystery: null });
+    assertEqual(submitPlayerExpression(created.roomCode, 'ffa-4', '1+2').code, 'ELIMINATED', 'Eliminated players cannot play');
+    submitPlayerExpression(created.roomCode, 'ffa-1', '1+2');
+    submitPlayerExpression(created.roomCode, 'ffa-3', '1+2+3');
+    assertTrue(checkBothPlayersReady(created.roomCode), 'Only players still alive are awaited');
+
+    const forfeit = forfeitPlayer(created.roomCode, 'ffa-3');
+    assertTrue(forfeit.gameOver && forfeit.winner === 'Ana', 'Last one standing wins');
+
+    cleanupGame(created.roomCode);
+    leaveLobby('ffa-1');
+    assertEqual(getLobbyBySocketId('ffa-4'), null, 'Every seat goes with the lobby');
+});
+
+// ============================================
+// TEAM TESTS
+// ============================================
+console.log('\n🤝 TEAM TESTS\n');
+
+test('Equipos: reparto de la sala y cambio de equipo', () => {
+    assertEqual(pickOpenTeam(['A']), 'B', 'Joins the team with fewer players');
+    assertEqual(pickOpenTeam(['A', 'B', 'A', 'B']), null, 'Both teams full');
+    const answers = [
+        { difference: 3, isMiss: false, damage: 20 },
+        { difference: 0, isMiss: true, damage: 0 },
+        { difference: 3, isMiss: false, damage: 25 }
+    ];
+    assertEqual(pickTeamAnswer(answers), 2, 'Closest hit counts, more damage on a tie');
+
+    const created = createLobby('tm-1', 'Ana', 'easy', null, null, 'classic', false, false, 90, 2, 'ranked', true);
+    assertEqual(created.maxPlayers, 4, 'Team rooms seat four');
+    assertEqual(created.teams.A.join(), 'Ana', 'Host starts in the first team');
+
+    joinLobby('tm-2', created.roomCode, 'Bea');
+    const third = joinLobby('tm-3', created.roomCode, 'Cai');
+    assertEqual(`${third.teams.A}|${third.teams.B}`, 'Ana,Cai|Bea', 'New players balance the teams');
+    assertEqual(startLobbyGame(created.roomCode, 'tm-1'), null, 'Needs both teams full');
+
+    setLobbyTeam('tm-3', 'B');
+    const last = joinLobby('tm-4', created.roomCode, 'Dani');
+    assertEqual(`${last.teams.A}|${last.teams.B}`, 'Ana,Dani|Bea,Cai', 'Switching team frees a seat');
+    assertEqual(getLobbyBySocketId('tm-1').status, 'ready', 'Ready with both teams full');
+
+    let threw = false;
+    try {
+        setLobbyTeam('tm-4', 'B');
+    } catch (error) {
+        threw = error.message.includes('completo');
+    }
+    assertTrue(threw, 'Cannot join a full team');
+
+    threw = false;
+    try {
+        createLobby('tm-d', 'Draft', 'easy', null, null, 'classic', false, true, 90, 2, 'ranked', true);
+    } catch (error) {
+        threw = error.message.includes('equipos');
+    }
+    assertTrue(threw, 'Team mode is not combined with the draft');
+
+    leaveLobby('tm-1');
+});
+
+test('Equipos: cuenta la mejor respuesta y el HP es del equipo', () => {
+    const created = createLobby('tq-1', 'Ana', 'easy', null, null, 'classic', false, false, 90, 2, 'ranked', true);
+    joinLobby('tq-2', created.roomCode, 'Bea');
+    joinLobby('tq-3', created.roomCode, 'Cai');
+    setLobbyTeam('tq-3', 'B');
+    joinLobby('tq-4', created.roomCode, 'Dani');
+    const lobby = getLobbyBySocketId('tq-1');
+    startLobbyGame(created.roomCode, 'tq-1');
+
+    const game = initializeGame(created.roomCode, lobby);
+    const [ana, bea, cai, dani] = game.players;
+    assertTrue(game.teamMode && !game.freeForAll, 'Team game, not free-for-all');
+    assertEqual(ana.hp, DIFFICULTY_CONFIG.easy.playerHp * 2, 'Team HP pool');
+    Object.assign(game, { roundType: 'target', target: 10, sharedCards: [1, 2, 3, 4], equation: null, mystery: null });
+
+    const state = getGameState(created.roomCode, 'tq-3');
+    assertEqual(state.myTeam, 'B', 'Own team');
+    assertEqual(state.teams.map(team => team.members.join()).join('|'), 'Ana,Dani|Bea,Cai', 'Team list');
+    assertTrue(['Ana', 'Dani'].includes(state.opponentName), 'Spells aim at the rival team');
+
+    submitPlayerExpression(created.roomCode, 'tq-1', '1+2+3');
+    submitPlayerExpression(created.roomCode, 'tq-4', '1+2+3+4');
+    submitPlayerExpression(created.roomCode, 'tq-2', '2+3+4');
+    submitPlayerExpression(created.roomCode, 'tq-3', '');
+
+    const result = resolveRound(created.roomCode);
+    assertEqual(result.roundWinner, 'Equipo Azul', 'Closest team wins');
+    assertEqual(result.players.filter(entry => entry.counted).map(entry => entry.name).join(), 'Dani,Bea', 'Best answer of each team counts');
+    const daniEntry = result.players.find(entry => entry.name === 'Dani');
+    assertEqual(result.teams[1].damageTaken, daniEntry.attackDamage, 'Rival team takes the best attack');
+    assertEqual(bea.hp, ana.hp - daniEntry.attackDamage, 'Team pool goes down');
+    assertEqual(cai.hp, bea.hp, 'Teammates share HP');
+
+    startNextRound(created.roomCode);
+    Object.assign(game, { roundType: 'target', target: 10, sharedCards: [1, 2, 3, 4], equation: null, mystery: null });
+    cai.spells = ['heal'];
+    castPlayerSpell(created.roomCode, 'tq-3', 'heal');
+    assertEqual(bea.hp, cai.hp, 'Healing heals the team');
+
+    const forfeit = forfeitPlayer(created.roomCode, 'tq-3');
+    assertTrue(!forfeit.gameOver, 'The teammate keeps playing');
+
+    bea.hp = 1;
+    cai.hp = 1;
+    submitPlayerExpression(created.roomCode, 'tq-1', '1+2+3+4');
+    submitPlayerExpression(created.roomCode, 'tq-4', '');
+    assertTrue(!checkBothPlayersReady(created.roomCode), 'Waits for the rest of the team');
+    submitPlayerExpression(created.roomCode, 'tq-2', '');
+
+    const final = resolveRound(created.roomCode);
+    assertTrue(final.gameOver && final.winner === 'Equipo Azul' && final.winningTeam === 'A', 'Team wins when the rival pool is empty');
+    assertEqual(dani.hp, ana.hp, 'Winning team keeps its pool');
+
+    cleanupGame(created.roomCode);
+    leaveLobby('tq-1');
+});
+
 // ============================================
 // RESULTS
 // ============================================
@@ -0,0 +1,337 @@
+/**
+ * @file shared/customDifficulty.js
+ * @description Dificultades personalizadas ("Personalizado" / reglas de la casa).
+ *
+ * Una dificultad personalizada es un objeto con la misma forma que los presets de
+ * DIFFICULTY_CONFIG. Como `getDifficultyConfig` acepta objetos, la configuración se
+ * pasa tal cual donde antes iba la clave ('medium'): PvP local, Demo y servidor.
+ *
+ * Principales responsabilidades:
+ * 1. Crear borradores a partir de un preset (`createCustomDifficulty`).
+ * 2. Normalizar cualquier entrada (editor, localStorage o socket) a un objeto limpio.
+ * 3. Validar límites y rechazar rangos de target que el solver no alcanza con casi ninguna mano.
+ */
+
+import { DIFFICULTY_CONFIG, ADVANCED_OPERATORS, TARGET_BANDS, VARIABLE_SYMBOLS, getReachableTargets } from './gameLogic.js';
+
+// ============================================
+// Constantes
+// ============================================
+
+/** Valor de `difficulty` que envía el cliente en `lobby:create` junto a `customConfig`. */
+export const CUSTOM_DIFFICULTY_KEY = 'custom';
+
+/** Límites del editor. La búsqueda de targets crece muy rápido con el número de cartas. */
+export const CUSTOM_LIMITS = {
+    cardValue: { min: 1, max: 50 },
+    cardCount: { min: 2, max: 5 },
+    targetValue: { min: -999, max: 999 },
+    variableValue: { min: 1, max: 20 },
+    /** Cartas + variables */
+    maxNumbers: 5,
+    /** Cartas + variables con operadores avanzados o fracciones exactas */
+    maxNumbersAdvanced: 4,
+    maxTargetDenominator: { min: 2, max: 12 },
+    damageThreshold: { min: 0, max: 100 },
+    playerHp: { min: 50, max: 1000 },
+    streakBonus: { min: 0, max: 200 },
+    streakLength: { min: 1, max: 20 },
+    nameLength: 24
+};
+
+/** Operadores que ofrece el editor, en el orden en que se muestran. */
+export const CUSTOM_OPERATORS = ['+', '-', '*', '/', '^', '√', 'mod', '!'];
+
+/** Símbolo visual de cada operador (como `operatorSymbols` en los presets). */
+export const OPERATOR_SYMBOLS = {
+    '+': '+', '-': '−', '*': '×', '/': '÷', '^': '^', '√': '√', 'mod': 'mod', '!': '!'
+};
+
+/** Variables que se pueden activar en una dificultad personalizada (el límite lo pone `maxNumbers`). */
+export const CUSTOM_VARIABLES = VARIABLE_SYMBOLS;
+
+const CUSTOM_EMOJI = '✏️';
+const CUSTOM_COLOR = '#FF375F';
+
+/** Aspecto de los tiers de racha; el editor solo cambia desde qué racha empiezan y su bonus. */
+const STREAK_TIER_STYLES = [
+    { name: '', emoji: '', color: 'transparent' },
+    { name: 'Racha', emoji: '✨', color: '#FF9F0A' },
+    { name: 'Gran Racha', emoji: '✨✨', color: '#FF6B35' },
+    { name: 'Imparable', emoji: '✨✨✨', color: '#FF453A' },
+    { name: 'LEYENDA', emoji: '👑', color: '#FFD60A' }
+];
+
+/** Manos de prueba para comprobar que el rango de targets es alcanzable. */
+const REACHABILITY_SAMPLES = 12;
+
+/** Proporción mínima de manos de prueba que deben poder alcanzar el rango. */
+const MIN_REACHABLE_RATIO = 0.5;
+
+// ============================================
+// Creación y normalización
+// ============================================
+
+function createId() {
+    return `custom-${Date.now().toString(36)}${Math.floor(Math.random() * 1296).toString(36)}`;
+}
+
+/** Entero o NaN (NaN hace fallar la validación con un mensaje claro). */
+function toInteger(value) {
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.round(number) : NaN;
+}
+
+function toNumber(value) {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : NaN;
+}
+
+/**
+ * Crea un borrador de dificultad personalizada copiando un preset.
+ *
+ * @param {string} [baseKey='medium'] - Preset de partida
+ * @returns {Object} Configuración completa, lista para editar
+ */
+export function createCustomDifficulty(baseKey = 'medium') {
+    const base = DIFFICULTY_CONFIG[baseKey] || DIFFICULTY_CONFIG.medium;
+
+    return normalizeCustomDifficulty({
+        ...base,
+        id: createId(),
+        name: `${base.name} (casa)`,
+        damageThresholds: base.damageThresholds || { close: 5, far: 10 }
+    });
+}
+
+/**
+ * Convierte cualquier entrada en una configuración con la forma de los presets.
+ * Solo copia campos conocidos: lo que llega de localStorage o de un socket
+ * nunca se usa tal cual.
+ *
+ * @param {Object} raw - Configuración (posiblemente incompleta o manipulada)
+ * @returns {Object} Configuración normalizada (puede no ser válida: ver validateCustomDifficulty)
+ */
+export function normalizeCustomDifficulty(raw = {}) {
+    const source = raw && typeof raw === 'object' ? raw : {};
+
+    const operators = CUSTOM_OPERATORS.filter(op => Array.isArray(source.operators) && source.operators.includes(op));
+    const rawVariables = source.variableConfig || {};
+    const variables = CUSTOM_VARIABLES.filter(symbol =>
+        Array.isArray(rawVariables.variables) && rawVariables.variables.includes(symbol)
+    );
+    const variablesEnabled = Boolean(rawVariables.enabled) && variables.length > 0;
+    const exactArithmetic = Boolean(source.exactArithmetic);
+
+    const targetRange = {
+        min: toInteger(source.targetRange?.min),
+        max: toInteger(source.targetRange?.max)
+    };
+    const cardRange = {
+        min: toInteger(source.cardRange?.min),
+        max: toInteger(source.cardRange?.max)
+    };
+
+    const name = String(source.name ?? '').trim().slice(0, CUSTOM_LIMITS.nameLength) || 'Personalizado';
+
+    const config = {
+        id: String(source.id || createId()).slice(0, 40),
+        custom: true,
+        name,
+        emoji: CUSTOM_EMOJI,
+        description: `Reglas de la casa: cartas ${cardRange.min}-${cardRange.max}, target ${targetRange.min} a ${targetRange.max}.`,
+        color: CUSTOM_COLOR,
+        cardRange,
+        cardCount: toInteger(source.cardCount),
+        targetRange,
+        targetBand: Object.prototype.hasOwnProperty.call(TARGET_BANDS, source.targetBand) ? source.targetBand : 'medium',
+        allowNegativeTargets: targetRange.min < 0,
+        operators,
+        operatorSymbols: operators.map(op => OPERATOR_SYMBOLS[op]),
+        allowParentheses: Boolean(source.allowParentheses),
+        variableConfig: {
+            enabled: variablesEnabled,
+            variables: variablesEnabled ? variables : [],
+            range: variablesEnabled
+                ? { min: toInteger(rawVariables.range?.min), max: toInteger(rawVariables.range?.max) }
+                : { min: 0, max: 0 },
+            bonusMultiplier: variablesEnabled ? 1.10 : 1.0
+        },
+        exactArithmetic,
+        damageThresholds: {
+            close: toNumber(source.damageThresholds?.close),
+            far: toNumber(source.damageThresholds?.far)
+        },
+        playerHp: toInteger(source.playerHp),
+        streakConfig: normalizeStreakConfig(source.streakConfig)
+    };
+
+    if (exactArithmetic) {
+        config.maxTargetDenominator = toInteger(source.maxTargetDenominator ?? 6);
+    }
+
+    return config;
+}
+
+/**
+ * Tiers de racha: el primero siempre es "sin racha"; el resto toma `minStreak` y `bonus`
+ * de la entrada y el aspecto (nombre, emoji, color) de STREAK_TIER_STYLES.
+ */
+function normalizeStreakConfig(rawTiers) {
+    const tiers = Array.isArray(rawTiers) ? rawTiers : [];
+
+    return STREAK_TIER_STYLES.map((style, index) => {
+        if (index === 0) {
+            return { minStreak: 0, ...style, bonus: 0, intensity: 0 };
+        }
+        const tier = tiers[index] || {};
+        return {
+            minStreak: toInteger(tier.minStreak ?? index + 1),
+            name: style.name,
+            emoji: style.emoji,
+            bonus: toInteger(tier.bonus ?? 0),
+            intensity: index,
+            color: style.color
+        };
+    });
+}
+
+// ============================================
+// Validación
+// ============================================
+
+/**
+ * Genera manos de prueba deterministas: la misma configuración siempre da el mismo veredicto.
+ */
+function createSampleRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+        return state / 2 ** 32;
+    };
+}
+
+/**
+ * Proporción de manos de prueba con al menos un target alcanzable dentro del rango.
+ *
+ * @param {Object} config - Configuración normalizada y estructuralmente válida
+ * @param {number} [samples] - Número de manos a probar
+ * @returns {number} Valor entre 0 y 1
+ */
+export function estimateTargetReachability(config, samples = REACHABILITY_SAMPLES) {
+    const random = createSampleRandom(20240521);
+    const pick = ({ min, max }) => min + Math.floor(random() * (max - min + 1));
+    let reachable = 0;
+
+    for (let i = 0; i < samples; i++) {
+        const cards = Array.from({ length: config.cardCount }, () => pick(config.cardRange));
+        const variableValues = {};
+        if (config.variableConfig.enabled) {
+            for (const symbol of config.variableConfig.variables) {
+                variableValues[symbol] = pick(config.variableConfig.range);
+            }
+        }
+
+        if (getReachableTargets(config, cards, variableValues).length > 0) reachable++;
+    }
+
+    return reachable / samples;
+}
+
+/**
+ * Valida una dificultad personalizada.
+ *
+ * @param {Object} raw - Configuración a validar (se normaliza primero)
+ * @param {Object} [options]
+ * @param {boolean} [options.checkReachability=true] - Comprobar con manos de prueba que el
+ *   rango de targets es alcanzable (la parte costosa; se omite al leer de localStorage)
+ * @returns {{valid: boolean, errors: Array<{field: string, message: string}>, config: Object}}
+ */
+export function validateCustomDifficulty(raw, { checkReachability = true } = {}) {
+    const config = normalizeCustomDifficulty(raw);
+    const errors = [];
+    const fail = (field, message) => errors.push({ field, message });
+
+    const inLimits = (value, { min, max }) => Number.isInteger(value) && value >= min && value <= max;
+    const checkRange = (field, label, range, limits) => {
+        if (!inLimits(range.min, limits) || !inLimits(range.max, limits)) {
+            fail(field, `${label}: usa enteros entre ${limits.min} y ${limits.max}`);
+        } else if (range.min > range.max) {
+            fail(field, `${label}: el mínimo no puede ser mayor que el máximo`);
+        }
+    };
+
+    checkRange('cardRange', 'Cartas', config.cardRange, CUSTOM_LIMITS.cardValue);
+    checkRange('targetRange', 'Target', config.targetRange, CUSTOM_LIMITS.targetValue);
+
+    if (!inLimits(config.cardCount, CUSTOM_LIMITS.cardCount)) {
+        fail('cardCount', `Número de cartas: entre ${CUSTOM_LIMITS.cardCount.min} y ${CUSTOM_LIMITS.cardCount.max}`);
+    }
+
+    const binaryOperators = config.operators.filter(op => !['√', '!'].includes(op));
+    if (binaryOperators.length === 0) {
+        fail('operators', 'Elige al menos un operador que combine dos cartas (+, −, ×, ÷, ^ o mod)');
+    }
+
+    const usesAdvanced = config.operators.some(op => ADVANCED_OPERATORS.includes(op));
+    if (config.exactArithmetic && usesAdvanced) {
+        fail('exactArithmetic', 'Las fracciones exactas no se combinan con ^, √, mod ni !');
+    }
+    if (config.exactArithmetic && !inLimits(config.maxTargetDenominator, CUSTOM_LIMITS.maxTargetDenominator)) {
+        const { min, max } = CUSTOM_LIMITS.maxTargetDenominator;
+        fail('maxTargetDenominator', `Denominador máximo: entre ${min} y ${max}`);
+    }
+
+    if (config.variableConfig.enabled) {
+        checkRange('variableConfig', 'Variables', config.variableConfig.range, CUSTOM_LIMITS.variableValue);
+    }
+
+    const totalNumbers = config.cardCount + config.variableConfig.variables.length;
+    const maxNumbers = usesAdvanced || config.exactArithmetic
+        ? CUSTOM_LIMITS.maxNumbersAdvanced
+        : CUSTOM_LIMITS.maxNumbers;
+    if (totalNumbers > maxNumbers) {
+        fail('cardCount', `Demasiadas cartas: con estas reglas el máximo es ${maxNumbers} entre cartas y variables`);
+    }
+
+    const { close, far } = config.damageThresholds;
+    const thresholdLimits = CUSTOM_LIMITS.damageThreshold;
+    if (!(close > thresholdLimits.min && far <= thresholdLimits.max && close <= far)) {
+        fail('damageThresholds', `Precisión: 0 < cerca ≤ lejos ≤ ${thresholdLimits.max}`);
+    }
+
+    if (!inLimits(config.playerHp, CUSTOM_LIMITS.playerHp)) {
+        fail('playerHp', `HP inicial: entre ${CUSTOM_LIMITS.playerHp.min} y ${CUSTOM_LIMITS.playerHp.max}`);
+    }
+
+    const tiers = config.streakConfig.slice(1);
+    const streaksValid = tiers.every((tier, i) =>
+        inLimits(tier.minStreak, CUSTOM_LIMITS.streakLength) &&
+        inLimits(tier.bonus, CUSTOM_LIMITS.streakBonus) &&
+        (i === 0 || (tier.minStreak > tiers[i - 1].minStreak && tier.bonus >= tiers[i - 1].bonus))
+    );
+    if (!streaksValid) {
+        fail('streakConfig', 'Rachas: cada nivel empieza en una racha mayor que el anterior y no da menos bonus');
+    }
+
+    // Solo tiene sentido buscar targets si la estructura es válida
+    if (checkReachability && errors.length === 0) {
+        const ratio = estimateTargetReachability(config);
+        const { min, max } = config.targetRange;
+
+        if (ratio === 0) {
+            fail('targetRange', `Ninguna mano puede llegar a un target entre ${min} y ${max}: amplía el rango o cambia cartas y operadores`);
+        } else if (ratio < MIN_REACHABLE_RATIO) {
+            fail('targetRange', `El rango ${min} a ${max} solo es alcanzable en el ${Math.round(ratio * 100)}% de las manos de prueba (mínimo ${MIN_REACHABLE_RATIO * 100}%)`);
+        }
+    }
+
+    return { valid: errors.length === 0, errors, config };
+}
+
+/**
+ * ¿Es una dificultad personalizada (objeto) y no la clave de un preset?
+ */
+export function isCustomDifficulty(difficulty) {
+    return Boolean(difficulty && typeof difficulty === 'object' && difficulty.custom);
+}
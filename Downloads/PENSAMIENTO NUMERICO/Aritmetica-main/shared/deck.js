@@ -0,0 +1,229 @@
+/**
+ * @file shared/deck.js
+ * @description Modo mazo: mano persistente, mazo finito y economía de descartes.
+ *
+ * En el modo normal cada turno (o ronda) se reparte una mano nueva. En el modo mazo
+ * cada jugador tiene su propio mazo: las cartas que no usa se quedan en la mano, las
+ * jugadas van al descarte y al empezar el turno roba hasta completar la mano.
+ * Cuando el mazo se agota, el descarte se baraja y pasa a ser el mazo nuevo.
+ *
+ * Entre turnos se puede pagar por cambiar la mano:
+ * - Descartar una carta (y robar otra) cuesta HP.
+ * - Mulligan (devolver la mano entera al mazo y robar otra) cuesta la racha,
+ *   o HP si no hay racha que perder.
+ *
+ * Lo usan el PvP local (App.jsx) y el servidor (gameManager.js). Igual que en
+ * shared/spells.js, las funciones nunca modifican lo que reciben: devuelven copias.
+ *
+ * @typedef {Object} DeckState
+ * @property {number[]} drawPile - Cartas por robar (se roba del final)
+ * @property {number[]} discardPile - Cartas jugadas o descartadas
+ */
+
+import { createRandom, shuffle } from './random.js';
+import { getDifficultyConfig } from './gameLogic.js';
+import { compareValues } from './rational.js';
+
+// ============================================
+// Constantes
+// ============================================
+
+/** Copias de cada valor del rango de cartas de la dificultad. */
+export const DECK_COPIES = 3;
+
+/**
+ * Acciones de mazo y su coste (ver `getDeckActionCost`).
+ * `costsStreak`: se paga con la racha; `hpCost`: HP que cuesta (si hay racha y
+ * `costsStreak`, se paga solo con la racha).
+ */
+export const DECK_ACTIONS = {
+    discard: { name: 'Descartar', emoji: '🗑️', description: 'Cambia una carta por otra del mazo', hpCost: 5, costsStreak: false },
+    mulligan: { name: 'Mulligan', emoji: '🔄', description: 'Devuelve la mano al mazo y roba una nueva', hpCost: 10, costsStreak: true }
+};
+
+// ============================================
+// Mazo
+// ============================================
+
+/**
+ * PRNG de los mazos, derivado de la semilla de la partida (aparte del de las cartas,
+ * así activar el modo mazo no cambia los targets y ecuaciones que reparte la semilla).
+ *
+ * @param {string} seed - Código de semilla de la partida
+ * @returns {() => number}
+ */
+export function createDeckRandom(seed) {
+    return createRandom(`${seed}:mazo`);
+}
+
+/**
+ * Mazo barajado de un jugador: DECK_COPIES copias de cada valor del rango de cartas.
+ *
+ * @param {string|Object} difficulty - Clave de dificultad o configuración personalizada
+ * @param {() => number} [random=Math.random] - PRNG de los mazos (ver `createDeckRandom`)
+ * @returns {DeckState}
+ */
+export function createDeck(difficulty = 'medium', random = Math.random) {
+    const { min, max } = getDifficultyConfig(difficulty).cardRange;
+    const cards = [];
+    for (let value = min; value <= max; value++) {
+        for (let copy = 0; copy < DECK_COPIES; copy++) cards.push(value);
+    }
+    return { drawPile: shuffle(random, cards), discardPile: [] };
+}
+
+/**
+ * Tamaño de la mano en el modo mazo (las cartas numéricas de la dificultad).
+ *
+ * @param {string|Object} difficulty
+ * @returns {number}
+ */
+export function getHandSize(difficulty = 'medium') {
+    return getDifficultyConfig(difficulty).cardCount || 4;
+}
+
+/**
+ * Roba hasta completar la mano. Si el mazo se agota, baraja el descarte como mazo nuevo.
+ *
+ * @param {number[]} hand - Mano actual
+ * @param {DeckState} deck
+ * @param {number} handSize - Tamaño de la mano
+ * @param {() => number} [random=Math.random] - PRNG de los mazos
+ * @returns {{ hand: number[], deck: DeckState, reshuffled: boolean }}
+ */
+export function drawCards(hand, deck, handSize, random = Math.random) {
+    const nextHand = [...hand];
+    let drawPile = [...deck.drawPile];
+    let discardPile = [...deck.discardPile];
+    let reshuffled = false;
+
+    while (nextHand.length < handSize) {
+        if (drawPile.length === 0) {
+            if (discardPile.length === 0) break;
+            drawPile = shuffle(random, discardPile);
+            discardPile = [];
+            reshuffled = true;
+        }
+        nextHand.push(drawPile.pop());
+    }
+
+    return { hand: nextHand, deck: { drawPile, discardPile }, reshuffled };
+}
+
+/**
+ * Pasa cartas de la mano al descarte por su valor (las cartas jugadas en una
+ * expresión, o la que quita Congelar). Los valores que no están en la mano se ignoran.
+ *
+ * @param {number[]} hand
+ * @param {DeckState} deck
+ * @param {number[]} values - Valores a descartar (con repetición, ej: [3, 3])
+ * @returns {{ hand: number[], deck: DeckState }}
+ */
+export function playCards(hand, deck, values) {
+    const nextHand = [...hand];
+    const played = [];
+
+    for (const value of values) {
+        const index = nextHand.findIndex(card => compareValues(card, value) === 0);
+        if (index === -1) continue;
+        played.push(...nextHand.splice(index, 1));
+    }
+
+    return { hand: nextHand, deck: { ...deck, discardPile: [...deck.discardPile, ...played] } };
+}
+
+// ============================================
+// Descartes y mulligan
+// ============================================
+
+/**
+ * Lo que cuesta una acción de mazo con la racha actual.
+ *
+ * @param {'discard'|'mulligan'} action - Clave de DECK_ACTIONS
+ * @param {number} streak - Racha actual
+ * @returns {{ hp: number, streak: boolean, label: string }} `label` para los botones, ej: "5 HP" o "racha x3"
+ */
+export function getDeckActionCost(action, streak = 0) {
+    const { hpCost, costsStreak } = DECK_ACTIONS[action];
+    if (costsStreak && streak > 0) return { hp: 0, streak: true, label: `racha x${streak}` };
+    return { hp: hpCost, streak: false, label: `${hpCost} HP` };
+}
+
+/**
+ * Descarta o hace mulligan pagando su coste (ver `getDeckActionCost`).
+ * No se puede pagar con el último HP: el coste tiene que dejar al jugador vivo.
+ *
+ * @param {Object} params
+ * @param {'discard'|'mulligan'} params.action
+ * @param {number[]} params.hand - Mano actual
+ * @param {DeckState} params.deck
+ * @param {number} params.hp - HP actual de quien paga
+ * @param {number} params.streak - Racha actual de quien paga
+ * @param {number} [params.index] - Carta a descartar (solo `discard`)
+ * @param {() => number} [params.random=Math.random] - PRNG de los mazos
+ * @returns {{ success: boolean, error?: string, code?: string, hand?: number[], deck?: DeckState, hp?: number, streak?: number, discarded?: number[] }}
+ */
+export function performDeckAction({ action, hand, deck, hp, streak, index, random = Math.random }) {
+    if (!Object.prototype.hasOwnProperty.call(DECK_ACTIONS, action)) {
+        return { success: false, error: 'Acción de mazo desconocida', code: 'UNKNOWN_DECK_ACTION' };
+    }
+
+    const cost = getDeckActionCost(action, streak);
+    if (cost.hp > 0 && hp <= cost.hp) {
+        return { success: false, error: `No tienes HP suficiente (${cost.label})`, code: 'NOT_ENOUGH_HP' };
+    }
+
+    let discarded;
+    let nextDeck;
+    if (action === 'discard') {
+        if (!Number.isInteger(index) || index < 0 || index >= hand.length) {
+            return { success: false, error: 'Esa carta no está en tu mano', code: 'CARD_NOT_IN_HAND' };
+        }
+        discarded = [hand[index]];
+        nextDeck = { ...deck, discardPile: [...deck.discardPile, hand[index]] };
+    } else {
+        if (hand.length === 0) {
+            return { success: false, error: 'No tienes cartas en la mano', code: 'NO_CARDS' };
+        }
+        // Mulligan: la mano vuelve al mazo y se baraja con él
+        discarded = [...hand];
+        nextDeck = { ...deck, drawPile: shuffle(random, [...deck.drawPile, ...hand]) };
+    }
+
+    const kept = action === 'discard' ? hand.filter((_, i) => i !== index) : [];
+    const drawn = drawCards(kept, nextDeck, hand.length, random);
+
+    return {
+        success: true,
+        hand: drawn.hand,
+        deck: drawn.deck,
+        hp: hp - cost.hp,
+        streak: cost.streak ? 0 : streak,
+        discarded
+    };
+}
+
+// ============================================
+// Targets con dos manos
+// ============================================
+
+/**
+ * En multijugador el target es el mismo para los dos, pero en el modo mazo cada
+ * uno tiene su mano: se prefieren los targets alcanzables con las dos (con el rating
+ * de la primera). Si no hay ninguno en común, vale cualquiera de las dos manos.
+ *
+ * @param {{candidates: Array, fallback: *}} first - `rateCandidateTargets` de una mano
+ * @param {{candidates: Array, fallback: *}} second - `rateCandidateTargets` de la otra
+ * @returns {{candidates: Array, fallback: *}} Entrada para `pickRatedTarget`
+ */
+export function intersectRatedTargets(first, second) {
+    const shared = first.candidates.filter(({ value }) =>
+        second.candidates.some(other => compareValues(other.value, value) === 0)
+    );
+    if (shared.length > 0) return { candidates: shared, fallback: null };
+
+    return {
+        candidates: [...first.candidates, ...second.candidates],
+        fallback: first.fallback ?? second.fallback
+    };
+}
@@ -0,0 +1,165 @@
+/**
+ * @file shared/draft.js
+ * @description Modo draft: antes de cada ronda los jugadores eligen sus cartas de un pool.
+ *
+ * El servidor revela el target y un pool de cartas (la mano con la que se generó el
+ * target más unas cuantas extra, barajadas). Los jugadores eligen por turnos en orden
+ * serpiente (A, B, B, A, A, B, ...) hasta completar cada uno su mano, con un tiempo
+ * límite por elección: si se acaba, se elige por él la carta más alta que quede.
+ * Después cada uno resuelve el target con su propia mano.
+ *
+ * Igual que shared/deck.js, las funciones nunca modifican lo que reciben: devuelven copias.
+ *
+ * @typedef {Object} DraftState
+ * @property {Array<{value: number, pickedBy: string|null}>} pool - Cartas reveladas y quién se llevó cada una
+ * @property {string[]} order - Quién elige en cada turno, ej: ['player1', 'player2', 'player2', 'player1']
+ * @property {number} pick - Turno actual dentro de `order` (igual a `order.length` al terminar)
+ */
+
+import { createRandom, randomInt, shuffle } from './random.js';
+import { getDifficultyConfig } from './gameLogic.js';
+
+// ============================================
+// Constantes
+// ============================================
+
+/** Tiempo para cada elección antes de que se elija automáticamente. */
+export const DRAFT_PICK_MS = 10000;
+
+/** Cartas del pool que sobran al terminar (así la última elección también es una elección). */
+export const DRAFT_EXTRA_CARDS = 2;
+
+// ============================================
+// Pool y orden
+// ============================================
+
+/**
+ * PRNG del draft, derivado de la semilla de la partida (aparte del de las cartas,
+ * así activar el draft no cambia los targets que reparte la semilla).
+ *
+ * @param {string} seed - Código de semilla de la partida
+ * @returns {() => number}
+ */
+export function createDraftRandom(seed) {
+    return createRandom(`${seed}:draft`);
+}
+
+/**
+ * Orden serpiente de elección: A, B, B, A, A, B, ... hasta `picksPerPlayer` cada uno.
+ *
+ * @param {number} picksPerPlayer
+ * @param {string} first - Quien elige primero
+ * @param {string} second - Quien elige segundo
+ * @returns {string[]}
+ */
+export function getSnakeOrder(picksPerPlayer, first, second) {
+    const order = [];
+    for (let pair = 0; pair < picksPerPlayer; pair++) {
+        order.push(...(pair % 2 === 0 ? [first, second] : [second, first]));
+    }
+    return order;
+}
+
+/**
+ * Empieza un draft: el pool son las cartas de la ronda (con las que se generó el
+ * target, así siempre hay una forma de llegar) más cartas extra del rango de la
+ * dificultad, barajadas. Cada jugador elige tantas cartas como tiene la mano normal.
+ *
+ * @param {Object} params
+ * @param {number[]} params.cards - Cartas repartidas para la ronda
+ * @param {string|Object} params.difficulty - Clave de dificultad o configuración personalizada
+ * @param {string} params.first - Quien elige primero
+ * @param {string} params.second - Quien elige segundo
+ * @param {() => number} [params.random=Math.random] - PRNG del draft (ver `createDraftRandom`)
+ * @returns {DraftState}
+ */
+export function createDraft({ cards, difficulty, first, second, random = Math.random }) {
+    const { min, max } = getDifficultyConfig(difficulty).cardRange;
+    const extraCount = cards.length + DRAFT_EXTRA_CARDS;
+    const extra = Array.from({ length: extraCount }, () => randomInt(random, min, max));
+
+    return {
+        pool: shuffle(random, [...cards, ...extra]).map(value => ({ value, pickedBy: null })),
+        order: getSnakeOrder(cards.length, first, second),
+        pick: 0
+    };
+}
+
+// ============================================
+// Elecciones
+// ============================================
+
+/**
+ * Quién elige ahora, o null si el draft terminó.
+ *
+ * @param {DraftState} draft
+ * @returns {string|null}
+ */
+export function getCurrentPicker(draft) {
+    return draft.order[draft.pick] ?? null;
+}
+
+/**
+ * Si ya se hicieron todas las elecciones.
+ *
+ * @param {DraftState} draft
+ * @returns {boolean}
+ */
+export function isDraftComplete(draft) {
+    return draft.pick >= draft.order.length;
+}
+
+/**
+ * Elige una carta del pool.
+ *
+ * @param {DraftState} draft
+ * @param {string} picker - Quien elige (tiene que ser su turno)
+ * @param {number} index - Posición de la carta en el pool
+ * @returns {{ success: boolean, error?: string, code?: string, draft?: DraftState, value?: number }}
+ */
+export function pickDraftCard(draft, picker, index) {
+    if (isDraftComplete(draft)) {
+        return { success: false, error: 'El draft ya terminó', code: 'DRAFT_FINISHED' };
+    }
+    if (getCurrentPicker(draft) !== picker) {
+        return { success: false, error: 'No es tu turno de elegir', code: 'NOT_YOUR_PICK' };
+    }
+    if (!Number.isInteger(index) || !draft.pool[index] || draft.pool[index].pickedBy !== null) {
+        return { success: false, error: 'Esa carta no está disponible', code: 'CARD_NOT_AVAILABLE' };
+    }
+
+    return {
+        success: true,
+        draft: {
+            ...draft,
+            pool: draft.pool.map((card, i) => (i === index ? { ...card, pickedBy: picker } : card)),
+            pick: draft.pick + 1
+        },
+        value: draft.pool[index].value
+    };
+}
+
+/**
+ * Carta que se elige cuando se acaba el tiempo: la más alta que quede.
+ *
+ * @param {DraftState} draft
+ * @returns {number} Posición en el pool, o -1 si no queda ninguna
+ */
+export function getAutoPickIndex(draft) {
+    let index = -1;
+    draft.pool.forEach((card, i) => {
+        if (card.pickedBy === null && (index === -1 || card.value > draft.pool[index].value)) index = i;
+    });
+    return index;
+}
+
+/**
+ * Cartas que se llevó un jugador, en el orden del pool.
+ *
+ * @param {DraftState} draft
+ * @param {string} picker
+ * @returns {number[]}
+ */
+export function getDraftedHand(draft, picker) {
+    return draft.pool.filter(card => card.pickedBy === picker).map(card => card.value);
+}
@@ -0,0 +1,249 @@
+/**
+ * @file shared/equations.js
+ * @description Rondas "Despeja x": ecuaciones lineales con la incógnita oculta.
+ *
+ * En una ronda de ecuación no hay cartas ni target: el jugador recibe una ecuación
+ * como `3x + 4 = 19` y tiene que responder el valor de x. El daño depende de la
+ * complejidad (un paso, dos pasos, x en ambos lados) más el bonus de racha de la dificultad.
+ *
+ * Lo usan el PvP local (App.jsx), el servidor multijugador (gameManager.js) y el
+ * modo práctica (EquationRound.jsx): las tres partes generan y puntúan igual.
+ */
+
+import { evaluateExpression } from './expressionParser.js';
+import { getDifficultyConfig, calculateStreakBonus } from './gameLogic.js';
+import { randomInt, randomChoice } from './random.js';
+
+// ============================================
+// Modos de ronda
+// ============================================
+
+/**
+ * Cómo se reparten las rondas de una partida.
+ * Los modos `onlineOnly` necesitan que el servidor oculte datos, así que no salen en el PvP local.
+ */
+export const ROUND_MODES = {
+    classic: { name: 'Clásico', emoji: '🎯', description: 'Solo rondas de target' },
+    mixed: { name: 'Mixto', emoji: '🔀', description: 'Cada 3 rondas toca despejar x' },
+    equations: { name: 'Despeja x', emoji: '🔍', description: 'Todas las rondas son ecuaciones' },
+    mystery: { name: 'Incógnita', emoji: '🎭', description: 'x se revela al final: forma la expresión del target', onlineOnly: true }
+};
+
+/** En modo mixto, cada cuántas rondas hay una ecuación. */
+export const EQUATION_ROUND_INTERVAL = 3;
+
+/**
+ * Normaliza el modo de ronda recibido (menú o socket).
+ *
+ * @param {*} mode - Clave de ROUND_MODES; undefined/null = clásico
+ * @returns {string|null} La clave, o null si no es un modo válido
+ */
+export function normalizeRoundMode(mode) {
+    if (mode === undefined || mode === null || mode === '') return 'classic';
+    return Object.prototype.hasOwnProperty.call(ROUND_MODES, mode) ? mode : null;
+}
+
+/**
+ * Tipo de una ronda según el modo de la partida.
+ *
+ * @param {number} round - Número de ronda (empieza en 1)
+ * @param {string} [roundMode='classic'] - Clave de ROUND_MODES
+ * @returns {'target'|'equation'|'mystery'}
+ */
+export function getRoundType(round, roundMode = 'classic') {
+    if (roundMode === 'equations') return 'equation';
+    if (roundMode === 'mystery') return 'mystery';
+    if (roundMode === 'mixed' && round % EQUATION_ROUND_INTERVAL === 0) return 'equation';
+    return 'target';
+}
+
+// ============================================
+// Generación de ecuaciones
+// ============================================
+
+/** Incógnita de las ecuaciones. */
+export const EQUATION_VARIABLE = 'x';
+
+/**
+ * Tipos de ecuación, de menos a más complejo. `damage` es el daño base de un acierto.
+ */
+export const EQUATION_TYPES = {
+    oneStep: { name: 'Un paso', emoji: '1️⃣', damage: 25, example: 'x + 7 = 12' },
+    twoStep: { name: 'Dos pasos', emoji: '2️⃣', damage: 40, example: '3x + 4 = 19' },
+    bothSides: { name: 'x en ambos lados', emoji: '⚖️', damage: 55, example: '5x - 2 = 2x + 10' }
+};
+
+/** Longitud máxima de una respuesta (lo que llega por socket se limita). */
+const MAX_ANSWER_LENGTH = 32;
+
+/**
+ * Texto de `coef·x + constant` con signos y coeficientes limpios: "3x - 4", "x + 2", "-x".
+ * También lo usan las rondas de incógnita (shared/mystery.js) para mostrar el target.
+ *
+ * @param {number} coefficient - Coeficiente entero de la incógnita
+ * @param {number} constant - Término independiente entero
+ * @param {string} variable - Incógnita
+ * @returns {string}
+ */
+export function formatLinear(coefficient, constant, variable) {
+    let text = '';
+    if (coefficient === 1) text = variable;
+    else if (coefficient === -1) text = `-${variable}`;
+    else if (coefficient !== 0) text = `${coefficient}${variable}`;
+
+    if (constant === 0) return text || '0';
+    if (!text) return String(constant);
+    return constant > 0 ? `${text} + ${constant}` : `${text} - ${-constant}`;
+}
+
+/** Rango de la solución: negativas solo en dificultades con targets negativos. */
+function getSolutionRange(difficulty) {
+    return getDifficultyConfig(difficulty).allowNegativeTargets
+        ? { min: -9, max: 12 }
+        : { min: 1, max: 12 };
+}
+
+/** Cada generador devuelve los dos lados de la ecuación y su solución. */
+const EQUATION_GENERATORS = {
+    oneStep(random, range, v) {
+        const form = randomChoice(random, ['add', 'subtract', 'multiply', 'divide']);
+        const a = randomInt(random, 2, 9);
+
+        if (form === 'divide') {
+            // x / a = k con x múltiplo de a: la solución siempre es entera
+            const k = randomInt(random, range.min, range.max);
+            return { left: `${v} / ${a}`, right: String(k), solution: a * k };
+        }
+
+        const x = randomInt(random, range.min, range.max);
+        if (form === 'multiply') return { left: formatLinear(a, 0, v), right: String(a * x), solution: x };
+
+        const b = randomInt(random, 1, 20);
+        const constant = form === 'add' ? b : -b;
+        return { left: formatLinear(1, constant, v), right: String(x + constant), solution: x };
+    },
+
+    twoStep(random, range, v) {
+        const a = randomInt(random, 2, 9);
+        const b = randomInt(random, 1, 20) * randomChoice(random, [1, -1]);
+
+        if (random() < 0.25) {
+            const k = randomInt(random, range.min, range.max);
+            const left = b > 0 ? `${v} / ${a} + ${b}` : `${v} / ${a} - ${-b}`;
+            return { left, right: String(k + b), solution: a * k };
+        }
+
+        const x = randomInt(random, range.min, range.max);
+        return { left: formatLinear(a, b, v), right: String(a * x + b), solution: x };
+    },
+
+    bothSides(random, range, v) {
+        const c = randomInt(random, 1, 6);
+        const a = c + randomInt(random, 1, 5);
+        const b = randomInt(random, 1, 20) * randomChoice(random, [1, -1]);
+        const x = randomInt(random, range.min, range.max);
+        // ax + b = cx + d  →  d = (a - c)x + b
+        const d = (a - c) * x + b;
+        return { left: formatLinear(a, b, v), right: formatLinear(c, d, v), solution: x };
+    }
+};
+
+/**
+ * @typedef {Object} Equation
+ * @property {keyof EQUATION_TYPES} type - Complejidad
+ * @property {string} variable - Incógnita ('x')
+ * @property {string} left - Lado izquierdo, ej: "3x + 4"
+ * @property {string} right - Lado derecho, ej: "19"
+ * @property {string} equation - Ecuación completa, ej: "3x + 4 = 19"
+ * @property {number} solution - Valor de la incógnita (entero)
+ */
+
+/**
+ * Genera una ecuación lineal con solución entera.
+ *
+ * @param {() => number} [random=Math.random] - PRNG de la partida (ver shared/random.js)
+ * @param {Object} [options]
+ * @param {string|Object} [options.difficulty='medium'] - Dificultad (decide si hay soluciones negativas)
+ * @param {keyof EQUATION_TYPES} [options.type] - Tipo de ecuación (por defecto, uno al azar)
+ * @returns {Equation}
+ */
+export function generateEquation(random = Math.random, { difficulty = 'medium', type } = {}) {
+    const equationType = type || randomChoice(random, Object.keys(EQUATION_TYPES));
+    const { left, right, solution } = EQUATION_GENERATORS[equationType](random, getSolutionRange(difficulty), EQUATION_VARIABLE);
+
+    return {
+        type: equationType,
+        variable: EQUATION_VARIABLE,
+        left,
+        right,
+        equation: `${left} = ${right}`,
+        solution
+    };
+}
+
+/**
+ * La ecuación sin la solución: lo que se envía a los clientes durante la ronda.
+ *
+ * @param {Equation|null} equation
+ * @returns {Omit<Equation, 'solution'>|null}
+ */
+export function hideEquationSolution(equation) {
+    if (!equation) return null;
+    const { solution: _solution, ...visible } = equation;
+    return visible;
+}
+
+// ============================================
+// Respuestas y daño
+// ============================================
+
+/**
+ * Lee la respuesta de un jugador: un número ("5", "-3"), una cuenta ("15 / 3")
+ * o la forma "x = 5". Se evalúa con el parser compartido, nunca como código.
+ *
+ * @param {string} answer - Texto enviado
+ * @param {string} [variable='x'] - Incógnita de la ecuación
+ * @returns {number|null} El valor, o null si la respuesta no se entiende
+ */
+export function parseEquationAnswer(answer, variable = EQUATION_VARIABLE) {
+    if (typeof answer !== 'string' || answer.length > MAX_ANSWER_LENGTH) return null;
+
+    const parts = answer.split('=');
+    if (parts.length > 2 || (parts.length === 2 && parts[0].trim() !== variable)) return null;
+
+    const evaluation = evaluateExpression(parts[parts.length - 1]);
+    if (!evaluation.success || !Number.isFinite(evaluation.value)) return null;
+    return evaluation.value;
+}
+
+/**
+ * Puntúa la respuesta de una ronda de ecuación.
+ *
+ * Un acierto hace el daño del tipo de ecuación (EQUATION_TYPES) más el bonus de racha
+ * de la dificultad; un fallo no hace daño y rompe la racha, como un MISS normal.
+ *
+ * @param {Object} params
+ * @param {Equation} params.equation - Ecuación de la ronda (con solución)
+ * @param {string} params.answer - Respuesta del jugador
+ * @param {number} [params.streak=0] - Racha actual
+ * @param {string|Object} [params.difficulty='medium'] - Dificultad (tiers de racha)
+ * @returns {{value: number|null, correct: boolean, difference: number, accuracyType: 'perfect'|'miss', baseDamage: number, streakResult: Object, totalDamage: number}}
+ */
+export function scoreEquationAnswer({ equation, answer, streak = 0, difficulty = 'medium' }) {
+    const value = parseEquationAnswer(answer, equation.variable);
+    const difference = value === null ? Infinity : Math.abs(value - equation.solution);
+    const correct = difference < 1e-9;
+
+    const streakResult = calculateStreakBonus(streak, correct, difficulty);
+    const baseDamage = correct ? EQUATION_TYPES[equation.type].damage : 0;
+
+    return {
+        value,
+        correct,
+        difference: correct ? 0 : difference,
+        accuracyType: correct ? 'perfect' : 'miss',
+        baseDamage,
+        streakResult,
+        totalDamage: correct ? baseDamage + streakResult.bonus : 0
+    };
+}
@@ -0,0 +1,1041 @@
+/**
+ * @file shared/expressionParser.js
+ * @description Tokenizador, parser y evaluador seguro de expresiones aritméticas.
+ *
+ * Módulo compartido entre el cliente (React) y el servidor (Node). Sustituye
+ * cualquier uso de `eval`: la entrada del jugador nunca se ejecuta como JavaScript,
+ * se convierte en un AST tipado y se evalúa recorriendo sus nodos.
+ *
+ * Principales responsabilidades:
+ * 1. Tokenizar la expresión conservando la columna de cada token.
+ * 2. Construir el AST respetando precedencia y multiplicación implícita ("3x", "(2+1)x").
+ * 3. Evaluar el AST sustituyendo variables por sus valores (en decimal o en fracciones exactas).
+ * 4. Reportar errores estructurados: código, mensaje legible y columna.
+ * 5. Trazar la evaluación paso a paso (sustitución de variables y reducciones por precedencia).
+ *
+ * Gramática (descendente recursiva):
+ *   expresion := termino (('+' | '-') termino)*
+ *   termino   := signo (('*' | '/' | 'mod') signo | potencia)*         ← el segundo caso es implícito
+ *   signo     := '-' signo | potencia                                  ← negación: -(3+x), 2*-3
+ *   potencia  := raiz ('^' signo)?                                     ← asociativa a la derecha
+ *   raiz      := '√' raiz | postfijo
+ *   postfijo  := factor '!'*
+ *   factor    := numero | variable | '(' expresion ')'
+ *
+ * La negación se aplica después de la potencia, como en matemáticas: -2^2 = -(2^2) = -4.
+ *
+ * `^`, `√`, `mod` y `!` solo aparecen en la dificultad Experto; la validación de la mano
+ * (gameLogic) decide qué operadores están permitidos en cada dificultad.
+ */
+
+import * as Rational from './rational.js';
+
+// ============================================
+// Errores
+// ============================================
+
+/**
+ * Error de análisis o evaluación con posición en la expresión.
+ * Las funciones públicas lo capturan y devuelven su versión serializable.
+ */
+export class ExpressionError extends Error {
+    /**
+     * @param {string} code - Código estable del error (ej: 'UNEXPECTED_OPERATOR')
+     * @param {string} message - Mensaje legible para el jugador
+     * @param {number|null} column - Columna (1-indexada) donde ocurrió el error
+     */
+    constructor(code, message, column = null) {
+        super(message);
+        this.name = 'ExpressionError';
+        this.code = code;
+        this.column = column;
+    }
+
+    /** Versión plana del error, apta para enviarse por socket. */
+    toJSON() {
+        return { code: this.code, message: this.message, column: this.column };
+    }
+}
+
+// ============================================
+// Tokenizador
+// ============================================
+
+/** Alias visuales que se aceptan como operadores ASCII. */
+const OPERATOR_ALIASES = {
+    '+': '+',
+    '-': '-',
+    '−': '-',
+    '*': '*',
+    '×': '*',
+    '·': '*',
+    '/': '/',
+    '÷': '/',
+    '^': '^',
+    '√': '√',
+    '!': '!',
+    '%': 'mod',
+    'mod': 'mod'
+};
+
+/**
+ * Palabras reservadas que funcionan como operadores.
+ * No pueden usarse como nombre de variable.
+ */
+const KEYWORD_OPERATORS = ['mod'];
+
+/**
+ * Normaliza un símbolo de operador visual ("×", "−", ...) a su forma ASCII.
+ *
+ * @param {string} symbol - Símbolo tal como se muestra en la interfaz
+ * @returns {string|null} Operador ASCII, o null si no es un operador
+ */
+export function normalizeOperator(symbol) {
+    return OPERATOR_ALIASES[symbol] || null;
+}
+
+/**
+ * @typedef {Object} Token
+ * @property {'number'|'identifier'|'operator'|'openParen'|'closeParen'} type
+ * @property {string|number} value - Valor numérico, nombre o símbolo normalizado
+ * @property {number} column - Columna (1-indexada) donde empieza el token
+ */
+
+/**
+ * Convierte una expresión en una lista de tokens.
+ * Las letras consecutivas forman un único identificador: "xy" NO son dos variables,
+ * así un nombre nunca se mezcla con otro al sustituir.
+ *
+ * @param {string} source - Texto de la expresión
+ * @returns {Token[]} Tokens en orden
+ * @throws {ExpressionError} Si aparece un carácter no permitido
+ */
+export function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+        const char = source[i];
+        const column = i + 1;
+
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+
+        if (/[0-9.]/.test(char)) {
+            let end = i;
+            while (end < source.length && /[0-9.]/.test(source[end])) end++;
+            const text = source.slice(i, end);
+            if (!/^(\d+(\.\d+)?|\.\d+)$/.test(text)) {
+                throw new ExpressionError('INVALID_NUMBER', `Número mal formado "${text}" en la columna ${column}`, column);
+            }
+            tokens.push({ type: 'number', value: Number(text), column });
+            i = end;
+            continue;
+        }
+
+        if (/[a-zA-Z]/.test(char)) {
+            let end = i;
+            while (end < source.length && /[a-zA-Z]/.test(source[end])) end++;
+            const word = source.slice(i, end);
+            const type = KEYWORD_OPERATORS.includes(word) ? 'operator' : 'identifier';
+            tokens.push({ type, value: word, column });
+            i = end;
+            continue;
+        }
+
+        if (Object.prototype.hasOwnProperty.call(OPERATOR_ALIASES, char)) {
+            tokens.push({ type: 'operator', value: OPERATOR_ALIASES[char], column });
+            i++;
+            continue;
+        }
+
+        if (char === '(') {
+            tokens.push({ type: 'openParen', value: '(', column });
+            i++;
+            continue;
+        }
+
+        if (char === ')') {
+            tokens.push({ type: 'closeParen', value: ')', column });
+            i++;
+            continue;
+        }
+
+        throw new ExpressionError('INVALID_CHARACTER', `Carácter no permitido "${char}" en la columna ${column}`, column);
+    }
+
+    return tokens;
+}
+
+// ============================================
+// Parser
+// ============================================
+
+/**
+ * @typedef {Object} AstNode
+ * @property {'number'|'variable'|'binary'|'unary'|'group'} type
+ * @property {number} column - Columna donde empieza el nodo
+ * @property {number} [value] - Solo 'number'
+ * @property {string} [name] - Solo 'variable'
+ * @property {string} [operator] - 'binary': '+', '-', '*', '/', '^', 'mod' · 'unary': '-' (negación), '√', '!'
+ * @property {AstNode} [left] - Solo 'binary'
+ * @property {AstNode} [right] - Solo 'binary'
+ * @property {AstNode} [operand] - Solo 'unary'
+ * @property {boolean} [implicit] - Solo 'binary': multiplicación implícita ("3x")
+ * @property {AstNode} [expression] - Solo 'group': contenido del paréntesis
+ */
+
+const ADDITIVE_OPERATORS = ['+', '-'];
+const MULTIPLICATIVE_OPERATORS = ['*', '/', 'mod'];
+
+/**
+ * Límites de tamaño de la entrada. Acotan la recursión del parser y del evaluador:
+ * sin ellos "((((...))))" desborda la pila en vez de dar un error de expresión.
+ */
+export const EXPRESSION_LIMITS = {
+    /** Caracteres máximos de una expresión */
+    maxLength: 100,
+    /** Paréntesis anidados como máximo */
+    maxDepth: 10
+};
+
+/**
+ * Describe un token para los mensajes de error.
+ */
+function describeToken(token) {
+    switch (token.type) {
+        case 'operator': return 'Operador inesperado';
+        case 'number': return 'Número inesperado';
+        case 'identifier': return 'Variable inesperada';
+        case 'openParen': return 'Paréntesis de apertura inesperado';
+        case 'closeParen': return 'Paréntesis de cierre inesperado';
+        default: return 'Token inesperado';
+    }
+}
+
+function unexpectedToken(token) {
+    const code = token.type === 'operator' ? 'UNEXPECTED_OPERATOR' : 'UNEXPECTED_TOKEN';
+    return new ExpressionError(code, `${describeToken(token)} en la columna ${token.column}`, token.column);
+}
+
+/**
+ * Parser descendente recursivo sobre la lista de tokens.
+ */
+function createParser(tokens, sourceLength) {
+    let position = 0;
+    let depth = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+
+    const unexpectedEnd = () => new ExpressionError(
+        'UNEXPECTED_END',
+        `La expresión termina de forma inesperada en la columna ${sourceLength + 1}`,
+        sourceLength + 1
+    );
+
+    // ¿El token puede empezar un factor? (habilita la multiplicación implícita: "2√9")
+    const startsFactor = (token) => token && (
+        token.type === 'number' || token.type === 'identifier' || token.type === 'openParen' ||
+        (token.type === 'operator' && token.value === '√')
+    );
+
+    const isOperator = (token, value) => token?.type === 'operator' && token.value === value;
+
+    function parseExpression() {
+        let node = parseTerm();
+
+        while (peek()?.type === 'operator' && ADDITIVE_OPERATORS.includes(peek().value)) {
+            const operatorToken = next();
+            const right = parseTerm();
+            node = { type: 'binary', operator: operatorToken.value, left: node, right, implicit: false, column: node.column };
+        }
+
+        return node;
+    }
+
+    function parseTerm() {
+        let node = parseSigned();
+
+        for (; ;) {
+            const token = peek();
+
+            if (token?.type === 'operator' && MULTIPLICATIVE_OPERATORS.includes(token.value)) {
+                next();
+                const right = parseSigned();
+                node = { type: 'binary', operator: token.value, left: node, right, implicit: false, column: node.column };
+                continue;
+            }
+
+            // Multiplicación implícita: "3x", "(2+1)x", "x(3+1)".
+            // Dos números seguidos ("3 4") no se multiplican: es un error del jugador.
+            if (startsFactor(token) && !(token.type === 'number' && node.type === 'number')) {
+                const right = parsePower();
+                node = { type: 'binary', operator: '*', left: node, right, implicit: true, column: node.column };
+                continue;
+            }
+
+            return node;
+        }
+    }
+
+    function parseSigned() {
+        const token = peek();
+
+        // Un "-" donde empieza un operando es negación, no resta
+        if (isOperator(token, '-')) {
+            next();
+            const operand = parseSigned();
+            return { type: 'unary', operator: '-', operand, column: token.column };
+        }
+
+        return parsePower();
+    }
+
+    function parsePower() {
+        const base = parseRoot();
+
+        if (isOperator(peek(), '^')) {
+            next();
+            const exponent = parseSigned();
+            return { type: 'binary', operator: '^', left: base, right: exponent, implicit: false, column: base.column };
+        }
+
+        return base;
+    }
+
+    function parseRoot() {
+        const token = peek();
+
+        if (isOperator(token, '√')) {
+            next();
+            const operand = parseRoot();
+            return { type: 'unary', operator: '√', operand, column: token.column };
+        }
+
+        return parsePostfix();
+    }
+
+    function parsePostfix() {
+        let node = parseFactor();
+
+        while (isOperator(peek(), '!')) {
+            next();
+            node = { type: 'unary', operator: '!', operand: node, column: node.column };
+        }
+
+        return node;
+    }
+
+    function parseFactor() {
+        const token = next();
+
+        if (!token) throw unexpectedEnd();
+
+        if (token.type === 'number') {
+            return { type: 'number', value: token.value, column: token.column };
+        }
+
+        if (token.type === 'identifier') {
+            return { type: 'variable', name: token.value, column: token.column };
+        }
+
+        if (token.type === 'openParen') {
+            if (peek()?.type === 'closeParen') {
+                throw new ExpressionError('EMPTY_PARENTHESES', `Paréntesis vacíos en la columna ${token.column}`, token.column);
+            }
+            if (++depth > EXPRESSION_LIMITS.maxDepth) {
+                throw new ExpressionError(
+                    'TOO_DEEPLY_NESTED',
+                    `Demasiados paréntesis anidados en la columna ${token.column} (máximo ${EXPRESSION_LIMITS.maxDepth})`,
+                    token.column
+                );
+            }
+            const expression = parseExpression();
+            depth--;
+            const closing = next();
+            if (!closing) {
+                throw new ExpressionError(
+                    'MISSING_CLOSE_PAREN',
+                    `Falta cerrar el paréntesis abierto en la columna ${token.column}`,
+                    token.column
+                );
+            }
+            if (closing.type !== 'closeParen') throw unexpectedToken(closing);
+            return { type: 'group', expression, column: token.column };
+        }
+
+        throw unexpectedToken(token);
+    }
+
+    return {
+        parse() {
+            if (tokens.length === 0) {
+                throw new ExpressionError('EMPTY_EXPRESSION', 'La expresión está vacía', null);
+            }
+            const ast = parseExpression();
+            const leftover = peek();
+            if (leftover) throw unexpectedToken(leftover);
+            return ast;
+        }
+    };
+}
+
+/**
+ * Construye el AST de una expresión.
+ *
+ * @param {string} source - Texto de la expresión
+ * @returns {AstNode} Raíz del AST
+ * @throws {ExpressionError} Si la expresión no es válida o supera EXPRESSION_LIMITS
+ */
+export function buildAst(source) {
+    const text = source ?? '';
+    if (text.length > EXPRESSION_LIMITS.maxLength) {
+        throw new ExpressionError(
+            'EXPRESSION_TOO_LONG',
+            `La expresión es demasiado larga (máximo ${EXPRESSION_LIMITS.maxLength} caracteres)`,
+            null
+        );
+    }
+    return createParser(tokenize(text), text.length).parse();
+}
+
+/**
+ * Reconstruye el AST como si la expresión se hubiera escrito sin paréntesis.
+ * Trabaja sobre los nodos, no sobre el texto: los productos implícitos se conservan
+ * como "*" explícitos, así "(3)(4)" queda "3 * 4" y no "34".
+ *
+ * @param {AstNode} ast - AST original
+ * @returns {AstNode} AST de la misma expresión sin agrupaciones
+ * @throws {ExpressionError} Si sin paréntesis la expresión deja de ser válida
+ */
+export function removeGroups(ast) {
+    const tokens = [];
+    const operator = (value, column) => tokens.push({ type: 'operator', value, column });
+
+    const flatten = (node) => {
+        switch (node.type) {
+            case 'number':
+                tokens.push({ type: 'number', value: node.value, column: node.column });
+                break;
+            case 'variable':
+                tokens.push({ type: 'identifier', value: node.name, column: node.column });
+                break;
+            case 'group':
+                flatten(node.expression);
+                break;
+            case 'unary':
+                if (node.operator === '!') {
+                    flatten(node.operand);
+                    operator('!', node.column);
+                } else {
+                    operator(node.operator, node.column);
+                    flatten(node.operand);
+                }
+                break;
+            case 'binary':
+                flatten(node.left);
+                operator(node.operator, node.right.column);
+                flatten(node.right);
+                break;
+        }
+    };
+
+    flatten(ast);
+    return createParser(tokens, tokens[tokens.length - 1].column).parse();
+}
+
+// ============================================
+// Evaluador
+// ============================================
+
+/**
+ * Límites de los operadores avanzados (dificultad Experto).
+ * Evitan que una potencia o un factorial generen números gigantes.
+ */
+export const OPERATOR_LIMITS = {
+    /** Exponente máximo (en valor absoluto) de `^` */
+    maxExponent: 10,
+    /** Mayor número al que se le puede aplicar `!` (10! = 3 628 800) */
+    maxFactorial: 10,
+    /** Mayor valor absoluto que puede tomar cualquier resultado intermedio */
+    maxMagnitude: 1e9
+};
+
+function factorial(n) {
+    let result = 1;
+    for (let i = 2; i <= n; i++) result *= i;
+    return result;
+}
+
+/**
+ * Operaciones aritméticas según el modo de evaluación.
+ * En modo exacto los valores son racionales `{ num, den }` (ver rational.js).
+ * `'√'` devuelve null si la raíz no se puede representar en ese modo.
+ */
+const FLOAT_ARITHMETIC = {
+    fromNumber: (value) => value,
+    toNumber: (value) => value,
+    isZero: (value) => value === 0,
+    negate: (a) => 0 - a, // 0 - a evita el -0 de JavaScript
+    '+': (a, b) => a + b,
+    '-': (a, b) => a - b,
+    '*': (a, b) => a * b,
+    '/': (a, b) => a / b,
+    '^': (a, b) => a ** b,
+    'mod': (a, b) => ((a % b) + b) % b,
+    '√': (a) => Math.sqrt(a),
+    '!': (a) => factorial(a)
+};
+
+const EXACT_ARITHMETIC = {
+    fromNumber: Rational.toRational,
+    toNumber: Rational.toNumber,
+    isZero: Rational.isZero,
+    negate: Rational.negate,
+    '+': Rational.add,
+    '-': Rational.subtract,
+    '*': Rational.multiply,
+    '/': Rational.divide,
+    '^': (a, b) => Rational.power(a, Rational.toNumber(b)),
+    'mod': Rational.modulo,
+    '√': Rational.squareRoot,
+    '!': (a) => Rational.rational(factorial(Rational.toNumber(a)))
+};
+
+/**
+ * Comprueba los operandos de los operadores con restricciones antes de aplicarlos.
+ * @throws {ExpressionError}
+ */
+function checkOperands(arithmetic, node, left, right) {
+    const fail = (code, message, column = node.column) => {
+        throw new ExpressionError(code, `${message} en la columna ${column}`, column);
+    };
+
+    switch (node.operator) {
+        case '/':
+        case 'mod':
+            if (arithmetic.isZero(right)) fail('DIVISION_BY_ZERO', 'División entre cero', node.right.column);
+            if (node.operator === 'mod' && !(Number.isInteger(arithmetic.toNumber(left)) && Number.isInteger(arithmetic.toNumber(right)))) {
+                fail('INVALID_MODULO', 'El módulo solo se aplica a números enteros');
+            }
+            break;
+
+        case '^': {
+            const exponent = arithmetic.toNumber(right);
+            if (!Number.isInteger(exponent)) fail('INVALID_EXPONENT', 'El exponente debe ser entero', node.right.column);
+            if (Math.abs(exponent) > OPERATOR_LIMITS.maxExponent) {
+                fail('EXPONENT_TOO_LARGE', `El exponente no puede superar ${OPERATOR_LIMITS.maxExponent}`, node.right.column);
+            }
+            if (exponent < 0 && arithmetic.isZero(left)) fail('DIVISION_BY_ZERO', 'División entre cero');
+            break;
+        }
+
+        case '√':
+            if (arithmetic.toNumber(left) < 0) fail('INVALID_ROOT', 'Raíz cuadrada de un número negativo');
+            break;
+
+        case '!': {
+            const value = arithmetic.toNumber(left);
+            if (!Number.isInteger(value) || value < 0) fail('INVALID_FACTORIAL', 'El factorial solo se aplica a enteros no negativos');
+            if (value > OPERATOR_LIMITS.maxFactorial) {
+                fail('FACTORIAL_TOO_LARGE', `El factorial solo se permite hasta ${OPERATOR_LIMITS.maxFactorial}!`);
+            }
+            break;
+        }
+    }
+}
+
+/**
+ * Evalúa un AST sustituyendo las variables por sus valores.
+ *
+ * @param {AstNode} node - Nodo a evaluar
+ * @param {Object} variableValues - Valores de las variables (ej: { x: 4 })
+ * @param {Object} [options]
+ * @param {boolean} [options.exact=false] - Evaluar con fracciones exactas (devuelve `{ num, den }`)
+ * @returns {number|{num: number, den: number}} Resultado numérico finito, o racional en modo exacto
+ * @throws {ExpressionError} Variable desconocida, división entre cero, operando inválido
+ *   o número demasiado grande (ver OPERATOR_LIMITS)
+ */
+export function evaluateAst(node, variableValues = {}, { exact = false } = {}) {
+    const arithmetic = exact ? EXACT_ARITHMETIC : FLOAT_ARITHMETIC;
+
+    const checkMagnitude = (value, current) => {
+        if (Math.abs(arithmetic.toNumber(value)) > OPERATOR_LIMITS.maxMagnitude) {
+            throw new ExpressionError(
+                'NUMBER_TOO_LARGE',
+                `El resultado es demasiado grande en la columna ${current.column}`,
+                current.column
+            );
+        }
+        return value;
+    };
+
+    const visit = (current) => {
+        switch (current.type) {
+            case 'number':
+                return arithmetic.fromNumber(current.value);
+
+            case 'variable': {
+                if (!Object.prototype.hasOwnProperty.call(variableValues, current.name)) {
+                    throw new ExpressionError(
+                        'UNKNOWN_VARIABLE',
+                        `Variable desconocida "${current.name}" en la columna ${current.column}`,
+                        current.column
+                    );
+                }
+                return arithmetic.fromNumber(Number(variableValues[current.name]));
+            }
+
+            case 'group':
+                return visit(current.expression);
+
+            case 'unary': {
+                const operand = visit(current.operand);
+                // El "-" unario no es la resta de la tabla: usa la negación
+                const operation = current.operator === '-' ? arithmetic.negate : arithmetic[current.operator];
+
+                if (!operation) {
+                    throw new ExpressionError('UNKNOWN_OPERATOR', `Operador desconocido "${current.operator}"`, current.column);
+                }
+                checkOperands(arithmetic, current, operand);
+
+                const value = operation(operand);
+                if (value === null) {
+                    throw new ExpressionError(
+                        'IRRATIONAL_ROOT',
+                        `La raíz no es una fracción exacta en la columna ${current.column}`,
+                        current.column
+                    );
+                }
+                return checkMagnitude(value, current);
+            }
+
+            case 'binary': {
+                const left = visit(current.left);
+                const right = visit(current.right);
+                const operation = arithmetic[current.operator];
+
+                if (!operation) {
+                    throw new ExpressionError('UNKNOWN_OPERATOR', `Operador desconocido "${current.operator}"`, current.column);
+                }
+                checkOperands(arithmetic, current, left, right);
+
+                return checkMagnitude(operation(left, right), current);
+            }
+
+            default:
+                throw new ExpressionError('INVALID_NODE', `Nodo de expresión inválido "${current.type}"`, current.column ?? null);
+        }
+    };
+
+    try {
+        return visit(node);
+    } catch (error) {
+        // rational.js lanza RangeError cuando un número deja de ser exacto
+        if (error instanceof RangeError) {
+            throw new ExpressionError('NUMBER_TOO_LARGE', 'El resultado es demasiado grande para calcularlo con exactitud', null);
+        }
+        throw error;
+    }
+}
+
+// ============================================
+// Análisis del AST
+// ============================================
+
+/**
+ * Etiqueta de la negación ("-3", "-(2+x)") en la lista de operadores de `analyzeAst`.
+ * Es distinta de la resta: negar no es una operación entre cartas.
+ */
+export const NEGATION = 'neg';
+
+/**
+ * Recorre el AST y recopila los elementos usados.
+ * Cada número literal corresponde a una carta jugada.
+ *
+ * @param {AstNode} ast - Raíz del AST
+ * @returns {{numbers: number[], variables: string[], operators: string[], groups: number, implicitProducts: number}}
+ *   (`implicitProducts`: multiplicaciones implícitas, ej: "3x" o "(3)(4)";
+ *   la negación aparece en `operators` como NEGATION, no como '-')
+ */
+export function analyzeAst(ast) {
+    const summary = { numbers: [], variables: [], operators: [], groups: 0, implicitProducts: 0 };
+
+    const visit = (node) => {
+        switch (node.type) {
+            case 'number':
+                summary.numbers.push(node.value);
+                break;
+            case 'variable':
+                summary.variables.push(node.name);
+                break;
+            case 'group':
+                summary.groups++;
+                visit(node.expression);
+                break;
+            case 'unary':
+                summary.operators.push(node.operator === '-' ? NEGATION : node.operator);
+                visit(node.operand);
+                break;
+            case 'binary':
+                // La multiplicación implícita ("3x") no cuenta como operador jugado, pero sí multiplica
+                if (node.implicit) summary.implicitProducts++;
+                else summary.operators.push(node.operator);
+                visit(node.left);
+                visit(node.right);
+                break;
+        }
+    };
+
+    visit(ast);
+    return summary;
+}
+
+/** Precedencia de los operadores binarios al escribir un AST (ver `printAst`). */
+const PRINT_PRECEDENCE = { '+': 1, '-': 1, '*': 2, '/': 2, 'mod': 2, '^': 4 };
+/** La negación va entre el producto y la potencia: -2^2 = -(2^2), pero -(2*3) necesita paréntesis. */
+const NEGATION_PRECEDENCE = 3;
+
+/**
+ * Escribe un AST en forma normalizada: sin paréntesis redundantes, con los productos
+ * implícitos como "*" y solo los paréntesis que la gramática necesita para leer el
+ * mismo árbol ("3x" → "3 * x", "((2)) + (3 * 4)" → "2 + 3 * 4").
+ *
+ * @param {AstNode} ast - Raíz del AST
+ * @param {(value: number) => string} [printNumber=String] - Cómo escribir cada número (ej: como hueco "_")
+ * @returns {string}
+ */
+export function printAst(ast, printNumber = String) {
+    // Precedencia con la que se lee un nodo al volver a analizarlo
+    const precedenceOf = (node) => {
+        if (node.type === 'binary') return PRINT_PRECEDENCE[node.operator];
+        if (node.type === 'unary' && node.operator === '-') return NEGATION_PRECEDENCE;
+        return Infinity;
+    };
+    // Los paréntesis escritos no cuentan: se vuelven a poner solo donde hacen falta
+    const unwrap = (node) => (node.type === 'group' ? unwrap(node.expression) : node);
+    const wrap = (node, needsParentheses) => (needsParentheses ? `(${print(node)})` : print(node));
+
+    const print = (node) => {
+        switch (node.type) {
+            case 'number':
+                return printNumber(node.value);
+            case 'variable':
+                return node.name;
+            case 'group':
+                return print(unwrap(node));
+            case 'unary': {
+                const operand = unwrap(node.operand);
+                if (node.operator === '!') {
+                    // "!" solo se aplica a un número, una variable o un paréntesis
+                    return `${wrap(operand, operand.type === 'unary' || operand.type === 'binary')}!`;
+                }
+                if (node.operator === '√') {
+                    return `√${wrap(operand, operand.type === 'binary' || (operand.type === 'unary' && operand.operator === '-'))}`;
+                }
+                return `-${wrap(operand, precedenceOf(operand) <= NEGATION_PRECEDENCE)}`;
+            }
+            case 'binary': {
+                const left = unwrap(node.left);
+                const right = unwrap(node.right);
+                const precedence = PRINT_PRECEDENCE[node.operator];
+
+                // "^" es asociativa a la derecha y su base no lleva signo: (-2)^2, (2^3)^2
+                const leftNeedsParentheses = node.operator === '^'
+                    ? precedenceOf(left) <= precedence
+                    : precedenceOf(left) < precedence;
+                const rightNeedsParentheses = node.operator === '^'
+                    ? precedenceOf(right) < NEGATION_PRECEDENCE
+                    : precedenceOf(right) <= precedence;
+
+                return `${wrap(left, leftNeedsParentheses)} ${node.operator} ${wrap(right, rightNeedsParentheses)}`;
+            }
+            default:
+                return '?';
+        }
+    };
+
+    return print(ast);
+}
+
+// ============================================
+// Traza de Evaluación
+// ============================================
+
+/**
+ * @typedef {Object} TraceStep
+ * @property {string} expression - La expresión completa en este paso (ej: "3 + 20")
+ * @property {string|null} note - Qué se hizo para llegar aquí (ej: "4 × 5 = 20", "x = 5")
+ */
+
+const TRACE_SYMBOLS = { '*': '×', '/': '÷', '-': '−' };
+
+/** Valor intermedio legible: fracción exacta o decimal con 4 cifras como máximo. */
+function formatTraceValue(value) {
+    if (Rational.isRational(value)) return Rational.formatValue(value);
+    return Number.isInteger(value) ? String(value) : String(Number(value.toFixed(4)));
+}
+
+/**
+ * ¿Hay que escribir un valor ya reducido entre paréntesis para que se lea igual?
+ * Un negativo pegado a un operador (5 - (-3), 2 * (-3), √(-4)) o una fracción
+ * dentro de un producto o potencia (2 * (1/3), (7/2) ^ 2) cambiarían de significado.
+ *
+ * @param {string} text - El valor ya formateado
+ * @param {AstNode} parent - Nodo que lo contiene
+ * @param {'left'|'right'|'operand'} side
+ */
+function needsTraceParentheses(text, parent, side) {
+    const isNegative = text.startsWith('-');
+    const isFraction = text.includes('/');
+
+    if (parent.type === 'unary') return isNegative || isFraction;
+    if (parent.operator === '^') return isNegative || isFraction;
+    if (side === 'right') return isNegative || (isFraction && parent.operator !== '+' && parent.operator !== '-');
+    return false;
+}
+
+/**
+ * Escribe el AST con los nodos ya reducidos sustituidos por su valor.
+ */
+function printTraceNode(node, values) {
+    const operand = (child, side) => {
+        const text = printTraceNode(child, values);
+        return values.has(child) && needsTraceParentheses(text, node, side) ? `(${text})` : text;
+    };
+
+    if (values.has(node)) return formatTraceValue(values.get(node));
+
+    switch (node.type) {
+        case 'number':
+            return String(node.value);
+        case 'variable':
+            return node.name;
+        case 'group':
+            return `(${printTraceNode(node.expression, values)})`;
+        case 'unary':
+            if (node.operator === '!') return `${operand(node.operand, 'operand')}!`;
+            return `${node.operator}${operand(node.operand, 'operand')}`;
+        case 'binary': {
+            const left = operand(node.left, 'left');
+            const right = operand(node.right, 'right');
+            // "3x" se mantiene pegado mientras se pueda leer; "3 * 5" no
+            if (node.implicit && /^[a-zA-Z(√]/.test(right)) return `${left}${right}`;
+            return `${left} ${node.operator} ${right}`;
+        }
+        default:
+            return '?';
+    }
+}
+
+/**
+ * Traza la evaluación de un AST como una lista ordenada de reducciones:
+ * `3 + 4x → 3 + 4 * 5 → 3 + 20 → 23`.
+ *
+ * 1. La expresión tal cual (normalizada).
+ * 2. Si hay variables, un paso con todas sustituidas por su valor.
+ * 3. Una operación por paso, en el orden en que la evalúa el parser: primero la más
+ *    profunda y a la izquierda, así se ve la precedencia (2 + 3 * 4 → 2 + 12 → 14).
+ *    Un paréntesis desaparece en cuanto su contenido es un solo número.
+ *
+ * @param {AstNode} ast - Raíz del AST
+ * @param {Object} variableValues - Valores de las variables (ej: { x: 5 })
+ * @param {Object} [options]
+ * @param {boolean} [options.exact=false] - Evaluar con fracciones exactas
+ * @returns {{steps: TraceStep[], error: Object|null}} Si un paso falla (ej: división entre cero),
+ *   los pasos hasta ese punto y el error de `evaluateAst`
+ */
+function traceAst(ast, variableValues = {}, { exact = false } = {}) {
+    const arithmetic = exact ? EXACT_ARITHMETIC : FLOAT_ARITHMETIC;
+    /** @type {Map<AstNode, *>} nodo → valor ya calculado */
+    const values = new Map();
+    const parents = new Map();
+    const order = [];
+    const variables = [];
+
+    // Recorrido post-orden (izquierda a derecha): el orden de evaluación
+    const visit = (node, parent) => {
+        if (parent) parents.set(node, parent);
+        if (node.type === 'group') visit(node.expression, node);
+        if (node.type === 'unary') visit(node.operand, node);
+        if (node.type === 'binary') {
+            visit(node.left, node);
+            visit(node.right, node);
+        }
+        if (node.type === 'number') values.set(node, arithmetic.fromNumber(node.value));
+        else if (node.type === 'variable') variables.push(node);
+        else if (node.type !== 'group') order.push(node);
+    };
+    visit(ast, null);
+
+    // Un grupo cuyo contenido ya es un valor se sustituye en el mismo paso
+    const settleGroups = (node) => {
+        let parent = parents.get(node);
+        while (parent?.type === 'group') {
+            values.set(parent, values.get(node));
+            node = parent;
+            parent = parents.get(node);
+        }
+    };
+    values.forEach((_, node) => settleGroups(node));
+
+    const steps = [{ expression: printTraceNode(ast, new Map()), note: null }];
+    const pushStep = (note) => {
+        const expression = printTraceNode(ast, values);
+        const last = steps[steps.length - 1];
+        if (expression === last.expression) return; // Nada cambió a la vista
+        steps.push({ expression, note });
+    };
+
+    // En las notas los negativos van entre paréntesis: "5 − (-3) = 8"
+    const noteValue = (value) => {
+        const text = formatTraceValue(value);
+        return text.startsWith('-') ? `(${text})` : text;
+    };
+
+    // Reducciones que solo cambian la forma, no el valor: negar un valor ya reducido
+    // (5 * -3 → 5 * (-3)) o una división que ya es la fracción irreducible (1 / 3 → 1/3)
+    const isCosmetic = (node, result) => {
+        if (node.type === 'unary' && node.operator === '-') {
+            return !formatTraceValue(values.get(node.operand)).startsWith('-');
+        }
+        if (node.type === 'binary' && node.operator === '/') {
+            return result === `${formatTraceValue(values.get(node.left))}/${formatTraceValue(values.get(node.right))}`;
+        }
+        return false;
+    };
+
+    try {
+        if (variables.length > 0) {
+            variables.forEach(node => {
+                values.set(node, evaluateAst(node, variableValues, { exact }));
+                settleGroups(node);
+            });
+            const assigned = [...new Set(variables.map(node => node.name))]
+                .map(name => `${name} = ${formatTraceValue(arithmetic.fromNumber(Number(variableValues[name])))}`);
+            pushStep(assigned.join(', '));
+        }
+
+        for (const node of order) {
+            const value = evaluateAst(node, variableValues, { exact });
+            const result = formatTraceValue(value);
+            if (isCosmetic(node, result)) {
+                values.set(node, value);
+                settleGroups(node);
+                continue;
+            }
+
+            let note;
+            if (node.type === 'binary') {
+                const symbol = node.implicit ? '×' : (TRACE_SYMBOLS[node.operator] || node.operator);
+                note = `${noteValue(values.get(node.left))} ${symbol} ${noteValue(values.get(node.right))} = ${result}`;
+            } else if (node.operator === '!') {
+                note = `${noteValue(values.get(node.operand))}! = ${result}`;
+            } else {
+                note = `${node.operator}${noteValue(values.get(node.operand))} = ${result}`;
+            }
+            values.set(node, value);
+            settleGroups(node);
+            pushStep(note);
+        }
+    } catch (error) {
+        return { steps, error: toErrorObject(error) };
+    }
+
+    return { steps, error: null };
+}
+
+/**
+ * Une los pasos de una traza en una línea: "3 + 4 * x → 3 + 4 * 5 → 3 + 20 → 23".
+ *
+ * @param {TraceStep[]|null} steps
+ * @returns {string}
+ */
+export function formatTrace(steps) {
+    return (steps || []).map(step => step.expression).join(' → ');
+}
+
+// ============================================
+// API Pública
+// ============================================
+
+/**
+ * @typedef {Object} ParseResult
+ * @property {boolean} success
+ * @property {AstNode|null} ast
+ * @property {{code: string, message: string, column: number|null}|null} error
+ */
+
+/**
+ * Analiza una expresión sin lanzar excepciones.
+ *
+ * @param {string} source - Texto de la expresión
+ * @returns {ParseResult}
+ */
+export function parseExpression(source) {
+    try {
+        return { success: true, ast: buildAst(source), error: null };
+    } catch (error) {
+        return { success: false, ast: null, error: toErrorObject(error) };
+    }
+}
+
+/**
+ * Analiza y evalúa una expresión sin lanzar excepciones.
+ *
+ * En modo exacto `value` es un racional `{ num, den }` (ej: "7/2" → { num: 7, den: 2 }).
+ *
+ * @param {string} source - Texto de la expresión (ej: "3x + (2+1)y")
+ * @param {Object} variableValues - Valores de las variables (ej: { x: 4, y: 7 })
+ * @param {Object} [options]
+ * @param {boolean} [options.exact=false] - Evaluar con fracciones exactas
+ * @returns {{success: boolean, value: number|{num: number, den: number}|null, ast: AstNode|null, error: Object|null}}
+ */
+export function evaluateExpression(source, variableValues = {}, options = {}) {
+    const parsed = parseExpression(source);
+    if (!parsed.success) {
+        return { success: false, value: null, ast: null, error: parsed.error };
+    }
+
+    try {
+        const value = evaluateAst(parsed.ast, variableValues, options);
+        if (!options.exact && !Number.isFinite(value)) {
+            throw new ExpressionError('NON_FINITE_RESULT', 'El resultado no es un número finito', null);
+        }
+        return { success: true, value, ast: parsed.ast, error: null };
+    } catch (error) {
+        return { success: false, value: null, ast: parsed.ast, error: toErrorObject(error) };
+    }
+}
+
+/**
+ * Traza la evaluación de una expresión sin lanzar excepciones (ver `traceAst`).
+ * Si la evaluación falla a mitad, `steps` contiene los pasos hasta el error.
+ *
+ * @param {string} source - Texto de la expresión
+ * @param {Object} variableValues - Valores de las variables
+ * @param {Object} [options]
+ * @param {boolean} [options.exact=false] - Evaluar con fracciones exactas
+ * @returns {{success: boolean, steps: TraceStep[], value: number|{num: number, den: number}|null, error: Object|null}}
+ */
+export function traceExpression(source, variableValues = {}, options = {}) {
+    const evaluation = evaluateExpression(source, variableValues, options);
+    if (!evaluation.ast) {
+        return { success: false, steps: [], value: null, error: evaluation.error };
+    }
+
+    const { steps } = traceAst(evaluation.ast, variableValues, options);
+    return { success: evaluation.success, steps, value: evaluation.value, error: evaluation.error };
+}
+
+/**
+ * Normaliza cualquier excepción a un objeto de error serializable.
+ * Los errores que no son de expresión se propagan: indican un bug, no una entrada inválida.
+ */
+function toErrorObject(error) {
+    if (error instanceof ExpressionError) return error.toJSON();
+    throw error;
+}
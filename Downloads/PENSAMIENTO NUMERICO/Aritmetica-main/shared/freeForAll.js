@@ -0,0 +1,110 @@
+/**
+ * @file shared/freeForAll.js
+ * @description Todos contra todos: salas multijugador de 3 a 8 jugadores.
+ *
+ * Cada ronda se ordenan las respuestas de los jugadores que siguen vivos por cercanía
+ * al target (los fallos y quien no respondió, al final y empatados). El mejor ataque
+ * de la ronda golpea a los que quedaron más lejos según la regla de daño de la sala.
+ * Quien llega a 0 HP queda eliminado; la partida termina cuando queda uno.
+ */
+
+import { compareValues } from './rational.js';
+
+// ============================================
+// Constantes
+// ============================================
+
+/** Jugadores como mínimo para empezar una sala de todos contra todos. */
+export const MIN_FFA_PLAYERS = 3;
+
+/** Jugadores como máximo en una sala de todos contra todos. */
+export const MAX_FFA_PLAYERS = 8;
+
+/** Reglas de daño de todos contra todos. */
+export const FFA_DAMAGE_RULES = {
+    ranked: { name: 'Por puestos', emoji: '🪜', description: 'El mejor ataque golpea a todos los demás: más fuerte cuanto más lejos quedaste' },
+    last: { name: 'Último castigado', emoji: '🎯', description: 'Solo recibe el mejor ataque quien quedó más lejos' }
+};
+
+// ============================================
+// Normalización
+// ============================================
+
+/**
+ * Normaliza la regla de daño recibida (menú o socket).
+ *
+ * @param {*} rule - Clave de FFA_DAMAGE_RULES; undefined/null = 'ranked'
+ * @returns {string|null} La clave, o null si no es una regla válida
+ */
+export function normalizeFfaRule(rule) {
+    if (rule === undefined || rule === null || rule === '') return 'ranked';
+    return Object.prototype.hasOwnProperty.call(FFA_DAMAGE_RULES, rule) ? rule : null;
+}
+
+/**
+ * Normaliza el máximo de jugadores de una sala: 2 es un duelo, de 3 a 8 todos contra todos.
+ *
+ * @param {*} maxPlayers - undefined/null = 2
+ * @returns {number|null} El máximo, o null si no es válido
+ */
+export function normalizeMaxPlayers(maxPlayers) {
+    if (maxPlayers === undefined || maxPlayers === null || maxPlayers === '') return 2;
+    if (!Number.isInteger(maxPlayers)) return null;
+    return maxPlayers === 2 || (maxPlayers >= MIN_FFA_PLAYERS && maxPlayers <= MAX_FFA_PLAYERS) ? maxPlayers : null;
+}
+
+// ============================================
+// Ranking y daño
+// ============================================
+
+/**
+ * Puesto de cada respuesta (1 = la más cercana). Los empates comparten puesto y
+ * los fallos quedan todos en el último.
+ *
+ * @param {Array<{ difference: number|Object|null, isMiss: boolean }>} entries - Distancia exacta al target de cada jugador
+ * @returns {number[]} Puesto de cada entrada, en el mismo orden
+ */
+export function rankAnswers(entries) {
+    const hits = entries.filter(entry => !entry.isMiss).map(entry => entry.difference);
+    const distinct = [];
+    for (const difference of [...hits].sort(compareValues)) {
+        if (distinct.length === 0 || compareValues(distinct[distinct.length - 1], difference) !== 0) {
+            distinct.push(difference);
+        }
+    }
+
+    return entries.map(entry => entry.isMiss
+        ? distinct.length + 1
+        : distinct.findIndex(difference => compareValues(difference, entry.difference) === 0) + 1);
+}
+
+/**
+ * Daño que recibe cada jugador según su puesto: el mejor ataque de la ronda (el de
+ * los primeros, el mayor si empatan varios) golpea a los demás.
+ * - `ranked`: el último recibe el ataque entero y los intermedios una parte proporcional.
+ * - `last`: solo el último recibe el ataque.
+ * Si todos fallan o todos empatan nadie recibe daño.
+ *
+ * @param {Object} params
+ * @param {Array<{ difference: number|Object|null, isMiss: boolean, damage: number }>} params.entries - Respuesta y daño de ataque de cada jugador vivo
+ * @param {string} [params.rule='ranked'] - Clave de FFA_DAMAGE_RULES
+ * @returns {Array<{ rank: number, damageTaken: number }>} En el mismo orden que `entries`
+ */
+export function getRankedDamage({ entries, rule = 'ranked' }) {
+    const ranks = rankAnswers(entries);
+    const lastRank = Math.max(...ranks);
+
+    if (entries.every(entry => entry.isMiss) || lastRank === 1) {
+        return ranks.map(rank => ({ rank, damageTaken: 0 }));
+    }
+
+    const bestDamage = Math.max(...entries.filter((_, i) => ranks[i] === 1).map(entry => entry.damage));
+
+    return ranks.map(rank => {
+        if (rank === 1) return { rank, damageTaken: 0 };
+        const damageTaken = rule === 'last'
+            ? (rank === lastRank ? bestDamage : 0)
+            : Math.floor(bestDamage * (rank - 1) / (lastRank - 1));
+        return { rank, damageTaken };
+    });
+}
@@ -0,0 +1,1778 @@
+/**
+ * @file shared/gameLogic.js
+ * @description Módulo central de lógica del juego Aritmética PvP.
+ * 
+ * Este archivo contiene todas las funciones puras y constantes de configuración
+ * que rigen las reglas matemáticas, la generación de problemas y el sistema de puntuación.
+ * Es la ÚNICA fuente de reglas: lo importan tanto el cliente (React) como el servidor
+ * multijugador, de modo que una misma expresión produce el mismo daño en ambos modos.
+ * 
+ * Principales responsabilidades:
+ * 1. Configuración de Dificultades (Easy, Medium, Hard, Fracciones, Experto).
+ * 2. Generación procedimental de cartas y objetivos (Targets).
+ * 3. Solucionador de expresiones (Solver) para validar targets.
+ * 4. Sistema de Daño Normalizado (Cálculo de puntuación).
+ * 5. Sistema de Rachas (Streak System).
+ * 
+ * @author Antigravity Agent
+ */
+
+import { evaluateExpression, evaluateAst, traceExpression, parseExpression, removeGroups, printAst, tokenize, analyzeAst, normalizeOperator, ExpressionError, NEGATION, OPERATOR_LIMITS } from './expressionParser.js';
+import * as Rational from './rational.js';
+import { randomInt, randomChoice } from './random.js';
+
+/**
+ * Sistema de Daño Normalizado
+ * ---------------------------
+ * A diferencia de juegos tradicionales donde mayor número = más daño,
+ * aquí el daño se basa en la COMPLEJIDAD de la operación y la HABILIDAD del jugador.
+ * 
+ * Esto permite que una operación "2+2=4" tenga el mismo peso base que "100+100=200",
+ * pero bonifica el uso de más cartas, operadores variados y funciones avanzadas.
+ * 
+ * Fórmula: DañoTotal = Base + BonusCartas + BonusOperadores + BonusDivision
+ * Multiplicado por el factor de precisión según la diferencia con el target.
+ */
+
+/**
+ * Configuración de Dificultades
+ * Cada nivel adapta la generación de números, targets y operadores disponibles.
+ */
+export const DIFFICULTY_CONFIG = {
+  easy: {
+    name: 'Fácil',
+    emoji: '🌱',
+    description: 'Números pequeños, operaciones simples. ¡Perfecto para calentar!',
+    color: '#34C759',
+    // Cartas: números del 1 al 9
+    cardRange: { min: 1, max: 9 },
+    cardCount: 4, // 4 cartas numéricas, sin variables
+    // Targets: sumas/restas simples (10-30)
+    targetRange: { min: 10, max: 30 },
+    // Banda de rating del target (ver TARGET_BANDS): targets de pocas operaciones
+    targetBand: 'easy',
+    // Solo suma y resta
+    operators: ['+', '-'],
+    operatorSymbols: ['+', '−'],
+    // Sin paréntesis
+    allowParentheses: false,
+    // Sin variables algebraicas
+    variableConfig: {
+      enabled: false,
+      variables: [],
+      range: { min: 0, max: 0 },
+      bonusMultiplier: 1.0
+    },
+    // Precisión más flexible
+    accuracyThresholds: {
+      perfect: 0,
+      excellent: 3,
+      good: 6,
+      ok: 10,
+      miss: 15
+    },
+    // HP reducido para partidas más rápidas
+    playerHp: 150,
+    // Configuración de Rachas: Menos bonus, más difícil de activar
+    streakConfig: [
+      { minStreak: 0, name: '', emoji: '', bonus: 0, intensity: 0, color: 'transparent' },
+      { minStreak: 3, name: 'Calentando', emoji: '🔥', bonus: 5, intensity: 1, color: '#FF9F0A' },
+      { minStreak: 4, name: 'Encendido', emoji: '🔥🔥', bonus: 10, intensity: 2, color: '#FF6B35' },
+      { minStreak: 5, name: 'On Fire', emoji: '🔥🔥🔥', bonus: 15, intensity: 3, color: '#FF453A' },
+      { minStreak: 6, name: 'IMPARABLE', emoji: '🤯', bonus: 25, intensity: 4, color: '#AC8E68' },
+    ]
+  },
+  medium: {
+    name: 'Medio',
+    emoji: '⚔️',
+    description: 'Álgebra básica con variable x. ¡El verdadero desafío matemático!',
+    color: '#FF9F0A',
+    // Cartas: números del 2 al 10 (evitando 1 que produce targets muy bajos)
+    cardRange: { min: 2, max: 10 },
+    cardCount: 3, // 3 cartas numéricas + 1 variable
+    // Targets: operaciones intermedias (15-50) - ajustado para balance
+    targetRange: { min: 15, max: 50 },
+    targetBand: 'medium',
+    // Todas las operaciones
+    operators: ['+', '-', '*', '/'],
+    operatorSymbols: ['+', '−', '×', '÷'],
+    // Paréntesis disponibles
+    allowParentheses: true,
+    // Variable x habilitada
+    variableConfig: {
+      enabled: true,
+      variables: ['x'],
+      range: { min: 2, max: 9 },
+      bonusMultiplier: 1.10 // 10% extra de daño por usar variable
+    },
+    // Precisión estándar
+    accuracyThresholds: {
+      perfect: 0,
+      excellent: 2,
+      good: 4,
+      ok: 7,
+      miss: 12
+    },
+    // HP estándar
+    playerHp: 200,
+    // Configuración de Rachas: Balanceada
+    streakConfig: [
+      { minStreak: 0, name: '', emoji: '', bonus: 0, intensity: 0, color: 'transparent' },
+      { minStreak: 2, name: 'En Fuego', emoji: '🔥', bonus: 8, intensity: 1, color: '#FF9F0A' },
+      { minStreak: 3, name: 'Imparable', emoji: '🔥🔥', bonus: 15, intensity: 2, color: '#FF6B35' },
+      { minStreak: 4, name: 'Dominando', emoji: '🔥🔥🔥', bonus: 25, intensity: 3, color: '#FF453A' },
+      { minStreak: 5, name: 'LEGENDARIO', emoji: '💀', bonus: 40, intensity: 4, color: '#FFD60A' },
+    ]
+  },
+  hard: {
+    name: 'Difícil',
+    emoji: '💀',
+    description: 'Álgebra avanzada con variables x e y. ¡Solo para maestros!',
+    color: '#FF453A',
+    // Cartas: números del 2 al 20 (incluyendo más grandes)
+    cardRange: { min: 2, max: 20 },
+    cardCount: 3, // 3 cartas numéricas + 2 variables (x, y)
+    // Targets: operaciones complejas (80-200) - ajustado para 2 variables
+    targetRange: { min: 80, max: 200 },
+    targetBand: 'hard',
+    // Todas las operaciones
+    operators: ['+', '-', '*', '/'],
+    operatorSymbols: ['+', '−', '×', '÷'],
+    // Paréntesis obligatorios para bonus máximo
+    allowParentheses: true,
+    // Variables x e y habilitadas
+    variableConfig: {
+      enabled: true,
+      variables: ['x', 'y'],
+      range: { min: 2, max: 9 },
+      bonusMultiplier: 1.10 // 10% extra de daño por usar variable
+    },
+    // Precisión estricta
+    accuracyThresholds: {
+      perfect: 0,
+      excellent: 1,
+      good: 2,
+      ok: 4,
+      miss: 8
+    },
+    // Más HP para partidas épicas
+    playerHp: 250,
+    // Configuración de Rachas: High Risk, High Reward
+    streakConfig: [
+      { minStreak: 0, name: '', emoji: '', bonus: 0, intensity: 0, color: 'transparent' },
+      { minStreak: 2, name: 'Brutal', emoji: '⚡', bonus: 15, intensity: 1, color: '#FF453A' },
+      { minStreak: 3, name: 'Sádico', emoji: '⚡⚡', bonus: 30, intensity: 2, color: '#BF5AF2' },
+      { minStreak: 4, name: 'DIOS', emoji: '⚡⚡⚡', bonus: 50, intensity: 3, color: '#5E5CE6' },
+      { minStreak: 5, name: 'CALCULADORA HUMANA', emoji: '🧠', bonus: 80, intensity: 4, color: '#FFFFFF' },
+    ]
+  },
+  algebra: {
+    name: 'Álgebra',
+    emoji: '🔤',
+    description: 'Pocas cartas y tres variables (x, y, z). ¡Piensa en letras!',
+    color: '#30D158',
+    // Cartas: números del 2 al 12
+    cardRange: { min: 2, max: 12 },
+    cardCount: 2, // 2 cartas numéricas + 3 variables (x, y, z)
+    // Targets: con 5 números se llega lejos (60-180)
+    targetRange: { min: 60, max: 180 },
+    targetBand: 'medium',
+    operators: ['+', '-', '*', '/'],
+    operatorSymbols: ['+', '−', '×', '÷'],
+    allowParentheses: true,
+    // Los símbolos salen de VARIABLE_SYMBOLS: cualquier modo puede repartir 3 o 4 variables
+    variableConfig: {
+      enabled: true,
+      variables: ['x', 'y', 'z'],
+      range: { min: 2, max: 9 },
+      bonusMultiplier: 1.15 // 15% extra: aquí las variables son la mayor parte de la mano
+    },
+    accuracyThresholds: {
+      perfect: 0,
+      excellent: 2,
+      good: 4,
+      ok: 7,
+      miss: 12
+    },
+    playerHp: 220,
+    streakConfig: [
+      { minStreak: 0, name: '', emoji: '', bonus: 0, intensity: 0, color: 'transparent' },
+      { minStreak: 2, name: 'Despejado', emoji: '🔤', bonus: 10, intensity: 1, color: '#30D158' },
+      { minStreak: 3, name: 'Incógnita', emoji: '🔤🔤', bonus: 20, intensity: 2, color: '#64D2FF' },
+      { minStreak: 4, name: 'Ecuación Viva', emoji: '🔤🔤🔤', bonus: 35, intensity: 3, color: '#5E5CE6' },
+      { minStreak: 5, name: 'AL-JABR', emoji: '📜', bonus: 55, intensity: 4, color: '#FFD60A' },
+    ]
+  },
+  fractions: {
+    name: 'Fracciones',
+    emoji: '🍕',
+    description: 'Divide sin miedo: los resultados son fracciones exactas como 7/2.',
+    color: '#5AC8FA',
+    // Cartas: números del 1 al 9
+    cardRange: { min: 1, max: 9 },
+    cardCount: 4, // 4 cartas numéricas, sin variables
+    // Targets: fracciones entre 1 y 12 (ej: 7/2, 5/3)
+    targetRange: { min: 1, max: 12 },
+    targetBand: 'medium',
+    // Todas las operaciones: la división ya no tiene que ser exacta
+    operators: ['+', '-', '*', '/'],
+    operatorSymbols: ['+', '−', '×', '÷'],
+    allowParentheses: true,
+    variableConfig: {
+      enabled: false,
+      variables: [],
+      range: { min: 0, max: 0 },
+      bonusMultiplier: 1.0
+    },
+    // Aritmética racional exacta: 1/3 + 1/6 = 1/2, sin decimales
+    exactArithmetic: true,
+    // Denominador máximo de los targets generados
+    maxTargetDenominator: 6,
+    // Umbrales de cercanía para el daño (por defecto ±5 / ±10): con fracciones se exige más
+    damageThresholds: { close: 0.5, far: 2 },
+    playerHp: 200,
+    streakConfig: [
+      { minStreak: 0, name: '', emoji: '', bonus: 0, intensity: 0, color: 'transparent' },
+      { minStreak: 2, name: 'Fraccionando', emoji: '🍕', bonus: 8, intensity: 1, color: '#5AC8FA' },
+      { minStreak: 3, name: 'Denominador Común', emoji: '🍕🍕', bonus: 15, intensity: 2, color: '#64D2FF' },
+      { minStreak: 4, name: 'Simplificador', emoji: '🍕🍕🍕', bonus: 25, intensity: 3, color: '#5E5CE6' },
+      { minStreak: 5, name: 'MAESTRO RACIONAL', emoji: '➗', bonus: 40, intensity: 4, color: '#FFD60A' },
+    ]
+  },
+  integers: {
+    name: 'Enteros',
+    emoji: '🌡️',
+    description: 'Bajo cero: los targets pueden ser negativos. Usa el signo menos para llegar.',
+    color: '#64D2FF',
+    // Cartas: números del 1 al 10 (siempre positivos; el signo lo pone el jugador)
+    cardRange: { min: 1, max: 10 },
+    cardCount: 4, // 4 cartas numéricas, sin variables
+    // Targets: enteros entre -30 y 30, incluidos los negativos
+    targetRange: { min: -30, max: 30 },
+    targetBand: 'medium',
+    allowNegativeTargets: true,
+    operators: ['+', '-', '*', '/'],
+    operatorSymbols: ['+', '−', '×', '÷'],
+    allowParentheses: true,
+    variableConfig: {
+      enabled: false,
+      variables: [],
+      range: { min: 0, max: 0 },
+      bonusMultiplier: 1.0
+    },
+    playerHp: 150,
+    streakConfig: [
+      { minStreak: 0, name: '', emoji: '', bonus: 0, intensity: 0, color: 'transparent' },
+      { minStreak: 2, name: 'Bajo Cero', emoji: '🌡️', bonus: 8, intensity: 1, color: '#64D2FF' },
+      { minStreak: 3, name: 'Congelado', emoji: '❄️', bonus: 15, intensity: 2, color: '#5AC8FA' },
+      { minStreak: 4, name: 'Polo Norte', emoji: '❄️❄️', bonus: 25, intensity: 3, color: '#5E5CE6' },
+      { minStreak: 5, name: 'CERO ABSOLUTO', emoji: '🧊', bonus: 40, intensity: 4, color: '#FFFFFF' },
+    ]
+  },
+  experto: {
+    name: 'Experto',
+    emoji: '🧠',
+    description: 'Potencias, raíces, módulo y factorial. ¡Para quienes ya dominan lo básico!',
+    color: '#BF5AF2',
+    // Cartas: números del 1 al 9 (los operadores avanzados ya dan números grandes)
+    cardRange: { min: 1, max: 9 },
+    cardCount: 4, // 4 cartas numéricas, sin variables
+    // Targets: potencias y factoriales permiten llegar lejos (50-300)
+    targetRange: { min: 50, max: 300 },
+    targetBand: 'hard',
+    // Operaciones básicas + avanzadas: ^ (potencia), √ (raíz), mod (módulo), ! (factorial)
+    operators: ['+', '-', '*', '/', '^', '√', 'mod', '!'],
+    operatorSymbols: ['+', '−', '×', '÷', '^', '√', 'mod', '!'],
+    allowParentheses: true,
+    variableConfig: {
+      enabled: false,
+      variables: [],
+      range: { min: 0, max: 0 },
+      bonusMultiplier: 1.0
+    },
+    playerHp: 250,
+    streakConfig: [
+      { minStreak: 0, name: '', emoji: '', bonus: 0, intensity: 0, color: 'transparent' },
+      { minStreak: 2, name: 'Exponencial', emoji: '⚡', bonus: 15, intensity: 1, color: '#BF5AF2' },
+      { minStreak: 3, name: 'Factorial', emoji: '⚡⚡', bonus: 30, intensity: 2, color: '#FF453A' },
+      { minStreak: 4, name: 'Radical', emoji: '⚡⚡⚡', bonus: 50, intensity: 3, color: '#5E5CE6' },
+      { minStreak: 5, name: 'GRAN MAESTRO', emoji: '🧠', bonus: 80, intensity: 4, color: '#FFFFFF' },
+    ]
+  }
+};
+
+/**
+ * Símbolos que una dificultad puede repartir como variables, en el orden en que se ofrecen.
+ * Son letras sueltas que no son palabras reservadas (`mod`): el tokenizer agrupa las letras
+ * seguidas en un único identificador y la sustitución se hace en el AST, así un símbolo
+ * nunca se mezcla con otro nombre.
+ */
+export const VARIABLE_SYMBOLS = ['x', 'y', 'z', 'a', 'b', 'n'];
+
+/**
+ * Operadores avanzados (dificultad Experto).
+ * - `√` es prefijo (se escribe antes del número: √9).
+ * - `!` es postfijo (se escribe después: 4!).
+ * - `^` y `mod` son binarios, como + - * /.
+ */
+export const ADVANCED_OPERATORS = ['^', '√', 'mod', '!'];
+export const PREFIX_OPERATORS = ['√'];
+export const POSTFIX_OPERATORS = ['!'];
+
+/**
+ * Texto que se añade a la expresión al pulsar un operador.
+ * `mod` es una palabra: se rodea de espacios para no pegarse a números o variables.
+ * 
+ * @param {string} operator - Operador ASCII de `config.operators`
+ * @returns {string}
+ */
+export function getOperatorText(operator) {
+  return operator === 'mod' ? ' mod ' : operator;
+}
+
+/**
+ * Factorial más alto que consideran el generador de targets y el solver.
+ * El evaluador acepta hasta OPERATOR_LIMITS.maxFactorial, pero 7! = 5040 ya
+ * sale de cualquier rango de targets razonable.
+ */
+const SEARCH_MAX_FACTORIAL = 6;
+
+/** Umbrales de cercanía por defecto del daño normalizado. */
+const DEFAULT_DAMAGE_THRESHOLDS = { close: 5, far: 10 };
+
+/**
+ * Obtiene la configuración de una dificultad (con 'medium' como respaldo).
+ * 
+ * Acepta la clave de un preset o directamente un objeto de configuración:
+ * así las dificultades personalizadas ("Personalizado") recorren el mismo código
+ * que los presets sin registrarse en DIFFICULTY_CONFIG.
+ * 
+ * @param {string|Object} difficulty - 'easy', 'medium', 'hard', ... o una configuración completa
+ * @returns {Object} Configuración de la dificultad
+ */
+export function getDifficultyConfig(difficulty = 'medium') {
+  if (difficulty && typeof difficulty === 'object') return difficulty;
+  return DIFFICULTY_CONFIG[difficulty] || DIFFICULTY_CONFIG.medium;
+}
+
+/**
+ * Umbrales de cercanía del daño normalizado para una dificultad.
+ * 
+ * @param {string} difficulty - Nivel de dificultad
+ * @returns {{close: number, far: number}} Diferencia máxima para 'close' (75%) y 'far' (50%)
+ */
+export function getDamageThresholds(difficulty = 'medium') {
+  return getDifficultyConfig(difficulty).damageThresholds || DEFAULT_DAMAGE_THRESHOLDS;
+}
+
+/**
+ * Genera cartas según la dificultad seleccionada.
+ * 
+ * Si la dificultad tiene variables, también las reparte (los símbolos de `variableConfig.variables`).
+ * 
+ * @param {string|Object} difficulty - Clave de dificultad o configuración personalizada
+ * @param {() => number} [random=Math.random] - PRNG de la partida (ver shared/random.js)
+ * @returns {Object} { cards: number[], variables: Array<{symbol: string, value: number}>, allCards: Array }
+ */
+export function generateCardsByDifficulty(difficulty = 'medium', random = Math.random) {
+  const config = getDifficultyConfig(difficulty);
+  const { min, max } = config.cardRange;
+  const cardCount = config.cardCount || 4;
+
+  // Generar cartas numéricas
+  const cards = [];
+  for (let i = 0; i < cardCount; i++) {
+    cards.push(randomInt(random, min, max));
+  }
+
+  // Generar variables si están habilitadas
+  const variables = [];
+  if (config.variableConfig?.enabled) {
+    const { variables: varSymbols, range } = config.variableConfig;
+    for (const symbol of varSymbols) {
+      const value = randomInt(random, range.min, range.max);
+      variables.push({ symbol, value });
+    }
+  }
+
+  // allCards combina números y variables para compatibilidad con lógica existente
+  // Los números se mantienen como están, las variables se representan como objetos
+  const allCards = [...cards, ...variables.map(v => ({ type: 'variable', ...v }))];
+
+  return { cards, variables, allCards };
+}
+
+/**
+ * Genera valores para las variables de una ronda.
+ * 
+ * @param {string|Object} difficulty - Nivel de dificultad
+ * @param {() => number} [random=Math.random] - PRNG de la partida
+ * @returns {Object} Objeto con los valores de cada variable, ej: { x: 4, y: 7 }
+ */
+export function generateVariableValues(difficulty = 'medium', random = Math.random) {
+  const config = getDifficultyConfig(difficulty);
+
+  if (!config.variableConfig?.enabled) {
+    return {};
+  }
+
+  const { variables, range } = config.variableConfig;
+  const values = {};
+
+  for (const symbol of variables) {
+    values[symbol] = randomInt(random, range.min, range.max);
+  }
+
+  return values;
+}
+
+/**
+ * Evalúa una expresión matemática reemplazando variables con sus valores.
+ * Soporta multiplicación implícita algebraica: "3x" = "3*x", "(2+1)x" = "(2+1)*x"
+ * 
+ * Usa el parser compartido (sin `eval`): la expresión nunca se ejecuta como código.
+ * 
+ * En modo exacto (dificultad Fracciones) el resultado es un racional `{ num, den }`.
+ * 
+ * @param {string} expression - La expresión (ej: "3x + 5" o "2x + 3")
+ * @param {Object} variableValues - Valores de las variables (ej: { x: 4 })
+ * @param {Object} [options]
+ * @param {boolean} [options.exact=false] - Evaluar con fracciones exactas
+ * @returns {number|{num: number, den: number}|null} El resultado o null si hay error
+ */
+export function evaluateExpressionWithVariables(expression, variableValues = {}, { exact = false } = {}) {
+  const evaluation = evaluateExpression(expression, variableValues, { exact });
+  return evaluation.success ? evaluation.value : null;
+}
+
+/**
+ * Traza paso a paso de una expresión (sustitución de variables y cada operación
+ * en orden de precedencia), con la aritmética de la dificultad.
+ * Es lo que ve el jugador al fallar: "2 + 3 * 4 → 2 + 12 → 14".
+ * 
+ * @param {string} expression - La expresión del jugador
+ * @param {Object} variableValues - Valores de las variables (ej: { x: 4 })
+ * @param {string|Object} difficulty - Clave de dificultad o configuración personalizada
+ * @returns {Array<{expression: string, note: string|null}>} Pasos (vacío si la expresión no se puede analizar)
+ */
+export function getEvaluationTrace(expression, variableValues = {}, difficulty = 'medium') {
+  const exact = Boolean(getDifficultyConfig(difficulty).exactArithmetic);
+  return traceExpression(expression, variableValues, { exact }).steps;
+}
+
+
+/**
+ * Símbolos de variable que reparte una dificultad (vacío si no usa variables).
+ * 
+ * @param {string|Object} difficulty - Clave de dificultad o configuración personalizada
+ * @returns {string[]} Símbolos, ej: ['x', 'y', 'z']
+ */
+export function getVariableSymbols(difficulty = 'medium') {
+  const { variableConfig } = getDifficultyConfig(difficulty);
+  return variableConfig?.enabled ? [...variableConfig.variables] : [];
+}
+
+/**
+ * Detecta si una expresión contiene variables algebraicas.
+ * Cuenta los identificadores del tokenizer, no letras sueltas: vale para cualquier
+ * símbolo de VARIABLE_SYMBOLS y `mod` nunca cuenta como variable.
+ * 
+ * @param {string} expression - La expresión a analizar
+ * @returns {Object} { hasVariables: boolean, variablesUsed: string[] }
+ */
+export function detectVariablesInExpression(expression) {
+  let tokens = [];
+  try {
+    tokens = tokenize(expression);
+  } catch {
+    // Una expresión con caracteres no permitidos no usa variables
+  }
+  const identifiers = tokens.filter(token => token.type === 'identifier').map(token => token.value);
+  const uniqueVars = [...new Set(identifiers)];
+
+  return {
+    hasVariables: uniqueVars.length > 0,
+    variablesUsed: uniqueVars
+  };
+}
+
+/**
+ * Calcula el bonus por usar variables algebraicas.
+ * 
+ * @param {string} expression - La expresión del jugador
+ * @param {number} baseDamage - Daño base antes del bonus
+ * @param {string} difficulty - Nivel de dificultad
+ * @returns {Object} { bonus: number, bonusPercent: number, variablesUsed: string[] }
+ */
+export function calculateVariableBonus(expression, baseDamage, difficulty = 'medium') {
+  const config = getDifficultyConfig(difficulty);
+  const { hasVariables, variablesUsed } = detectVariablesInExpression(expression);
+
+  if (!hasVariables || !config.variableConfig?.enabled) {
+    return { bonus: 0, bonusPercent: 0, variablesUsed: [] };
+  }
+
+  const multiplier = config.variableConfig.bonusMultiplier || 1.1;
+  const bonusPercent = Math.round((multiplier - 1) * 100);
+  const bonus = Math.floor(baseDamage * (multiplier - 1));
+
+  return {
+    bonus,
+    bonusPercent,
+    variablesUsed
+  };
+}
+
+// ======================================
+// Búsqueda con operadores avanzados (Experto)
+// ======================================
+
+function factorial(n) {
+  let result = 1;
+  for (let i = 2; i <= n; i++) result *= i;
+  return result;
+}
+
+/** ¿Se puede calcular a^b dentro de los límites? (exponente entero no negativo) */
+function canRaise(a, b) {
+  return Number.isInteger(b) && b >= 0 && b <= OPERATOR_LIMITS.maxExponent &&
+    Math.abs(a ** b) <= OPERATOR_LIMITS.maxMagnitude;
+}
+
+/** ¿Se puede calcular a mod b? (enteros y divisor distinto de cero) */
+function canTakeModulo(a, b) {
+  return b !== 0 && Number.isInteger(a) && Number.isInteger(b);
+}
+
+/**
+ * Variantes de una carta con un operador unario: n, √n (cuadrado perfecto) y n! (n pequeño).
+ * 
+ * Los operadores unarios solo se aplican a cartas sueltas (√9, 4!), no a
+ * resultados intermedios: así la búsqueda no crece sin límite (3! → 6! → 720! ...).
+ * 
+ * @returns {Array<{value: number, operator: string|null}>}
+ */
+function getUnaryVariants(value, config) {
+  const variants = [{ value, operator: null }];
+
+  if (config.operators.includes('√') && value > 1 && Number.isInteger(Math.sqrt(value))) {
+    variants.push({ value: Math.sqrt(value), operator: '√' });
+  }
+  if (config.operators.includes('!') && Number.isInteger(value) && value >= 3 && value <= SEARCH_MAX_FACTORIAL) {
+    variants.push({ value: factorial(value), operator: '!' });
+  }
+
+  return variants;
+}
+
+// ======================================
+// Análisis del espacio de soluciones
+// ======================================
+
+/** Precedencia del operador raíz de una expresión (4 = número suelto o grupo). */
+const OPERATOR_PRECEDENCE = { '+': 1, '-': 1, '*': 2, '/': 2, 'mod': 2, '^': 3 };
+const ATOM_PRECEDENCE = 4;
+
+/** Máscara de bits con las precedencias >= `precedence` (bit p = precedencia p). */
+function precedenceAtLeast(precedence) {
+  return (0b11111 >> precedence) << precedence;
+}
+
+/**
+ * ¿Se puede escribir `izquierda op derecha` sin paréntesis?
+ * `flatLeft`/`flatRight` son las precedencias con las que cada lado se escribe sin paréntesis.
+ */
+function combinesWithoutParentheses(op, flatLeft, flatRight) {
+  const precedence = OPERATOR_PRECEDENCE[op];
+  // a^b^c se lee a^(b^c): la base de una potencia tiene que ser un número o un grupo
+  const leftMin = op === '^' ? ATOM_PRECEDENCE : precedence;
+  // a-(b-c), a/(b*c) y a mod (b*c) necesitan paréntesis; a+(b+c) y a*(b*c) no
+  const rightMin = ['-', '/', 'mod'].includes(op) ? precedence + 1 : precedence;
+
+  return (flatLeft & precedenceAtLeast(leftMin)) !== 0 && (flatRight & precedenceAtLeast(rightMin)) !== 0;
+}
+
+/**
+ * Operaciones binarias de la dificultad como funciones `(a, b) => valor | null`
+ * (null = no permitida con esos operandos: división no exacta, potencia enorme...).
+ */
+function getBinaryOperations(config) {
+  const allows = (op) => config.operators.includes(op);
+  const operations = {};
+
+  if (config.exactArithmetic) {
+    if (allows('+')) operations['+'] = Rational.add;
+    if (allows('-')) operations['-'] = Rational.subtract;
+    if (allows('*')) operations['*'] = Rational.multiply;
+    if (allows('/')) operations['/'] = (a, b) => (Rational.isZero(b) ? null : Rational.divide(a, b));
+    return operations;
+  }
+
+  if (allows('+')) operations['+'] = (a, b) => a + b;
+  if (allows('-')) operations['-'] = (a, b) => a - b;
+  if (allows('*')) operations['*'] = (a, b) => a * b;
+  // División (/) - Solo divisores enteros y no cero
+  if (allows('/')) operations['/'] = (a, b) => (b !== 0 && a % b === 0 ? a / b : null);
+  if (allows('^')) operations['^'] = (a, b) => (canRaise(a, b) ? a ** b : null);
+  if (allows('mod')) operations['mod'] = (a, b) => (canTakeModulo(a, b) ? ((a % b) + b) % b : null);
+  return operations;
+}
+
+/**
+ * Analiza TODAS las expresiones que se pueden formar con una mano.
+ * 
+ * Algoritmo (programación dinámica sobre subconjuntos de cartas):
+ * 1. Cada carta sola vale n (y en Experto también √n y n!).
+ * 2. Para cada subconjunto, combina cada partición en dos mitades con cada operador
+ *    permitido. Los operadores conmutativos (+, ×) se prueban en un solo orden.
+ * 3. Por cada valor alcanzable guarda:
+ *    - `solutions`: número de expresiones distintas (salvo conmutatividad) que lo dan,
+ *    - `minCards`: mínimo de cartas necesarias,
+ *    - `flat`: precedencias con las que se puede escribir sin paréntesis,
+ *    - `noDivision`: si existe alguna expresión que no divide.
+ * 
+ * En modo Fracciones los valores son racionales; en el resto, enteros.
+ * 
+ * @param {Object} config - Configuración de la dificultad
+ * @param {number[]} numbers - Cartas y valores de variables
+ * @returns {Map<string, {value: number|{num: number, den: number}, solutions: number, minCards: number, flat: number, noDivision: boolean}>}
+ *   Estadísticas por valor, indexadas por `Rational.formatValue(valor)`
+ */
+function analyzeSolutionSpace(config, numbers) {
+  const { bySubset } = getSubsetTable(config, numbers);
+
+  // 3. Un target puede usar cualquier subconjunto de la mano
+  const allResults = new Map();
+  for (let mask = 1; mask < bySubset.length; mask++) {
+    for (const stats of bySubset[mask].values()) mergeStats(allResults, stats.value, stats);
+  }
+
+  return normalizeResultSigns(config, allResults);
+}
+
+/** Tablas de subconjuntos recientes (generar el target y resolver la misma mano la comparten). */
+const SUBSET_TABLE_CACHE_SIZE = 32;
+const subsetTableCache = new Map();
+
+/**
+ * Tabla de subconjuntos de una mano, cacheada por multiconjunto de valores:
+ * [3, 5, x=3] y [5, 3, 3] comparten tabla. Los valores se ordenan antes de construirla,
+ * así que los índices de la tabla se refieren a `numbers` ORDENADO (el que se devuelve).
+ * 
+ * @returns {{numbers: number[], bySubset: Array<Map<string, Object>>}}
+ */
+function getSubsetTable(config, numbers) {
+  const sorted = [...numbers].sort((a, b) => a - b);
+  const key = `${config.exactArithmetic ? 'Q' : 'Z'}|${config.operators.join(' ')}|${sorted.join(',')}`;
+
+  let table = subsetTableCache.get(key);
+  if (table) {
+    // LRU: la última usada pasa al final
+    subsetTableCache.delete(key);
+  } else {
+    table = { numbers: sorted, bySubset: buildSubsetTable(config, sorted) };
+    if (subsetTableCache.size >= SUBSET_TABLE_CACHE_SIZE) {
+      subsetTableCache.delete(subsetTableCache.keys().next().value);
+    }
+  }
+  subsetTableCache.set(key, table);
+  return table;
+}
+
+/**
+ * Pasos 1 y 2 de `analyzeSolutionSpace`: estadísticas por valor de cada subconjunto
+ * de la mano (índice = máscara de bits de las cartas usadas).
+ * El solver completo la reutiliza para reconstruir las expresiones.
+ * 
+ * Los subconjuntos con los mismos valores (cartas repetidas) comparten resultados:
+ * con [3, 3, 5], {3, 5} se calcula una sola vez.
+ * 
+ * @returns {Array<Map<string, Object>>}
+ */
+function buildSubsetTable(config, numbers) {
+  const exact = Boolean(config.exactArithmetic);
+  const operations = Object.entries(getBinaryOperations(config));
+  const count = numbers.length;
+  const bySubset = new Array(1 << count);
+  const byMultiset = new Map();
+
+  // 1. Cartas sueltas (con sus variantes √n / n!)
+  numbers.forEach((number, index) => {
+    const leaves = new Map();
+    const variants = exact ? [{ value: Rational.toRational(number) }] : getUnaryVariants(number, config);
+    for (const { value } of variants) {
+      mergeStats(leaves, value, { solutions: 1, minCards: 1, flat: 1 << ATOM_PRECEDENCE, noDivision: true });
+    }
+    bySubset[1 << index] = leaves;
+  });
+
+  // 2. Subconjuntos en orden creciente: sus particiones ya están calculadas
+  for (let mask = 1; mask < (1 << count); mask++) {
+    if (bySubset[mask]) continue;
+
+    const multisetKey = subsetValues(numbers, mask).join(',');
+    if (byMultiset.has(multisetKey)) {
+      bySubset[mask] = byMultiset.get(multisetKey);
+      continue;
+    }
+
+    const results = new Map();
+    const cards = popCount(mask);
+
+    for (let left = (mask - 1) & mask; left > 0; left = (left - 1) & mask) {
+      const right = mask ^ left;
+
+      for (const [op, apply] of operations) {
+        // + y × son conmutativos: basta con un orden de la partición
+        if ((op === '+' || op === '*') && left > right) continue;
+
+        for (const a of bySubset[left].values()) {
+          for (const b of bySubset[right].values()) {
+            const value = apply(a.value, b.value);
+            if (value === null) continue;
+
+            mergeStats(results, value, {
+              solutions: a.solutions * b.solutions,
+              minCards: cards,
+              flat: combinesWithoutParentheses(op, a.flat, b.flat) ? 1 << OPERATOR_PRECEDENCE[op] : 0,
+              noDivision: op !== '/' && a.noDivision && b.noDivision
+            });
+          }
+        }
+      }
+    }
+
+    bySubset[mask] = results;
+    byMultiset.set(multisetKey, results);
+  }
+
+  return bySubset;
+}
+
+/** Elementos de `items` cuyos bits están activos en `mask` (en orden). */
+function subsetValues(items, mask) {
+  return items.filter((_, index) => mask & (1 << index));
+}
+
+/** Acumula las estadísticas de un valor (varias expresiones pueden dar el mismo valor). */
+function mergeStats(map, value, stats) {
+  const key = Rational.formatValue(value);
+  const current = map.get(key);
+  if (!current) {
+    map.set(key, { ...stats, value });
+    return;
+  }
+  current.solutions += stats.solutions;
+  current.minCards = Math.min(current.minCards, stats.minCards);
+  current.flat |= stats.flat;
+  current.noDivision = current.noDivision || stats.noDivision;
+}
+
+function popCount(mask) {
+  let bits = 0;
+  for (let m = mask; m > 0; m &= m - 1) bits++;
+  return bits;
+}
+
+/**
+ * Sin targets negativos (todas las dificultades salvo Enteros) un resultado negativo
+ * cuenta como su valor absoluto: basta con invertir la resta (3-8 → 8-3).
+ * Con ^ y mod el signo importa (alcanzar -83 no garantiza poder alcanzar 83): se descartan.
+ */
+function normalizeResultSigns(config, results) {
+  if (config.exactArithmetic || config.allowNegativeTargets) return results;
+
+  const signSensitive = config.operators.includes('^') || config.operators.includes('mod');
+  const normalized = new Map();
+
+  for (const stats of results.values()) {
+    if (stats.value >= 0) {
+      mergeStats(normalized, stats.value, stats);
+    } else if (!signSensitive) {
+      mergeStats(normalized, -stats.value, stats);
+    }
+  }
+
+  return normalized;
+}
+
+// ======================================
+// Rating de targets
+// ======================================
+
+/**
+ * Bandas de dificultad del target. Cada dificultad pide una (`targetBand`) y el
+ * generador elige targets cuyo rating cae dentro de ella.
+ */
+export const TARGET_BANDS = {
+  easy: { name: 'Sencillo', emoji: '🟢', min: 0, max: 34 },
+  medium: { name: 'Intermedio', emoji: '🟡', min: 35, max: 59 },
+  hard: { name: 'Desafiante', emoji: '🔴', min: 60, max: 100 }
+};
+
+/**
+ * Convierte las estadísticas de un valor en un rating de 0 (trivial) a 100.
+ * 
+ * - Operaciones mínimas (cartas - 1): hasta 48 puntos.
+ * - Escasez de soluciones: 30 puntos con una sola, 0 con 1000 o más.
+ * - Paréntesis obligatorios: 12 puntos. División obligatoria: 10 puntos.
+ * 
+ * @returns {{score: number, band: string, solutions: number, minCards: number, minOperations: number, needsParentheses: boolean, needsDivision: boolean}}
+ */
+function buildTargetRating(stats) {
+  const minOperations = stats.minCards - 1;
+  const needsParentheses = stats.flat === 0;
+  const needsDivision = !stats.noDivision;
+
+  const operationsScore = Math.min(minOperations, 4) * 12;
+  const scarcityScore = Math.max(0, 1 - Math.log10(stats.solutions) / 3) * 30;
+  const score = Math.round(Math.min(100,
+    operationsScore + scarcityScore + (needsParentheses ? 12 : 0) + (needsDivision ? 10 : 0)
+  ));
+
+  const band = Object.keys(TARGET_BANDS).find(key => score <= TARGET_BANDS[key].max);
+
+  return {
+    score,
+    band,
+    solutions: stats.solutions,
+    minCards: stats.minCards,
+    minOperations,
+    needsParentheses,
+    needsDivision
+  };
+}
+
+/**
+ * Rating de un target concreto para una mano.
+ * 
+ * @param {string|Object} difficulty - Clave de dificultad o configuración personalizada
+ * @param {number[]} cards - Cartas numéricas
+ * @param {Object} variableValues - Valores de las variables, ej: { x: 4, y: 7 }
+ * @param {number|{num: number, den: number}} target - Target a evaluar
+ * @returns {Object|null} Rating (ver `buildTargetRating`) o null si el target no es alcanzable
+ */
+export function rateTarget(difficulty = 'medium', cards, variableValues = {}, target) {
+  const config = getDifficultyConfig(difficulty);
+  const results = analyzeSolutionSpace(config, [...cards, ...Object.values(variableValues)]);
+  const stats = results.get(Rational.formatValue(target));
+  return stats ? buildTargetRating(stats) : null;
+}
+
+/** Distancia del rating a una banda (0 si cae dentro). */
+function distanceToBand(score, band) {
+  if (score < band.min) return band.min - score;
+  if (score > band.max) return score - band.max;
+  return 0;
+}
+
+/**
+ * Targets alcanzables dentro del rango de la dificultad para una mano concreta.
+ * 
+ * En modo Fracciones devuelve racionales con denominador acotado por `maxTargetDenominator`.
+ * Lo usan el generador de targets y la validación de dificultades personalizadas
+ * (para rechazar rangos que el solver no puede alcanzar).
+ * 
+ * @param {string|Object} difficulty - Clave de dificultad o configuración personalizada
+ * @param {number[]} cards - Cartas numéricas
+ * @param {Object} variableValues - Valores de las variables, ej: { x: 4, y: 7 }
+ * @returns {Array<number|{num: number, den: number}>} Targets alcanzables en el rango
+ */
+export function getReachableTargets(difficulty = 'medium', cards, variableValues = {}) {
+  const config = getDifficultyConfig(difficulty);
+  const results = analyzeSolutionSpace(config, [...cards, ...Object.values(variableValues)]);
+  return getCandidateTargets(config, results).map(stats => stats.value);
+}
+
+/**
+ * Valores alcanzables que sirven como target: dentro del rango, con denominador razonable
+ * (Fracciones) y escribibles sin paréntesis si la dificultad no los permite.
+ */
+function getCandidateTargets(config, results) {
+  const { min, max } = config.targetRange;
+  const maxDenominator = config.maxTargetDenominator || 12;
+
+  return Array.from(results.values()).filter(({ value, flat }) => {
+    if (config.allowParentheses === false && flat === 0) return false;
+    if (config.exactArithmetic) {
+      return value.den <= maxDenominator &&
+        Rational.compareValues(value, min) >= 0 &&
+        Rational.compareValues(value, max) <= 0;
+    }
+    return Number.isInteger(value) && value >= min && value <= max;
+  });
+}
+
+/**
+ * Genera un target (número objetivo) GARANTIZADO de ser alcanzable, con su rating.
+ * 
+ * Algoritmo:
+ * 1. Analiza todas las expresiones posibles con las cartas y variables
+ *    (ver `analyzeSolutionSpace`).
+ * 2. Filtra los resultados que caen dentro del rango de dificultad (min-max).
+ *    En Fracciones prefiere los targets NO enteros.
+ * 3. Puntúa cada candidato (ver `buildTargetRating`) y se queda con los de la banda
+ *    pedida; si ninguno cae dentro, con los más cercanos a ella.
+ * 4. Elige uno al azar con el PRNG de la partida.
+ * 
+ * @param {string|Object} difficulty - Clave de dificultad o configuración personalizada
+ * @param {number[]} cards - Cartas numéricas
+ * @param {Object} variableValues - Valores de las variables, ej: { x: 4, y: 7 }
+ * @param {Object} [options]
+ * @param {() => number} [options.random=Math.random] - PRNG de la partida
+ * @param {string} [options.band] - Banda de TARGET_BANDS (por defecto la `targetBand` de la dificultad)
+ * @returns {{target: number|{num: number, den: number}, rating: Object|null}}
+ *   rating es null solo en el fallback (ningún resultado cae dentro del rango)
+ */
+export function generateRatedTarget(difficulty = 'medium', cards, variableValues = {}, { random = Math.random, band } = {}) {
+  return pickRatedTarget(difficulty, rateCandidateTargets(difficulty, cards, variableValues), { random, band });
+}
+
+/**
+ * Pasos 1-3 de `generateRatedTarget` (la parte costosa, sin azar): todos los targets
+ * candidatos de la mano con su rating. Es serializable, así se puede calcular en un
+ * worker y elegir después con el PRNG de la partida (`pickRatedTarget`) sin romper
+ * la reproducibilidad de las semillas.
+ * 
+ * @param {string|Object} difficulty - Clave de dificultad o configuración personalizada
+ * @param {number[]} cards - Cartas numéricas
+ * @param {Object} variableValues - Valores de las variables, ej: { x: 4, y: 7 }
+ * @returns {{candidates: Array<{value: number|{num: number, den: number}, rating: Object}>, fallback: number|{num: number, den: number}|null}}
+ */
+export function rateCandidateTargets(difficulty = 'medium', cards, variableValues = {}) {
+  const config = getDifficultyConfig(difficulty);
+  const allNumbers = [...cards, ...Object.values(variableValues)];
+  const results = analyzeSolutionSpace(config, allNumbers);
+
+  let candidates = getCandidateTargets(config, results);
+
+  // Modo Fracciones: preferir fracciones "de verdad"; si no hay, aceptar enteros del rango
+  if (config.exactArithmetic) {
+    const fractional = candidates.filter(({ value }) => !Rational.isInteger(value));
+    if (fractional.length > 0) candidates = fractional;
+  }
+
+  if (candidates.length === 0) {
+    return { candidates: [], fallback: getFallbackTarget(config, results, allNumbers) };
+  }
+
+  return {
+    candidates: candidates.map(stats => ({ value: stats.value, rating: buildTargetRating(stats) })),
+    fallback: null
+  };
+}
+
+/**
+ * Paso 4 de `generateRatedTarget`: elige al azar uno de los candidatos más cercanos a la banda.
+ * 
+ * @param {string|Object} difficulty - Clave de dificultad o configuración personalizada
+ * @param {{candidates: Array, fallback: *}} rated - Resultado de `rateCandidateTargets`
+ * @param {Object} [options]
+ * @param {() => number} [options.random=Math.random] - PRNG de la partida
+ * @param {string} [options.band] - Banda de TARGET_BANDS (por defecto la `targetBand` de la dificultad)
+ * @returns {{target: number|{num: number, den: number}, rating: Object|null}}
+ */
+export function pickRatedTarget(difficulty = 'medium', { candidates, fallback }, { random = Math.random, band } = {}) {
+  if (candidates.length === 0) {
+    return { target: fallback, rating: null };
+  }
+
+  const config = getDifficultyConfig(difficulty);
+  const targetBand = TARGET_BANDS[band || config.targetBand] || TARGET_BANDS.medium;
+  const closest = Math.min(...candidates.map(({ rating }) => distanceToBand(rating.score, targetBand)));
+  const inBand = candidates.filter(({ rating }) => distanceToBand(rating.score, targetBand) === closest);
+
+  const chosen = randomChoice(random, inBand);
+  return { target: chosen.value, rating: chosen.rating };
+}
+
+/**
+ * Genera un target (número objetivo) GARANTIZADO de ser alcanzable.
+ * Igual que `generateRatedTarget`, pero devuelve solo el target.
+ * 
+ * @param {string|Object} difficulty - Clave de dificultad ('easy', 'medium', ...) o configuración personalizada
+ * @param {number[]} cards - Array de números disponibles (las cartas numéricas)
+ * @param {Object} variableValues - Objeto con valores de variables, ej: { x: 4, y: 7 }
+ * @param {() => number} [random=Math.random] - PRNG de la partida (con semilla, el target es reproducible)
+ * @returns {number|{num: number, den: number}} Un número objetivo (negativo solo en Enteros, racional en Fracciones) matemáticamente posible de alcanzar con las cartas/variables
+ */
+export function generateTargetByDifficulty(difficulty = 'medium', cards, variableValues = {}, random = Math.random) {
+  return generateRatedTarget(difficulty, cards, variableValues, { random }).target;
+}
+
+/**
+ * Fallback cuando ningún resultado cae dentro del rango: el resultado alcanzable más
+ * cercano al rango. En modo Fracciones nunca se clampea (un target clampeado podría
+ * no tener solución).
+ */
+function getFallbackTarget(config, results, allNumbers) {
+  const { min, max } = config.targetRange;
+
+  if (config.exactArithmetic) {
+    const maxDenominator = config.maxTargetDenominator || 12;
+    const distanceToRange = (value) => {
+      if (Rational.compareValues(value, min) < 0) return Rational.absoluteDifference(value, min);
+      if (Rational.compareValues(value, max) > 0) return Rational.absoluteDifference(value, max);
+      return Rational.rational(0);
+    };
+    const positives = Array.from(results.values())
+      .map(stats => stats.value)
+      .filter(value => value.num > 0 && value.den <= maxDenominator);
+    positives.sort((a, b) => Rational.compareValues(distanceToRange(a), distanceToRange(b)));
+
+    return positives[0] || Rational.toRational(min);
+  }
+
+  const allowNegative = Boolean(config.allowNegativeTargets);
+  const allResults = Array.from(results.values())
+    .map(stats => stats.value)
+    .filter(val => Number.isInteger(val) && (val > 0 || allowNegative));
+
+  if (allResults.length > 0) {
+    // Ordenar por cercanía al rango [min, max]
+    allResults.sort((a, b) => {
+      const distA = a < min ? min - a : (a > max ? a - max : 0);
+      const distB = b < min ? min - b : (b > max ? b - max : 0);
+      return distA - distB;
+    });
+
+    // Tomar el más cercano, pero clampear al rango si está cerca
+    return Math.max(min, Math.min(max, allResults[0]));
+  }
+
+  // Último recurso: suma clampeada al rango
+  const sum = allNumbers.reduce((a, b) => a + b, 0);
+  return Math.max(min, Math.min(max, sum));
+}
+
+// ======================================
+// Solver completo
+// ======================================
+
+/**
+ * Combina dos expresiones con un operador binario.
+ * 
+ * Además del texto (con los paréntesis mínimos) calcula una clave canónica:
+ * las cadenas de sumas/restas y de productos/divisiones se aplanan en multiconjuntos
+ * ordenados, así `2 + x`, `x + 2` y `(2 + 3) + 4` / `2 + (3 + 4)` comparten clave.
+ * 
+ * @returns {Object|null} null si hacen falta paréntesis y la dificultad no los permite
+ */
+function combineExpressions(config, op, a, b) {
+  const precedence = OPERATOR_PRECEDENCE[op];
+  const leftMin = op === '^' ? ATOM_PRECEDENCE : precedence;
+  const rightMin = ['-', '/', 'mod'].includes(op) ? precedence + 1 : precedence;
+  const wrapLeft = a.precedence < leftMin;
+  // a * (b mod c) ≠ (a * b) mod c: un módulo a la derecha de × siempre va entre paréntesis
+  const wrapRight = b.precedence < rightMin || (op === '*' && b.isModulo);
+
+  if ((wrapLeft || wrapRight) && !config.allowParentheses) return null;
+
+  const left = wrapLeft ? `(${a.expr})` : a.expr;
+  const right = wrapRight ? `(${b.expr})` : b.expr;
+  const item = {
+    expr: `${left} ${op} ${right}`,
+    precedence,
+    isModulo: op === 'mod',
+    groups: a.groups + b.groups + (wrapLeft ? 1 : 0) + (wrapRight ? 1 : 0),
+    terms: null,
+    factors: null
+  };
+
+  const termsOf = (x) => x.terms || { pos: [x.key], neg: [] };
+  const factorsOf = (x) => x.factors || { num: [x.key], den: [] };
+
+  if (op === '+' || op === '-') {
+    const ta = termsOf(a);
+    const tb = termsOf(b);
+    item.terms = op === '+'
+      ? { pos: [...ta.pos, ...tb.pos], neg: [...ta.neg, ...tb.neg] }
+      : { pos: [...ta.pos, ...tb.neg], neg: [...ta.neg, ...tb.pos] };
+    item.key = `S[${[...item.terms.pos].sort().join(',')}|${[...item.terms.neg].sort().join(',')}]`;
+  } else if (op === '*' || op === '/') {
+    const fa = factorsOf(a);
+    const fb = factorsOf(b);
+    item.factors = op === '*'
+      ? { num: [...fa.num, ...fb.num], den: [...fa.den, ...fb.den] }
+      : { num: [...fa.num, ...fb.den], den: [...fa.den, ...fb.num] };
+    item.key = `P[${[...item.factors.num].sort().join(',')}|${[...item.factors.den].sort().join(',')}]`;
+  } else {
+    item.key = `(${a.key}${op}${b.key})`;
+  }
+
+  return item;
+}
+
+/** Entre dos expresiones equivalentes se queda con la más limpia (menos paréntesis, más corta). */
+function keepSimplest(map, item) {
+  const current = map.get(item.key);
+  if (!current || item.groups < current.groups ||
+    (item.groups === current.groups && item.expr.length < current.expr.length)) {
+    map.set(item.key, item);
+  }
+}
+
+/**
+ * Reconstruye, de arriba abajo, todas las expresiones distintas de un subconjunto
+ * que dan un valor concreto. Solo visita los pares (subconjunto, valor) que llevan
+ * a ese valor, así no hace falta materializar todas las expresiones de la mano.
+ * 
+ * @returns {(mask: number, value: number|{num: number, den: number}) => Object[]}
+ */
+function createExpressionEnumerator(config, atoms, bySubset) {
+  const exact = Boolean(config.exactArithmetic);
+  const operations = Object.entries(getBinaryOperations(config));
+  const sameValue = exact
+    ? (a, b) => Rational.compareValues(a, b) === 0
+    : (a, b) => a === b;
+  // Memo por multiconjunto de etiquetas: con dos cartas 3, {3ª, 5} y {3ᵇ, 5} son lo mismo
+  const memo = new Map();
+  const labelsOf = (mask) => subsetValues(atoms, mask).map(atom => atom.label).sort().join(',');
+
+  function leafExpressions(index, value) {
+    const { value: atomValue, label } = atoms[index];
+    const variants = exact ? [{ value: Rational.toRational(atomValue), operator: null }] : getUnaryVariants(atomValue, config);
+
+    return variants
+      .filter(variant => sameValue(variant.value, value))
+      .map(variant => {
+        const expr = variant.operator === '√' ? `√${label}` : variant.operator === '!' ? `${label}!` : label;
+        return { expr, key: expr, precedence: ATOM_PRECEDENCE, isModulo: false, groups: 0, terms: null, factors: null };
+      });
+  }
+
+  function expressionsFor(mask, value) {
+    const memoKey = `${labelsOf(mask)}:${Rational.formatValue(value)}`;
+    if (memo.has(memoKey)) return memo.get(memoKey);
+
+    let items;
+    if ((mask & (mask - 1)) === 0) {
+      items = leafExpressions(Math.log2(mask), value);
+    } else {
+      const byKey = new Map();
+
+      for (let left = (mask - 1) & mask; left > 0; left = (left - 1) & mask) {
+        const right = mask ^ left;
+
+        for (const [op, apply] of operations) {
+          if ((op === '+' || op === '*') && left > right) continue;
+
+          for (const a of bySubset[left].values()) {
+            for (const b of bySubset[right].values()) {
+              const result = apply(a.value, b.value);
+              if (result === null || !sameValue(result, value)) continue;
+
+              for (const ea of expressionsFor(left, a.value)) {
+                for (const eb of expressionsFor(right, b.value)) {
+                  const item = combineExpressions(config, op, ea, eb);
+                  if (item) keepSimplest(byKey, item);
+                }
+              }
+            }
+          }
+        }
+      }
+
+      items = Array.from(byKey.values());
+    }
+
+    memo.set(memoKey, items);
+    return items;
+  }
+
+  return expressionsFor;
+}
+
+/** Orden de las jugadas: más daño primero; a igual daño, la expresión más corta. */
+function compareSolverPlays(a, b) {
+  return b.damage - a.damage || a.expression.length - b.expression.length;
+}
+
+/**
+ * Solver completo: TODAS las soluciones distintas de una mano, ordenadas por daño.
+ * 
+ * Las soluciones equivalentes por conmutatividad o asociatividad (`2 + x` / `x + 2`,
+ * `(2 + 3) + 4` / `2 + (3 + 4)`) se cuentan una sola vez. Cada jugada se puntúa con
+ * el mismo pipeline que un ataque real (`calculateAttackDamage`: daño normalizado,
+ * bonus de paréntesis y bonus de variables), así "la mejor jugada" es la que más daño
+ * habría hecho. Si no hay solución exacta, devuelve la mejor jugada de los valores
+ * alcanzables más cercanos al target.
+ * 
+ * Lo usan la pantalla de rendición, la CPU y el resumen de ronda multijugador.
+ * 
+ * @param {number|{num: number, den: number}} target - El número objetivo a alcanzar
+ * @param {number[]} cards - Las cartas numéricas disponibles
+ * @param {string|Object} difficulty - Clave de dificultad o configuración personalizada
+ * @param {Object} variableValues - Valores de las variables, ej: { x: 4, y: 7 }
+ * @param {Object} [options]
+ * @param {number} [options.streak=0] - Racha del jugador (para el bonus de racha del daño)
+ * @param {number} [options.maxClosest=3] - Cuántos valores cercanos devolver si no hay solución exacta
+ * @param {number} [options.maxSolutions=Infinity] - Cuántas soluciones devolver (las de más daño);
+ *   `solutionCount` siempre cuenta todas. Útil para no copiar miles de jugadas a/desde un worker.
+ * @returns {{exact: boolean, solutionCount: number, solutions: Object[], closest: Object[], best: Object|null}}
+ *   Cada jugada: `{ expression, value, difference, cardsUsed, damage, attack }`
+ */
+export function solveHand(target, cards, difficulty = 'medium', variableValues = {}, { streak = 0, maxClosest = 3, maxSolutions = Infinity } = {}) {
+  const config = getDifficultyConfig(difficulty);
+  // Mismo orden que la tabla cacheada (ver `getSubsetTable`): por valor
+  const atoms = [
+    ...cards.map(card => ({ value: card, label: String(card) })),
+    ...Object.entries(variableValues).map(([symbol, value]) => ({ value, label: symbol }))
+  ].sort((a, b) => a.value - b.value);
+  const { bySubset } = getSubsetTable(config, atoms.map(atom => atom.value));
+  const expressionsFor = createExpressionEnumerator(config, atoms, bySubset);
+
+  // Jugadas (puntuadas) que dan un valor, con cualquier subconjunto de la mano
+  const playsFor = (valueKey) => {
+    const byKey = new Map();
+    for (let mask = 1; mask < bySubset.length; mask++) {
+      const stats = bySubset[mask].get(valueKey);
+      if (!stats) continue;
+      for (const item of expressionsFor(mask, stats.value)) keepSimplest(byKey, item);
+    }
+
+    return Array.from(byKey.values())
+      .map(item => {
+        const attack = calculateAttackDamage({ expression: item.expr, target, streak, difficulty, variableValues });
+        return attack && {
+          expression: item.expr,
+          value: attack.result,
+          difference: attack.difference,
+          cardsUsed: attack.cardsUsed,
+          damage: attack.totalDamage,
+          attack
+        };
+      })
+      .filter(Boolean)
+      .sort(compareSolverPlays);
+  };
+
+  const allSolutions = playsFor(Rational.formatValue(target));
+  const solutions = allSolutions.slice(0, maxSolutions);
+  let closest = [];
+
+  if (allSolutions.length === 0 && maxClosest > 0) {
+    const reachable = new Map();
+    for (let mask = 1; mask < bySubset.length; mask++) {
+      for (const [key, stats] of bySubset[mask]) reachable.set(key, stats.value);
+    }
+
+    closest = Array.from(reachable.entries())
+      .sort(([, a], [, b]) => Rational.compareValues(
+        Rational.absoluteDifference(a, target),
+        Rational.absoluteDifference(b, target)
+      ))
+      .slice(0, maxClosest)
+      .map(([key]) => playsFor(key)[0])
+      .filter(Boolean);
+  }
+
+  return {
+    exact: allSolutions.length > 0,
+    solutionCount: allSolutions.length,
+    solutions,
+    closest,
+    best: solutions[0] || closest[0] || null
+  };
+}
+
+/**
+ * Mejor solución exacta para el target (la de más daño), o null si no existe.
+ * Atajo sobre `solveHand` para quien solo necesita el texto de la expresión.
+ * 
+ * @param {number|{num: number, den: number}} target - El número objetivo a alcanzar
+ * @param {number[]} cards - Las cartas numéricas disponibles
+ * @param {string|Object} difficulty - Clave de dificultad o configuración personalizada
+ * @param {Object} variableValues - Objeto con valores de variables, ej: { x: 4, y: 7 }
+ * @returns {string|null} La expresión solución (ej: "4 * (x + 2)") o null si no hay solución exacta
+ */
+export function findSolution(target, cards, difficulty = 'medium', variableValues = {}) {
+  const { solutions } = solveHand(target, cards, difficulty, variableValues, { maxClosest: 0, maxSolutions: 1 });
+  return solutions.length > 0 ? solutions[0].expression : null;
+}
+
+
+/**
+ * Calcula el daño final y las estadísticas de la jugada.
+ * Este es el núcleo del sistema de puntuación ("Game Juice").
+ * 
+ * Factores de Puntuación:
+ * 1. **Base Damage**: Daño fijo por acertar.
+ * 2. **Card Bonus**: Incentiva usar más cartas (3 o 4) en lugar de soluciones simples de 2 cartas.
+ * 3. **Operator Bonus**: Incentiva la variedad (usar suma y resta y multi...).
+ *    Los operadores avanzados (^, √, mod, !) valen el doble.
+ * 4. **Division Bonus**: Recompensa extra por usar divisiones exactas (más difícil mentalmente).
+ * 5. **Accuracy**: El multiplicador global basado en qué tan cerca estuviste del target.
+ * 
+ * @param {Object} params - Parámetros del ataque
+ * @param {number} params.cardsUsed - Número de cartas utilizadas en la fórmula (1-4)
+ * @param {string[]} params.operatorsUsed - Array de símbolos de operadores usados
+ * @param {number|{num: number, den: number}} params.difference - Distancia absoluta al target
+ *   (|resultado - target|). En modo Fracciones es un racional exacto.
+ * @param {boolean} params.hasExactDivision - Flag si se detectó una división exacta válida
+ * @param {{close: number, far: number}} [params.thresholds] - Umbrales de cercanía (por defecto ±5 / ±10)
+ * @returns {Object} Objeto detallado con el daño final y el desglose para la UI
+ */
+export function calculateNormalizedDamage({ cardsUsed, operatorsUsed, difference, hasExactDivision = false, thresholds = DEFAULT_DAMAGE_THRESHOLDS }) {
+  // === DAÑO BASE ===
+  const BASE_DAMAGE = 20;
+
+  // === BONUS POR CARTAS USADAS ===
+  // 2 cartas: +0, 3 cartas: +10, 4 cartas: +25
+  const CARD_BONUSES = { 2: 0, 3: 10, 4: 25 };
+  const cardBonus = CARD_BONUSES[cardsUsed] || 0;
+
+  // === BONUS POR OPERADORES DISTINTOS ===
+  // +5 por cada tipo de operador único usado (+10 si es avanzado: ^, √, mod, !).
+  // La negación no cuenta: "3 - -4" no es más variado que "3 + 4"
+  const uniqueOperators = new Set(operatorsUsed.filter(op => op !== NEGATION));
+  const operatorBonus = Array.from(uniqueOperators)
+    .reduce((total, op) => total + (ADVANCED_OPERATORS.includes(op) ? 10 : 5), 0);
+
+  // === BONUS POR DIVISIÓN EXACTA ===
+  // +10 si se usa división y el resultado es entero (requiere habilidad)
+  const divisionBonus = hasExactDivision && uniqueOperators.has('/') ? 10 : 0;
+
+  // === CALCULAR DAÑO BRUTO ===
+  const rawDamage = BASE_DAMAGE + cardBonus + operatorBonus + divisionBonus;
+
+  // === MULTIPLICADOR DE PRECISIÓN ===
+  let accuracyMultiplier = 1;
+  let accuracyType = 'perfect';
+  let accuracyLabel = '🎯 ¡PERFECTO!';
+
+  // Las comparaciones son exactas también cuando la diferencia es una fracción
+  const isExact = Rational.compareValues(difference, 0) === 0;
+  const differenceLabel = Rational.formatValue(difference);
+
+  if (isExact) {
+    accuracyMultiplier = 1.0;
+    accuracyType = 'perfect';
+    accuracyLabel = '🎯 ¡PERFECTO!';
+  } else if (Rational.compareValues(difference, thresholds.close) <= 0) {
+    accuracyMultiplier = 0.75;
+    accuracyType = 'close';
+    accuracyLabel = `📊 Cerca (±${differenceLabel}): 75%`;
+  } else if (Rational.compareValues(difference, thresholds.far) <= 0) {
+    accuracyMultiplier = 0.5;
+    accuracyType = 'far';
+    accuracyLabel = `📉 Lejos (±${differenceLabel}): 50%`;
+  } else {
+    // MISS - diferencia mayor que el umbral lejano
+    return {
+      damage: 0,
+      rawDamage: 0,
+      baseDamage: BASE_DAMAGE,
+      cardBonus: 0,
+      operatorBonus: 0,
+      divisionBonus: 0,
+      accuracyMultiplier: 0,
+      accuracyType: 'miss',
+      accuracyLabel: `❌ MISS! (±${differenceLabel})`,
+      isMasterPlay: false,
+      miss: true,
+      bonusBreakdown: []
+    };
+  }
+
+  // === DAÑO FINAL ===
+  const finalDamage = Math.floor(rawDamage * accuracyMultiplier);
+
+  // === DETECTAR JUGADA MAESTRA ===
+  // 4 cartas + 3 operadores distintos + exacto = Jugada Maestra
+  const isMasterPlay = cardsUsed === 4 && uniqueOperators.size >= 3 && isExact;
+
+  // === CONSTRUIR BREAKDOWN DE BONUSES ===
+  const bonusBreakdown = [accuracyLabel];
+
+  if (cardBonus > 0) {
+    bonusBreakdown.push(`+${cardBonus} (${cardsUsed} cartas)`);
+  }
+  if (operatorBonus > 0) {
+    const opSymbols = Array.from(uniqueOperators).join(',');
+    bonusBreakdown.push(`+${operatorBonus} ops (${opSymbols})`);
+  }
+  if (divisionBonus > 0) {
+    bonusBreakdown.push(`+${divisionBonus} división exacta`);
+  }
+  if (isMasterPlay) {
+    bonusBreakdown.push('🌟 ¡JUGADA MAESTRA!');
+  }
+
+  return {
+    damage: finalDamage,
+    rawDamage,
+    baseDamage: BASE_DAMAGE,
+    cardBonus,
+    operatorBonus,
+    divisionBonus,
+    accuracyMultiplier,
+    accuracyType,
+    accuracyLabel,
+    isMasterPlay,
+    miss: false,
+    bonusBreakdown
+  };
+}
+
+/**
+ * Extrae los operadores usados de una expresión aritmética.
+ * 
+ * @param {string} expression - La expresión matemática (ej: "5+3*2", "2^3 mod 5")
+ * @returns {string[]} Array de operadores normalizados (+ - * / ^ √ mod !; la negación "-3" es NEGATION)
+ */
+export function getOperatorsFromExpression(expression) {
+  // El parser distingue "mod" de una variable y no cuenta la multiplicación implícita
+  const parsed = parseExpression(expression);
+  if (parsed.success) {
+    return analyzeAst(parsed.ast).operators;
+  }
+
+  // Expresión incompleta: conteo aproximado por símbolos
+  const matches = expression.match(/[+\-*/^√!]|\bmod\b/g);
+  return (matches || []).map(symbol => normalizeOperator(symbol) || symbol);
+}
+
+/**
+ * Valida que los paréntesis estén balanceados en una expresión.
+ * 
+ * @param {string} expression - La expresión a validar
+ * @returns {Object} { isValid, openCount, closeCount, message }
+ */
+export function validateParentheses(expression) {
+  let depth = 0;
+  let openCount = 0;
+  let closeCount = 0;
+
+  for (const char of expression) {
+    if (char === '(') {
+      depth++;
+      openCount++;
+    } else if (char === ')') {
+      depth--;
+      closeCount++;
+      if (depth < 0) {
+        return {
+          isValid: false,
+          openCount,
+          closeCount,
+          message: '❌ Paréntesis de cierre sin abrir'
+        };
+      }
+    }
+  }
+
+  if (depth !== 0) {
+    return {
+      isValid: false,
+      openCount,
+      closeCount,
+      message: `⚠️ Faltan ${depth} paréntesis de cierre`
+    };
+  }
+
+  return {
+    isValid: true,
+    openCount,
+    closeCount,
+    message: '✓ Paréntesis balanceados'
+  };
+}
+
+/**
+ * Calcula el bonus por uso estratégico de paréntesis.
+ * Solo da bonus si los paréntesis cambian el resultado (uso efectivo).
+ * La comparación se hace sobre el AST: la versión sin paréntesis conserva los productos
+ * implícitos, así "(3)(4)" vale lo mismo que "3 * 4" y no da bonus.
+ * 
+ * @param {string} expression - La expresión con paréntesis
+ * @param {Object} variableValues - Valores de las variables (ej: { x: 4 })
+ * @param {string|Object} difficulty - Dificultad (define si se evalúa con fracciones exactas)
+ * @returns {Object} { bonus, hasEffectiveParentheses, pairsUsed }
+ */
+export function calculateParenthesesBonus(expression, variableValues = {}, difficulty = 'medium') {
+  const parsed = parseExpression(expression);
+  const pairsUsed = parsed.success ? analyzeAst(parsed.ast).groups : 0;
+
+  if (pairsUsed === 0) {
+    return { bonus: 0, hasEffectiveParentheses: false, pairsUsed: 0 };
+  }
+
+  const options = { exact: Boolean(getDifficultyConfig(difficulty).exactArithmetic) };
+
+  // Solo bonus si los paréntesis cambian el resultado (si hay error, no dar bonus)
+  try {
+    const valueWith = evaluateAst(parsed.ast, variableValues, options);
+    const valueWithout = evaluateAst(removeGroups(parsed.ast), variableValues, options);
+
+    if (Rational.compareValues(valueWith, valueWithout) !== 0) {
+      // +5 por cada par de paréntesis efectivo
+      return { bonus: pairsUsed * 5, hasEffectiveParentheses: true, pairsUsed };
+    }
+  } catch (error) {
+    if (!(error instanceof ExpressionError)) throw error;
+  }
+
+  return { bonus: 0, hasEffectiveParentheses: false, pairsUsed };
+}
+
+/**
+ * Verifica si una expresión contiene una división exacta (sin residuo).
+ * 
+ * @param {string} expression - La expresión matemática
+ * @returns {boolean} True si hay división y es exacta
+ */
+export function hasExactDivisionInExpression(expression) {
+  if (!expression.includes('/')) return false;
+
+  // Buscar patrones de división y verificar si son exactas
+  const divisionPattern = /(\d+)\s*\/\s*(\d+)/g;
+  let match;
+
+  while ((match = divisionPattern.exec(expression)) !== null) {
+    const dividend = parseInt(match[1]);
+    const divisor = parseInt(match[2]);
+
+    if (divisor !== 0 && dividend % divisor === 0) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Verifica que una expresión solo use la mano repartida y las reglas de la dificultad.
+ * 
+ * - Cada número literal debe ser una carta, y cada carta se usa como máximo una vez.
+ * - Cada variable debe estar repartida y se usa como máximo una vez.
+ * - Solo se permiten los operadores de `operatorSymbols` de la dificultad.
+ * - Los paréntesis solo se permiten si `allowParentheses` está activo.
+ * 
+ * La multiplicación implícita ("3x", "2(x+1)", "(3)(4)") cuenta como × y solo se
+ * permite si la dificultad tiene ×.
+ * 
+ * @param {string} expression - Expresión enviada por el jugador
+ * @param {Object} hand - Mano de la ronda
+ * @param {number[]} hand.cards - Cartas numéricas repartidas
+ * @param {Array<{symbol: string}>} hand.variables - Variables repartidas
+ * @param {string} hand.difficulty - Nivel de dificultad
+ * @returns {{ valid: boolean, code: string|null, message: string|null }}
+ */
+export function validateExpressionForHand(expression, { cards = [], variables = [], difficulty = 'medium' }) {
+  const config = getDifficultyConfig(difficulty);
+  const invalid = (code, message) => ({ valid: false, code, message });
+
+  const parsed = parseExpression(expression);
+  if (!parsed.success) {
+    return invalid('INVALID_EXPRESSION', parsed.error.message);
+  }
+
+  const { numbers, variables: usedVariables, operators, groups, implicitProducts } = analyzeAst(parsed.ast);
+
+  const remainingCards = [...cards];
+  for (const number of numbers) {
+    const index = remainingCards.indexOf(number);
+    if (index === -1) {
+      return invalid('CARD_NOT_IN_HAND', `El número ${number} no está en tu mano o ya lo usaste`);
+    }
+    remainingCards.splice(index, 1);
+  }
+
+  const remainingVariables = variables.map(v => v.symbol);
+  for (const symbol of usedVariables) {
+    const index = remainingVariables.indexOf(symbol);
+    if (index === -1) {
+      return invalid('VARIABLE_NOT_IN_HAND', `La variable ${symbol} no está en tu mano o ya la usaste`);
+    }
+    remainingVariables.splice(index, 1);
+  }
+
+  const allowedOperators = config.operatorSymbols.map(normalizeOperator);
+  // Negar ("-3") solo se permite donde se permite restar
+  const forbidden = operators
+    .map(op => (op === NEGATION ? '-' : op))
+    .find(op => !allowedOperators.includes(op));
+  if (forbidden) {
+    return invalid('OPERATOR_NOT_ALLOWED', `El operador ${forbidden} no está permitido en ${config.name}`);
+  }
+  if (implicitProducts > 0 && !allowedOperators.includes('*')) {
+    return invalid('OPERATOR_NOT_ALLOWED', `La multiplicación implícita (ej: 3x) no está permitida en ${config.name}`);
+  }
+
+  if (groups > 0 && !config.allowParentheses) {
+    return invalid('PARENTHESES_NOT_ALLOWED', `Los paréntesis no están permitidos en ${config.name}`);
+  }
+
+  return { valid: true, code: null, message: null };
+}
+
+/**
+ * Calcula el daño total de un ataque con el pipeline completo de puntuación.
+ * 
+ * Es la única función que deben usar el PvP local y el servidor multijugador,
+ * así ambos modos no pueden divergir. Combina:
+ * Daño Normalizado + Bonus de Racha + Bonus de Paréntesis + Bonus de Variables.
+ * 
+ * Las cartas usadas se cuentan en el AST (cada número literal es una carta).
+ * En modo Fracciones el resultado, el target y la diferencia son racionales exactos.
+ * 
+ * @param {Object} params - Parámetros del ataque
+ * @param {string} params.expression - Expresión enviada por el jugador
+ * @param {number|{num: number, den: number}} params.target - Objetivo de la ronda
+ * @param {number} params.streak - Racha del jugador ANTES de este ataque
+ * @param {string} params.difficulty - Nivel de dificultad
+ * @param {Object} params.variableValues - Valores de las variables (ej: { x: 4 })
+ * @returns {Object|null} Desglose completo, o null si la expresión no es válida
+ */
+export function calculateAttackDamage({ expression, target, streak = 0, difficulty = 'medium', variableValues = {} }) {
+  const exact = Boolean(getDifficultyConfig(difficulty).exactArithmetic);
+  const evaluation = evaluateExpression(expression, variableValues, { exact });
+  if (!evaluation.success) return null;
+
+  const result = evaluation.value;
+  const { numbers } = analyzeAst(evaluation.ast);
+  const cardsUsed = numbers.length;
+  const difference = Rational.absoluteDifference(result, target);
+  const isPerfect = Rational.compareValues(difference, 0) === 0;
+
+  const damageResult = calculateNormalizedDamage({
+    cardsUsed,
+    operatorsUsed: getOperatorsFromExpression(expression),
+    difference,
+    hasExactDivision: hasExactDivisionInExpression(expression),
+    thresholds: getDamageThresholds(difficulty)
+  });
+  const streakResult = calculateStreakBonus(streak, isPerfect, difficulty);
+  const parenBonus = calculateParenthesesBonus(expression, variableValues, difficulty);
+  const variableBonus = calculateVariableBonus(expression, damageResult.damage, difficulty);
+
+  const totalDamage = damageResult.miss
+    ? 0
+    : damageResult.damage + streakResult.bonus + parenBonus.bonus + variableBonus.bonus;
+
+  return {
+    result,
+    difference,
+    isPerfect,
+    cardsUsed,
+    totalDamage,
+    damageResult,
+    streakResult,
+    parenBonus,
+    variableBonus
+  };
+}
+
+// ======================================
+// 🔥 SISTEMA DE RACHAS (STREAK SYSTEM)
+// ======================================
+
+/**
+ * Obtiene el tier de racha actual basado en el contador y la dificultad.
+ * 
+ * @param {number} streak - Número de aciertos exactos consecutivos
+ * @param {string} difficulty - Dificultad actual ('easy', 'medium', 'hard')
+ * @returns {Object} Tier de racha con nombre, emoji, bonus, intensidad y color
+ */
+export function getStreakTier(streak, difficulty = 'medium') {
+  const config = getDifficultyConfig(difficulty).streakConfig;
+
+  // Ordenar de mayor a menor para encontrar el tier más alto aplicable
+  for (let i = config.length - 1; i >= 0; i--) {
+    if (streak >= config[i].minStreak) {
+      return { ...config[i], currentStreak: streak };
+    }
+  }
+  return { ...config[0], currentStreak: streak };
+}
+
+/**
+ * Calcula el bonus de daño por racha y devuelve información para UI.
+ * 
+ * @param {number} streak - Racha actual del jugador
+ * @param {boolean} isPerfect - Si el ataque actual fue exacto (diferencia = 0)
+ * @param {string} difficulty - Dificultad actual del juego
+ * @returns {Object} Resultado con bonus, nuevo streak, tier y si hubo cambio de tier
+ */
+export function calculateStreakBonus(currentStreak, isPerfect, difficulty = 'medium') {
+  let newStreak = isPerfect ? currentStreak + 1 : 0;
+
+  const oldTier = getStreakTier(currentStreak, difficulty);
+  const newTier = getStreakTier(newStreak, difficulty);
+
+  const tierChanged = newTier.intensity !== oldTier.intensity;
+  const tierUp = newTier.intensity > oldTier.intensity;
+  const streakBroken = !isPerfect && currentStreak >= 2;
+
+  return {
+    oldStreak: currentStreak,
+    newStreak: newStreak,
+    bonus: newTier.bonus, // Usar el bonus del nuevo tier (recompensa inmediata)
+    tier: newTier,
+    tierChanged,
+    tierUp,
+    streakBroken,
+    showAnimation: tierUp
+  };
+}
+
+// ======================================
+// 💡 SISTEMA DE PISTAS (HINT SYSTEM)
+// ======================================
+
+/**
+ * Niveles de pista, de menos a más reveladora. Cada nivel cuesta más que el anterior:
+ * el ataque del turno pierde `damagePenalty` de su daño (se aplica el nivel más alto
+ * pedido, no la suma) y desde la estructura se pierde la racha.
+ */
+export const HINT_TIERS = [
+  { level: 1, key: 'cards', emoji: '🃏', name: 'Cartas', damagePenalty: 0.1, resetsStreak: false },
+  { level: 2, key: 'operators', emoji: '➗', name: 'Operadores', damagePenalty: 0.25, resetsStreak: false },
+  { level: 3, key: 'structure', emoji: '🧱', name: 'Estructura', damagePenalty: 0.5, resetsStreak: true },
+  { level: 4, key: 'answer', emoji: '💡', name: 'Respuesta', damagePenalty: 0.75, resetsStreak: true }
+];
+
+/**
+ * Pistas de una jugada del solver (ver `solveHand`), una por nivel de HINT_TIERS.
+ * 
+ * Salen del árbol de la solución: las cartas y variables son sus hojas, los operadores
+ * sus nodos y la estructura es el árbol escrito con cada carta cambiada por un hueco
+ * (las variables se mantienen: `(_ + _) * x`). Se escribe normalizado (ver `printAst`):
+ * "2(x+3)" da `_ * (x + _)` sin paréntesis de más, igual que lo lee el parser.
+ * 
+ * @param {string} expression - Expresión de la jugada
+ * @param {string|Object} difficulty - Para mostrar los operadores con sus símbolos (× ÷ −)
+ * @returns {{cards: string[], operators: string[], structure: string, answer: string}|null}
+ *   null si la expresión no se puede analizar
+ */
+export function buildSolutionHints(expression, difficulty = 'medium') {
+  const parsed = parseExpression(expression);
+  if (!parsed.success) return null;
+
+  const config = getDifficultyConfig(difficulty);
+  const { numbers, variables, operators } = analyzeAst(parsed.ast);
+  const symbolOf = (op) => config.operatorSymbols?.[config.operators.indexOf(op)] || op;
+  // Cartas y operadores en orden fijo: el orden de la solución ya sería una pista
+  const byConfigOrder = (a, b) => config.operators.indexOf(a) - config.operators.indexOf(b);
+
+  return {
+    cards: [...[...numbers].sort((a, b) => a - b).map(String), ...[...new Set(variables)].sort()],
+    operators: [...new Set(operators.map(op => (op === NEGATION ? '-' : op)))].sort(byConfigOrder).map(symbolOf),
+    structure: printAst(parsed.ast, () => '_'),
+    answer: expression
+  };
+}
+
+/**
+ * Daño de un ataque tras descontar las pistas del turno.
+ * 
+ * @param {number} damage - Daño total del ataque
+ * @param {number} hintLevel - Nivel de pista más alto pedido (0 = ninguna)
+ * @returns {number}
+ */
+export function applyHintPenalty(damage, hintLevel = 0) {
+  const tier = HINT_TIERS[hintLevel - 1];
+  if (!tier) return damage;
+  return Math.round(damage * (1 - tier.damagePenalty));
+}
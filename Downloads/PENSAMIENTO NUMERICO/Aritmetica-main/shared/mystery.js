@@ -0,0 +1,238 @@
+/**
+ * @file shared/mystery.js
+ * @description Rondas de incógnita: x no se revela hasta el final de la ronda.
+ *
+ * El target no es un número sino una expresión en x, por ejemplo `3x + 12`. Los
+ * jugadores reciben las cartas y la variable x, pero no su valor: tienen que formar
+ * una expresión algebraicamente equivalente al target, como `3(x + 4)`. El servidor
+ * guarda el valor de x y solo lo envía en el resumen de la ronda.
+ *
+ * La equivalencia se comprueba evaluando las dos expresiones con fracciones exactas
+ * en varios valores de x: dos expresiones lineales distintas no pueden coincidir en
+ * más de un punto, así que si coinciden en todos son la misma expresión.
+ */
+
+import { evaluateExpression, analyzeAst } from './expressionParser.js';
+import {
+    getDifficultyConfig,
+    calculateNormalizedDamage,
+    calculateStreakBonus,
+    getOperatorsFromExpression,
+    hasExactDivisionInExpression,
+    getDamageThresholds
+} from './gameLogic.js';
+import { formatLinear } from './equations.js';
+import * as Rational from './rational.js';
+import { randomInt, randomChoice } from './random.js';
+
+// ============================================
+// Constantes
+// ============================================
+
+/** Incógnita de las rondas de incógnita. */
+export const MYSTERY_VARIABLE = 'x';
+
+/** Rango del valor secreto de x. */
+const MYSTERY_VALUE_RANGE = { min: 2, max: 9 };
+
+/** Valores de x en los que se comparan dos expresiones. */
+const SAMPLE_POINTS = [-3, -1, 2, 3, 5, 7, 11];
+
+/** Puntos válidos (sin división entre cero, etc.) que deben coincidir como mínimo. */
+const MIN_MATCHING_POINTS = 4;
+
+/** Intentos para generar un target en el que x no se cancele. */
+const MAX_TARGET_ATTEMPTS = 20;
+
+// ============================================
+// Forma lineal
+// ============================================
+
+/** Valor exacto de la expresión con `variable = value`, o null si no se puede evaluar. */
+function evaluateAt(expression, variable, value) {
+    const evaluation = evaluateExpression(expression, { [variable]: value }, { exact: true });
+    return evaluation.success ? evaluation.value : null;
+}
+
+/**
+ * Reduce una expresión a la forma `ax + b` si es lineal en la incógnita con coeficientes enteros.
+ * Se usa para mostrar el target y la vista previa de la expresión mientras se construye.
+ *
+ * @param {string} expression - Expresión en x, ej: "3(x + 4)"
+ * @param {string} [variable='x'] - Incógnita
+ * @returns {{coefficient: number, constant: number, text: string}|null} null si no es lineal,
+ *   tiene coeficientes fraccionarios o no se puede evaluar
+ */
+export function toLinearForm(expression, variable = MYSTERY_VARIABLE) {
+    const values = [0, 1, 2].map(x => evaluateAt(expression, variable, x));
+    if (values.includes(null)) return null;
+
+    const slope = Rational.subtract(values[1], values[0]);
+    if (Rational.compareValues(slope, Rational.subtract(values[2], values[1])) !== 0) return null;
+    if (!Rational.isInteger(slope) || !Rational.isInteger(values[0])) return null;
+
+    const coefficient = Rational.toNumber(slope);
+    const constant = Rational.toNumber(values[0]);
+    return { coefficient, constant, text: formatLinear(coefficient, constant, variable) };
+}
+
+/**
+ * Comprueba si dos expresiones son algebraicamente equivalentes en la incógnita.
+ *
+ * Los puntos donde ninguna de las dos se puede evaluar se ignoran; si solo falla
+ * una, no son equivalentes. Hace falta que coincidan en MIN_MATCHING_POINTS puntos.
+ *
+ * @param {string} expression - Expresión del jugador
+ * @param {string} target - Expresión objetivo
+ * @param {string} [variable='x'] - Incógnita
+ * @returns {boolean}
+ */
+export function areExpressionsEquivalent(expression, target, variable = MYSTERY_VARIABLE) {
+    let matches = 0;
+
+    for (const point of SAMPLE_POINTS) {
+        const mine = evaluateAt(expression, variable, point);
+        const expected = evaluateAt(target, variable, point);
+
+        if (mine === null && expected === null) continue;
+        if (mine === null || expected === null) return false;
+        if (Rational.compareValues(mine, expected) !== 0) return false;
+        matches++;
+    }
+
+    return matches >= MIN_MATCHING_POINTS;
+}
+
+// ============================================
+// Reparto
+// ============================================
+
+/**
+ * @typedef {Object} MysteryChallenge
+ * @property {string} variable - Incógnita ('x')
+ * @property {string} target - Expresión objetivo simplificada, ej: "3x + 12"
+ * @property {string} solution - Una forma de llegar con la mano, ej: "3 * (x + 4)"
+ */
+
+/** Expresión aleatoria con x y de 1 a 3 cartas de la mano (x aparece una sola vez). */
+function buildRandomSolution(random, cards, operators, allowParentheses, variable) {
+    const pool = [...cards];
+    const operands = [];
+    const cardCount = randomInt(random, 1, Math.min(3, pool.length));
+    for (let i = 0; i < cardCount; i++) {
+        operands.push(String(pool.splice(randomInt(random, 0, pool.length - 1), 1)[0]));
+    }
+    operands.splice(randomInt(random, 0, operands.length), 0, variable);
+
+    let solution = operands[0];
+    operands.slice(1).forEach((operand, index) => {
+        const operator = randomChoice(random, operators);
+        const grouped = allowParentheses && index > 0 && random() < 0.5;
+        solution = grouped ? `(${solution}) ${operator} ${operand}` : `${solution} ${operator} ${operand}`;
+    });
+    return solution;
+}
+
+/**
+ * Reparte el valor secreto de x para una ronda de incógnita.
+ *
+ * @param {() => number} [random=Math.random] - PRNG de la partida
+ * @returns {{ variables: Array<{symbol: string, value: number}>, variableValues: Object }}
+ */
+export function dealMysteryVariable(random = Math.random) {
+    const value = randomInt(random, MYSTERY_VALUE_RANGE.min, MYSTERY_VALUE_RANGE.max);
+    return {
+        variables: [{ symbol: MYSTERY_VARIABLE, value }],
+        variableValues: { [MYSTERY_VARIABLE]: value }
+    };
+}
+
+/**
+ * Genera el target de una ronda de incógnita a partir de la mano.
+ *
+ * Se construye una expresión con x y algunas cartas (solo +, - y ×, así es lineal)
+ * y el target es su forma simplificada: `3 * (x + 4)` se muestra como `3x + 12`.
+ * Siempre es alcanzable con la mano repartida.
+ *
+ * @param {() => number} [random=Math.random] - PRNG de la partida
+ * @param {number[]} cards - Cartas de la ronda
+ * @param {Object} [options]
+ * @param {string|Object} [options.difficulty='medium'] - Dificultad (operadores y paréntesis)
+ * @returns {MysteryChallenge}
+ */
+export function generateMysteryTarget(random = Math.random, cards, { difficulty = 'medium' } = {}) {
+    const config = getDifficultyConfig(difficulty);
+    const operators = ['+', '-', '*'].filter(op => config.operators.includes(op));
+    const variable = MYSTERY_VARIABLE;
+
+    for (let attempt = 0; attempt < MAX_TARGET_ATTEMPTS; attempt++) {
+        const solution = buildRandomSolution(random, cards, operators, config.allowParentheses, variable);
+        const form = toLinearForm(solution, variable);
+        // Si x se cancela (ej: "x - x") el target sería un número: se descarta
+        if (form && form.coefficient !== 0) {
+            return { variable, target: form.text, solution };
+        }
+    }
+
+    const solution = `${variable} + ${cards[0]}`;
+    return { variable, target: formatLinear(1, cards[0], variable), solution };
+}
+
+/**
+ * El reto sin la solución: lo que se envía a los clientes durante la ronda.
+ *
+ * @param {MysteryChallenge|null} mystery
+ * @returns {Omit<MysteryChallenge, 'solution'>|null}
+ */
+export function hideMysterySolution(mystery) {
+    if (!mystery) return null;
+    const { solution: _solution, ...visible } = mystery;
+    return visible;
+}
+
+// ============================================
+// Puntuación
+// ============================================
+
+/**
+ * Puntúa una expresión de una ronda de incógnita.
+ *
+ * Una expresión equivalente al target es un acierto perfecto: hace el daño normalizado
+ * (cartas, operadores, división exacta) más el bonus de racha. Si no es equivalente
+ * es un MISS aunque coincida con el target para el valor secreto de x.
+ *
+ * @param {Object} params
+ * @param {string} params.expression - Expresión del jugador
+ * @param {MysteryChallenge} params.mystery - Reto de la ronda
+ * @param {Object} params.variableValues - Valor secreto de x (para mostrar el resultado al revelarlo)
+ * @param {number} [params.streak=0] - Racha actual
+ * @param {string|Object} [params.difficulty='medium'] - Dificultad
+ * @returns {{value: number|Object|null, correct: boolean, difference: number, accuracyType: 'perfect'|'miss', damageResult: Object|null, streakResult: Object, totalDamage: number}|null}
+ *   null si la expresión no se puede analizar
+ */
+export function scoreMysteryExpression({ expression, mystery, variableValues, streak = 0, difficulty = 'medium' }) {
+    const exact = Boolean(getDifficultyConfig(difficulty).exactArithmetic);
+    const evaluation = evaluateExpression(expression, variableValues, { exact });
+    if (!evaluation.ast) return null;
+
+    const correct = areExpressionsEquivalent(expression, mystery.target, mystery.variable);
+    const streakResult = calculateStreakBonus(streak, correct, difficulty);
+
+    const damageResult = correct ? calculateNormalizedDamage({
+        cardsUsed: analyzeAst(evaluation.ast).numbers.length,
+        operatorsUsed: getOperatorsFromExpression(expression),
+        difference: 0,
+        hasExactDivision: hasExactDivisionInExpression(expression),
+        thresholds: getDamageThresholds(difficulty)
+    }) : null;
+
+    return {
+        value: evaluation.value,
+        correct,
+        difference: correct ? 0 : Infinity,
+        accuracyType: correct ? 'perfect' : 'miss',
+        damageResult,
+        streakResult,
+        totalDamage: correct ? damageResult.damage + streakResult.bonus : 0
+    };
+}
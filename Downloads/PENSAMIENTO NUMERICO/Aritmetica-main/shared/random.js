@@ -0,0 +1,136 @@
+/**
+ * @file shared/random.js
+ * @description Generador pseudoaleatorio con semilla (PRNG) para las partidas.
+ *
+ * Todos los generadores (cartas, variables, targets y retos de la Ruleta) reciben una
+ * función `random()` con la misma firma que `Math.random`. Si se les pasa una creada con
+ * `createRandom(seed)`, la partida entera es reproducible: la misma semilla produce la
+ * misma secuencia de manos, valores de variables y targets.
+ *
+ * La semilla se comparte como un "código de semilla" corto (ej: "K7QM-2XHD") para
+ * repetir una partida con las mismas manos o reproducir un bug de balance.
+ */
+
+// ============================================
+// Códigos de semilla
+// ============================================
+
+/** Mismo alfabeto que los códigos de sala: sin I, O, 1, 0 para evitar confusión. */
+const SEED_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/** Longitud del código (sin el guion): 32^8 ≈ 10^12 partidas distintas. */
+const SEED_LENGTH = 8;
+
+/**
+ * Genera un código de semilla nuevo, ej: "K7QM-2XHD".
+ * Es lo único que usa `Math.random`: a partir del código todo es determinista.
+ *
+ * @returns {string}
+ */
+export function createSeedCode() {
+    let code = '';
+    for (let i = 0; i < SEED_LENGTH; i++) {
+        code += SEED_ALPHABET.charAt(Math.floor(Math.random() * SEED_ALPHABET.length));
+    }
+    return formatSeedCode(code);
+}
+
+function formatSeedCode(code) {
+    const half = SEED_LENGTH / 2;
+    return `${code.slice(0, half)}-${code.slice(half)}`;
+}
+
+/**
+ * Normaliza un código escrito por el usuario: mayúsculas, sin espacios ni guiones.
+ *
+ * @param {string} input - Código tal como se escribió ("k7qm 2xhd", "K7QM-2XHD", ...)
+ * @returns {string|null} Código canónico ("K7QM-2XHD") o null si no es válido
+ */
+export function normalizeSeedCode(input) {
+    if (typeof input !== 'string') return null;
+
+    const code = input.toUpperCase().replace(/[\s-]/g, '');
+    if (code.length !== SEED_LENGTH) return null;
+    if ([...code].some(char => !SEED_ALPHABET.includes(char))) return null;
+
+    return formatSeedCode(code);
+}
+
+// ============================================
+// PRNG
+// ============================================
+
+/**
+ * Hash de 32 bits (FNV-1a) para convertir el código en el estado inicial del PRNG.
+ */
+function hashSeed(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Crea un PRNG determinista (mulberry32) a partir de una semilla.
+ *
+ * @param {string|number} seed - Código de semilla o entero
+ * @returns {() => number} Función con la misma firma que `Math.random` (valores en [0, 1))
+ */
+export function createRandom(seed) {
+    let state = typeof seed === 'number'
+        ? seed >>> 0
+        : hashSeed(normalizeSeedCode(seed) || String(seed));
+
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// ============================================
+// Helpers
+// ============================================
+
+/**
+ * Entero aleatorio entre min y max (inclusive).
+ *
+ * @param {() => number} random - PRNG (o `Math.random`)
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+export function randomInt(random, min, max) {
+    return Math.floor(random() * (max - min + 1)) + min;
+}
+
+/**
+ * Elemento aleatorio de un array.
+ *
+ * @param {() => number} random - PRNG (o `Math.random`)
+ * @param {Array} items
+ * @returns {*}
+ */
+export function randomChoice(random, items) {
+    return items[Math.floor(random() * items.length)];
+}
+
+/**
+ * Baraja un array con Fisher-Yates (devuelve una copia).
+ *
+ * @param {() => number} random - PRNG (o `Math.random`)
+ * @param {Array} items
+ * @returns {Array}
+ */
+export function shuffle(random, items) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
@@ -0,0 +1,225 @@
+/**
+ * @file shared/rational.js
+ * @description Aritmética racional exacta para el modo "Fracciones".
+ *
+ * Un racional es un objeto plano `{ num, den }` siempre normalizado:
+ * - `den` es positivo y `num/den` está simplificado (mcd = 1).
+ * - El cero se representa como `{ num: 0, den: 1 }`.
+ *
+ * Al ser un objeto plano se puede enviar por Socket.IO sin conversión.
+ * Las funciones de comparación y formato aceptan también números normales,
+ * así el mismo código de UI muestra targets enteros (modos clásicos) y fraccionarios.
+ */
+
+// ============================================
+// Construcción
+// ============================================
+
+/** Mayor entero que se permite en numerador o denominador sin perder exactitud. */
+const MAX_SAFE = Number.MAX_SAFE_INTEGER;
+
+function gcd(a, b) {
+    a = Math.abs(a);
+    b = Math.abs(b);
+    while (b !== 0) {
+        [a, b] = [b, a % b];
+    }
+    return a;
+}
+
+/**
+ * Crea un racional normalizado.
+ *
+ * @param {number} num - Numerador entero
+ * @param {number} [den=1] - Denominador entero distinto de cero
+ * @returns {{num: number, den: number}}
+ * @throws {RangeError} Si el denominador es cero o los enteros superan el rango exacto
+ */
+export function rational(num, den = 1) {
+    if (!Number.isInteger(num) || !Number.isInteger(den)) {
+        throw new RangeError('Numerador y denominador deben ser enteros');
+    }
+    if (den === 0) {
+        throw new RangeError('Denominador cero');
+    }
+    if (Math.abs(num) > MAX_SAFE || Math.abs(den) > MAX_SAFE) {
+        throw new RangeError('Número demasiado grande para aritmética exacta');
+    }
+
+    const divisor = gcd(num, den) || 1;
+    const sign = den < 0 ? -1 : 1;
+    // `+ 0` evita el -0 de JavaScript
+    return { num: (sign * num) / divisor + 0, den: (sign * den) / divisor };
+}
+
+/**
+ * Indica si un valor es un racional `{ num, den }`.
+ */
+export function isRational(value) {
+    return value !== null
+        && typeof value === 'object'
+        && Number.isInteger(value.num)
+        && Number.isInteger(value.den)
+        && value.den !== 0;
+}
+
+/**
+ * Convierte un número, un texto ("7/2", "-3", "0.25") o un racional a racional.
+ * Los decimales finitos se convierten de forma exacta (0.25 → 1/4).
+ *
+ * @param {number|string|{num: number, den: number}} value
+ * @returns {{num: number, den: number}}
+ * @throws {RangeError} Si el valor no se puede representar exactamente
+ */
+export function toRational(value) {
+    if (isRational(value)) return rational(value.num, value.den);
+
+    if (typeof value === 'string') {
+        const [numText, denText] = value.split('/');
+        if (denText !== undefined) {
+            return divide(toRational(numText.trim()), toRational(denText.trim()));
+        }
+        return toRational(Number(value));
+    }
+
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        if (Number.isInteger(value)) return rational(value);
+
+        // Decimal finito: escalar por 10^k hasta obtener un entero
+        const decimals = (String(value).split('.')[1] || '').length;
+        const scale = 10 ** decimals;
+        return rational(Math.round(value * scale), scale);
+    }
+
+    throw new RangeError(`No se puede convertir "${value}" a fracción`);
+}
+
+// ============================================
+// Operaciones
+// ============================================
+
+export function add(a, b) {
+    return rational(a.num * b.den + b.num * a.den, a.den * b.den);
+}
+
+export function subtract(a, b) {
+    return rational(a.num * b.den - b.num * a.den, a.den * b.den);
+}
+
+export function multiply(a, b) {
+    return rational(a.num * b.num, a.den * b.den);
+}
+
+/**
+ * @throws {RangeError} Si el divisor es cero
+ */
+export function divide(a, b) {
+    if (b.num === 0) {
+        throw new RangeError('División entre cero');
+    }
+    return rational(a.num * b.den, a.den * b.num);
+}
+
+/**
+ * Potencia con exponente entero (negativo = inverso).
+ *
+ * @param {{num: number, den: number}} a - Base
+ * @param {number} exponent - Exponente entero
+ * @throws {RangeError} Si la base es cero con exponente negativo o el resultado es demasiado grande
+ */
+export function power(a, exponent) {
+    if (exponent < 0) {
+        if (a.num === 0) throw new RangeError('División entre cero');
+        return power(rational(a.den, a.num), -exponent);
+    }
+    return rational(a.num ** exponent, a.den ** exponent);
+}
+
+/**
+ * Raíz cuadrada exacta.
+ *
+ * @returns {{num: number, den: number}|null} La raíz, o null si no es racional (ej: √2)
+ */
+export function squareRoot(a) {
+    if (a.num < 0) return null;
+    const num = Math.round(Math.sqrt(a.num));
+    const den = Math.round(Math.sqrt(a.den));
+    return num * num === a.num && den * den === a.den ? rational(num, den) : null;
+}
+
+/**
+ * Módulo entre enteros, con el signo del divisor (7 mod 3 = 1, -7 mod 3 = 2).
+ *
+ * @throws {RangeError} Si el divisor es cero
+ */
+export function modulo(a, b) {
+    if (b.num === 0) throw new RangeError('División entre cero');
+    const dividend = a.num / a.den;
+    const divisor = b.num / b.den;
+    return rational(((dividend % divisor) + divisor) % divisor);
+}
+
+export function negate(a) {
+    return rational(-a.num, a.den);
+}
+
+export function abs(a) {
+    return rational(Math.abs(a.num), a.den);
+}
+
+export function isZero(a) {
+    return a.num === 0;
+}
+
+export function isInteger(a) {
+    return a.den === 1;
+}
+
+export function toNumber(a) {
+    return a.num / a.den;
+}
+
+// ============================================
+// Comparación y formato (números o racionales)
+// ============================================
+
+/**
+ * Compara dos valores exactos.
+ * Acepta números, textos de fracción o racionales.
+ *
+ * @returns {number} -1 si a < b, 0 si son iguales, 1 si a > b
+ */
+export function compareValues(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') {
+        return Math.sign(a - b);
+    }
+    const x = toRational(a);
+    const y = toRational(b);
+    return Math.sign(x.num * y.den - y.num * x.den);
+}
+
+/**
+ * Distancia |a - b|.
+ * Si ambos son números normales devuelve un número; si alguno es racional, un racional.
+ */
+export function absoluteDifference(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') {
+        return Math.abs(a - b);
+    }
+    return abs(subtract(toRational(a), toRational(b)));
+}
+
+/**
+ * Texto para mostrar un valor: "7/2", "-3", "12".
+ * Acepta números normales (se muestran tal cual) y racionales.
+ *
+ * @param {number|{num: number, den: number}|null} value
+ * @returns {string}
+ */
+export function formatValue(value) {
+    if (isRational(value)) {
+        const { num, den } = rational(value.num, value.den);
+        return den === 1 ? String(num) : `${num}/${den}`;
+    }
+    return String(value);
+}
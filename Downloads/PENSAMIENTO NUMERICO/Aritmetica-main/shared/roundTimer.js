@@ -0,0 +1,57 @@
+/**
+ * @file shared/roundTimer.js
+ * @description Tiempo límite por ronda en las salas multijugador.
+ *
+ * El servidor fija la hora límite de la ronda (`roundDeadline`, con su reloj) cuando
+ * empieza a jugarse y, si se acaba, salta el turno de quien no haya enviado y resuelve
+ * la ronda. Los clientes cuentan hacia atrás corrigiendo la diferencia entre su reloj
+ * y el del servidor: `serverTime` viaja junto a cada estado de la partida.
+ */
+
+// ============================================
+// Constantes
+// ============================================
+
+/** Tiempos por ronda que se pueden elegir al crear una sala, en segundos (0 = sin límite). */
+export const ROUND_TIME_OPTIONS = [30, 60, 90, 120, 0];
+
+/** Tiempo por ronda si la sala no elige otro. */
+export const DEFAULT_ROUND_SECONDS = 90;
+
+// ============================================
+// Funciones
+// ============================================
+
+/**
+ * Normaliza el tiempo por ronda recibido (menú o socket).
+ *
+ * @param {*} seconds - Uno de ROUND_TIME_OPTIONS; undefined/null = DEFAULT_ROUND_SECONDS
+ * @returns {number|null} Los segundos, o null si no es una opción válida
+ */
+export function normalizeRoundSeconds(seconds) {
+    if (seconds === undefined || seconds === null || seconds === '') return DEFAULT_ROUND_SECONDS;
+    return ROUND_TIME_OPTIONS.includes(seconds) ? seconds : null;
+}
+
+/**
+ * Hora límite de una ronda que empieza ahora.
+ *
+ * @param {number} seconds - Tiempo por ronda (0 = sin límite)
+ * @param {number} [now=Date.now()]
+ * @returns {number|null} Timestamp en ms, o null si no hay límite
+ */
+export function getRoundDeadline(seconds, now = Date.now()) {
+    return seconds > 0 ? now + seconds * 1000 : null;
+}
+
+/**
+ * Segundos que le quedan a la ronda según el reloj del servidor.
+ *
+ * @param {number} deadline - `roundDeadline` del servidor
+ * @param {number} [clockOffset=0] - Reloj del servidor menos el local (`serverTime - Date.now()` al recibir el estado)
+ * @param {number} [now=Date.now()] - Reloj local
+ * @returns {number}
+ */
+export function getSecondsLeft(deadline, clockOffset = 0, now = Date.now()) {
+    return Math.max(0, Math.ceil((deadline - (now + clockOffset)) / 1000));
+}
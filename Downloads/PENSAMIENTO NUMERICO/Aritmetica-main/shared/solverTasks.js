@@ -0,0 +1,47 @@
+/**
+ * @file shared/solverTasks.js
+ * @description Tareas pesadas del solver que se pueden ejecutar fuera del hilo principal.
+ *
+ * El Web Worker del cliente (src/workers/solverWorker.js) y los worker threads del
+ * servidor (server/solverWorker.js) reciben el mismo mensaje `{ id, type, args }`
+ * y responden `{ id, result }` o `{ id, error }`. Los argumentos y resultados son
+ * datos planos (sin funciones): el PRNG de la partida se queda siempre en el hilo
+ * principal, por eso el target se elige allí con `pickRatedTarget`.
+ */
+
+import { rateCandidateTargets, solveHand } from './gameLogic.js';
+
+/** Tareas disponibles: nombre → función de gameLogic. */
+export const SOLVER_TASKS = {
+    rateTargets: rateCandidateTargets,
+    solveHand
+};
+
+/**
+ * Ejecuta una tarea del solver en el hilo actual.
+ *
+ * @param {keyof SOLVER_TASKS} type - Nombre de la tarea
+ * @param {Array} args - Argumentos de la función
+ * @returns {*} Resultado serializable
+ */
+export function runSolverTask(type, args) {
+    const task = SOLVER_TASKS[type];
+    if (!task) {
+        throw new Error(`Tarea de solver desconocida: ${type}`);
+    }
+    return task(...args);
+}
+
+/**
+ * Atiende un mensaje `{ id, type, args }` y devuelve la respuesta para `postMessage`.
+ *
+ * @param {{id: number, type: string, args: Array}} message
+ * @returns {{id: number, result?: *, error?: string}}
+ */
+export function handleSolverMessage({ id, type, args }) {
+    try {
+        return { id, result: runSolverTask(type, args) };
+    } catch (error) {
+        return { id, error: error.message };
+    }
+}
@@ -0,0 +1,236 @@
+/**
+ * @file shared/spells.js
+ * @description Cartas de hechizo: el segundo mazo que modifica el combate.
+ *
+ * Además de las cartas numéricas, cada jugador tiene una mano de hechizos
+ * (Escudo, Curar, Doble, Robar, Congelar). Este módulo es el motor de efectos:
+ * lo usan el PvP local (App.jsx) y el servidor multijugador (gameManager.js),
+ * así un hechizo hace exactamente lo mismo en los dos modos.
+ *
+ * El motor trabaja sobre "combatientes" planos y nunca los modifica: cada
+ * función devuelve copias nuevas (el cliente las guarda en estado de React,
+ * el servidor las vuelve a asignar a la partida).
+ *
+ * @typedef {Object} Combatant
+ * @property {number} hp - HP actual
+ * @property {number} maxHp - HP máximo
+ * @property {number[]} cards - Cartas numéricas de la mano
+ * @property {string[]} spells - Hechizos en la mano (claves de SPELLS)
+ * @property {string[]} statuses - Estados activos (claves de STATUS_EFFECTS)
+ * @property {boolean} spellUsed - Si ya lanzó un hechizo este turno
+ */
+
+import { createRandom, randomChoice } from './random.js';
+
+// ============================================
+// Catálogo
+// ============================================
+
+/** Hechizos disponibles. `target` indica sobre quién recae el efecto. */
+export const SPELLS = {
+    shield: { name: 'Escudo', emoji: '🛡️', description: 'Bloquea el próximo golpe que recibas', target: 'self' },
+    heal: { name: 'Curar', emoji: '💚', description: 'Recupera 20 HP', target: 'self' },
+    double: { name: 'Doble', emoji: '✨', description: 'x2 de daño si tu próximo ataque es perfecto', target: 'self' },
+    steal: { name: 'Robar', emoji: '🃏', description: 'Cambia tu carta más baja por la más alta del rival', target: 'opponent' },
+    freeze: { name: 'Congelar', emoji: '🧊', description: 'El rival pierde una carta en su próximo turno', target: 'opponent' }
+};
+
+/** Estados que dejan los hechizos hasta que se consumen (se muestran en PlayerCard). */
+export const STATUS_EFFECTS = {
+    shield: { name: 'Escudo', emoji: '🛡️', description: 'El próximo golpe no hace daño' },
+    double: { name: 'Doble', emoji: '✨', description: 'El próximo ataque perfecto hace x2' },
+    frozen: { name: 'Congelado', emoji: '🧊', description: 'Pierde su carta más alta al empezar el turno' }
+};
+
+/** HP que recupera Curar (sin pasar del máximo). */
+export const HEAL_AMOUNT = 20;
+
+/** Máximo de hechizos en la mano. */
+export const SPELL_HAND_SIZE = 2;
+
+// ============================================
+// Mazo de hechizos
+// ============================================
+
+/**
+ * PRNG propio del mazo de hechizos, derivado de la semilla de la partida.
+ * Va aparte del PRNG de las cartas: así una semilla reparte las mismas manos
+ * y targets que antes de existir los hechizos.
+ *
+ * @param {string} seed - Código de semilla de la partida
+ * @returns {() => number}
+ */
+export function createSpellRandom(seed) {
+    return createRandom(`${seed}:hechizos`);
+}
+
+/**
+ * Roba un hechizo si la mano no está llena (uno por turno o por ronda).
+ *
+ * @param {string[]} spells - Mano de hechizos actual
+ * @param {() => number} [random=Math.random] - PRNG del mazo (ver `createSpellRandom`)
+ * @returns {string[]} Mano nueva
+ */
+export function drawSpell(spells, random = Math.random) {
+    if (spells.length >= SPELL_HAND_SIZE) return spells;
+    return [...spells, randomChoice(random, Object.keys(SPELLS))];
+}
+
+// ============================================
+// Motor de efectos
+// ============================================
+
+const addStatus = (statuses, status) => (statuses.includes(status) ? statuses : [...statuses, status]);
+const removeStatus = (statuses, status) => statuses.filter(s => s !== status);
+
+/** Índice de la carta más alta (o más baja) de una mano. */
+function findCardIndex(cards, pickHighest) {
+    let index = -1;
+    cards.forEach((card, i) => {
+        if (index === -1 || (pickHighest ? card > cards[index] : card < cards[index])) index = i;
+    });
+    return index;
+}
+
+/**
+ * Lanza un hechizo de la mano del jugador.
+ *
+ * - Escudo / Doble: dejan un estado en quien lo lanza.
+ * - Curar: +HEAL_AMOUNT HP al momento.
+ * - Robar: cambia la carta más baja propia por la más alta del rival.
+ * - Congelar: deja al rival congelado hasta el inicio de su próximo turno.
+ *
+ * @param {Object} params
+ * @param {Combatant} params.caster - Quien lanza el hechizo
+ * @param {Combatant} params.opponent - Su rival
+ * @param {string} params.spell - Clave de SPELLS
+ * @returns {{ success: boolean, error?: string, code?: string, caster?: Combatant, opponent?: Combatant, effect?: Object }}
+ *   `effect` describe lo que pasó: `{ spell, healed }` o `{ spell, given, taken }` al robar
+ */
+export function castSpell({ caster, opponent, spell }) {
+    if (!Object.prototype.hasOwnProperty.call(SPELLS, spell)) {
+        return { success: false, error: 'Hechizo desconocido', code: 'UNKNOWN_SPELL' };
+    }
+    if (!caster.spells.includes(spell)) {
+        return { success: false, error: 'No tienes ese hechizo', code: 'SPELL_NOT_IN_HAND' };
+    }
+    if (caster.spellUsed) {
+        return { success: false, error: 'Solo puedes lanzar un hechizo por turno', code: 'SPELL_ALREADY_USED' };
+    }
+
+    const spells = [...caster.spells];
+    spells.splice(spells.indexOf(spell), 1);
+    let nextCaster = { ...caster, spells, spellUsed: true };
+    let nextOpponent = opponent;
+    const effect = { spell };
+
+    switch (spell) {
+        case 'shield':
+        case 'double':
+            nextCaster.statuses = addStatus(caster.statuses, spell);
+            break;
+
+        case 'heal': {
+            const hp = Math.min(caster.maxHp, caster.hp + HEAL_AMOUNT);
+            effect.healed = hp - caster.hp;
+            nextCaster.hp = hp;
+            break;
+        }
+
+        case 'steal': {
+            const mine = findCardIndex(caster.cards, false);
+            const theirs = findCardIndex(opponent.cards, true);
+            if (mine === -1 || theirs === -1) {
+                return { success: false, error: 'No hay cartas que robar', code: 'NO_CARDS' };
+            }
+            effect.given = caster.cards[mine];
+            effect.taken = opponent.cards[theirs];
+            nextCaster.cards = caster.cards.map((card, i) => (i === mine ? effect.taken : card));
+            nextOpponent = { ...opponent, cards: opponent.cards.map((card, i) => (i === theirs ? effect.given : card)) };
+            break;
+        }
+
+        case 'freeze':
+            nextOpponent = { ...opponent, statuses: addStatus(opponent.statuses, 'frozen') };
+            break;
+    }
+
+    return { success: true, caster: nextCaster, opponent: nextOpponent, effect };
+}
+
+/**
+ * Inicio del turno (o de la ronda) de un jugador con su mano nueva:
+ * si está congelado pierde su carta más alta, y puede volver a lanzar un hechizo.
+ *
+ * @param {Combatant} player
+ * @returns {{ player: Combatant, lostCard: number|null }}
+ */
+export function startTurn(player) {
+    const next = { ...player, spellUsed: false };
+    if (!player.statuses.includes('frozen')) return { player: next, lostCard: null };
+
+    const index = findCardIndex(player.cards, true);
+    next.statuses = removeStatus(player.statuses, 'frozen');
+    if (index === -1) return { player: next, lostCard: null };
+
+    next.cards = player.cards.filter((_, i) => i !== index);
+    return { player: next, lostCard: player.cards[index] };
+}
+
+/**
+ * Bonus de Doble para un ataque: se consume con el ataque aunque no sea perfecto.
+ *
+ * @param {Combatant} attacker
+ * @param {{damage: number, perfect: boolean}} attack
+ * @returns {{ attacker: Combatant, damage: number, doubled: boolean }}
+ */
+export function applyAttackBonus(attacker, { damage, perfect }) {
+    if (!attacker.statuses.includes('double')) return { attacker, damage, doubled: false };
+
+    const doubled = perfect && damage > 0;
+    return {
+        attacker: { ...attacker, statuses: removeStatus(attacker.statuses, 'double') },
+        damage: doubled ? damage * 2 : damage,
+        doubled
+    };
+}
+
+/**
+ * Daño que recibe un jugador: el Escudo bloquea el golpe entero y se consume.
+ * Un golpe de 0 no gasta el escudo.
+ *
+ * @param {Combatant} defender
+ * @param {number} damage
+ * @returns {{ defender: Combatant, damage: number, blocked: boolean }}
+ */
+export function absorbHit(defender, damage) {
+    if (damage <= 0 || !defender.statuses.includes('shield')) return { defender, damage, blocked: false };
+
+    return {
+        defender: { ...defender, statuses: removeStatus(defender.statuses, 'shield') },
+        damage: 0,
+        blocked: true
+    };
+}
+
+/**
+ * Un golpe completo por turnos (PvP local): Doble del atacante y Escudo del defensor.
+ *
+ * @param {Object} params
+ * @param {Combatant} params.attacker
+ * @param {Combatant} params.defender
+ * @param {number} params.damage - Daño calculado por el pipeline normal
+ * @param {boolean} params.perfect - Si el ataque fue perfecto
+ * @returns {{ attacker: Combatant, defender: Combatant, damage: number, doubled: boolean, blocked: boolean }}
+ */
+export function resolveHit({ attacker, defender, damage, perfect }) {
+    const bonus = applyAttackBonus(attacker, { damage, perfect });
+    const hit = absorbHit(defender, bonus.damage);
+    return {
+        attacker: bonus.attacker,
+        defender: hit.defender,
+        damage: hit.damage,
+        doubled: bonus.doubled,
+        blocked: hit.blocked
+    };
+}
@@ -0,0 +1,82 @@
+/**
+ * @file shared/teams.js
+ * @description Modo equipos (2 vs 2) del multijugador.
+ *
+ * Cada equipo comparte una reserva de HP. Cada ronda cuenta la mejor respuesta de cada
+ * equipo y se comparan como en un duelo: el equipo más cercano al target golpea al otro
+ * con el ataque de esa respuesta (si empatan, cada uno recibe la mitad del ataque rival).
+ * Mientras se juega, los compañeros ven en vivo la expresión que está escribiendo el otro.
+ */
+
+import { compareValues } from './rational.js';
+
+// ============================================
+// Constantes
+// ============================================
+
+/** Jugadores por equipo. */
+export const TEAM_SIZE = 2;
+
+/** Equipos del modo 2 vs 2 (la clave es la que viaja por el socket). */
+export const TEAMS = {
+    A: { name: 'Equipo Azul', emoji: '🔵' },
+    B: { name: 'Equipo Rojo', emoji: '🔴' }
+};
+
+/** Claves de los equipos, en orden. */
+export const TEAM_KEYS = Object.keys(TEAMS);
+
+// ============================================
+// Funciones
+// ============================================
+
+/**
+ * HP de la reserva de un equipo: la suma de lo que tendría cada jugador
+ *
+ * @param {number} playerHp - HP de un jugador en la dificultad de la sala
+ * @returns {number}
+ */
+export function getTeamHp(playerHp) {
+    return playerHp * TEAM_SIZE;
+}
+
+/**
+ * Equipo al que entra un jugador nuevo: el que tenga menos jugadores (el primero si empatan)
+ *
+ * @param {Array<string|null>} teams - Equipo de cada jugador que ya está en la sala
+ * @returns {string|null} Clave del equipo, o null si los dos están completos
+ */
+export function pickOpenTeam(teams) {
+    const count = (team) => teams.filter(t => t === team).length;
+    return TEAM_KEYS
+        .filter(team => count(team) < TEAM_SIZE)
+        .reduce((best, team) => (best === null || count(team) < count(best) ? team : best), null);
+}
+
+/**
+ * Respuesta que cuenta por un equipo: la más cercana al target (los fallos y quien no
+ * respondió, al final); si empatan, la de más daño
+ *
+ * @param {Array<{ difference: number|Object|null, isMiss: boolean, damage: number }>} entries - Respuestas de los jugadores del equipo
+ * @returns {number} Posición de la mejor respuesta (-1 si no hay ninguna)
+ */
+export function pickTeamAnswer(entries) {
+    let best = -1;
+    for (let i = 0; i < entries.length; i++) {
+        if (best === -1 || compareTeamAnswers(entries[i], entries[best]) < 0) best = i;
+    }
+    return best;
+}
+
+/**
+ * Orden de dos respuestas de un equipo
+ * @returns {number} Negativo si `a` es mejor, positivo si lo es `b`
+ */
+function compareTeamAnswers(a, b) {
+    if (a.isMiss !== b.isMiss) return a.isMiss ? 1 : -1;
+    if (!a.isMiss) {
+        const closeness = compareValues(a.difference, b.difference);
+        if (closeness !== 0) return closeness;
+    }
+    return b.damage - a.damage;
+}
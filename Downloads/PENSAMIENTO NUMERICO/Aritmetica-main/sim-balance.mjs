@@ -0,0 +1,314 @@
+/**
+ * Simulación de Balance
+ *
+ * Juega miles de partidas completas sin interfaz (PvP local por turnos: mano y target
+ * nuevos cada turno) entre estrategias de `cpuPlayer` y mide, por dificultad:
+ * 1. Duración de las partidas (turnos)
+ * 2. Ventaja del primer jugador
+ * 3. Distribución del daño por turno (daño real: precisión, racha, paréntesis y variables)
+ * 4. Frecuencia con la que se alcanza cada tier de racha
+ * 5. Frecuencia de la Jugada Maestra (`isMasterPlay`)
+ *
+ * Escribe JSON y CSV para ajustar DIFFICULTY_CONFIG con datos.
+ *
+ * Ejecutar con: node sim-balance.mjs [opciones]
+ *   --matches N          Partidas por enfrentamiento (por defecto 200)
+ *   --difficulties a,b   Dificultades (por defecto todas las predefinidas)
+ *   --matchups a:b,c:d   Enfrentamientos jugador1:jugador2 (por defecto todos contra todos)
+ *   --seed CODIGO        Semilla (misma semilla = mismos resultados)
+ *   --out RUTA           Prefijo de los ficheros de salida (RUTA.json y RUTA.csv)
+ */
+
+import { writeFileSync } from 'fs';
+import { parseArgs } from 'util';
+import {
+    generateCardsByDifficulty,
+    generateRatedTarget,
+    calculateAttackDamage,
+    getDifficultyConfig,
+    DIFFICULTY_CONFIG
+} from './shared/gameLogic.js';
+import { createRandom, createSeedCode } from './shared/random.js';
+import { AI_STRATEGY, generateCpuPlay } from './src/utils/cpuPlayer.js';
+
+/** Una partida que llega aquí sin KO cuenta como empate (evita bucles con estrategias que siempre fallan) */
+const MAX_TURNS = 200;
+
+/** Tramos del histograma de daño por turno: [mínimo, máximo] inclusive */
+const DAMAGE_BUCKETS = [[0, 0], [1, 24], [25, 49], [50, 74], [75, 99], [100, Infinity]];
+
+const ACCURACY_TYPES = ['perfect', 'close', 'far', 'miss'];
+
+// ============================================
+// Opciones
+// ============================================
+
+function readOptions() {
+    const { values } = parseArgs({
+        options: {
+            matches: { type: 'string', default: '200' },
+            difficulties: { type: 'string', default: Object.keys(DIFFICULTY_CONFIG).join(',') },
+            matchups: { type: 'string' },
+            seed: { type: 'string' },
+            out: { type: 'string', default: 'sim-balance-results' }
+        }
+    });
+
+    const strategies = Object.values(AI_STRATEGY);
+    const matchups = values.matchups
+        ? values.matchups.split(',').map(pair => pair.split(':'))
+        : strategies.flatMap(first => strategies.map(second => [first, second]));
+
+    for (const pair of matchups) {
+        if (pair.length !== 2 || !pair.every(strategy => strategies.includes(strategy))) {
+            throw new Error(`Enfrentamiento inválido "${pair.join(':')}": usa estrategia:estrategia con ${strategies.join(', ')}`);
+        }
+    }
+
+    const difficulties = values.difficulties.split(',');
+    for (const difficulty of difficulties) {
+        if (!DIFFICULTY_CONFIG[difficulty]) {
+            throw new Error(`Dificultad desconocida "${difficulty}": usa ${Object.keys(DIFFICULTY_CONFIG).join(', ')}`);
+        }
+    }
+
+    const matches = Number(values.matches);
+    if (!Number.isInteger(matches) || matches < 1) {
+        throw new Error('--matches tiene que ser un entero positivo');
+    }
+
+    return { matches, difficulties, matchups, seed: values.seed || createSeedCode(), out: values.out };
+}
+
+// ============================================
+// Simulación
+// ============================================
+
+/**
+ * Un turno: mano y target nuevos, la CPU juega y se calcula el daño con el pipeline real
+ * @returns {{ damage: number, accuracyType: string, newStreak: number, tierIntensity: number, isMasterPlay: boolean, parenBonus: boolean, variableBonus: boolean }}
+ */
+function playTurn(difficulty, strategy, streak, random) {
+    const { cards, variables } = generateCardsByDifficulty(difficulty, random);
+    const variableValues = Object.fromEntries(variables.map(v => [v.symbol, v.value]));
+    const { target } = generateRatedTarget(difficulty, cards, variableValues, { random });
+
+    const play = generateCpuPlay({ target, cards, variableValues, difficulty, strategy, random });
+    const attack = calculateAttackDamage({ expression: play.expression, target, streak, difficulty, variableValues });
+
+    if (!attack) {
+        return { damage: 0, accuracyType: 'miss', newStreak: 0, tierIntensity: 0, isMasterPlay: false, parenBonus: false, variableBonus: false };
+    }
+
+    return {
+        damage: attack.totalDamage,
+        accuracyType: attack.damageResult.accuracyType,
+        newStreak: attack.streakResult.newStreak,
+        tierIntensity: attack.streakResult.tier.intensity,
+        isMasterPlay: attack.damageResult.isMasterPlay,
+        parenBonus: attack.parenBonus.bonus > 0,
+        variableBonus: attack.variableBonus.bonus > 0
+    };
+}
+
+/**
+ * Partida completa: el jugador 1 ataca primero y se alternan hasta un KO
+ * @returns {{ winner: 0|1|null, turns: number, maxTiers: number[] }}
+ */
+function simulateMatch(difficulty, strategies, random, stats) {
+    const { playerHp } = getDifficultyConfig(difficulty);
+    const hp = [playerHp, playerHp];
+    const streaks = [0, 0];
+    const maxTiers = [0, 0];
+
+    for (let turn = 0; turn < MAX_TURNS; turn++) {
+        const attacker = turn % 2;
+        const result = playTurn(difficulty, strategies[attacker], streaks[attacker], random);
+
+        streaks[attacker] = result.newStreak;
+        maxTiers[attacker] = Math.max(maxTiers[attacker], result.tierIntensity);
+        stats.damages.push(result.damage);
+        stats.accuracy[result.accuracyType]++;
+        if (result.isMasterPlay) stats.masterPlays++;
+        if (result.parenBonus) stats.parenBonuses++;
+        if (result.variableBonus) stats.variableBonuses++;
+
+        hp[1 - attacker] -= result.damage;
+        if (hp[1 - attacker] <= 0) return { winner: attacker, turns: turn + 1, maxTiers };
+    }
+
+    return { winner: null, turns: MAX_TURNS, maxTiers };
+}
+
+function percentile(sorted, fraction) {
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+}
+
+const rate = (count, total) => Number((count / total).toFixed(4));
+const round2 = (value) => Number(value.toFixed(2));
+
+/**
+ * Juega `matches` partidas de un enfrentamiento y resume sus estadísticas
+ */
+function simulateMatchup(difficulty, strategies, matches, random) {
+    const config = getDifficultyConfig(difficulty);
+    const stats = {
+        damages: [],
+        accuracy: Object.fromEntries(ACCURACY_TYPES.map(type => [type, 0])),
+        masterPlays: 0,
+        parenBonuses: 0,
+        variableBonuses: 0
+    };
+    const lengths = [];
+    const wins = [0, 0];
+    let draws = 0;
+    // Jugadores (dos por partida) que alcanzaron al menos cada tier de racha
+    const tierReached = config.streakConfig.map(() => 0);
+
+    for (let i = 0; i < matches; i++) {
+        const { winner, turns, maxTiers } = simulateMatch(difficulty, strategies, random, stats);
+        lengths.push(turns);
+        if (winner === null) draws++;
+        else wins[winner]++;
+        for (const maxTier of maxTiers) {
+            for (let tier = 0; tier <= maxTier; tier++) tierReached[tier]++;
+        }
+    }
+
+    const sortedLengths = [...lengths].sort((a, b) => a - b);
+    const sortedDamages = [...stats.damages].sort((a, b) => a - b);
+    const totalTurns = stats.damages.length;
+
+    return {
+        difficulty,
+        player1: strategies[0],
+        player2: strategies[1],
+        matches,
+        matchLength: {
+            avgTurns: round2(lengths.reduce((a, b) => a + b, 0) / matches),
+            p50: percentile(sortedLengths, 0.5),
+            p90: percentile(sortedLengths, 0.9),
+            max: sortedLengths[sortedLengths.length - 1]
+        },
+        winRates: {
+            firstPlayer: rate(wins[0], matches),
+            secondPlayer: rate(wins[1], matches),
+            draw: rate(draws, matches)
+        },
+        damagePerTurn: {
+            avg: round2(stats.damages.reduce((a, b) => a + b, 0) / totalTurns),
+            p50: percentile(sortedDamages, 0.5),
+            p90: percentile(sortedDamages, 0.9),
+            max: sortedDamages[sortedDamages.length - 1],
+            histogram: Object.fromEntries(DAMAGE_BUCKETS.map(([min, max]) => [
+                bucketLabel(min, max),
+                rate(stats.damages.filter(damage => damage >= min && damage <= max).length, totalTurns)
+            ]))
+        },
+        accuracy: Object.fromEntries(ACCURACY_TYPES.map(type => [type, rate(stats.accuracy[type], totalTurns)])),
+        streakTiers: config.streakConfig.slice(1).map((tier, i) => ({
+            minStreak: tier.minStreak,
+            name: tier.name,
+            reachedRate: rate(tierReached[i + 1], matches * 2)
+        })),
+        masterPlayRate: rate(stats.masterPlays, totalTurns),
+        parenthesesBonusRate: rate(stats.parenBonuses, totalTurns),
+        variableBonusRate: rate(stats.variableBonuses, totalTurns)
+    };
+}
+
+function bucketLabel(min, max) {
+    if (min === max) return String(min);
+    return max === Infinity ? `${min}+` : `${min}-${max}`;
+}
+
+// ============================================
+// Salida
+// ============================================
+
+/** Máximo de tiers de racha (sin el tier 0) entre las dificultades, para columnas fijas en el CSV */
+function maxTierCount(results) {
+    return Math.max(...results.map(result => result.streakTiers.length));
+}
+
+function toCsv(results) {
+    const tiers = maxTierCount(results);
+    const buckets = DAMAGE_BUCKETS.map(([min, max]) => bucketLabel(min, max));
+    const header = [
+        'difficulty', 'player1', 'player2', 'matches',
+        'avg_turns', 'p50_turns', 'p90_turns', 'max_turns',
+        'first_player_win_rate', 'second_player_win_rate', 'draw_rate',
+        'avg_damage', 'p50_damage', 'p90_damage', 'max_damage',
+        ...buckets.map(label => `damage_${label.replace('-', '_').replace('+', '_plus')}_rate`),
+        ...ACCURACY_TYPES.map(type => `${type}_rate`),
+        ...Array.from({ length: tiers }, (_, i) => `streak_tier${i + 1}_reached_rate`),
+        'master_play_rate', 'parentheses_bonus_rate', 'variable_bonus_rate'
+    ];
+
+    const rows = results.map(result => [
+        result.difficulty, result.player1, result.player2, result.matches,
+        result.matchLength.avgTurns, result.matchLength.p50, result.matchLength.p90, result.matchLength.max,
+        result.winRates.firstPlayer, result.winRates.secondPlayer, result.winRates.draw,
+        result.damagePerTurn.avg, result.damagePerTurn.p50, result.damagePerTurn.p90, result.damagePerTurn.max,
+        ...buckets.map(label => result.damagePerTurn.histogram[label]),
+        ...ACCURACY_TYPES.map(type => result.accuracy[type]),
+        ...Array.from({ length: tiers }, (_, i) => result.streakTiers[i]?.reachedRate ?? ''),
+        result.masterPlayRate, result.parenthesesBonusRate, result.variableBonusRate
+    ]);
+
+    return [header, ...rows].map(row => row.join(',')).join('\n') + '\n';
+}
+
+function printRow(result) {
+    const matchup = `${result.player1} vs ${result.player2}`;
+    console.log(`  ${matchup.padEnd(24)} ` +
+        `${String(result.matchLength.avgTurns).padStart(6)} turnos | ` +
+        `1º gana ${(result.winRates.firstPlayer * 100).toFixed(1).padStart(5)}% | ` +
+        `daño/turno ${String(result.damagePerTurn.avg).padStart(6)} | ` +
+        `perfectos ${(result.accuracy.perfect * 100).toFixed(1).padStart(5)}% | ` +
+        `maestras ${(result.masterPlayRate * 100).toFixed(1)}%`);
+}
+
+// ============================================
+// Ejecución
+// ============================================
+
+function runSimulation() {
+    const options = readOptions();
+    const random = createRandom(options.seed);
+
+    console.log('='.repeat(60));
+    console.log('SIMULACIÓN DE BALANCE');
+    console.log('='.repeat(60));
+    console.log(`Semilla: ${options.seed}`);
+    console.log(`Partidas por enfrentamiento: ${options.matches}`);
+    console.log('');
+
+    const results = [];
+    for (const difficulty of options.difficulties) {
+        console.log(`${DIFFICULTY_CONFIG[difficulty].emoji} ${difficulty}`);
+        console.log('-'.repeat(40));
+        for (const strategies of options.matchups) {
+            const result = simulateMatchup(difficulty, strategies, options.matches, random);
+            results.push(result);
+            printRow(result);
+        }
+        console.log('');
+    }
+
+    const report = {
+        seed: options.seed,
+        matchesPerMatchup: options.matches,
+        maxTurns: MAX_TURNS,
+        generatedAt: new Date().toISOString(),
+        results
+    };
+    writeFileSync(`${options.out}.json`, JSON.stringify(report, null, 2));
+    writeFileSync(`${options.out}.csv`, toCsv(results));
+
+    console.log(`📄 ${options.out}.json`);
+    console.log(`📄 ${options.out}.csv`);
+    console.log('');
+}
+
+runSimulation();
@@ -1,13 +1,22 @@
 
-import React, { useState, useEffect } from 'react';
-import { calculateNormalizedDamage, getOperatorsFromExpression, hasExactDivisionInExpression, calculateStreakBonus, validateParentheses, calculateParenthesesBonus, DIFFICULTY_CONFIG, generateCardsByDifficulty, generateTargetByDifficulty, findSolution, evaluateExpressionWithVariables, calculateVariableBonus, detectVariablesInExpression } from './utils/gameLogic';
-
+import React, { useState, useEffect, useRef } from 'react';
+import { calculateAttackDamage, getDifficultyConfig, generateCardsByDifficulty, evaluateExpressionWithVariables, detectVariablesInExpression, getOperatorText, getEvaluationTrace, PREFIX_OPERATORS, HINT_TIERS, buildSolutionHints, applyHintPenalty } from '../shared/gameLogic';
+
+import { evaluateExpression as parseAndEvaluate, formatTrace } from '../shared/expressionParser';
+import { getRoundType, generateEquation, scoreEquationAnswer, EQUATION_TYPES } from '../shared/equations';
+import { formatValue } from '../shared/rational';
+import { SPELLS, createSpellRandom, drawSpell, castSpell, startTurn, resolveHit } from '../shared/spells';
+import { DECK_ACTIONS, createDeckRandom, createDeck, getHandSize, drawCards, playCards, performDeckAction } from '../shared/deck';
+import { createRandom, createSeedCode } from '../shared/random';
 import { soundManager } from './utils/SoundManager';
+import { loadCustomDifficulties, saveCustomDifficulty, deleteCustomDifficulty } from './utils/customDifficulties';
+import { generateRatedTargetAsync, solveHandAsync } from './utils/solverClient';
 import './styles/index.css';
 
 // Components
 import MainMenu from './components/Menus/MainMenu';
 import SetupScreen from './components/Menus/SetupScreen';
+import CustomDifficultyEditor from './components/Menus/CustomDifficultyEditor';
 import TransitionScreen from './components/Menus/TransitionScreen';
 import GameOverScreen from './components/Menus/GameOverScreen';
 import PlayerCard from './components/Game/PlayerCard';
@@ -15,6 +24,10 @@ import Arena from './components/Game/Arena';
 import SpellBar from './components/Game/SpellBar';
 import ControlDeck from './components/Game/ControlDeck';
 import PlayerHistory from './components/Game/PlayerHistory';
+import TargetRating from './components/Game/TargetRating';
+import BestPlay from './components/Game/BestPlay';
+import HintPanel from './components/Game/HintPanel';
+import EquationPanel from './components/Game/EquationPanel';
 /**
  * @file App.jsx
  * @description Componente raíz y controlador principal del juego.
@@ -32,6 +45,13 @@ import DemoScreen from './components/Demo/DemoScreen';
 import MultiplayerScreen from './components/Multiplayer/MultiplayerScreen';
 import SingleplayerScreen from './components/Singleplayer/SingleplayerScreen';
 
+// Confeti pre-generado: el render debe ser puro (sin Math.random)
+const CONFETTI_PIECES = Array.from({ length: 50 }, () => ({
+  left: Math.random() * 100,
+  delay: Math.random() * 2,
+  color: ['#FFD60A', '#FF453A', '#34C759', '#007AFF', '#FF9F0A'][Math.floor(Math.random() * 5)]
+}));
+
 /**
  * Componente principal de la aplicación.
  * Contiene toda la lógica de estado para una partida PvP local.
@@ -51,25 +71,46 @@ const ArithmeticPvPGame = () => {
   // === GAME STATES ===
   // 'menu': Menú principal
   // 'setup': Pantalla de configuración de nombres
+  // 'customEditor': Editor de dificultad personalizada
   // 'transition': Pantalla intermedia entre turnos
   // 'playing': En partida activa
   // 'demo': Modo CPU vs CPU
   // 'gameover': Pantalla de victoria/derrota
   const [gameState, setGameState] = useState('menu');
+  // Clave de un preset ('medium') o el objeto de una dificultad personalizada
   const [difficulty, setDifficulty] = useState('medium');
-
-  // Player States
-  const [player1, setPlayer1] = useState({ name: 'Jugador 1', hp: 200, maxHp: 200 });
-  const [player2, setPlayer2] = useState({ name: 'Jugador 2', hp: 200, maxHp: 200 });
+  const [customDifficulties, setCustomDifficulties] = useState(loadCustomDifficulties);
+  // Dificultad personalizada abierta en el editor (null = crear una nueva)
+  const [editingDifficulty, setEditingDifficulty] = useState(null);
+  // Semilla de la partida: todas las manos y targets salen de este PRNG
+  const [matchSeed, setMatchSeed] = useState(null);
+  // Modo de rondas (ROUND_MODES): clásico, mixto o solo ecuaciones "Despeja x"
+  const [roundMode, setRoundMode] = useState('classic');
+  const randomRef = useRef(Math.random);
+  const spellRandomRef = useRef(Math.random); // Mazo de hechizos (PRNG aparte, ver createSpellRandom)
+  // Modo mazo (shared/deck.js): mano persistente y un mazo por jugador
+  const [deckMode, setDeckMode] = useState(false);
+  const [deck1, setDeck1] = useState(null);
+  const [deck2, setDeck2] = useState(null);
+  const [discarding, setDiscarding] = useState(false); // Eligiendo la carta a descartar
+  const deckRandomRef = useRef(Math.random);
+  const playedCardsRef = useRef([]); // Cartas del ataque enviado: van al descarte al pasar el turno
+
+  // Player States (spells/statuses/spellUsed: mano de hechizos y estados, ver shared/spells.js)
+  const [player1, setPlayer1] = useState({ name: 'Jugador 1', hp: 200, maxHp: 200, spells: [], statuses: [], spellUsed: false });
+  const [player2, setPlayer2] = useState({ name: 'Jugador 2', hp: 200, maxHp: 200, spells: [], statuses: [], spellUsed: false });
   const [currentPlayer, setCurrentPlayer] = useState(1);
 
   // Turn State
   const [target, setTarget] = useState(0);        // Número a alcanzar
+  const [targetRating, setTargetRating] = useState(null); // Complejidad del target (rateTarget)
   const [cards1, setCards1] = useState([]);       // Cartas numéricas J1
   const [cards2, setCards2] = useState([]);       // Cartas numéricas J2
   const [variables1, setVariables1] = useState([]); // Variables algebraicas J1 (ej: [{symbol: 'x', value: 4}])
   const [variables2, setVariables2] = useState([]); // Variables algebraicas J2
   const [variableValues, setVariableValues] = useState({}); // Valores actuales de variables (ej: {x: 4, y: 7})
+  const [equation, setEquation] = useState(null);   // Ecuación del turno si es una ronda "Despeja x" (null = ronda de target)
+  const [equationAnswer, setEquationAnswer] = useState(''); // Valor de x escrito por el jugador
   const [expression, setExpression] = useState(''); // Expresión actual construida
   const [usedCards, setUsedCards] = useState([]);   // Índices de cartas numéricas usadas
   const [usedVariables, setUsedVariables] = useState([]); // Símbolos de variables usadas (ej: ['x'])
@@ -121,6 +162,11 @@ const ArithmeticPvPGame = () => {
   const [showSurrenderConfirmation, setShowSurrenderConfirmation] = useState(false);
   const [surrenderSolution, setSurrenderSolution] = useState(null);
 
+  // Hint states (se reinician cada turno)
+  const [hintLevel, setHintLevel] = useState(0); // Nivel más alto pedido (0 = ninguno)
+  const [hints, setHints] = useState(null);      // Pistas de la mejor jugada (buildSolutionHints)
+  const [isLoadingHint, setIsLoadingHint] = useState(false);
+
   // Exit Confirmation states
   const [showExitConfirmation, setShowExitConfirmation] = useState(false);
   const [isMuted, setIsMuted] = useState(false);
@@ -131,26 +177,64 @@ const ArithmeticPvPGame = () => {
   };
 
   // Get current difficulty config
-  const difficultyConfig = DIFFICULTY_CONFIG[difficulty];
+  const difficultyConfig = getDifficultyConfig(difficulty);
 
   // Helper getters
   const currentCards = currentPlayer === 1 ? cards1 : cards2;
   const currentVariables = currentPlayer === 1 ? variables1 : variables2;
   const currentPlayerName = currentPlayer === 1 ? player1.name : player2.name;
+  const currentPlayerState = currentPlayer === 1 ? player1 : player2;
+  const opponentState = currentPlayer === 1 ? player2 : player1;
+  const currentDeck = currentPlayer === 1 ? deck1 : deck2;
 
   const handleExitGame = () => {
     setGameState('menu');
     setShowExitConfirmation(false);
   };
 
-  const confirmSurrender = () => {
+  const confirmSurrender = async () => {
     setShowSurrenderConfirmation(false);
-    // Pasar variableValues a findSolution para mostrar solución con variables
-    const solution = findSolution(target, currentCards, difficulty, variableValues);
-    setSurrenderSolution(solution);
+    // Mejor jugada posible (con variables); si no hay exacta, la más cercana
+    const solved = await solveHandAsync(target, currentCards, difficulty, variableValues, { maxSolutions: 3 });
+    setSurrenderSolution(solved);
   };
 
 
+  /**
+   * Revela el siguiente nivel de pista. La primera vez resuelve la mano
+   * (en el worker) y guarda las pistas de la mejor jugada para el resto del turno.
+   */
+  const requestHint = async () => {
+    const tier = HINT_TIERS[hintLevel];
+    if (!tier) return;
+
+    let turnHints = hints;
+    if (!turnHints) {
+      setIsLoadingHint(true);
+      const solved = await solveHandAsync(target, currentCards, difficulty, variableValues, { maxSolutions: 1, maxClosest: 1 });
+      setIsLoadingHint(false);
+      turnHints = solved.best && {
+        ...buildSolutionHints(solved.best.expression, difficulty),
+        exact: solved.exact,
+        value: solved.best.value
+      };
+      if (!turnHints) {
+        setMessage('🤷 No hay pistas para esta mano.');
+        return;
+      }
+      setHints(turnHints);
+    }
+
+    soundManager.playSelect();
+    if (tier.resetsStreak) {
+      const currentStreak = currentPlayer === 1 ? player1Streak : player2Streak;
+      if (currentPlayer === 1) setPlayer1Streak(0);
+      else setPlayer2Streak(0);
+      if (currentStreak >= 2) setMessage(`💔 Racha de ${currentStreak} perdida por la pista.`);
+    }
+    setHintLevel(tier.level);
+  };
+
   const closeSolutionAndNextTurn = () => {
     setSurrenderSolution(null);
     if (currentPlayer === 1) setPlayer1Streak(0);
@@ -187,7 +271,8 @@ const ArithmeticPvPGame = () => {
       result: 'RENDIDO',
       expression: '🏳️',
       turn: turn,
-      type: 'miss'
+      type: 'miss',
+      hintLevel
     }, ...prev]);
 
     setTimeout(() => {
@@ -213,14 +298,46 @@ const ArithmeticPvPGame = () => {
 
 
 
-  const startGame = (p1Name = 'Jugador 1', p2Name = 'Jugador 2') => {
+  /**
+   * Reto del turno según el modo de rondas: una ecuación "Despeja x"
+   * o un target alcanzable con la mano (el solver corre en el Web Worker).
+   */
+  const dealTurnChallenge = async (round, mode, cards, varValues, random) => {
+    if (getRoundType(round, mode) === 'equation') {
+      return { equation: generateEquation(random, { difficulty }), target: null, rating: null };
+    }
+    const rated = await generateRatedTargetAsync(difficulty, cards, varValues, { random });
+    return { equation: null, target: rated.target, rating: rated.rating };
+  };
+
+  const startGame = async (p1Name = 'Jugador 1', p2Name = 'Jugador 2', seedCode = createSeedCode(), mode = roundMode, withDeck = deckMode) => {
     soundManager.playPop();
-    const config = DIFFICULTY_CONFIG[difficulty];
+    const config = getDifficultyConfig(difficulty);
     const hp = config.playerHp;
 
+    // Misma semilla = mismas manos y targets (revancha idéntica)
+    const random = createRandom(seedCode);
+    randomRef.current = random;
+    const spellRandom = createSpellRandom(seedCode);
+    spellRandomRef.current = spellRandom;
+    setMatchSeed(seedCode);
+
     // Generar cartas y variables para ambos jugadores
-    const player1Data = generateCardsByDifficulty(difficulty);
-    const player2Data = generateCardsByDifficulty(difficulty);
+    const player1Data = generateCardsByDifficulty(difficulty, random);
+    const player2Data = generateCardsByDifficulty(difficulty, random);
+
+    // Modo mazo: las manos salen del mazo de cada jugador (las variables siguen igual)
+    let decks = [null, null];
+    if (withDeck) {
+      const deckRandom = createDeckRandom(seedCode);
+      deckRandomRef.current = deckRandom;
+      decks = [player1Data, player2Data].map(data => {
+        const opening = drawCards([], createDeck(difficulty, deckRandom), getHandSize(difficulty), deckRandom);
+        data.cards = opening.hand;
+        return opening.deck;
+      });
+    }
+    playedCardsRef.current = [];
 
     // Extraer valores de variables para el target (usamos las del jugador 1 inicialmente)
     const varValues = {};
@@ -228,14 +345,25 @@ const ArithmeticPvPGame = () => {
       varValues[v.symbol] = v.value;
     }
 
-    setPlayer1({ name: p1Name, hp: hp, maxHp: hp });
-    setPlayer2({ name: p2Name, hp: hp, maxHp: hp });
+    // El target se elige aquí con el PRNG de la partida
+    const firstChallenge = await dealTurnChallenge(1, mode, player1Data.cards, varValues, random);
+
+    setPlayer1({ name: p1Name, hp: hp, maxHp: hp, spells: drawSpell([], spellRandom), statuses: [], spellUsed: false });
+    setPlayer2({ name: p2Name, hp: hp, maxHp: hp, spells: drawSpell([], spellRandom), statuses: [], spellUsed: false });
     setCards1(player1Data.cards);
     setCards2(player2Data.cards);
     setVariables1(player1Data.variables);
     setVariables2(player2Data.variables);
     setVariableValues(varValues);
-    setTarget(generateTargetByDifficulty(difficulty, player1Data.cards, varValues));
+    setRoundMode(mode);
+    setDeckMode(withDeck);
+    setDeck1(decks[0]);
+    setDeck2(decks[1]);
+    setDiscarding(false);
+    setTarget(firstChallenge.target);
+    setTargetRating(firstChallenge.rating);
+    setEquation(firstChallenge.equation);
+    setEquationAnswer('');
     setCurrentPlayer(1);
     setExpression('');
     setUsedCards([]);
@@ -247,30 +375,39 @@ const ArithmeticPvPGame = () => {
     setPlayer1Streak(0);
     setPlayer2Streak(0);
     setStreakAnimation(null);
+    setHintLevel(0);
+    setHints(null);
     setGameState('playing');
   };
 
 
   // Expression construction logic
   const getLastTokenType = (expr) => {
-    if (!expr || expr.length === 0) return 'empty';
-    const lastChar = expr[expr.length - 1];
+    const trimmed = (expr || '').trimEnd();
+    if (trimmed.length === 0) return 'empty';
+    if (trimmed.endsWith('mod')) return 'operator'; // "mod" se escribe con espacios: "7 mod "
+    const lastChar = trimmed[trimmed.length - 1];
     if (/\d/.test(lastChar)) return 'number';
-    if (['x', 'y'].includes(lastChar)) return 'variable'; // Variables se comportan como números
-    if (['+', '-', '*', '/'].includes(lastChar)) return 'operator';
+    if (/[a-zA-Z]/.test(lastChar)) return 'variable'; // Variables (x, y, z, ...) se comportan como números
+    if (['+', '-', '*', '/', '^'].includes(lastChar)) return 'operator';
+    if (lastChar === '√') return 'prefix'; // Espera un número o un paréntesis: √9, √(3+6)
     if (lastChar === '(') return 'openParen';
-    if (lastChar === ')') return 'closeParen';
+    if (lastChar === ')' || lastChar === '!') return 'closeParen'; // 4! cierra un factor igual que ")"
     return 'unknown';
   };
 
   const lastTokenType = getLastTokenType(expression);
   // Números se pueden añadir después de operador, paréntesis abierto, o al inicio
-  const canAddNumber = lastTokenType === 'empty' || lastTokenType === 'operator' || lastTokenType === 'openParen';
+  const canAddNumber = lastTokenType === 'empty' || lastTokenType === 'operator' || lastTokenType === 'openParen' || lastTokenType === 'prefix';
   // Variables se pueden añadir donde van números Y también después de un número (multiplicación implícita: 2x)
   // También después de paréntesis de cierre: (3+1)x
   const canAddVariable = canAddNumber || lastTokenType === 'number' || lastTokenType === 'closeParen';
   const canAddOperator = lastTokenType === 'number' || lastTokenType === 'variable' || lastTokenType === 'closeParen';
-  const canAddOpenParen = lastTokenType === 'empty' || lastTokenType === 'operator' || lastTokenType === 'openParen';
+  const canAddOpenParen = lastTokenType === 'empty' || lastTokenType === 'operator' || lastTokenType === 'openParen' || lastTokenType === 'prefix';
+  // Los operadores prefijo (√) van donde empieza un factor, igual que "("
+  const canAddPrefix = canAddOpenParen;
+  // El "-" también puede ser negación: al inicio, tras "(" o tras otro operador (2*-3), pero nunca "--"
+  const canAddNegation = ['empty', 'openParen', 'operator'].includes(lastTokenType) && !expression.trimEnd().endsWith('-');
   const openParenCount = (expression.match(/\(/g) || []).length;
   const closeParenCount = (expression.match(/\)/g) || []).length;
   const canAddCloseParen = (lastTokenType === 'number' || lastTokenType === 'variable' || lastTokenType === 'closeParen') && openParenCount > closeParenCount;
@@ -294,8 +431,11 @@ const ArithmeticPvPGame = () => {
   };
 
   const addOperator = (op) => {
-    if (canAddOperator) {
-      setExpression(prev => prev + op);
+    const allowed = PREFIX_OPERATORS.includes(op)
+      ? canAddPrefix
+      : canAddOperator || (op === '-' && canAddNegation);
+    if (allowed) {
+      setExpression(prev => prev + getOperatorText(op));
       soundManager.playPop();
     }
   };
@@ -317,21 +457,196 @@ const ArithmeticPvPGame = () => {
     setUsedVariables([]);
   };
 
-  // Evalúa la expresión reemplazando variables con sus valores
-  const evaluateExpression = (expr) => {
-    // Si hay variables en la dificultad, usar evaluación con variables
-    if (difficultyConfig?.variableConfig?.enabled) {
-      return evaluateExpressionWithVariables(expr, variableValues);
+  /**
+   * Lanza un hechizo del jugador actual con el motor compartido (shared/spells.js).
+   * Robar cambia las manos, así que la expresión en curso se borra.
+   */
+  const castCurrentSpell = (spell) => {
+    const cast = castSpell({
+      caster: { ...currentPlayerState, cards: currentCards },
+      opponent: { ...opponentState, cards: currentPlayer === 1 ? cards2 : cards1 },
+      spell
+    });
+    if (!cast.success) {
+      setMessage(`⚠️ ${cast.error}`);
+      soundManager.playError();
+      return;
     }
-    // Fallback para modo fácil sin variables
-    try {
-      const result = eval(expr);
-      return typeof result === 'number' && !isNaN(result) ? result : null;
-    } catch {
-      return null;
+
+    const { cards: casterCards, ...caster } = cast.caster;
+    const { cards: opponentNewCards, ...opponent } = cast.opponent;
+    if (currentPlayer === 1) {
+      setPlayer1(caster);
+      setPlayer2(opponent);
+      setCards1(casterCards);
+      setCards2(opponentNewCards);
+    } else {
+      setPlayer2(caster);
+      setPlayer1(opponent);
+      setCards2(casterCards);
+      setCards1(opponentNewCards);
     }
+    clearExpression();
+    soundManager.playPop();
+
+    const { effect } = cast;
+    const details = {
+      heal: ` (+${effect.healed} HP)`,
+      steal: ` (das ${effect.given}, te llevas ${effect.taken})`
+    };
+    setMessage(`${SPELLS[spell].emoji} ${currentPlayerName} lanza ${SPELLS[spell].name}${details[spell] || ''}`);
   };
 
+  /**
+   * Modo mazo: descarta una carta o hace mulligan pagando su coste (ver shared/deck.js).
+   * El target del turno no cambia: cambiar la mano es la apuesta.
+   */
+  const runDeckAction = (action, index) => {
+    const streak = currentPlayer === 1 ? player1Streak : player2Streak;
+    const result = performDeckAction({
+      action,
+      hand: currentCards,
+      deck: currentDeck,
+      hp: currentPlayerState.hp,
+      streak,
+      index,
+      random: deckRandomRef.current
+    });
+    setDiscarding(false);
+    if (!result.success) {
+      setMessage(`⚠️ ${result.error}`);
+      soundManager.playError();
+      return;
+    }
+
+    if (currentPlayer === 1) {
+      setCards1(result.hand);
+      setDeck1(result.deck);
+      setPlayer1(prev => ({ ...prev, hp: result.hp }));
+      setPlayer1Streak(result.streak);
+    } else {
+      setCards2(result.hand);
+      setDeck2(result.deck);
+      setPlayer2(prev => ({ ...prev, hp: result.hp }));
+      setPlayer2Streak(result.streak);
+    }
+    clearExpression();
+    setHints(null);
+    soundManager.playPop();
+
+    const { emoji, name } = DECK_ACTIONS[action];
+    const lostStreak = streak !== result.streak ? ` 💔 Racha de ${streak} perdida` : '';
+    const hpCost = currentPlayerState.hp - result.hp;
+    setMessage(`${emoji} ${name}: ${result.discarded.join(', ')} al ${action === 'mulligan' ? 'mazo' : 'descarte'}${hpCost > 0 ? ` (-${hpCost} HP)` : ''}${lostStreak}`);
+  };
+
+  /**
+   * Aplica los hechizos activos a un ataque (Doble del atacante, Escudo del rival)
+   * y guarda los estados consumidos.
+   * @returns {{damage: number, doubled: boolean, blocked: boolean}}
+   */
+  const applySpellModifiers = (damage, perfect) => {
+    const hit = resolveHit({
+      attacker: currentPlayerState,
+      defender: opponentState,
+      damage,
+      perfect
+    });
+    if (currentPlayer === 1) {
+      setPlayer1(hit.attacker);
+      setPlayer2(hit.defender);
+    } else {
+      setPlayer2(hit.attacker);
+      setPlayer1(hit.defender);
+    }
+    return hit;
+  };
+
+  // Evalúa la expresión reemplazando variables con sus valores (parser seguro, sin eval)
+  // En modo Fracciones el resultado es un racional exacto ({ num, den })
+  const exactArithmetic = Boolean(difficultyConfig?.exactArithmetic);
+  const evaluateExpression = (expr) => evaluateExpressionWithVariables(expr, variableValues, { exact: exactArithmetic });
+
+
+  /** Animación de subida o ruptura de racha tras un ataque o una respuesta. */
+  const playStreakAnimation = (streakResult) => {
+    if (!streakResult.showAnimation) return;
+    setStreakAnimation({
+      player: currentPlayer,
+      tier: streakResult.tier,
+      tierUp: streakResult.tierUp,
+      broken: streakResult.streakBroken
+    });
+    setTimeout(() => setStreakAnimation(null), 2000);
+  };
+
+  /**
+   * Aplica un golpe al rival: popup, partículas, sonido, HP y fin de partida.
+   * Lo comparten los ataques con cartas y las respuestas "Despeja x".
+   */
+  const landHit = ({ totalDamage, isCritical, streakResult, particleColor, variableBonus = 0, attackMsg }) => {
+    setDamagePopup({
+      damage: totalDamage,
+      isCritical,
+      targetPlayer: currentPlayer === 1 ? 2 : 1,
+      streakBonus: streakResult.bonus,
+      variableBonus
+    });
+
+    // Spawn particles at target location (approximate)
+    const targetX = currentPlayer === 1 ? window.innerWidth * 0.75 : window.innerWidth * 0.25;
+    const targetY = window.innerHeight * 0.3;
+    spawnParticles(targetX, targetY, 15, particleColor);
+
+    // Sound Effects based on outcome
+    if (isCritical) {
+      soundManager.playWin(); // Fanfare for big moves
+    } else {
+      soundManager.playAttack();
+      setTimeout(() => soundManager.playDamage(), 200); // Delay impact slightly
+    }
+
+    setTimeout(() => setDamagePopup(null), 1500);
+
+    setTakingDamage(currentPlayer === 1 ? 2 : 1);
+    setTimeout(() => setTakingDamage(null), 500);
+
+    if (totalDamage >= 40 || streakResult.tier.intensity >= 3) {
+      setScreenShake(true);
+      setTimeout(() => setScreenShake(false), 300);
+    }
+
+    if (currentPlayer === 1) {
+      const newHp = Math.max(0, player2.hp - totalDamage);
+      setPlayer2(prev => ({ ...prev, hp: newHp }));
+      setMessage(`${attackMsg}`);
+      if (newHp <= 0) {
+        setWinner(player1.name);
+        soundManager.playWin();
+        setShowConfetti(true);
+        setTimeout(() => {
+          setShowConfetti(false);
+          setGameState('gameover');
+        }, 2000);
+        return;
+      }
+    } else {
+      const newHp = Math.max(0, player1.hp - totalDamage);
+      setPlayer1(prev => ({ ...prev, hp: newHp }));
+      setMessage(`${attackMsg}`);
+      if (newHp <= 0) {
+        setWinner(player2.name);
+        soundManager.playWin();
+        setShowConfetti(true);
+        setTimeout(() => {
+          setShowConfetti(false);
+          setGameState('gameover');
+        }, 2000);
+        return;
+      }
+    }
+    nextTurn();
+  };
 
   /**
    * Procesa el ataque del jugador actual.
@@ -341,45 +656,43 @@ const ArithmeticPvPGame = () => {
    * 4. Actualiza HP y Estado del juego.
    */
   const submitAttack = () => {
-    const result = evaluateExpression(expression);
-    if (result === null) {
-      setMessage('⚠️ Expresión inválida. Intenta de nuevo.');
+    const evaluation = parseAndEvaluate(expression, variableValues, { exact: exactArithmetic });
+    if (!evaluation.success) {
+      setMessage(`⚠️ Expresión inválida: ${evaluation.error.message}`);
       soundManager.playError();
       return;
     }
-    const cardsUsed = usedCards.length;
-    if (cardsUsed === 0) {
+    const result = evaluation.value;
+    if (usedCards.length === 0) {
       setMessage('⚠️ Debes usar al menos una carta.');
       return;
     }
 
     setIsAttacking(true);
-    const difference = Math.abs(result - target);
-    const operatorsUsed = getOperatorsFromExpression(expression);
-    const hasExactDivision = hasExactDivisionInExpression(expression);
-    const isPerfect = difference === 0;
-
-    const damageResult = calculateNormalizedDamage({ cardsUsed, operatorsUsed, difference, hasExactDivision });
+    setDiscarding(false);
     const currentStreak = currentPlayer === 1 ? player1Streak : player2Streak;
-    const streakResult = calculateStreakBonus(currentStreak, isPerfect, difficulty);
+    playedCardsRef.current = usedCards.map(index => currentCards[index]);
+
+    // Pipeline de daño compartido con el servidor multijugador:
+    // base + streak + paréntesis + variables (10% extra)
+    const {
+      totalDamage: attackDamage,
+      damageResult,
+      streakResult,
+      parenBonus,
+      variableBonus: variableBonusResult
+    } = calculateAttackDamage({ expression, target, streak: currentStreak, difficulty, variableValues });
+    // Las pistas del turno se cobran en daño (ver HINT_TIERS)
+    const hintedDamage = applyHintPenalty(attackDamage, hintLevel);
+    // Hechizos: Doble (x2 si es perfecto) y Escudo del rival
+    const spellHit = applySpellModifiers(damageResult.miss ? 0 : hintedDamage, damageResult.accuracyType === 'perfect');
+    const totalDamage = spellHit.damage;
+    // Cómo se evaluó la expresión paso a paso (variables, precedencia)
+    const trace = getEvaluationTrace(expression, variableValues, difficulty);
 
     if (currentPlayer === 1) setPlayer1Streak(streakResult.newStreak);
     else setPlayer2Streak(streakResult.newStreak);
 
-    const parenValidation = validateParentheses(expression);
-    if (!parenValidation.isValid) {
-      setMessage(parenValidation.message);
-      setIsAttacking(false);
-      return;
-    }
-    const parenBonus = calculateParenthesesBonus(expression);
-
-    // Calcular bonus por uso de variables algebraicas (10% extra)
-    const variableBonusResult = calculateVariableBonus(expression, damageResult.damage, difficulty);
-
-    // Daño total incluye: base + streak + paréntesis + variables
-    const totalDamage = damageResult.miss ? 0 : damageResult.damage + streakResult.bonus + parenBonus.bonus + variableBonusResult.bonus;
-
     setHistory(prev => [{
       turn: turn,
       player: currentPlayerName,
@@ -393,142 +706,229 @@ const ArithmeticPvPGame = () => {
       streak: streakResult.newStreak,
       streakBonus: streakResult.bonus,
       variableBonus: variableBonusResult.bonus,
-      variablesUsed: variableBonusResult.variablesUsed
+      variablesUsed: variableBonusResult.variablesUsed,
+      hintLevel,
+      trace
     }, ...prev]);
 
     setTimeout(() => {
       setIsAttacking(false);
-      if (streakResult.showAnimation) {
-        setStreakAnimation({
-          player: currentPlayer,
-          tier: streakResult.tier,
-          tierUp: streakResult.tierUp,
-          broken: streakResult.streakBroken
-        });
-        setTimeout(() => setStreakAnimation(null), 2000);
-      }
+      playStreakAnimation(streakResult);
 
       if (damageResult.miss) {
         const brokenMsg = currentStreak >= 2 ? ` 💔 Racha de ${currentStreak} rota!` : '';
-        setMessage(`❌ MISS! Resultado: ${result} | Target: ${target}.${brokenMsg}`);
+        setMessage(`❌ MISS! ${formatTrace(trace)} | Target: ${formatValue(target)}.${brokenMsg}`);
+        nextTurn();
+        return;
+      }
+
+      const masterPlayMsg = damageResult.isMasterPlay ? ' 🌟 JUGADA MAESTRA!' : '';
+      const streakMsg = streakResult.bonus > 0 ? ` ${streakResult.tier.emoji} +${streakResult.bonus} racha!` : '';
+      const parenMsg = parenBonus.bonus > 0 ? ` 🧠 +${parenBonus.bonus} paréntesis!` : '';
+      const varMsg = variableBonusResult.bonus > 0 ? ` 📐 +${variableBonusResult.bonus} álgebra!` : '';
+      const hintMsg = hintLevel > 0 ? ` 💡 -${attackDamage - hintedDamage} por pistas` : '';
+      const doubleMsg = spellHit.doubled ? ` ${SPELLS.double.emoji} x2!` : '';
+      // Si no fue exacto, la traza enseña por qué no dio el target
+      const traceMsg = damageResult.accuracyType !== 'perfect' ? ` | 🧮 ${formatTrace(trace)}` : '';
+
+      if (spellHit.blocked) {
+        setMessage(`${SPELLS.shield.emoji} ¡El escudo bloquea el ataque de ${currentPlayerName}!${streakMsg}`);
         nextTurn();
         return;
       }
 
-      setDamagePopup({
-        damage: totalDamage,
+      landHit({
+        totalDamage,
         isCritical: damageResult.isMasterPlay || streakResult.tier.intensity >= 3,
-        targetPlayer: currentPlayer === 1 ? 2 : 1,
-        streakBonus: streakResult.bonus,
-        variableBonus: variableBonusResult.bonus
+        streakResult,
+        // Partículas doradas extra si usó variables
+        particleColor: variableBonusResult.bonus > 0 ? '#BF5AF2' : (damageResult.isMasterPlay ? '#FFD60A' : '#FF453A'),
+        variableBonus: variableBonusResult.bonus,
+        attackMsg: `⚔️ ${currentPlayerName} ataca con ${totalDamage} de daño!${masterPlayMsg}${doubleMsg}${streakMsg}${parenMsg}${varMsg}${hintMsg}${traceMsg}`
       });
+    }, 500);
+  };
 
-      // Spawn particles at target location (approximate)
-      const targetX = currentPlayer === 1 ? window.innerWidth * 0.75 : window.innerWidth * 0.25;
-      const targetY = window.innerHeight * 0.3;
-      // Partículas doradas extra si usó variables
-      const particleColor = variableBonusResult.bonus > 0 ? '#BF5AF2' : (damageResult.isMasterPlay ? '#FFD60A' : '#FF453A');
-      spawnParticles(targetX, targetY, 15, particleColor);
+  /**
+   * Procesa la respuesta de una ronda "Despeja x": acertar el valor de x hace
+   * el daño del tipo de ecuación (más racha); fallar es un MISS.
+   */
+  const submitEquationAnswer = () => {
+    const currentStreak = currentPlayer === 1 ? player1Streak : player2Streak;
+    const score = scoreEquationAnswer({ equation, answer: equationAnswer, streak: currentStreak, difficulty });
+    if (score.value === null) {
+      setMessage(`⚠️ Responde con el valor de ${equation.variable}, ej: 5`);
+      soundManager.playError();
+      return;
+    }
 
-      // Sound Effects based on outcome
-      if (damageResult.isMasterPlay || streakResult.tier.intensity >= 3) {
-        soundManager.playWin(); // Fanfare for big moves
-      } else {
-        soundManager.playAttack();
-        setTimeout(() => soundManager.playDamage(), 200); // Delay impact slightly
-      }
+    setIsAttacking(true);
+    const { streakResult } = score;
+    const equationType = EQUATION_TYPES[equation.type];
+    const spellHit = applySpellModifiers(score.totalDamage, score.correct);
+    const totalDamage = spellHit.damage;
 
-      setTimeout(() => setDamagePopup(null), 1500);
+    if (currentPlayer === 1) setPlayer1Streak(streakResult.newStreak);
+    else setPlayer2Streak(streakResult.newStreak);
 
-      setTakingDamage(currentPlayer === 1 ? 2 : 1);
-      setTimeout(() => setTakingDamage(null), 500);
+    setHistory(prev => [{
+      turn: turn,
+      player: currentPlayerName,
+      expression: `${equation.equation} → ${equation.variable} = ${formatValue(score.value)}`,
+      result: score.value,
+      target: equation.solution,
+      damage: totalDamage,
+      type: score.accuracyType,
+      details: `${equationType.emoji} ${equationType.name}`,
+      streak: streakResult.newStreak,
+      streakBonus: streakResult.bonus,
+      roundType: 'equation'
+    }, ...prev]);
 
-      if (totalDamage >= 40 || streakResult.tier.intensity >= 3) {
-        setScreenShake(true);
-        setTimeout(() => setScreenShake(false), 300);
+    setTimeout(() => {
+      setIsAttacking(false);
+      playStreakAnimation(streakResult);
+
+      if (!score.correct) {
+        const brokenMsg = currentStreak >= 2 ? ` 💔 Racha de ${currentStreak} rota!` : '';
+        setMessage(`❌ MISS! ${equation.variable} = ${equation.solution}, no ${formatValue(score.value)}.${brokenMsg}`);
+        nextTurn();
+        return;
       }
 
-      const masterPlayMsg = damageResult.isMasterPlay ? ' 🌟 JUGADA MAESTRA!' : '';
       const streakMsg = streakResult.bonus > 0 ? ` ${streakResult.tier.emoji} +${streakResult.bonus} racha!` : '';
-      const parenMsg = parenBonus.bonus > 0 ? ` 🧠 +${parenBonus.bonus} paréntesis!` : '';
-      const varMsg = variableBonusResult.bonus > 0 ? ` 📐 +${variableBonusResult.bonus} álgebra!` : '';
-      const attackMsg = `⚔️ ${currentPlayerName} ataca con ${totalDamage} de daño!${masterPlayMsg}${streakMsg}${parenMsg}${varMsg}`;
-
-
-      if (currentPlayer === 1) {
-        const newHp = Math.max(0, player2.hp - totalDamage);
-        setPlayer2({ ...player2, hp: newHp });
-        setMessage(`${attackMsg}`);
-        if (newHp <= 0) {
-          setWinner(player1.name);
-          soundManager.playWin();
-          setShowConfetti(true);
-          setTimeout(() => {
-            setShowConfetti(false);
-            setGameState('gameover');
-          }, 2000);
-          return;
-        }
-      } else {
-        const newHp = Math.max(0, player1.hp - totalDamage);
-        setPlayer1({ ...player1, hp: newHp });
-        setMessage(`${attackMsg}`);
-        if (newHp <= 0) {
-          setWinner(player2.name);
-          soundManager.playWin();
-          setShowConfetti(true);
-          setTimeout(() => {
-            setShowConfetti(false);
-            setGameState('gameover');
-          }, 2000);
-          return;
-        }
+      if (spellHit.blocked) {
+        setMessage(`${SPELLS.shield.emoji} ¡El escudo bloquea la respuesta de ${currentPlayerName}!${streakMsg}`);
+        nextTurn();
+        return;
       }
-      nextTurn();
+
+      const doubleMsg = spellHit.doubled ? ` ${SPELLS.double.emoji} x2!` : '';
+      landHit({
+        totalDamage,
+        isCritical: equation.type === 'bothSides' || streakResult.tier.intensity >= 3,
+        streakResult,
+        particleColor: '#30D158',
+        attackMsg: `🔍 ${currentPlayerName} despeja ${equation.variable} = ${equation.solution} (${equationType.name}) y ataca con ${totalDamage} de daño!${doubleMsg}${streakMsg}`
+      });
     }, 500);
   };
 
   const nextTurn = () => {
-    setTimeout(() => {
+    setTimeout(async () => {
       setGameState('transition');
       let nextPlayer = currentPlayer === 1 ? 2 : 1;
 
       // Generar nuevas cartas y variables para el siguiente jugador
-      const newPlayerData = generateCardsByDifficulty(difficulty);
+      const random = randomRef.current;
+      const newPlayerData = generateCardsByDifficulty(difficulty, random);
+
+      // Modo mazo: lo jugado va al descarte y el siguiente completa su mano desde su mazo
+      let nextDeck = null;
+      if (deckMode) {
+        const played = playCards(currentCards, currentDeck, playedCardsRef.current);
+        playedCardsRef.current = [];
+        if (currentPlayer === 1) {
+          setCards1(played.hand);
+          setDeck1(played.deck);
+        } else {
+          setCards2(played.hand);
+          setDeck2(played.deck);
+        }
+
+        const drawn = drawCards(
+          nextPlayer === 1 ? cards1 : cards2,
+          nextPlayer === 1 ? deck1 : deck2,
+          getHandSize(difficulty),
+          deckRandomRef.current
+        );
+        newPlayerData.cards = drawn.hand;
+        nextDeck = drawn.deck;
+      }
+
+      // Hechizos: si estaba congelado pierde su carta más alta; roba un hechizo
+      const turnStart = startTurn({ ...(nextPlayer === 1 ? player1 : player2), cards: newPlayerData.cards });
+      const nextCards = turnStart.player.cards;
+      const nextSpells = drawSpell(turnStart.player.spells, spellRandomRef.current);
+      // En el modo mazo la carta congelada va al descarte
+      if (nextDeck && turnStart.lostCard !== null) {
+        nextDeck = { ...nextDeck, discardPile: [...nextDeck.discardPile, turnStart.lostCard] };
+      }
+      // Los estados se recalculan sobre el estado más reciente: el ataque que acaba
+      // de resolverse pudo gastar el Escudo de este jugador
+      const updateNextPlayer = prev => {
+        const { cards: _cards, ...player } = startTurn({ ...prev, cards: newPlayerData.cards }).player;
+        return { ...player, spells: nextSpells };
+      };
 
       // Extraer valores de variables para el target
       const varValues = {};
       for (const v of newPlayerData.variables) {
         varValues[v.symbol] = v.value;
       }
+      // El jugador 1 abre cada ronda nueva
+      const nextRound = nextPlayer === 1 ? turn + 1 : turn;
+      const nextChallenge = await dealTurnChallenge(nextRound, roundMode, nextCards, varValues, random);
 
       setCurrentPlayer(nextPlayer);
       setVariableValues(varValues);
 
       if (nextPlayer === 1) {
-        setCards1(newPlayerData.cards);
+        setPlayer1(updateNextPlayer);
+        setCards1(nextCards);
+        if (nextDeck) setDeck1(nextDeck);
         setVariables1(newPlayerData.variables);
         setTurn(prev => prev + 1);
-        setTarget(generateTargetByDifficulty(difficulty, newPlayerData.cards, varValues));
       } else {
-        setCards2(newPlayerData.cards);
+        setPlayer2(updateNextPlayer);
+        setCards2(nextCards);
+        if (nextDeck) setDeck2(nextDeck);
         setVariables2(newPlayerData.variables);
-        setTarget(generateTargetByDifficulty(difficulty, newPlayerData.cards, varValues));
       }
+      setTarget(nextChallenge.target);
+      setTargetRating(nextChallenge.rating);
+      setEquation(nextChallenge.equation);
+      setEquationAnswer('');
       setExpression('');
       setUsedCards([]);
       setUsedVariables([]);
-      setMessage('');
+      setMessage(turnStart.lostCard !== null
+        ? `🧊 ${turnStart.player.name} está congelado y pierde la carta ${turnStart.lostCard}`
+        : '');
+      setHintLevel(0);
+      setHints(null);
     }, 2000);
   };
 
 
+  // --- DIFICULTADES PERSONALIZADAS ---
+  const openCustomEditor = (config = null) => {
+    setEditingDifficulty(config);
+    setGameState('customEditor');
+  };
+
+  const handleSaveCustomDifficulty = (config) => {
+    setCustomDifficulties(saveCustomDifficulty(config));
+    setDifficulty(config);
+    setGameState('menu');
+  };
+
+  const handleDeleteCustomDifficulty = (id) => {
+    setCustomDifficulties(deleteCustomDifficulty(id));
+    if (difficulty?.id === id) setDifficulty('medium');
+    setGameState('menu');
+  };
+
+
   // --- RENDER ---
   if (gameState === 'menu') {
     return (
       <MainMenu
         difficulty={difficulty}
         setDifficulty={setDifficulty}
+        customDifficulties={customDifficulties}
+        onCreateCustom={() => openCustomEditor()}
+        onEditCustom={openCustomEditor}
         onStart={() => setGameState('setup')}
         onDemo={() => setGameState('demo')}
         onMultiplayer={() => setGameState('multiplayer')}
@@ -537,6 +937,17 @@ const ArithmeticPvPGame = () => {
     );
   }
 
+  if (gameState === 'customEditor') {
+    return (
+      <CustomDifficultyEditor
+        initialConfig={editingDifficulty}
+        onSave={handleSaveCustomDifficulty}
+        onDelete={handleDeleteCustomDifficulty}
+        onCancel={() => setGameState('menu')}
+      />
+    );
+  }
+
   if (gameState === 'multiplayer') {
     return <MultiplayerScreen difficulty={difficulty} onExit={() => setGameState('menu')} />;
   }
@@ -546,11 +957,11 @@ const ArithmeticPvPGame = () => {
   }
 
   if (gameState === 'demo') {
-    return <DemoScreen difficulty={difficulty} onExit={() => setGameState('menu')} />;
+    return <DemoScreen difficulty={difficulty} customDifficulties={customDifficulties} onExit={() => setGameState('menu')} />;
   }
 
   if (gameState === 'setup') {
-    return <SetupScreen onStartGame={startGame} onBack={() => setGameState('menu')} />;
+    return <SetupScreen initialRoundMode={roundMode} initialDeckMode={deckMode} onStartGame={startGame} onBack={() => setGameState('menu')} />;
   }
 
   if (gameState === 'transition') {
@@ -564,7 +975,9 @@ const ArithmeticPvPGame = () => {
         player1={player1}
         player2={player2}
         history={history}
+        seed={matchSeed}
         onRematch={() => startGame(player1.name, player2.name)}
+        onReplaySeed={() => startGame(player1.name, player2.name, matchSeed)}
         onMenu={() => setGameState('menu')}
       />
     );
@@ -575,14 +988,14 @@ const ArithmeticPvPGame = () => {
       {/* GLOBAL OVERLAYS */}
       {showConfetti && (
         <div className="confetti-container">
-          {[...Array(50)].map((_, i) => (
+          {CONFETTI_PIECES.map((piece, i) => (
             <div
               key={i}
               className="confetti"
               style={{
-                left: `${Math.random() * 100}%`,
-                animationDelay: `${Math.random() * 2}s`,
-                backgroundColor: ['#FFD60A', '#FF453A', '#34C759', '#007AFF', '#FF9F0A'][Math.floor(Math.random() * 5)]
+                left: `${piece.left}%`,
+                animationDelay: `${piece.delay}s`,
+                backgroundColor: piece.color
               }}
             />
           ))}
@@ -666,7 +1079,12 @@ const ArithmeticPvPGame = () => {
         <div className="modal-overlay">
           <div className="modal-content liquid-glass solution-modal">
             <h3>Solución 🧠</h3>
-            <div className="solution-display">{surrenderSolution}</div>
+            <BestPlay
+              play={surrenderSolution.best}
+              exact={surrenderSolution.exact}
+              solutionCount={surrenderSolution.solutionCount}
+              alternatives={surrenderSolution.solutions.slice(1, 3)}
+            />
             <p className="penalty-text">Penalización aplicada</p>
             <button onClick={closeSolutionAndNextTurn} className="btn btn-primary">Entendido</button>
           </div>
@@ -709,6 +1127,7 @@ const ArithmeticPvPGame = () => {
               streak={player1Streak}
               difficulty={difficulty}
               positionClass="p1-card"
+              statuses={player1.statuses}
               totalDamage={history.filter(h => h.player === player1.name && h.damage > 0).reduce((sum, h) => sum + h.damage, 0)}
             />
             <PlayerHistory
@@ -721,7 +1140,7 @@ const ArithmeticPvPGame = () => {
           {/* CENTER COLUMN - Target */}
           <div className="center-column">
             {/* Variables display - encima del target */}
-            {Object.keys(variableValues).length > 0 && (
+            {!equation && Object.keys(variableValues).length > 0 && (
               <div className="variable-values-display">
                 {Object.entries(variableValues).map(([symbol, value]) => (
                   <span key={symbol} className="variable-badge">
@@ -732,11 +1151,19 @@ const ArithmeticPvPGame = () => {
                 ))}
               </div>
             )}
-            {/* Target bubble */}
-            <div className="arena-target-large liquid-glass">
-              <span className="target-label">Target</span>
-              <span className="target-number">{target}</span>
-            </div>
+            {/* Target bubble (o la ecuación en una ronda "Despeja x") */}
+            {equation ? (
+              <div className="arena-target-large liquid-glass">
+                <span className="target-label">🔍 Despeja {equation.variable}</span>
+                <span className="equation-display">{equation.equation}</span>
+              </div>
+            ) : (
+              <div className="arena-target-large liquid-glass">
+                <span className="target-label">Target</span>
+                <span className="target-number">{formatValue(target)}</span>
+              </div>
+            )}
+            <TargetRating rating={targetRating} />
           </div>
 
 
@@ -750,6 +1177,7 @@ const ArithmeticPvPGame = () => {
               streak={player2Streak}
               difficulty={difficulty}
               positionClass="p2-card"
+              statuses={player2.statuses}
               totalDamage={history.filter(h => h.player === player2.name && h.damage > 0).reduce((sum, h) => sum + h.damage, 0)}
             />
             <PlayerHistory
@@ -760,36 +1188,67 @@ const ArithmeticPvPGame = () => {
           </div>
         </div>
 
-        {/* SPELL BAR */}
-        <SpellBar
-          expression={expression}
-          result={evaluateExpression(expression)}
-          onClear={clearExpression}
-          onAttack={submitAttack}
-          isAttacking={isAttacking}
-          onSurrender={() => setShowSurrenderConfirmation(true)}
-          canSurrender={!isAttacking && !showSurrenderConfirmation}
-          showSurrenderConfirmation={showSurrenderConfirmation}
-        />
+        {equation ? (
+          <EquationPanel
+            equation={equation}
+            answer={equationAnswer}
+            onAnswerChange={setEquationAnswer}
+            onSubmit={submitEquationAnswer}
+            disabled={isAttacking}
+          />
+        ) : (
+          <>
+            {/* SPELL BAR */}
+            <SpellBar
+              expression={expression}
+              result={evaluateExpression(expression)}
+              onClear={clearExpression}
+              onAttack={submitAttack}
+              isAttacking={isAttacking}
+              onSurrender={() => setShowSurrenderConfirmation(true)}
+              canSurrender={!isAttacking && !showSurrenderConfirmation}
+              showSurrenderConfirmation={showSurrenderConfirmation}
+            />
 
-        {/* CONTROL DECK */}
-        <ControlDeck
-          cards={currentCards}
-          usedCards={usedCards}
-          variables={currentVariables}
-          usedVariables={usedVariables}
-          difficultyConfig={difficultyConfig}
-          canAddNumber={canAddNumber}
-          canAddVariable={canAddVariable}
-          canAddOperator={canAddOperator}
-          canAddOpenParen={canAddOpenParen}
-          canAddCloseParen={canAddCloseParen}
-          onAddNumber={addToExpression}
-          onAddVariable={addVariableToExpression}
-          onAddOperator={addOperator}
-          onAddParenthesis={addParenthesis}
-        />
+            {/* HINTS */}
+            <HintPanel
+              level={hintLevel}
+              hints={hints}
+              onRequest={requestHint}
+              disabled={isAttacking || isLoadingHint || showSurrenderConfirmation}
+            />
 
+            {/* CONTROL DECK */}
+            <ControlDeck
+              cards={currentCards}
+              usedCards={usedCards}
+              variables={currentVariables}
+              usedVariables={usedVariables}
+              difficultyConfig={difficultyConfig}
+              canAddNumber={canAddNumber}
+              canAddVariable={canAddVariable}
+              canAddOperator={canAddOperator}
+              canAddPrefix={canAddPrefix}
+              canAddNegation={canAddNegation}
+              canAddOpenParen={canAddOpenParen}
+              canAddCloseParen={canAddCloseParen}
+              onAddNumber={addToExpression}
+              onAddVariable={addVariableToExpression}
+              onAddOperator={addOperator}
+              onAddParenthesis={addParenthesis}
+              spells={currentPlayerState.spells}
+              canCastSpell={!isAttacking && !currentPlayerState.spellUsed}
+              onCastSpell={castCurrentSpell}
+              deck={currentDeck && { drawCount: currentDeck.drawPile.length, discardCount: currentDeck.discardPile.length }}
+              streak={currentPlayer === 1 ? player1Streak : player2Streak}
+              discarding={discarding}
+              canUseDeck={!isAttacking}
+              onToggleDiscard={() => setDiscarding(prev => !prev)}
+              onDiscard={(index) => runDeckAction('discard', index)}
+              onMulligan={() => runDeckAction('mulligan')}
+            />
+          </>
+        )}
 
         {/* SYSTEM MESSAGES */}
         {message && (
@@ -11,11 +11,15 @@
  */
 
 import React, { useState, useEffect, useCallback, useRef } from 'react';
-import { DIFFICULTY_CONFIG, generateCardsByDifficulty, generateTargetByDifficulty, calculateNormalizedDamage, getOperatorsFromExpression, hasExactDivisionInExpression, calculateStreakBonus } from '../../utils/gameLogic';
+import { DIFFICULTY_CONFIG, getDifficultyConfig, generateCardsByDifficulty, calculateNormalizedDamage, getOperatorsFromExpression, hasExactDivisionInExpression, calculateStreakBonus, getDamageThresholds } from '../../../shared/gameLogic';
+import { absoluteDifference, compareValues, formatValue } from '../../../shared/rational';
 import { soundManager } from '../../utils/SoundManager';
+import { createRandom, createSeedCode } from '../../../shared/random';
 import PlayerCard from '../Game/PlayerCard';
+import TargetRating from '../Game/TargetRating';
 import LiquidCard from '../UI/LiquidCard';
 import { AI_STRATEGY, generateCpuPlay } from '../../utils/cpuPlayer';
+import { generateRatedTargetAsync } from '../../utils/solverClient';
 
 // Presets de habilidad para configurar las IAs
 const CPU_SKILL_PRESETS = {
@@ -33,7 +37,7 @@ const CPU_SKILL_PRESETS = {
  * @param {string} props.difficulty - Dificultad inicial seleccionada en el menú
  * @param {Function} props.onExit - Callback para volver al menú principal
  */
-const DemoScreen = ({ difficulty: initialDifficulty = 'medium', onExit }) => {
+const DemoScreen = ({ difficulty: initialDifficulty = 'medium', customDifficulties = [], onExit }) => {
     // Configuration state
     const [showConfig, setShowConfig] = useState(true);
     const [gameDifficulty, setGameDifficulty] = useState(initialDifficulty);
@@ -45,7 +49,9 @@ const DemoScreen = ({ difficulty: initialDifficulty = 'medium', onExit }) => {
     const [player2, setPlayer2] = useState({ name: 'CPU Beta', hp: 200, maxHp: 200 });
     const [currentPlayer, setCurrentPlayer] = useState(1);
     const [target, setTarget] = useState(0);
+    const [targetRating, setTargetRating] = useState(null);
     const [cards, setCards] = useState([]);
+    const [variableValues, setVariableValues] = useState({});
     const [turn, setTurn] = useState(1);
     const [winner, setWinner] = useState(null);
 
@@ -74,7 +80,10 @@ const DemoScreen = ({ difficulty: initialDifficulty = 'medium', onExit }) => {
 
     // Referencias para timers
     const timerRef = useRef(null);
-    const config = DIFFICULTY_CONFIG[gameDifficulty];
+    // PRNG de la partida: manos y targets reproducibles a partir de la semilla
+    const randomRef = useRef(Math.random);
+    const [seed, setSeed] = useState(null);
+    const config = getDifficultyConfig(gameDifficulty);
 
     // Opciones de velocidad dinámicas según el modo seleccionado
     const SPEED_OPTIONS = analysisMode ? [0.5, 1, 1.5] : [1, 2, 3];
@@ -98,14 +107,23 @@ const DemoScreen = ({ difficulty: initialDifficulty = 'medium', onExit }) => {
         setReasoning('');
         setIsPlaying(false);
 
-        const initialData = generateCardsByDifficulty(gameDifficulty);
+        const seedCode = createSeedCode();
+        randomRef.current = createRandom(seedCode);
+        setSeed(seedCode);
+
+        const initialData = generateCardsByDifficulty(gameDifficulty, randomRef.current);
         // Extraer valores de variables para el target
         const varValues = {};
         for (const v of initialData.variables) {
             varValues[v.symbol] = v.value;
         }
         setCards(initialData.cards);
-        setTarget(generateTargetByDifficulty(gameDifficulty, initialData.cards, varValues));
+        setVariableValues(varValues);
+        generateRatedTargetAsync(gameDifficulty, initialData.cards, varValues, { random: randomRef.current })
+            .then(firstTarget => {
+                setTarget(firstTarget.target);
+                setTargetRating(firstTarget.rating);
+            });
         setCommentary('🎮 ¡Pulsa INICIAR para comenzar la demo!');
     }, [gameDifficulty, config.playerHp]);
 
@@ -141,6 +159,7 @@ const DemoScreen = ({ difficulty: initialDifficulty = 'medium', onExit }) => {
         const play = generateCpuPlay({
             target,
             cards,
+            variableValues,
             difficulty: gameDifficulty,
             strategy: getStrategyForSkill(currentSkill),
             errorRate: skillPreset.errorRate,
@@ -148,18 +167,18 @@ const DemoScreen = ({ difficulty: initialDifficulty = 'medium', onExit }) => {
         });
 
         setCurrentPlay(play);
-        setCommentary(`🤖 ${currentPlayerData.name} (${skillPreset.emoji} ${skillPreset.name}) calcula: ${play.expression} = ${play.result}`);
+        setCommentary(`🤖 ${currentPlayerData.name} (${skillPreset.emoji} ${skillPreset.name}) calcula: ${play.expression} = ${formatValue(play.result)}`);
 
         // Generate reasoning for analysis mode
         const generateReasoning = (p, t, c) => {
-            const diff = Math.abs(p.result - t);
+            const diff = absoluteDifference(p.result, t);
             let reasons = [];
             if (p.cardsUsed >= 3) reasons.push(`Usa ${p.cardsUsed} cartas (+bonus)`);
             if (p.expression.includes('/')) reasons.push('División (+10 si exacta)');
             if (p.expression.includes('(')) reasons.push('Paréntesis (+5)');
-            if (diff === 0) reasons.push('¡Acierto exacto!');
-            else if (diff <= 3) reasons.push(`Cerca (±${diff})`);
-            else reasons.push(`Lejos (±${diff})`);
+            if (compareValues(diff, 0) === 0) reasons.push('¡Acierto exacto!');
+            else if (compareValues(diff, getDamageThresholds(gameDifficulty).close) <= 0) reasons.push(`Cerca (±${formatValue(diff)})`);
+            else reasons.push(`Lejos (±${formatValue(diff)})`);
             return reasons.join(' • ');
         };
 
@@ -171,16 +190,17 @@ const DemoScreen = ({ difficulty: initialDifficulty = 'medium', onExit }) => {
         const processDelay = analysisMode ? 3000 / speed : 2000 / speed;
         setTimeout(() => {
             // Calculate damage
-            const difference = Math.abs(play.result - target);
+            const difference = absoluteDifference(play.result, target);
             const operatorsUsed = getOperatorsFromExpression(play.expression);
             const hasExactDiv = hasExactDivisionInExpression(play.expression);
-            const isPerfect = difference === 0;
+            const isPerfect = compareValues(difference, 0) === 0;
 
             const damageResult = calculateNormalizedDamage({
                 cardsUsed: play.cardsUsed,
                 operatorsUsed,
                 difference,
-                hasExactDivision: hasExactDiv
+                hasExactDivision: hasExactDiv,
+                thresholds: getDamageThresholds(gameDifficulty)
             });
 
             const streakResult = calculateStreakBonus(currentStreak, isPerfect, gameDifficulty);
@@ -256,16 +276,19 @@ const DemoScreen = ({ difficulty: initialDifficulty = 'medium', onExit }) => {
             }
 
             // Next turn after delay
-            setTimeout(() => {
+            setTimeout(async () => {
                 if (!winner) {
-                    const newData = generateCardsByDifficulty(gameDifficulty);
+                    const newData = generateCardsByDifficulty(gameDifficulty, randomRef.current);
                     // Extraer valores de variables para el target
                     const varValues = {};
                     for (const v of newData.variables) {
                         varValues[v.symbol] = v.value;
                     }
+                    const nextTarget = await generateRatedTargetAsync(gameDifficulty, newData.cards, varValues, { random: randomRef.current });
                     setCards(newData.cards);
-                    setTarget(generateTargetByDifficulty(gameDifficulty, newData.cards, varValues));
+                    setVariableValues(varValues);
+                    setTarget(nextTarget.target);
+                    setTargetRating(nextTarget.rating);
                     setCurrentPlay(null);
 
                     if (currentPlayer === 1) {
@@ -283,7 +306,7 @@ const DemoScreen = ({ difficulty: initialDifficulty = 'medium', onExit }) => {
 
         }, 2000 / speed);
 
-    }, [currentPlayer, player1, player2, target, cards, gameDifficulty, winner, isPaused, speed, player1Streak, player2Streak, cpu1Skill, cpu2Skill]);
+    }, [currentPlayer, player1, player2, target, cards, variableValues, gameDifficulty, winner, isPaused, speed, player1Streak, player2Streak, cpu1Skill, cpu2Skill]);
 
     // Auto-play loop
     useEffect(() => {
@@ -351,6 +374,17 @@ const DemoScreen = ({ difficulty: initialDifficulty = 'medium', onExit }) => {
                                     <span className="opt-name">{cfg.name}</span>
                                 </button>
                             ))}
+                            {customDifficulties.map(cfg => (
+                                <button
+                                    key={cfg.id}
+                                    className={`demo-config-option ${gameDifficulty?.id === cfg.id ? 'selected' : ''}`}
+                                    onClick={() => setGameDifficulty(cfg)}
+                                    style={{ '--opt-color': cfg.color }}
+                                >
+                                    <span className="opt-emoji">{cfg.emoji}</span>
+                                    <span className="opt-name">{cfg.name}</span>
+                                </button>
+                            ))}
                         </div>
                     </div>
 
@@ -410,7 +444,7 @@ const DemoScreen = ({ difficulty: initialDifficulty = 'medium', onExit }) => {
                             </span>
                         </div>
                         <span className="preview-difficulty">
-                            Dificultad: {DIFFICULTY_CONFIG[gameDifficulty].emoji} {DIFFICULTY_CONFIG[gameDifficulty].name}
+                            Dificultad: {config.emoji} {config.name}
                         </span>
                     </div>
 
@@ -453,7 +487,7 @@ const DemoScreen = ({ difficulty: initialDifficulty = 'medium', onExit }) => {
                             </span>
                         </div>
                         <span className="preview-difficulty">
-                            {DIFFICULTY_CONFIG[gameDifficulty].emoji} {DIFFICULTY_CONFIG[gameDifficulty].name}
+                            {config.emoji} {config.name}
                             {analysisMode && ' · 🔍 Modo Análisis'}
                         </span>
                     </div>
@@ -486,7 +520,7 @@ const DemoScreen = ({ difficulty: initialDifficulty = 'medium', onExit }) => {
                             {' vs '}
                             <span className="cpu2-color">{CPU_SKILL_PRESETS[cpu2Skill].emoji}</span>
                         </h2>
-                        <span className="demo-round">Ronda {turn} · {DIFFICULTY_CONFIG[gameDifficulty].name}</span>
+                        <span className="demo-round">Ronda {turn} · {config.name}{seed && ` · 🌱 ${seed}`}</span>
                     </div>
                     <div className="demo-controls">
                         <button onClick={togglePause} className="btn btn-secondary">
@@ -515,7 +549,7 @@ const DemoScreen = ({ difficulty: initialDifficulty = 'medium', onExit }) => {
                                             {entry.damage > 0 ? `-${entry.damage}` : 'MISS'}
                                         </span>
                                     </div>
-                                    <div className="history-item-expr">{entry.expression} = {entry.result}</div>
+                                    <div className="history-item-expr">{entry.expression} = {formatValue(entry.result)}</div>
                                 </div>
                             ))
                         )}
@@ -543,14 +577,15 @@ const DemoScreen = ({ difficulty: initialDifficulty = 'medium', onExit }) => {
                         <div className="demo-center">
                             <div className="demo-target liquid-glass">
                                 <span className="target-label">TARGET</span>
-                                <span className="target-number">{target}</span>
+                                <span className="target-number">{formatValue(target)}</span>
                             </div>
+                            <TargetRating rating={targetRating} />
 
                             {currentPlay && (
                                 <div className="demo-expression liquid-glass">
                                     <span className="expression-text">{currentPlay.expression}</span>
                                     <span className="expression-equals">=</span>
-                                    <span className={`expression-result ${currentPlay.type}`}>{currentPlay.result}</span>
+                                    <span className={`expression-result ${currentPlay.type}`}>{formatValue(currentPlay.result)}</span>
                                 </div>
                             )}
 
@@ -566,6 +601,9 @@ const DemoScreen = ({ difficulty: initialDifficulty = 'medium', onExit }) => {
                                 {cards.map((card, i) => (
                                     <div key={i} className="demo-card">{card}</div>
                                 ))}
+                                {Object.entries(variableValues).map(([symbol, value]) => (
+                                    <div key={symbol} className="demo-card demo-card-variable">{symbol}={value}</div>
+                                ))}
                             </div>
                         </div>
 
@@ -601,7 +639,7 @@ const DemoScreen = ({ difficulty: initialDifficulty = 'medium', onExit }) => {
                                             {entry.damage > 0 ? `-${entry.damage}` : 'MISS'}
                                         </span>
                                     </div>
-                                    <div className="history-item-expr">{entry.expression} = {entry.result}</div>
+                                    <div className="history-item-expr">{entry.expression} = {formatValue(entry.result)}</div>
                                 </div>
                             ))
                         )}
@@ -1,11 +1,12 @@
 
 import React from 'react';
+import { formatValue } from '../../../shared/rational';
 
 const Arena = ({ target }) => {
     return (
         <div className="arena-target liquid-glass">
             <span className="target-label">OBJETIVO</span>
-            <span className="target-number">{target}</span>
+            <span className="target-number">{formatValue(target)}</span>
         </div>
     );
 };
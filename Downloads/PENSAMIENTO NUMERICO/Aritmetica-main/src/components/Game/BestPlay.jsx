@@ -0,0 +1,44 @@
+import React from 'react';
+import { formatValue } from '../../../shared/rational';
+
+/**
+ * Mejor jugada posible de una mano (ver `solveHand`).
+ * Se usa al rendirse y en el resumen de ronda multijugador.
+ *
+ * @param {Object} props
+ * @param {{expression: string, value: number|Object, difference: number|Object, damage: number}|null} props.play
+ * @param {boolean} props.exact - Si la jugada alcanza el target
+ * @param {number} props.solutionCount - Soluciones exactas distintas de la mano
+ * @param {Array<{expression: string, damage: number}>} [props.alternatives] - Otras soluciones a mostrar
+ */
+const BestPlay = ({ play, exact, solutionCount, alternatives = [] }) => {
+    if (!play) {
+        return <div className="solution-display">Sin solución</div>;
+    }
+
+    let label = '🧮 Sin solución exacta · lo más cercano';
+    if (exact) {
+        label = solutionCount === 1 ? '💡 Única solución' : `💡 Mejor de ${solutionCount} soluciones`;
+    }
+
+    return (
+        <div className="best-play">
+            <span className="best-play-label">{label}</span>
+            <div className="solution-display">{play.expression}</div>
+            <span className="best-play-stats">
+                = {formatValue(play.value)}
+                {!exact && ` (±${formatValue(play.difference)})`}
+                {' · '}⚔️ {play.damage} de daño
+            </span>
+            {alternatives.length > 0 && (
+                <ul className="best-play-alternatives">
+                    {alternatives.map(alt => (
+                        <li key={alt.expression}>{alt.expression} <span>⚔️ {alt.damage}</span></li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default BestPlay;
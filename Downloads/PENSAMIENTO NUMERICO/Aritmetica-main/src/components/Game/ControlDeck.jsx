@@ -1,5 +1,8 @@
 
 import React from 'react';
+import { PREFIX_OPERATORS } from '../../../shared/gameLogic';
+import SpellCards from './SpellCards';
+import DeckPanel from './DeckPanel';
 
 const ControlDeck = ({
     cards,
@@ -12,10 +15,22 @@ const ControlDeck = ({
     canAddOperator,
     canAddOpenParen,
     canAddCloseParen,
+    canAddPrefix = canAddOpenParen,
+    canAddNegation = false,
     onAddNumber,
     onAddVariable,
     onAddOperator,
-    onAddParenthesis
+    onAddParenthesis,
+    spells,
+    canCastSpell = false,
+    onCastSpell,
+    deck = null,
+    streak = 0,
+    discarding = false,
+    canUseDeck = false,
+    onToggleDiscard,
+    onDiscard,
+    onMulligan
 }) => {
     return (
         <div className="control-deck liquid-glass-panel">
@@ -24,6 +39,20 @@ const ControlDeck = ({
                 {/* Cartas numéricas */}
                 {cards.map((card, idx) => {
                     const isUsed = usedCards.includes(idx);
+                    // Eligiendo carta para descartar: cualquier carta sin usar vale
+                    if (discarding) {
+                        return (
+                            <button
+                                key={`num-${idx}`}
+                                onClick={() => !isUsed && onDiscard(idx)}
+                                disabled={isUsed}
+                                className={`deck-card discarding ${isUsed ? 'used' : ''}`}
+                            >
+                                {card}
+                            </button>
+                        );
+                    }
+
                     const isDisabled = isUsed || !canAddNumber;
                     return (
                         <button
@@ -68,16 +97,22 @@ const ControlDeck = ({
                     </button>
                 )}
 
-                {difficultyConfig?.operators.map((op, i) => (
-                    <button
-                        key={op}
-                        onClick={() => onAddOperator(op)}
-                        disabled={!canAddOperator}
-                        className={`deck-op ${!canAddOperator ? 'waiting' : ''}`}
-                    >
-                        {difficultyConfig.operatorSymbols[i]}
-                    </button>
-                ))}
+                {difficultyConfig?.operators.map((op, i) => {
+                    // √ se escribe antes del número; el resto, después ("-" también puede ser negación)
+                    const enabled = PREFIX_OPERATORS.includes(op)
+                        ? canAddPrefix
+                        : canAddOperator || (op === '-' && canAddNegation);
+                    return (
+                        <button
+                            key={op}
+                            onClick={() => onAddOperator(op)}
+                            disabled={!enabled}
+                            className={`deck-op ${!enabled ? 'waiting' : ''}`}
+                        >
+                            {difficultyConfig.operatorSymbols[i]}
+                        </button>
+                    );
+                })}
 
                 {difficultyConfig?.allowParentheses && (
                     <button
@@ -89,6 +124,25 @@ const ControlDeck = ({
                     </button>
                 )}
             </div>
+
+            {/* Modo mazo: cartas restantes, descartes y mulligan (ver shared/deck.js) */}
+            {deck && (
+                <DeckPanel
+                    deck={deck}
+                    streak={streak}
+                    discarding={discarding}
+                    onToggleDiscard={onToggleDiscard}
+                    onMulligan={onMulligan}
+                    disabled={!canUseDeck}
+                />
+            )}
+
+            {/* Spells Row - segundo mazo (ver shared/spells.js) */}
+            {spells && (
+                <div className="deck-spells">
+                    <SpellCards spells={spells} onCast={onCastSpell} disabled={!canCastSpell} />
+                </div>
+            )}
         </div>
     );
 };
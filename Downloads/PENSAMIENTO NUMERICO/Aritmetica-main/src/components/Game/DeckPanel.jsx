@@ -0,0 +1,46 @@
+import React from 'react';
+import { DECK_ACTIONS, getDeckActionCost } from '../../../shared/deck';
+
+/**
+ * Estado del mazo en el modo mazo (ver shared/deck.js): cartas por robar,
+ * descarte y los botones de Descartar / Mulligan con su coste.
+ * Con "Descartar" activo, la siguiente carta que se toca se descarta.
+ *
+ * @param {Object} props
+ * @param {{drawCount: number, discardCount: number}} props.deck
+ * @param {number} props.streak - Racha actual (el mulligan se paga con ella)
+ * @param {boolean} props.discarding - Modo "elige la carta a descartar"
+ * @param {() => void} props.onToggleDiscard
+ * @param {() => void} props.onMulligan
+ * @param {boolean} props.disabled
+ */
+const DeckPanel = ({ deck, streak, discarding, onToggleDiscard, onMulligan, disabled }) => {
+    const discardCost = getDeckActionCost('discard', streak);
+    const mulliganCost = getDeckActionCost('mulligan', streak);
+
+    return (
+        <div className="deck-panel">
+            <span className="deck-count" title="Cartas por robar">🂠 Mazo: {deck.drawCount}</span>
+            <span className="deck-count" title="Cartas jugadas o descartadas">♻️ Descarte: {deck.discardCount}</span>
+            <button
+                onClick={onToggleDiscard}
+                disabled={disabled}
+                className={`deck-action ${discarding ? 'active' : ''}`}
+                title={DECK_ACTIONS.discard.description}
+            >
+                {discarding ? '✖ Cancelar' : `${DECK_ACTIONS.discard.emoji} ${DECK_ACTIONS.discard.name} (${discardCost.label})`}
+            </button>
+            <button
+                onClick={onMulligan}
+                disabled={disabled}
+                className="deck-action"
+                title={DECK_ACTIONS.mulligan.description}
+            >
+                {DECK_ACTIONS.mulligan.emoji} {DECK_ACTIONS.mulligan.name} ({mulliganCost.label})
+            </button>
+            {discarding && <span className="deck-hint">Toca la carta que quieres descartar</span>}
+        </div>
+    );
+};
+
+export default DeckPanel;
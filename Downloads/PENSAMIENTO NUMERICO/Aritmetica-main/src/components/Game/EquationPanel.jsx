@@ -0,0 +1,51 @@
+import React from 'react';
+import { EQUATION_TYPES } from '../../../shared/equations';
+
+/**
+ * Respuesta de una ronda "Despeja x" (ver shared/equations.js).
+ * Sustituye a las cartas y operadores: el jugador solo escribe el valor de la incógnita.
+ *
+ * @param {Object} props
+ * @param {{type: string, variable: string, equation: string}} props.equation - Ecuación (sin solución)
+ * @param {string} props.answer - Respuesta escrita
+ * @param {(answer: string) => void} props.onAnswerChange
+ * @param {() => void} props.onSubmit
+ * @param {boolean} props.disabled
+ * @param {string} [props.submitLabel='ATACAR']
+ */
+const EquationPanel = ({ equation, answer, onAnswerChange, onSubmit, disabled, submitLabel = 'ATACAR' }) => {
+    const type = EQUATION_TYPES[equation.type];
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!disabled && answer.trim()) onSubmit();
+    };
+
+    return (
+        <form className="equation-panel liquid-glass" onSubmit={handleSubmit}>
+            <span className="equation-type">
+                {type.emoji} {type.name} · ⚔️ {type.damage} de daño
+            </span>
+            <div className="equation-answer">
+                <label htmlFor="equation-answer" className="equation-variable">{equation.variable} =</label>
+                <input
+                    id="equation-answer"
+                    type="text"
+                    inputMode="numeric"
+                    className="liquid-input equation-input"
+                    value={answer}
+                    onChange={(e) => onAnswerChange(e.target.value)}
+                    placeholder="?"
+                    maxLength={12}
+                    autoFocus
+                    disabled={disabled}
+                />
+                <button type="submit" className="btn btn-primary" disabled={disabled || !answer.trim()}>
+                    {submitLabel}
+                </button>
+            </div>
+        </form>
+    );
+};
+
+export default EquationPanel;
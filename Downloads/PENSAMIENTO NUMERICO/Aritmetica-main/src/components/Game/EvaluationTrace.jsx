@@ -0,0 +1,27 @@
+import React from 'react';
+
+/**
+ * Traza paso a paso de una expresión (ver `getEvaluationTrace`):
+ * `3 + 4 * x → 3 + 4 * 5 → 3 + 20 → 23`. Cada paso muestra en su tooltip qué operación se hizo.
+ * No muestra nada si no hay nada que reducir (un número suelto).
+ *
+ * @param {Object} props
+ * @param {Array<{expression: string, note: string|null}>|null} props.steps
+ * @param {boolean} [props.compact] - Versión pequeña para el historial
+ */
+const EvaluationTrace = ({ steps, compact = false }) => {
+    if (!steps || steps.length < 2) return null;
+
+    return (
+        <div className={`evaluation-trace ${compact ? 'compact' : ''}`}>
+            {steps.map((step, idx) => (
+                <React.Fragment key={idx}>
+                    {idx > 0 && <span className="trace-arrow">→</span>}
+                    <span className="trace-step" title={step.note || undefined}>{step.expression}</span>
+                </React.Fragment>
+            ))}
+        </div>
+    );
+};
+
+export default EvaluationTrace;
@@ -0,0 +1,52 @@
+import React from 'react';
+import { HINT_TIERS } from '../../../shared/gameLogic';
+import { formatValue } from '../../../shared/rational';
+
+/**
+ * Botón de pistas por niveles y las pistas ya reveladas en el turno (ver `buildSolutionHints`).
+ *
+ * @param {Object} props
+ * @param {number} props.level - Nivel de pista más alto pedido este turno (0 = ninguna)
+ * @param {{cards: string[], operators: string[], structure: string, answer: string, exact: boolean, value: number|Object}|null} props.hints
+ * @param {() => void} props.onRequest - Pide el siguiente nivel
+ * @param {boolean} props.disabled
+ */
+const HintPanel = ({ level, hints, onRequest, disabled }) => {
+    const nextTier = HINT_TIERS[level];
+
+    const renderHint = (tier) => {
+        switch (tier.key) {
+            case 'cards': return hints.cards.join(', ');
+            case 'operators': return hints.operators.join('  ');
+            case 'structure': return hints.structure;
+            default: return `${hints.answer} = ${formatValue(hints.value)}`;
+        }
+    };
+
+    return (
+        <div className="hint-panel">
+            {nextTier && (
+                <button onClick={onRequest} className="btn btn-ghost hint-btn" disabled={disabled}>
+                    {nextTier.emoji} Pista: {nextTier.name}
+                    <span className="hint-cost">
+                        −{Math.round(nextTier.damagePenalty * 100)}% daño{nextTier.resetsStreak && ' · sin racha'}
+                    </span>
+                </button>
+            )}
+
+            {hints && level > 0 && (
+                <ul className="hint-list">
+                    {!hints.exact && <li className="hint-note">🧮 No hay solución exacta: la pista lleva a lo más cercano</li>}
+                    {HINT_TIERS.slice(0, level).map(tier => (
+                        <li key={tier.key}>
+                            <span className="hint-label">{tier.emoji} {tier.name}</span>
+                            <span className="hint-value">{renderHint(tier)}</span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default HintPanel;
@@ -1,7 +1,8 @@
 
 import React from 'react';
-import { getStreakTier } from '../../utils/gameLogic';
+import { getStreakTier } from '../../../shared/gameLogic';
 import LiquidCard from '../UI/LiquidCard';
+import StatusBadges from './StatusBadges';
 
 const PlayerCard = ({
     player,
@@ -10,7 +11,8 @@ const PlayerCard = ({
     streak,
     difficulty,
     positionClass,
-    totalDamage = 0
+    totalDamage = 0,
+    statuses = []
 }) => {
     const streakTier = streak > 1 ? getStreakTier(streak, difficulty) : null;
 
@@ -38,6 +40,7 @@ const PlayerCard = ({
                     <span className="damage-dealt-mini">⚔️ {totalDamage}</span>
                 )}
             </div>
+            <StatusBadges statuses={statuses} />
         </LiquidCard>
     );
 };
@@ -1,5 +1,6 @@
 
 import React from 'react';
+import EvaluationTrace from './EvaluationTrace';
 
 const PlayerHistory = ({ entries, playerName, position }) => {
     if (!entries || entries.length === 0) {
@@ -16,12 +17,17 @@ const PlayerHistory = ({ entries, playerName, position }) => {
             {entries.slice(0, 3).map((entry, idx) => (
                 <div key={idx} className={`history-item-mini ${entry.type}`}>
                     <div className="history-row">
-                        <span className="history-round">R{entry.turn}</span>
+                        <span className="history-round">
+                            R{entry.turn}
+                            {entry.hintLevel > 0 && <span className="history-hint" title="Pistas usadas"> 💡{entry.hintLevel}</span>}
+                        </span>
                         <span className={`history-dmg ${entry.type === 'miss' ? 'miss' : 'hit'}`}>
                             {entry.damage > 0 ? `+${entry.damage}` : entry.damage}
                         </span>
                     </div>
                     <div className="history-expr-mini">{entry.expression}</div>
+                    {/* En los fallos, cómo se evaluó: ahí se ve la precedencia */}
+                    {entry.type !== 'perfect' && <EvaluationTrace steps={entry.trace} compact />}
                 </div>
             ))}
         </div>
@@ -1,5 +1,6 @@
 
 import React from 'react';
+import { formatValue } from '../../../shared/rational';
 
 const SpellBar = ({
     expression,
@@ -18,7 +19,7 @@ const SpellBar = ({
                     <span className="expression-preview">{expression || 'Selecciona cartas...'}</span>
                     {expression && (
                         <span className="expression-result-preview">
-                            = {result ?? '?'}
+                            = {formatValue(result ?? '?')}
                         </span>
                     )}
 
@@ -0,0 +1,39 @@
+import React from 'react';
+import { SPELLS } from '../../../shared/spells';
+
+/**
+ * Mano de cartas de hechizo (ver shared/spells.js). Se lanza una por turno.
+ * La usan la fila de hechizos de ControlDeck y la partida multijugador.
+ *
+ * @param {Object} props
+ * @param {string[]} props.spells - Hechizos en la mano (claves de SPELLS)
+ * @param {(spell: string) => void} props.onCast
+ * @param {boolean} props.disabled - Ya lanzó un hechizo este turno o no es momento
+ */
+const SpellCards = ({ spells, onCast, disabled }) => {
+    if (spells.length === 0) {
+        return <p className="spell-cards-empty">🪄 Sin hechizos: robas uno cada turno</p>;
+    }
+
+    return (
+        <div className="spell-cards">
+            {spells.map((key, idx) => {
+                const spell = SPELLS[key];
+                return (
+                    <button
+                        key={`${key}-${idx}`}
+                        onClick={() => onCast(key)}
+                        disabled={disabled}
+                        className={`spell-card spell-${key} ${disabled ? 'waiting' : ''}`}
+                        title={spell.description}
+                    >
+                        <span className="spell-emoji">{spell.emoji}</span>
+                        <span className="spell-name">{spell.name}</span>
+                    </button>
+                );
+            })}
+        </div>
+    );
+};
+
+export default SpellCards;
@@ -0,0 +1,24 @@
+import React from 'react';
+import { STATUS_EFFECTS } from '../../../shared/spells';
+
+/**
+ * Estados activos de los hechizos de un jugador (escudo, doble, congelado).
+ *
+ * @param {Object} props
+ * @param {string[]} props.statuses - Claves de STATUS_EFFECTS
+ */
+const StatusBadges = ({ statuses = [] }) => {
+    if (statuses.length === 0) return null;
+
+    return (
+        <div className="status-badges">
+            {statuses.map(key => (
+                <span key={key} className={`status-badge status-${key}`} title={STATUS_EFFECTS[key].description}>
+                    {STATUS_EFFECTS[key].emoji} {STATUS_EFFECTS[key].name}
+                </span>
+            ))}
+        </div>
+    );
+};
+
+export default StatusBadges;
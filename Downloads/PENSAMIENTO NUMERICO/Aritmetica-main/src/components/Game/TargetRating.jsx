@@ -0,0 +1,29 @@
+import React from 'react';
+import { TARGET_BANDS } from '../../../shared/gameLogic';
+
+/**
+ * Insignia con la complejidad del target de la ronda (ver `rateTarget`).
+ * No muestra nada si el target no tiene rating (fallback del generador).
+ */
+const TargetRating = ({ rating }) => {
+    if (!rating) return null;
+
+    const band = TARGET_BANDS[rating.band];
+    const solutionsText = rating.solutions === 1 ? '1 solución' : `${rating.solutions} soluciones`;
+    const details = [
+        `${rating.minOperations} ${rating.minOperations === 1 ? 'operación' : 'operaciones'} mínimo`,
+        solutionsText,
+        rating.needsParentheses && 'requiere paréntesis',
+        rating.needsDivision && 'requiere división'
+    ].filter(Boolean).join(' · ');
+
+    return (
+        <div className={`target-rating target-rating-${rating.band}`} title={details}>
+            <span className="target-rating-band">{band.emoji} {band.name}</span>
+            <span className="target-rating-score">{rating.score}</span>
+            <span className="target-rating-solutions">{solutionsText}</span>
+        </div>
+    );
+};
+
+export default TargetRating;
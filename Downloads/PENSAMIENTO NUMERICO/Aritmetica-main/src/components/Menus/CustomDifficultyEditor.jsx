@@ -0,0 +1,288 @@
+import React, { useState } from 'react';
+import { DIFFICULTY_CONFIG, TARGET_BANDS } from '../../../shared/gameLogic';
+import {
+    CUSTOM_LIMITS,
+    CUSTOM_OPERATORS,
+    CUSTOM_VARIABLES,
+    OPERATOR_SYMBOLS,
+    createCustomDifficulty,
+    validateCustomDifficulty
+} from '../../../shared/customDifficulty';
+import LiquidCard from '../UI/LiquidCard';
+
+/** Rango por defecto al activar la primera variable. */
+const DEFAULT_VARIABLE_RANGE = { min: 2, max: 9 };
+
+const NumberField = ({ label, value, onChange, min, max, step = 1 }) => (
+    <label className="custom-field">
+        <span className="custom-field-label">{label}</span>
+        <input
+            type="number"
+            className="liquid-input"
+            value={value}
+            min={min}
+            max={max}
+            step={step}
+            onChange={(e) => onChange(e.target.value)}
+        />
+    </label>
+);
+
+/**
+ * Editor de dificultades personalizadas.
+ *
+ * Trabaja sobre un borrador "crudo" (los inputs guardan texto) y solo lo normaliza
+ * y valida al guardar, así el usuario puede escribir valores intermedios sin saltos.
+ */
+const CustomDifficultyEditor = ({ initialConfig, onSave, onDelete, onCancel }) => {
+    const [draft, setDraft] = useState(() => initialConfig || createCustomDifficulty('medium'));
+    const [errors, setErrors] = useState([]);
+    const isNew = !initialConfig;
+
+    const errorFields = new Set(errors.map(error => error.field));
+    const sectionClass = (field) => `custom-section ${errorFields.has(field) ? 'has-error' : ''}`;
+
+    // Actualiza draft[field][key] (o draft[field] si no hay key)
+    const setField = (field, key, value) => {
+        setDraft(prev => ({
+            ...prev,
+            [field]: key === null ? value : { ...prev[field], [key]: value }
+        }));
+    };
+
+    const startFromPreset = (key) => {
+        const preset = createCustomDifficulty(key);
+        setDraft(prev => ({ ...preset, id: prev.id, name: prev.name }));
+        setErrors([]);
+    };
+
+    const toggleOperator = (op) => {
+        setDraft(prev => ({
+            ...prev,
+            operators: prev.operators.includes(op)
+                ? prev.operators.filter(o => o !== op)
+                : [...prev.operators, op]
+        }));
+    };
+
+    const toggleVariable = (symbol) => {
+        setDraft(prev => {
+            const current = prev.variableConfig.variables;
+            const variables = current.includes(symbol)
+                ? current.filter(s => s !== symbol)
+                : [...current, symbol];
+            const range = prev.variableConfig.range.min >= CUSTOM_LIMITS.variableValue.min
+                ? prev.variableConfig.range
+                : DEFAULT_VARIABLE_RANGE;
+
+            return {
+                ...prev,
+                variableConfig: { ...prev.variableConfig, enabled: variables.length > 0, variables, range }
+            };
+        });
+    };
+
+    const setStreakTier = (index, key, value) => {
+        setDraft(prev => ({
+            ...prev,
+            streakConfig: prev.streakConfig.map((tier, i) => (i === index ? { ...tier, [key]: value } : tier))
+        }));
+    };
+
+    const handleSave = () => {
+        const result = validateCustomDifficulty(draft);
+        setErrors(result.errors);
+        if (result.valid) {
+            onSave(result.config);
+        }
+    };
+
+    return (
+        <div className="app-background menu-container">
+            <LiquidCard className="menu-card custom-editor">
+                <div className="menu-icon">✏️</div>
+                <h1 className="menu-title">{isNew ? 'Nueva dificultad' : 'Editar dificultad'}</h1>
+                <p className="menu-description">Define tus reglas de la casa. Se guardan en este navegador.</p>
+
+                <div className="custom-presets">
+                    <span className="custom-field-label">Partir de:</span>
+                    {Object.entries(DIFFICULTY_CONFIG).map(([key, config]) => (
+                        <button key={key} type="button" className="custom-chip" onClick={() => startFromPreset(key)}>
+                            {config.emoji} {config.name}
+                        </button>
+                    ))}
+                </div>
+
+                <div className="custom-section">
+                    <label className="custom-field custom-field-wide">
+                        <span className="custom-field-label">Nombre</span>
+                        <input
+                            type="text"
+                            className="liquid-input"
+                            value={draft.name}
+                            maxLength={CUSTOM_LIMITS.nameLength}
+                            onChange={(e) => setField('name', null, e.target.value)}
+                        />
+                    </label>
+                </div>
+
+                <div className={sectionClass('cardRange')}>
+                    <h3 className="custom-section-title">🃏 Cartas</h3>
+                    <NumberField label="Mínimo" value={draft.cardRange.min} {...CUSTOM_LIMITS.cardValue}
+                        onChange={(v) => setField('cardRange', 'min', v)} />
+                    <NumberField label="Máximo" value={draft.cardRange.max} {...CUSTOM_LIMITS.cardValue}
+                        onChange={(v) => setField('cardRange', 'max', v)} />
+                    <NumberField label="Cantidad" value={draft.cardCount} {...CUSTOM_LIMITS.cardCount}
+                        onChange={(v) => setField('cardCount', null, v)} />
+                </div>
+
+                <div className={sectionClass('targetRange')}>
+                    <h3 className="custom-section-title">🎯 Target</h3>
+                    <NumberField label="Mínimo" value={draft.targetRange.min} {...CUSTOM_LIMITS.targetValue}
+                        onChange={(v) => setField('targetRange', 'min', v)} />
+                    <NumberField label="Máximo" value={draft.targetRange.max} {...CUSTOM_LIMITS.targetValue}
+                        onChange={(v) => setField('targetRange', 'max', v)} />
+                    <div className="custom-toggles">
+                        <span className="custom-field-label">Complejidad:</span>
+                        {Object.entries(TARGET_BANDS).map(([key, band]) => (
+                            <button
+                                key={key}
+                                type="button"
+                                className={`custom-chip ${draft.targetBand === key ? 'active' : ''}`}
+                                onClick={() => setField('targetBand', null, key)}
+                            >
+                                {band.emoji} {band.name}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+
+                <div className={sectionClass('operators')}>
+                    <h3 className="custom-section-title">➗ Operadores</h3>
+                    <div className="custom-toggles">
+                        {CUSTOM_OPERATORS.map(op => (
+                            <button
+                                key={op}
+                                type="button"
+                                className={`custom-chip ${draft.operators.includes(op) ? 'active' : ''}`}
+                                onClick={() => toggleOperator(op)}
+                            >
+                                {OPERATOR_SYMBOLS[op]}
+                            </button>
+                        ))}
+                        <button
+                            type="button"
+                            className={`custom-chip ${draft.allowParentheses ? 'active' : ''}`}
+                            onClick={() => setField('allowParentheses', null, !draft.allowParentheses)}
+                        >
+                            ( ) Paréntesis
+                        </button>
+                    </div>
+                </div>
+
+                <div className={sectionClass('exactArithmetic')}>
+                    <h3 className="custom-section-title">🍕 Fracciones exactas</h3>
+                    <div className="custom-toggles">
+                        <button
+                            type="button"
+                            className={`custom-chip ${draft.exactArithmetic ? 'active' : ''}`}
+                            onClick={() => setField('exactArithmetic', null, !draft.exactArithmetic)}
+                        >
+                            {draft.exactArithmetic ? 'Activadas' : 'Desactivadas'}
+                        </button>
+                    </div>
+                    {draft.exactArithmetic && (
+                        <NumberField label="Denominador máx." value={draft.maxTargetDenominator ?? 6}
+                            {...CUSTOM_LIMITS.maxTargetDenominator}
+                            onChange={(v) => setField('maxTargetDenominator', null, v)} />
+                    )}
+                </div>
+
+                <div className={sectionClass('variableConfig')}>
+                    <h3 className="custom-section-title">🔤 Variables</h3>
+                    <div className="custom-toggles">
+                        {CUSTOM_VARIABLES.map(symbol => (
+                            <button
+                                key={symbol}
+                                type="button"
+                                className={`custom-chip ${draft.variableConfig.variables.includes(symbol) ? 'active' : ''}`}
+                                onClick={() => toggleVariable(symbol)}
+                            >
+                                {symbol}
+                            </button>
+                        ))}
+                    </div>
+                    {draft.variableConfig.variables.length > 0 && (
+                        <>
+                            <NumberField label="Valor mín." value={draft.variableConfig.range.min}
+                                {...CUSTOM_LIMITS.variableValue}
+                                onChange={(v) => setField('variableConfig', 'range', { ...draft.variableConfig.range, min: v })} />
+                            <NumberField label="Valor máx." value={draft.variableConfig.range.max}
+                                {...CUSTOM_LIMITS.variableValue}
+                                onChange={(v) => setField('variableConfig', 'range', { ...draft.variableConfig.range, max: v })} />
+                        </>
+                    )}
+                </div>
+
+                <div className={sectionClass('damageThresholds')}>
+                    <h3 className="custom-section-title">🎚️ Precisión</h3>
+                    <NumberField label="Cerca (±)" value={draft.damageThresholds.close} step="0.5"
+                        {...CUSTOM_LIMITS.damageThreshold}
+                        onChange={(v) => setField('damageThresholds', 'close', v)} />
+                    <NumberField label="Lejos (±)" value={draft.damageThresholds.far} step="0.5"
+                        {...CUSTOM_LIMITS.damageThreshold}
+                        onChange={(v) => setField('damageThresholds', 'far', v)} />
+                </div>
+
+                <div className={sectionClass('playerHp')}>
+                    <h3 className="custom-section-title">❤️ Vida</h3>
+                    <NumberField label="HP inicial" value={draft.playerHp} step="10" {...CUSTOM_LIMITS.playerHp}
+                        onChange={(v) => setField('playerHp', null, v)} />
+                </div>
+
+                <div className={sectionClass('streakConfig')}>
+                    <h3 className="custom-section-title">🔥 Rachas</h3>
+                    {draft.streakConfig.slice(1).map((tier, i) => (
+                        <div key={tier.name} className="custom-streak-row">
+                            <span className="custom-streak-name">{tier.emoji} {tier.name}</span>
+                            <NumberField label="Desde" value={tier.minStreak} {...CUSTOM_LIMITS.streakLength}
+                                onChange={(v) => setStreakTier(i + 1, 'minStreak', v)} />
+                            <NumberField label="Bonus" value={tier.bonus} {...CUSTOM_LIMITS.streakBonus}
+                                onChange={(v) => setStreakTier(i + 1, 'bonus', v)} />
+                        </div>
+                    ))}
+                </div>
+
+                {errors.length > 0 && (
+                    <ul className="custom-errors">
+                        {errors.map(error => (
+                            <li key={`${error.field}-${error.message}`}>⚠️ {error.message}</li>
+                        ))}
+                    </ul>
+                )}
+
+                <button onClick={handleSave} className="btn btn-primary menu-btn">
+                    Guardar dificultad
+                </button>
+                {!isNew && (
+                    <button
+                        onClick={() => onDelete(draft.id)}
+                        className="btn btn-secondary menu-btn custom-delete-btn"
+                        style={{ marginTop: '10px' }}
+                    >
+                        🗑️ Eliminar
+                    </button>
+                )}
+                <button
+                    onClick={onCancel}
+                    className="btn btn-secondary menu-btn"
+                    style={{ marginTop: '10px' }}
+                >
+                    Volver
+                </button>
+            </LiquidCard>
+        </div>
+    );
+};
+
+export default CustomDifficultyEditor;
@@ -0,0 +1,36 @@
+import React from 'react';
+
+/** Formas de conseguir la mano. `onlineOnly`: solo en salas multijugador. */
+const HAND_MODES = {
+    fresh: { name: 'Mano nueva', emoji: '🎴', description: 'Cada turno se reparte una mano nueva' },
+    deck: { name: 'Mazo', emoji: '🂠', description: 'Conservas las cartas que no uses y robas de tu mazo; descartar y hacer mulligan tienen coste' },
+    draft: { name: 'Draft', emoji: '🔀', description: 'Antes de cada ronda se elige por turnos de un pool de cartas', onlineOnly: true }
+};
+
+/**
+ * Selector de la mano: nueva cada turno (normal), persistente con mazo propio
+ * (ver shared/deck.js) o elegida de un pool en el draft (ver shared/draft.js).
+ * Lo usan la configuración del PvP local y la creación de salas multijugador.
+ *
+ * @param {Object} props
+ * @param {'fresh'|'deck'|'draft'} props.value - Clave de HAND_MODES
+ * @param {(mode: string) => void} props.onChange
+ * @param {boolean} [props.online=false] - Mostrar también los modos `onlineOnly`
+ */
+const DeckModePicker = ({ value, onChange, online = false }) => (
+    <div className="round-mode-picker">
+        {Object.entries(HAND_MODES).filter(([, mode]) => online || !mode.onlineOnly).map(([key, mode]) => (
+            <button
+                key={key}
+                type="button"
+                className={`round-mode-chip ${value === key ? 'active' : ''}`}
+                onClick={() => onChange(key)}
+                title={mode.description}
+            >
+                {mode.emoji} {mode.name}
+            </button>
+        ))}
+    </div>
+);
+
+export default DeckModePicker;
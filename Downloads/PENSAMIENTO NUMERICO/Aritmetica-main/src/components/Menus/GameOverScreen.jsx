@@ -2,7 +2,7 @@
 import React from 'react';
 import LiquidCard from '../UI/LiquidCard';
 
-const GameOverScreen = ({ winner, player1, player2, history, onRematch, onMenu }) => {
+const GameOverScreen = ({ winner, player1, player2, history, seed, onRematch, onReplaySeed, onMenu }) => {
     return (
         <div className="app-background menu-container">
             <LiquidCard className="menu-card">
@@ -15,6 +15,9 @@ const GameOverScreen = ({ winner, player1, player2, history, onRematch, onMenu }
                         const totalDmg = pMoves.reduce((acc, curr) => acc + curr.damage, 0);
                         const maxStreak = Math.max(0, ...pMoves.map(m => m.streak || 0));
                         const perfects = pMoves.filter(m => m.type === 'perfect').length;
+                        // Cada nivel revelado cuenta como una pista
+                        const hintsUsed = pMoves.reduce((acc, curr) => acc + (curr.hintLevel || 0), 0);
+                        const turnsWithHints = pMoves.filter(m => m.hintLevel > 0).length;
 
                         return (
                             <div key={p.name} className="player-stat-card">
@@ -31,6 +34,10 @@ const GameOverScreen = ({ winner, player1, player2, history, onRematch, onMenu }
                                     <span>Perfectos</span>
                                     <strong>{perfects} 🎯</strong>
                                 </div>
+                                <div className="stat-row">
+                                    <span>Pistas</span>
+                                    <strong>{hintsUsed} 💡{turnsWithHints > 0 && ` (${turnsWithHints} ${turnsWithHints === 1 ? 'turno' : 'turnos'})`}</strong>
+                                </div>
                                 <div className="stat-row">
                                     <span>HP Final</span>
                                     <strong>{p.hp}</strong>
@@ -40,10 +47,21 @@ const GameOverScreen = ({ winner, player1, player2, history, onRematch, onMenu }
                     })}
                 </div>
 
+                {seed && (
+                    <p className="menu-description">
+                        🌱 Semilla de la partida: <strong>{seed}</strong>
+                    </p>
+                )}
+
                 <div className="game-over-buttons">
                     <button onClick={onRematch} className="btn btn-primary menu-btn">
                         Revancha
                     </button>
+                    {seed && (
+                        <button onClick={onReplaySeed} className="btn btn-secondary menu-btn">
+                            🌱 Revancha con las mismas manos
+                        </button>
+                    )}
                     <button
                         onClick={onMenu}
                         className="btn btn-secondary menu-btn"
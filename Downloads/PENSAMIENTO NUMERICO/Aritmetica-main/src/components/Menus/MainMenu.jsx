@@ -1,10 +1,27 @@
 
 import React from 'react';
-import { DIFFICULTY_CONFIG } from '../../utils/gameLogic';
+import { DIFFICULTY_CONFIG, getDifficultyConfig } from '../../../shared/gameLogic';
 import LiquidCard from '../UI/LiquidCard';
 
-const MainMenu = ({ difficulty, setDifficulty, onStart, onDemo, onMultiplayer, onSingleplayer }) => {
-    const selectedConfig = DIFFICULTY_CONFIG[difficulty];
+const MainMenu = ({
+    difficulty,
+    setDifficulty,
+    customDifficulties = [],
+    onCreateCustom,
+    onEditCustom,
+    onStart,
+    onDemo,
+    onMultiplayer,
+    onSingleplayer
+}) => {
+    const selectedConfig = getDifficultyConfig(difficulty);
+
+    // Presets (por clave) y dificultades personalizadas (el objeto completo)
+    const difficultyOptions = [
+        ...Object.entries(DIFFICULTY_CONFIG).map(([key, config]) => ({ key, value: key, config })),
+        ...customDifficulties.map(config => ({ key: config.id, value: config, config }))
+    ];
+    const isSelected = (option) => (option.config.custom ? difficulty?.id === option.key : difficulty === option.key);
 
     return (
         <div className="app-background menu-container">
@@ -27,53 +44,96 @@ const MainMenu = ({ difficulty, setDifficulty, onStart, onDemo, onMultiplayer, o
 
                 {/* Difficulty Cards Grid */}
                 <div className="difficulty-grid">
-                    {Object.entries(DIFFICULTY_CONFIG).map(([key, config]) => (
-                        <button
-                            key={key}
-                            onClick={() => setDifficulty(key)}
-                            className={`difficulty-card ${difficulty === key ? 'selected' : ''}`}
-                            style={{ '--diff-color': config.color }}
-                        >
-                            <div className="diff-card-header">
-                                <span className="diff-card-emoji">{config.emoji}</span>
-                                <span className="diff-card-name">{config.name}</span>
-                            </div>
+                    {difficultyOptions.map((option) => {
+                        const { key, config } = option;
+                        const selected = isSelected(option);
+                        return (
+                            <button
+                                key={key}
+                                onClick={() => setDifficulty(option.value)}
+                                className={`difficulty-card ${selected ? 'selected' : ''}`}
+                                style={{ '--diff-color': config.color }}
+                            >
+                                {config.custom && (
+                                    <span
+                                        role="button"
+                                        className="diff-card-edit"
+                                        onClick={(e) => {
+                                            e.stopPropagation();
+                                            onEditCustom(config);
+                                        }}
+                                    >
+                                        ✏️ Editar
+                                    </span>
+                                )}
+                                <div className="diff-card-header">
+                                    <span className="diff-card-emoji">{config.emoji}</span>
+                                    <span className="diff-card-name">{config.name}</span>
+                                </div>
 
-                            <p className="diff-card-desc">{config.description}</p>
+                                <p className="diff-card-desc">{config.description}</p>
 
-                            <div className="diff-card-stats">
-                                <div className="diff-stat">
-                                    <span className="diff-stat-label">Cartas</span>
-                                    <span className="diff-stat-value">{config.cardRange.min} - {config.cardRange.max}</span>
-                                </div>
-                                <div className="diff-stat">
-                                    <span className="diff-stat-label">Target</span>
-                                    <span className="diff-stat-value">{config.targetRange.min} - {config.targetRange.max}</span>
+                                <div className="diff-card-stats">
+                                    <div className="diff-stat">
+                                        <span className="diff-stat-label">Cartas</span>
+                                        <span className="diff-stat-value">{config.cardRange.min} - {config.cardRange.max}</span>
+                                    </div>
+                                    <div className="diff-stat">
+                                        <span className="diff-stat-label">Target</span>
+                                        <span className="diff-stat-value">{config.targetRange.min} - {config.targetRange.max}</span>
+                                    </div>
+                                    <div className="diff-stat">
+                                        <span className="diff-stat-label">Operadores</span>
+                                        <span className="diff-stat-value operators">{config.operatorSymbols.join(' ')}</span>
+                                    </div>
+                                    <div className="diff-stat">
+                                        <span className="diff-stat-label">HP Inicial</span>
+                                        <span className="diff-stat-value hp">{config.playerHp}</span>
+                                    </div>
                                 </div>
-                                <div className="diff-stat">
-                                    <span className="diff-stat-label">Operadores</span>
-                                    <span className="diff-stat-value operators">{config.operatorSymbols.join(' ')}</span>
-                                </div>
-                                <div className="diff-stat">
-                                    <span className="diff-stat-label">HP Inicial</span>
-                                    <span className="diff-stat-value hp">{config.playerHp}</span>
+
+                                <div className="diff-card-features">
+                                    {config.allowParentheses && (
+                                        <span className="diff-feature">( ) Paréntesis</span>
+                                    )}
+                                    {config.exactArithmetic && (
+                                        <span className="diff-feature">🍕 Fracciones exactas</span>
+                                    )}
+                                    {config.allowNegativeTargets && (
+                                        <span className="diff-feature">🌡️ Targets negativos</span>
+                                    )}
+                                    {config.custom && (
+                                        <span className="diff-feature">✏️ Personalizada</span>
+                                    )}
+                                    {config.operators.includes('^') && (
+                                        <span className="diff-feature">🧠 Potencias, raíces, mod y !</span>
+                                    )}
+                                    <span className="diff-feature">
+                                        🔥 Racha desde {config.streakConfig[1]?.minStreak || 2}
+                                    </span>
                                 </div>
-                            </div>
 
-                            <div className="diff-card-features">
-                                {config.allowParentheses && (
-                                    <span className="diff-feature">( ) Paréntesis</span>
+                                {selected && (
+                                    <div className="diff-card-selected-badge">✓ Seleccionado</div>
                                 )}
-                                <span className="diff-feature">
-                                    🔥 Racha desde {config.streakConfig[1]?.minStreak || 2}
-                                </span>
-                            </div>
+                            </button>
+                        );
+                    })}
 
-                            {difficulty === key && (
-                                <div className="diff-card-selected-badge">✓ Seleccionado</div>
-                            )}
-                        </button>
-                    ))}
+                    {/* Nueva dificultad personalizada */}
+                    <button
+                        onClick={onCreateCustom}
+                        className="difficulty-card difficulty-card-new"
+                        style={{ '--diff-color': '#FF375F' }}
+                    >
+                        <div className="diff-card-header">
+                            <span className="diff-card-emoji">✏️</span>
+                            <span className="diff-card-name">Personalizado</span>
+                        </div>
+                        <p className="diff-card-desc">
+                            Crea tus propias reglas: cartas, targets, operadores, variables, vida y rachas.
+                        </p>
+                    </button>
                 </div>
 
                 {/* Action Buttons */}
@@ -0,0 +1,29 @@
+import React from 'react';
+import { ROUND_MODES } from '../../../shared/equations';
+
+/**
+ * Selector del modo de rondas (clásico, mixto, solo ecuaciones "Despeja x" o incógnita).
+ * Lo usan la configuración del PvP local y la creación de salas multijugador.
+ *
+ * @param {Object} props
+ * @param {string} props.value - Clave de ROUND_MODES
+ * @param {(mode: string) => void} props.onChange
+ * @param {boolean} [props.online=false] - Mostrar también los modos `onlineOnly`
+ */
+const RoundModePicker = ({ value, onChange, online = false }) => (
+    <div className="round-mode-picker">
+        {Object.entries(ROUND_MODES).filter(([, mode]) => online || !mode.onlineOnly).map(([key, mode]) => (
+            <button
+                key={key}
+                type="button"
+                className={`round-mode-chip ${value === key ? 'active' : ''}`}
+                onClick={() => onChange(key)}
+                title={mode.description}
+            >
+                {mode.emoji} {mode.name}
+            </button>
+        ))}
+    </div>
+);
+
+export default RoundModePicker;
@@ -1,13 +1,30 @@
 
 import React, { useState } from 'react';
 import LiquidCard from '../UI/LiquidCard';
+import { normalizeSeedCode } from '../../../shared/random';
+import RoundModePicker from './RoundModePicker';
+import DeckModePicker from './DeckModePicker';
 
-const SetupScreen = ({ onStartGame, onBack }) => {
+const SetupScreen = ({ initialRoundMode = 'classic', initialDeckMode = false, onStartGame, onBack }) => {
     const [p1Name, setP1Name] = useState('Jugador 1');
     const [p2Name, setP2Name] = useState('Jugador 2');
+    const [seedInput, setSeedInput] = useState('');
+    const [seedError, setSeedError] = useState('');
+    const [roundMode, setRoundMode] = useState(initialRoundMode);
+    const [deckMode, setDeckMode] = useState(initialDeckMode);
 
     const handleStart = () => {
-        onStartGame(p1Name || 'Jugador 1', p2Name || 'Jugador 2');
+        // Semilla opcional: vacía = partida nueva; un código repite sus manos y targets
+        if (seedInput.trim()) {
+            const seed = normalizeSeedCode(seedInput);
+            if (!seed) {
+                setSeedError('Código inválido: 8 letras o números, ej: K7QM-2XHD');
+                return;
+            }
+            onStartGame(p1Name || 'Jugador 1', p2Name || 'Jugador 2', seed, roundMode, deckMode);
+            return;
+        }
+        onStartGame(p1Name || 'Jugador 1', p2Name || 'Jugador 2', undefined, roundMode, deckMode);
     };
 
     return (
@@ -40,6 +57,29 @@ const SetupScreen = ({ onStartGame, onBack }) => {
                             maxLength={12}
                         />
                     </div>
+                    <div className="input-group">
+                        <label>Semilla (opcional)</label>
+                        <input
+                            type="text"
+                            value={seedInput}
+                            onChange={(e) => {
+                                setSeedInput(e.target.value);
+                                setSeedError('');
+                            }}
+                            className="liquid-input"
+                            placeholder="Ej: K7QM-2XHD"
+                            maxLength={9}
+                        />
+                        {seedError && <p className="menu-description">⚠️ {seedError}</p>}
+                    </div>
+                    <div className="input-group">
+                        <label>Rondas</label>
+                        <RoundModePicker value={roundMode} onChange={setRoundMode} />
+                    </div>
+                    <div className="input-group">
+                        <label>Mano</label>
+                        <DeckModePicker value={deckMode ? 'deck' : 'fresh'} onChange={(mode) => setDeckMode(mode === 'deck')} />
+                    </div>
                 </div>
 
                 <button onClick={handleStart} className="btn btn-primary menu-btn">
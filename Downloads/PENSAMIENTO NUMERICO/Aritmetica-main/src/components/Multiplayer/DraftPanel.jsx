@@ -0,0 +1,60 @@
+import React, { useState, useEffect } from 'react';
+import { DRAFT_PICK_MS } from '../../../shared/draft';
+
+/**
+ * Draft antes de la ronda (ver shared/draft.js): el pool de cartas, de quién es
+ * cada una y la cuenta atrás de la elección actual.
+ *
+ * El temporizador lo lleva el servidor (elige la carta más alta si se acaba);
+ * la cuenta atrás empieza al montar: se monta con `key` de la elección actual.
+ *
+ * @param {Object} props
+ * @param {{pool: Array<{value: number, pickedBy: 'me'|'opponent'|null}>, myTurn: boolean, picksLeft: number}} props.draft
+ * @param {number[]} props.myCards - Cartas elegidas hasta ahora
+ * @param {string} props.opponentName
+ * @param {(index: number) => void} props.onPick
+ */
+const DraftPanel = ({ draft, myCards, opponentName, onPick }) => {
+    const [secondsLeft, setSecondsLeft] = useState(DRAFT_PICK_MS / 1000);
+
+    useEffect(() => {
+        const startedAt = Date.now();
+        const interval = setInterval(() => {
+            const left = Math.max(0, Math.ceil((DRAFT_PICK_MS - (Date.now() - startedAt)) / 1000));
+            setSecondsLeft(left);
+            if (left === 0) clearInterval(interval);
+        }, 250);
+        return () => clearInterval(interval);
+    }, []);
+
+    return (
+        <div className="mp-draft liquid-glass">
+            <div className="mp-draft-header">
+                <span className={`mp-draft-turn ${draft.myTurn ? 'mine' : ''}`}>
+                    {draft.myTurn ? '🔀 ¡Te toca elegir!' : `⏳ Elige ${opponentName}...`}
+                </span>
+                <span className={`mp-draft-timer ${secondsLeft <= 3 ? 'urgent' : ''}`}>{secondsLeft}s</span>
+            </div>
+
+            <div className="mp-cards-area">
+                {draft.pool.map((card, index) => (
+                    <button
+                        key={`pool-${index}`}
+                        className={`mp-card ${card.pickedBy ? `used picked-${card.pickedBy}` : ''}`}
+                        onClick={() => onPick(index)}
+                        disabled={!draft.myTurn || card.pickedBy !== null}
+                        title={card.pickedBy === 'opponent' ? `La eligió ${opponentName}` : undefined}
+                    >
+                        {card.value}
+                    </button>
+                ))}
+            </div>
+
+            <div className="mp-draft-hand">
+                Tu mano: {myCards.length > 0 ? myCards.join(', ') : '—'}
+            </div>
+        </div>
+    );
+};
+
+export default DraftPanel;
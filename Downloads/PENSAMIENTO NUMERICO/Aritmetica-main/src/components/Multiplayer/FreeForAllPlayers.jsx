@@ -0,0 +1,29 @@
+import React from 'react';
+import StatusBadges from '../Game/StatusBadges';
+
+/**
+ * Jugadores de una partida de todos contra todos: HP, estados, si ya enviaron
+ * y quién está eliminado (lista pública `players` del servidor)
+ *
+ * @param {Object} props
+ * @param {Array<{ name: string, hp: number, maxHp: number, submitted: boolean, statuses: string[], eliminated: boolean, isMe?: boolean }>} props.players
+ */
+const FreeForAllPlayers = ({ players }) => (
+    <div className="mp-players-bar mp-ffa-players">
+        {players.map((player) => (
+            <div key={player.name} className={`mp-player ${player.isMe ? 'me' : ''} ${player.eliminated ? 'eliminated' : ''}`}>
+                <div className="mp-player-name">
+                    {player.eliminated && '💀 '}{player.name}{player.isMe && ' (Tú)'}
+                </div>
+                <div className={`mp-hp-bar ${player.isMe ? '' : 'opponent-bar'}`}>
+                    <div className="mp-hp-fill" style={{ width: `${(player.hp / player.maxHp) * 100}%` }}></div>
+                    <span className="mp-hp-text">{player.hp} HP</span>
+                </div>
+                <StatusBadges statuses={player.statuses} />
+                {player.submitted && !player.eliminated && <span className="mp-status ready">✓ Listo</span>}
+            </div>
+        ))}
+    </div>
+);
+
+export default FreeForAllPlayers;
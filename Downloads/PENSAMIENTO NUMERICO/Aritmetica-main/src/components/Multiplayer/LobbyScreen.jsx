@@ -5,8 +5,15 @@
 
 import React, { useState, useEffect, useCallback } from 'react';
 import { useSocketEvent } from '../../hooks/useSocket';
+import { CUSTOM_DIFFICULTY_KEY, isCustomDifficulty } from '../../../shared/customDifficulty';
+import { ROUND_MODES } from '../../../shared/equations';
+import { ROUND_TIME_OPTIONS, DEFAULT_ROUND_SECONDS } from '../../../shared/roundTimer';
+import { FFA_DAMAGE_RULES, MIN_FFA_PLAYERS, MAX_FFA_PLAYERS } from '../../../shared/freeForAll';
+import { TEAMS, TEAM_SIZE } from '../../../shared/teams';
+import RoundModePicker from '../Menus/RoundModePicker';
+import DeckModePicker from '../Menus/DeckModePicker';
 
-const LobbyScreen = ({ socket, difficulty, playerName, setPlayerName, onGameStart, onExit }) => {
+const LobbyScreen = ({ socket, difficulty, playerName, setPlayerName, onGameStart, onSpectate, onExit }) => {
     const [view, setView] = useState('main'); // 'main' | 'create' | 'join' | 'waiting'
     const [roomCode, setRoomCode] = useState('');
     const [createdRoomCode, setCreatedRoomCode] = useState(null);
@@ -14,6 +21,21 @@ const LobbyScreen = ({ socket, difficulty, playerName, setPlayerName, onGameStar
     const [error, setError] = useState('');
     const [guestName, setGuestName] = useState(null);
     const [hostName, setHostName] = useState(null); // Nombre del host (para guests)
+    const [seedInput, setSeedInput] = useState(''); // Código de semilla opcional (repetir manos)
+    const [createdSeed, setCreatedSeed] = useState(null);
+    const [roundMode, setRoundMode] = useState('classic'); // Modo de rondas de la sala (ver ROUND_MODES)
+    const [handMode, setHandMode] = useState('fresh'); // Mano nueva, mazo (ver shared/deck.js) o draft (ver shared/draft.js)
+    const [roundSeconds, setRoundSeconds] = useState(DEFAULT_ROUND_SECONDS); // Tiempo por ronda (0 = sin límite)
+    const [maxPlayers, setMaxPlayers] = useState(2); // 2 = duelo, de 3 a 8 = todos contra todos (ver shared/freeForAll.js)
+    const [ffaRule, setFfaRule] = useState('ranked'); // Regla de daño de todos contra todos (ver FFA_DAMAGE_RULES)
+    const [roomPlayers, setRoomPlayers] = useState([]); // Jugadores de la sala en la que esperamos (en orden, host primero)
+    const [roomMaxPlayers, setRoomMaxPlayers] = useState(2);
+    const [teamMode, setTeamMode] = useState(false); // 2 vs 2 con HP compartido (ver shared/teams.js)
+    const [roomTeams, setRoomTeams] = useState(null); // Modo equipos: { A: [nombres], B: [nombres] } de la sala
+
+    // Solo se elige la semilla si no reparte valores ocultos (x, ecuaciones, mazos, draft):
+    // el servidor rechaza el resto. En todos contra todos y en equipos la mano siempre es nueva
+    const seedAllowed = roundMode === 'classic' && (teamMode || maxPlayers > 2 || handMode === 'fresh');
 
     // Solicitar lista de lobbies al montar
     useEffect(() => {
@@ -24,8 +46,12 @@ const LobbyScreen = ({ socket, difficulty, playerName, setPlayerName, onGameStar
     const handleLobbyCreated = useCallback((data) => {
         console.log('[Lobby] Sala creada:', data);
         setCreatedRoomCode(data.roomCode);
+        setCreatedSeed(data.seed);
+        setRoomPlayers([playerName]);
+        setRoomMaxPlayers(data.maxPlayers);
+        setRoomTeams(data.teams);
         setView('waiting');
-    }, []);
+    }, [playerName]);
 
     const handleLobbyJoined = useCallback((data) => {
         console.log('[Lobby] Te uniste a sala:', data);
@@ -33,11 +59,26 @@ const LobbyScreen = ({ socket, difficulty, playerName, setPlayerName, onGameStar
         setView('waiting');
         setCreatedRoomCode(data.roomCode);
         setHostName(data.hostName); // Guardar nombre del host para mostrarlo
+        setRoomPlayers(data.players);
+        setRoomMaxPlayers(data.maxPlayers);
+        setRoomTeams(data.teams);
     }, []);
 
+    const handleSpectateJoined = useCallback((data) => {
+        console.log('[Lobby] Mirando sala:', data);
+        onSpectate(data);
+    }, [onSpectate]);
+
     const handlePlayerJoined = useCallback((data) => {
         console.log('[Lobby] Jugador se unió:', data);
-        setGuestName(data.playerName);
+        // El invitado es el segundo de la sala (en todos contra todos pueden llegar más)
+        setGuestName(data.players?.[1] ?? data.playerName);
+        if (data.players) setRoomPlayers(data.players);
+        if (data.teams) setRoomTeams(data.teams);
+    }, []);
+
+    const handleTeamsUpdate = useCallback((data) => {
+        setRoomTeams(data.teams);
     }, []);
 
     const handleGameStarted = useCallback((gameState) => {
@@ -60,7 +101,8 @@ const LobbyScreen = ({ socket, difficulty, playerName, setPlayerName, onGameStar
             setError('El host abandonó la sala');
             setView('main');
         } else {
-            setGuestName(null);
+            setGuestName(data.players?.[1] ?? null);
+            if (data.players) setRoomPlayers(data.players);
         }
     }, []);
 
@@ -76,8 +118,10 @@ const LobbyScreen = ({ socket, difficulty, playerName, setPlayerName, onGameStar
     // Subscribe to events
     useSocketEvent('lobby:created', handleLobbyCreated);
     useSocketEvent('lobby:joined', handleLobbyJoined);
+    useSocketEvent('spectate:joined', handleSpectateJoined);
     useSocketEvent('lobby:playerJoined', handlePlayerJoined);
     useSocketEvent('lobby:playerLeft', handlePlayerLeft);
+    useSocketEvent('lobby:teamsUpdate', handleTeamsUpdate);
     useSocketEvent('lobby:listUpdate', handleLobbyListUpdate);
     useSocketEvent('lobby:error', handleError);
     useSocketEvent('game:started', handleGameStarted);
@@ -89,7 +133,18 @@ const LobbyScreen = ({ socket, difficulty, playerName, setPlayerName, onGameStar
             return;
         }
         setError('');
-        socket.emit('lobby:create', { playerName, difficulty });
+        // Semilla vacía = el servidor genera una nueva
+        const seed = (seedAllowed && seedInput.trim()) || undefined;
+        // Mazo y draft son de duelo: en todos contra todos y en equipos siempre hay mano nueva
+        let handModeFlags = { deckMode: handMode === 'deck', draftMode: handMode === 'draft' };
+        if (teamMode) handModeFlags = { teamMode };
+        else if (maxPlayers > 2) handModeFlags = { maxPlayers, ffaRule };
+        // Las dificultades personalizadas viajan completas; el servidor las vuelve a validar
+        if (isCustomDifficulty(difficulty)) {
+            socket.emit('lobby:create', { playerName, difficulty: CUSTOM_DIFFICULTY_KEY, customConfig: difficulty, seed, roundMode, roundSeconds, ...handModeFlags });
+        } else {
+            socket.emit('lobby:create', { playerName, difficulty, seed, roundMode, roundSeconds, ...handModeFlags });
+        }
     };
 
     const handleJoinLobby = (code) => {
@@ -101,6 +156,12 @@ const LobbyScreen = ({ socket, difficulty, playerName, setPlayerName, onGameStar
         socket.emit('lobby:join', { playerName, roomCode: code || roomCode });
     };
 
+    // Para mirar no hace falta nombre: sin él se entra como "Espectador"
+    const handleSpectateLobby = () => {
+        setError('');
+        socket.emit('lobby:spectate', { playerName: playerName.trim() || undefined, roomCode });
+    };
+
     const handleStartGame = () => {
         socket.emit('game:start', { roomCode: createdRoomCode });
     };
@@ -110,6 +171,14 @@ const LobbyScreen = ({ socket, difficulty, playerName, setPlayerName, onGameStar
         setView('main');
         setCreatedRoomCode(null);
         setGuestName(null);
+        setHostName(null);
+        setRoomPlayers([]);
+        setRoomMaxPlayers(2);
+        setRoomTeams(null);
+    };
+
+    const handleSetTeam = (team) => {
+        socket.emit('lobby:setTeam', { team });
     };
 
     // Render based on view
@@ -127,6 +196,88 @@ const LobbyScreen = ({ socket, difficulty, playerName, setPlayerName, onGameStar
                 />
             </div>
 
+            <div className="lobby-name-input">
+                <label>Semilla (opcional)</label>
+                <input
+                    type="text"
+                    value={seedInput}
+                    onChange={(e) => setSeedInput(e.target.value.toUpperCase())}
+                    placeholder={seedAllowed ? 'Ej: K7QM-2XHD para repetir las mismas manos' : 'Solo en rondas Clásicas con mano nueva'}
+                    maxLength={9}
+                    disabled={!seedAllowed}
+                    className="input-field"
+                />
+            </div>
+
+            <div className="lobby-name-input">
+                <label>Rondas</label>
+                <RoundModePicker value={roundMode} onChange={setRoundMode} online />
+            </div>
+
+            <div className="lobby-name-input">
+                <label>Jugadores</label>
+                <div className="round-mode-picker">
+                    {[2, ...Array.from({ length: MAX_FFA_PLAYERS - MIN_FFA_PLAYERS + 1 }, (_, i) => MIN_FFA_PLAYERS + i)].map((count) => (
+                        <button
+                            key={count}
+                            type="button"
+                            className={`round-mode-chip ${!teamMode && maxPlayers === count ? 'active' : ''}`}
+                            onClick={() => { setMaxPlayers(count); setTeamMode(false); }}
+                        >
+                            {count === 2 ? '⚔️ Duelo' : `👥 ${count}`}
+                        </button>
+                    ))}
+                    <button
+                        type="button"
+                        className={`round-mode-chip ${teamMode ? 'active' : ''}`}
+                        onClick={() => setTeamMode(true)}
+                        title="Dos equipos de dos con HP compartido: cuenta la mejor respuesta de cada equipo"
+                    >
+                        🤝 2 vs 2
+                    </button>
+                </div>
+            </div>
+
+            {teamMode ? null : maxPlayers > 2 ? (
+                <div className="lobby-name-input">
+                    <label>Daño en todos contra todos</label>
+                    <div className="round-mode-picker">
+                        {Object.entries(FFA_DAMAGE_RULES).map(([key, rule]) => (
+                            <button
+                                key={key}
+                                type="button"
+                                className={`round-mode-chip ${ffaRule === key ? 'active' : ''}`}
+                                onClick={() => setFfaRule(key)}
+                                title={rule.description}
+                            >
+                                {rule.emoji} {rule.name}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            ) : (
+                <div className="lobby-name-input">
+                    <label>Mano</label>
+                    <DeckModePicker value={handMode} onChange={setHandMode} online />
+                </div>
+            )}
+
+            <div className="lobby-name-input">
+                <label>Tiempo por ronda</label>
+                <div className="round-mode-picker">
+                    {ROUND_TIME_OPTIONS.map((seconds) => (
+                        <button
+                            key={seconds}
+                            type="button"
+                            className={`round-mode-chip ${roundSeconds === seconds ? 'active' : ''}`}
+                            onClick={() => setRoundSeconds(seconds)}
+                        >
+                            {seconds > 0 ? `⏱️ ${seconds}s` : '♾️ Sin límite'}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
             <div className="lobby-actions">
                 <button onClick={handleCreateLobby} className="btn btn-primary lobby-btn">
                     ➕ Crear Sala
@@ -145,7 +296,9 @@ const LobbyScreen = ({ socket, difficulty, playerName, setPlayerName, onGameStar
                                 <div className="lobby-info">
                                     <span className="lobby-host">{lobby.hostName}</span>
                                     <span className="lobby-code">{lobby.roomCode}</span>
-                                    <span className="lobby-difficulty">{lobby.difficulty}</span>
+                                    <span className="lobby-difficulty">
+                                        {lobby.customName || lobby.difficulty} {ROUND_MODES[lobby.roundMode]?.emoji}{lobby.deckMode && ' 🂠'}{lobby.draftMode && ' 🔀'}{lobby.roundSeconds > 0 && ` ⏱️${lobby.roundSeconds}s`}{lobby.maxPlayers > 2 && ` ${lobby.teamMode ? '🤝' : '👥'}${lobby.playerCount}/${lobby.maxPlayers}`}
+                                    </span>
                                 </div>
                                 <button
                                     onClick={() => handleJoinLobby(lobby.roomCode)}
@@ -179,11 +332,117 @@ const LobbyScreen = ({ socket, difficulty, playerName, setPlayerName, onGameStar
                 <button onClick={() => handleJoinLobby()} className="btn btn-primary">
                     Unirse
                 </button>
+                <button onClick={handleSpectateLobby} className="btn btn-secondary">
+                    👁️ Mirar
+                </button>
             </div>
         </div>
     );
 
+    // Todos contra todos: lista de asientos (ocupados y libres)
+    const renderWaitingFreeForAll = () => {
+        const weAreHost = hostName === null;
+
+        return (
+            <div className="lobby-waiting">
+                <h2>Sala: <span className="room-code-display">{createdRoomCode}</span></h2>
+                {weAreHost && createdSeed && (
+                    <p style={{ color: 'rgba(255,255,255,0.6)' }}>🌱 Semilla: {createdSeed}</p>
+                )}
+                <p style={{ color: 'rgba(255,255,255,0.6)' }}>
+                    👥 Todos contra todos · {roomPlayers.length}/{roomMaxPlayers} jugadores (mínimo {MIN_FFA_PLAYERS})
+                </p>
+
+                <div className="players-status ffa-seats">
+                    {Array.from({ length: roomMaxPlayers }, (_, index) => roomPlayers[index]).map((name, index) => (
+                        <div key={index} className={`player-slot ${name ? 'filled' : 'empty'}`}>
+                            <span className="player-name">{name || 'Esperando...'}</span>
+                            {name === playerName && <span className="player-role">(Tú{index === 0 ? ' - Host' : ''})</span>}
+                            {name && name !== playerName && index === 0 && <span className="player-role">(Host)</span>}
+                        </div>
+                    ))}
+                </div>
+
+                <div className="lobby-actions">
+                    <button onClick={handleLeave} className="btn btn-secondary">
+                        Abandonar
+                    </button>
+                    {weAreHost && roomPlayers.length >= MIN_FFA_PLAYERS && (
+                        <button onClick={handleStartGame} className="btn btn-primary pulse-btn">
+                            ⚔️ Iniciar Partida
+                        </button>
+                    )}
+                    {!weAreHost && (
+                        <p style={{ color: 'rgba(255,255,255,0.6)', marginTop: '1rem' }}>
+                            ⏳ Esperando a que {hostName} inicie la partida...
+                        </p>
+                    )}
+                </div>
+            </div>
+        );
+    };
+
+    // Modo equipos: una columna por equipo; cada uno puede cambiarse al que tenga hueco
+    const renderWaitingTeams = () => {
+        const weAreHost = hostName === null;
+
+        return (
+            <div className="lobby-waiting">
+                <h2>Sala: <span className="room-code-display">{createdRoomCode}</span></h2>
+                {weAreHost && createdSeed && (
+                    <p style={{ color: 'rgba(255,255,255,0.6)' }}>🌱 Semilla: {createdSeed}</p>
+                )}
+                <p style={{ color: 'rgba(255,255,255,0.6)' }}>
+                    🤝 2 vs 2 · {roomPlayers.length}/{roomMaxPlayers} jugadores
+                </p>
+
+                <div className="team-columns">
+                    {Object.entries(TEAMS).map(([key, team]) => {
+                        const members = roomTeams[key] || [];
+                        return (
+                            <div key={key} className={`team-column team-${key}`}>
+                                <h3>{team.emoji} {team.name}</h3>
+                                <div className="players-status">
+                                    {Array.from({ length: TEAM_SIZE }, (_, index) => members[index]).map((name, index) => (
+                                        <div key={index} className={`player-slot ${name ? 'filled' : 'empty'}`}>
+                                            <span className="player-name">{name || 'Esperando...'}</span>
+                                            {name === playerName && <span className="player-role">(Tú)</span>}
+                                        </div>
+                                    ))}
+                                </div>
+                                {!members.includes(playerName) && members.length < TEAM_SIZE && (
+                                    <button onClick={() => handleSetTeam(key)} className="btn btn-secondary">
+                                        Cambiarme aquí
+                                    </button>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+
+                <div className="lobby-actions">
+                    <button onClick={handleLeave} className="btn btn-secondary">
+                        Abandonar
+                    </button>
+                    {weAreHost && roomPlayers.length >= roomMaxPlayers && (
+                        <button onClick={handleStartGame} className="btn btn-primary pulse-btn">
+                            ⚔️ Iniciar Partida
+                        </button>
+                    )}
+                    {!weAreHost && (
+                        <p style={{ color: 'rgba(255,255,255,0.6)', marginTop: '1rem' }}>
+                            ⏳ Esperando a que {hostName} inicie la partida...
+                        </p>
+                    )}
+                </div>
+            </div>
+        );
+    };
+
     const renderWaiting = () => {
+        if (roomTeams) return renderWaitingTeams();
+        if (roomMaxPlayers > 2) return renderWaitingFreeForAll();
+
         // Si somos guest (tenemos hostName), el oponente es el host
         // Si somos host (!hostName), el oponente es el guest
         const weAreHost = hostName === null;
@@ -193,6 +452,9 @@ const LobbyScreen = ({ socket, difficulty, playerName, setPlayerName, onGameStar
         return (
             <div className="lobby-waiting">
                 <h2>Sala: <span className="room-code-display">{createdRoomCode}</span></h2>
+                {weAreHost && createdSeed && (
+                    <p style={{ color: 'rgba(255,255,255,0.6)' }}>🌱 Semilla: {createdSeed}</p>
+                )}
 
                 <div className="players-status">
                     <div className="player-slot filled">
@@ -4,15 +4,37 @@
  * 
  * IMPORTANTE: Usa datos del SERVIDOR (cartas/target compartidos)
  * Solo el HOST puede iniciar la siguiente ronda
+ * En todos contra todos se muestra a todos los jugadores y el resultado es una tabla por puestos (RoundResult)
+ * En el modo equipos se ve el HP de cada equipo y, en vivo, la expresión que escribe el compañero (team:draft)
  */
 
 import React, { useState, useEffect, useCallback } from 'react';
 import { useSocketEvent } from '../../hooks/useSocket';
 import {
-    DIFFICULTY_CONFIG,
-    evaluateExpressionWithVariables
-} from '../../utils/gameLogic';
+    getDifficultyConfig,
+    evaluateExpressionWithVariables,
+    validateExpressionForHand,
+    getOperatorText,
+    PREFIX_OPERATORS
+} from '../../../shared/gameLogic';
+import { parseEquationAnswer } from '../../../shared/equations';
+import { toLinearForm } from '../../../shared/mystery';
+import { formatValue } from '../../../shared/rational';
+import { SPELLS } from '../../../shared/spells';
+import { DECK_ACTIONS } from '../../../shared/deck';
 import { soundManager } from '../../utils/SoundManager';
+import TargetRating from '../Game/TargetRating';
+import BestPlay from '../Game/BestPlay';
+import EvaluationTrace from '../Game/EvaluationTrace';
+import EquationPanel from '../Game/EquationPanel';
+import SpellCards from '../Game/SpellCards';
+import StatusBadges from '../Game/StatusBadges';
+import DeckPanel from '../Game/DeckPanel';
+import DraftPanel from './DraftPanel';
+import RoundTimer from './RoundTimer';
+import RoundResult from './RoundResult';
+import FreeForAllPlayers from './FreeForAllPlayers';
+import TeamPlayers from './TeamPlayers';
 
 const MultiplayerGame = ({
     socket,
@@ -22,21 +44,47 @@ const MultiplayerGame = ({
     isHost,
     difficulty,
     initialGameState, // DATOS INICIALES DEL SERVIDOR (pasados desde LobbyScreen)
+    isConnected = true, // Si se corta, el servidor guarda el asiento y useSocket lo recupera al reconectar
     onLeave,
     onGameOver
 }) => {
-    // Config
-    const diffConfig = DIFFICULTY_CONFIG[difficulty] || DIFFICULTY_CONFIG.medium;
+    // Config: manda la dificultad de la sala (la del host, puede ser personalizada),
+    // no la que el invitado tenga seleccionada en su menú
+    const gameDifficulty = initialGameState?.difficulty || difficulty;
+    const diffConfig = getDifficultyConfig(gameDifficulty);
     const maxHp = diffConfig.playerHp || 200;
 
     // Game State - Datos del SERVIDOR
     const [round, setRound] = useState(1);
     const [target, setTarget] = useState(0);
+    const [targetRating, setTargetRating] = useState(null);
     const [cards, setCards] = useState([]);           // Cartas numéricas
     const [variables, setVariables] = useState([]);   // Variables [{symbol, value}]
     const [variableValues, setVariableValues] = useState({}); // {x: 5, y: 3}
+    const [equation, setEquation] = useState(null);   // Ronda "Despeja x": ecuación sin solución (null = ronda de target)
+    const [equationAnswer, setEquationAnswer] = useState('');
+    const [mystery, setMystery] = useState(null);     // Ronda de incógnita: target en x (el valor de x llega en el resumen)
     const [myHp, setMyHp] = useState(maxHp);
     const [opponentHp, setOpponentHp] = useState(maxHp);
+    const [mySpells, setMySpells] = useState([]);     // Hechizos en la mano (ver shared/spells.js)
+    const [myStatuses, setMyStatuses] = useState([]);
+    const [spellUsed, setSpellUsed] = useState(false);
+    const [opponentStatuses, setOpponentStatuses] = useState([]);
+    const [spellMessage, setSpellMessage] = useState(null); // Último hechizo lanzado o carta perdida por Congelar
+    const [myDeck, setMyDeck] = useState(null);       // Modo mazo: { drawCount, discardCount } (null fuera del modo mazo)
+    const [opponentDeck, setOpponentDeck] = useState(null);
+    const [myStreak, setMyStreak] = useState(0);
+    const [discarding, setDiscarding] = useState(false);
+    const [draft, setDraft] = useState(null);         // Modo draft: pool y turno mientras se eligen cartas (null = jugando)
+    const [roundDeadline, setRoundDeadline] = useState(null); // Hora límite de la ronda en el reloj del servidor (null = sin límite)
+    const [clockOffset, setClockOffset] = useState(0); // Reloj del servidor menos el local
+    const [freeForAll, setFreeForAll] = useState(false); // Más de dos jugadores (ver shared/freeForAll.js)
+    const [players, setPlayers] = useState([]);       // Lo público de todos los jugadores, en orden de asiento (host primero)
+    const [eliminated, setEliminated] = useState(false); // Todos contra todos: sin HP, solo miramos
+    const [teamMode, setTeamMode] = useState(false); // 2 vs 2 con HP compartido (ver shared/teams.js)
+    const [myTeam, setMyTeam] = useState(null);
+    const [teams, setTeams] = useState(null);         // Modo equipos: HP de cada equipo
+    const [teammateDraft, setTeammateDraft] = useState(null); // Modo equipos: { playerName, expression } que escribe el compañero
     const [waitingForServer, setWaitingForServer] = useState(true);
 
     // Expression building
@@ -47,6 +95,7 @@ const MultiplayerGame = ({
     // Turn state
     const [submitted, setSubmitted] = useState(false);
     const [opponentReady, setOpponentReady] = useState(false);
+    const [submitError, setSubmitError] = useState(null);
 
     // Result state
     const [showResult, setShowResult] = useState(false);
@@ -56,10 +105,15 @@ const MultiplayerGame = ({
     // Game over state
     const [gameOver, setGameOver] = useState(false);
     const [winner, setWinner] = useState(null);
+    const [winningTeam, setWinningTeam] = useState(null); // Modo equipos: clave del equipo ganador
+    const [matchSeed, setMatchSeed] = useState(null); // La semilla solo se revela al terminar la partida
 
     // Visual state
     const [isShaking, setIsShaking] = useState(false);
 
+    // Reconexión: el rival se desconectó (y tiene un rato para volver) o perdimos el asiento
+    const [sessionMessage, setSessionMessage] = useState(null);
+
     // ========================================
     // Socket Event Handlers - USAR DATOS DEL SERVIDOR
     // ========================================
@@ -78,6 +132,7 @@ const MultiplayerGame = ({
         // Actualizar datos del juego desde el servidor
         setRound(gameState.round || 1);
         setTarget(gameState.target || 0);
+        setTargetRating(gameState.targetRating || null);
 
         // Cartas del servidor
         setCards(gameState.myCards || []);
@@ -89,22 +144,67 @@ const MultiplayerGame = ({
         }));
         setVariables(varsArray);
         setVariableValues(gameState.variableValues || {});
+        setEquation(gameState.equation || null);
+        setMystery(gameState.mystery || null);
 
         // HP
         if (gameState.myHp !== undefined) setMyHp(gameState.myHp);
         if (gameState.opponentHp !== undefined) setOpponentHp(gameState.opponentHp);
 
+        // Hechizos y estados
+        setMySpells(gameState.mySpells || []);
+        setMyStatuses(gameState.myStatuses || []);
+        setSpellUsed(Boolean(gameState.mySpellUsed));
+        setOpponentStatuses(gameState.opponentStatuses || []);
+        setSpellMessage(gameState.myLostCard != null
+            ? `🧊 Estás congelado: pierdes la carta ${gameState.myLostCard}`
+            : null);
+
+        // Modo mazo
+        setMyDeck(gameState.myDeck || null);
+        setOpponentDeck(gameState.opponentDeck || null);
+        setMyStreak(gameState.myStreak || 0);
+        setDiscarding(false);
+
+        // Modo draft
+        setDraft(gameState.draft || null);
+
+        // Todos contra todos
+        setFreeForAll(Boolean(gameState.freeForAll));
+        setPlayers(gameState.players || []);
+        setEliminated(Boolean(gameState.myEliminated));
+
+        // Modo equipos (el borrador del compañero es de la ronda anterior)
+        setTeamMode(Boolean(gameState.teamMode));
+        setMyTeam(gameState.myTeam ?? null);
+        setTeams(gameState.teams || null);
+        setTeammateDraft(null);
+
+        // Tiempo de la ronda (lo lleva el servidor)
+        setRoundDeadline(gameState.roundDeadline || null);
+        if (gameState.serverTime) setClockOffset(gameState.serverTime - Date.now());
+
         // Reset estado de la ronda
         setExpression('');
+        setEquationAnswer('');
         setUsedCards([]);
         setUsedVariables([]);
-        setSubmitted(false);
-        setOpponentReady(false);
-        setShowResult(false);
-        setRoundResult(null);
+        setSubmitted(Boolean(gameState.mySubmitted));
+        setOpponentReady(Boolean(gameState.opponentSubmitted));
+        setSubmitError(null);
         setWaitingForServer(false);
         setWaitingForNextRound(false);
 
+        // Al reconectar, la ronda puede estar ya resuelta (el resumen viene en el estado)
+        setShowResult(Boolean(gameState.roundResult));
+        setRoundResult(gameState.roundResult || null);
+        if (gameState.status === 'finished' && gameState.roundResult?.gameOver) {
+            setGameOver(true);
+            setWinner(gameState.roundResult.winner);
+            setWinningTeam(gameState.roundResult.winningTeam ?? null);
+            setMatchSeed(gameState.seed ?? null);
+        }
+
         console.log('[Game] Estado actualizado:', {
             round: gameState.round,
             target: gameState.target,
@@ -128,11 +228,98 @@ const MultiplayerGame = ({
     const handleSubmitted = useCallback((data) => {
         console.log('[Game] Mi expresión confirmada');
         setSubmitted(true);
+        if (data?.timedOut) {
+            setSpellMessage('⏱️ Se acabó el tiempo: pierdes el turno');
+        }
+    }, []);
+
+    /**
+     * El servidor rechazó la expresión (ej: carta no repartida u operador no permitido)
+     */
+    const handleGameError = useCallback((error) => {
+        console.warn('[Game] Error del servidor:', error);
+        setSubmitError(error?.message || 'Error del servidor');
+        soundManager.playError();
     }, []);
 
-    const handleOpponentReady = useCallback(() => {
-        console.log('[Game] Oponente listo');
+    /**
+     * Alguien lanzó un hechizo: `state` trae las cartas, HP y estados ya actualizados.
+     * No reinicia `submitted` (el rival puede lanzar después de que yo envíe).
+     */
+    const handleSpellCast = useCallback(({ caster, target: spellTarget, spell, effect, state }) => {
+        console.log('[Game] Hechizo lanzado:', caster, spell, effect);
+        const mine = caster === playerName;
+        if (mine) {
+            // Robar puede cambiar las cartas: la expresión en curso se descarta
+            setExpression('');
+            setUsedCards([]);
+            setUsedVariables([]);
+            setSubmitError(null);
+        }
+
+        setCards(state.myCards || []);
+        setMyHp(state.myHp);
+        setOpponentHp(state.opponentHp);
+        setMySpells(state.mySpells || []);
+        setMyStatuses(state.myStatuses || []);
+        setSpellUsed(Boolean(state.mySpellUsed));
+        setOpponentStatuses(state.opponentStatuses || []);
+        setPlayers(state.players || []);
+        setTeams(state.teams || null);
+
+        // En todos contra todos el hechizo puede ir contra otro jugador
+        const onMe = spellTarget === playerName;
+        const details = {
+            heal: ` (+${effect.healed} HP)`,
+            steal: mine ? ` (das ${effect.given}, te llevas ${effect.taken})` : onMe ? ` (te quita ${effect.taken}, te da ${effect.given})` : ''
+        };
+        const against = (state.freeForAll || state.teamMode) && SPELLS[spell].target === 'opponent' && !onMe ? ` sobre ${spellTarget}` : '';
+        setSpellMessage(`${SPELLS[spell].emoji} ${mine ? 'Lanzas' : `${caster} lanza`} ${SPELLS[spell].name}${against}${details[spell] || ''}`);
+        soundManager.playPop();
+    }, [playerName]);
+
+    /**
+     * Modo mazo: alguien descartó o hizo mulligan (`state` trae la mano, el mazo y el HP ya pagado)
+     */
+    const handleDeckUpdated = useCallback(({ player, action, discarded, state }) => {
+        console.log('[Game] Acción de mazo:', player, action);
+        const { emoji, name } = DECK_ACTIONS[action];
+        if (player === playerName) {
+            setExpression('');
+            setUsedCards([]);
+            setUsedVariables([]);
+            setSubmitError(null);
+            setSpellMessage(`${emoji} ${name}: ${discarded.join(', ')} al ${action === 'mulligan' ? 'mazo' : 'descarte'}`);
+        } else {
+            setSpellMessage(`${emoji} ${player} usa ${name}`);
+        }
+
+        setCards(state.myCards || []);
+        setMyHp(state.myHp);
+        setOpponentHp(state.opponentHp);
+        setMyDeck(state.myDeck || null);
+        setOpponentDeck(state.opponentDeck || null);
+        setMyStreak(state.myStreak || 0);
+        soundManager.playPop();
+    }, [playerName]);
+
+    /**
+     * Modo draft: alguien eligió una carta del pool (o se eligió por él al acabarse el tiempo)
+     */
+    const handleDraftPick = useCallback(({ picker, value, auto, draft: nextDraft, myCards }) => {
+        console.log('[Game] Draft:', picker, value, auto ? '(automática)' : '');
+        setDraft(nextDraft);
+        setCards(myCards || []);
+        setSpellMessage(auto
+            ? `⏱️ Se acabó el tiempo: ${picker} se lleva la carta ${value}`
+            : `🔀 ${picker === playerName ? 'Eliges' : `${picker} elige`} la carta ${value}`);
+        soundManager.playSelect();
+    }, [playerName]);
+
+    const handleOpponentReady = useCallback((data) => {
+        console.log('[Game] Oponente listo:', data?.playerName);
         setOpponentReady(true);
+        setPlayers(prev => prev.map(player => (player.name === data?.playerName ? { ...player, submitted: true } : player)));
     }, []);
 
     const handleRoundResult = useCallback((result) => {
@@ -140,36 +327,82 @@ const MultiplayerGame = ({
         setRoundResult(result);
         setShowResult(true);
 
-        // Determinar mis datos y del oponente
-        const myData = isHost ? result.player1 : result.player2;
-        const opponentData = isHost ? result.player2 : result.player1;
+        // Determinar mis datos y del oponente (en todos contra todos y en equipos, por nombre: un eliminado ya no sale)
+        const byName = result.freeForAll || result.teamMode;
+        const myData = byName ? result.players.find(player => player.name === playerName) : (isHost ? result.player1 : result.player2);
+        const opponentData = byName ? null : (isHost ? result.player2 : result.player1);
+        // Modo equipos: el golpe lo recibe el equipo entero
+        const myTeamResult = result.teams?.find(team => team.team === myData?.team);
+        const rivalHit = result.teams?.some(team => team.team !== myData?.team && team.damageTaken > 0);
 
         // Efectos de sonido
-        if (myData.damageTaken > 0) {
+        if (myData?.damageTaken > 0 || myTeamResult?.damageTaken > 0) {
             soundManager.playDamage();
             setIsShaking(true);
             setTimeout(() => setIsShaking(false), 500);
-        } else if (opponentData.damageTaken > 0) {
+        } else if (opponentData?.damageTaken > 0 || myData?.rank === 1 || rivalHit) {
             soundManager.playWin();
         }
 
         // Actualizar HP
-        setMyHp(myData.currentHp);
-        setOpponentHp(opponentData.currentHp);
+        if (myData) setMyHp(myData.currentHp);
+        if (opponentData) setOpponentHp(opponentData.currentHp);
+        if (myData?.eliminated) setEliminated(true);
+        if (result.teams) {
+            setTeams(prev => prev?.map((team) => {
+                const summary = result.teams.find(({ team: key }) => key === team.team);
+                return summary ? { ...team, hp: summary.currentHp } : team;
+            }) ?? null);
+        }
+        setPlayers(prev => prev.map((player) => {
+            const entry = result.players.find(({ name }) => name === player.name);
+            return entry
+                ? { ...player, hp: entry.currentHp, eliminated: Boolean(entry.eliminated), submitted: false }
+                : { ...player, submitted: false };
+        }));
 
-    }, [isHost]);
+    }, [isHost, playerName]);
 
     const handleGameOver = useCallback((data) => {
         console.log('[Game] Fin del juego:', data);
         setGameOver(true);
         setWinner(data.winner);
+        setWinningTeam(data.winningTeam ?? null);
+        setMatchSeed(data.seed ?? null);
 
-        if (data.winner === playerName) {
+        if (data.winner === playerName || (data.winningTeam && data.winningTeam === myTeam)) {
             soundManager.playWin();
         } else {
             soundManager.playError();
         }
-    }, [playerName]);
+    }, [playerName, myTeam]);
+
+    /**
+     * Modo equipos: el compañero está escribiendo (solo nos llega lo de nuestro equipo)
+     */
+    const handleTeamDraft = useCallback(({ playerName: name, expression: draftExpression }) => {
+        setTeammateDraft({ playerName: name, expression: draftExpression });
+    }, []);
+
+    /**
+     * Recuperamos el asiento tras un corte: el estado actual sustituye al que teníamos
+     */
+    const handleSessionResumed = useCallback(({ state }) => {
+        console.log('[Game] Sesión recuperada');
+        handleGameData(state);
+    }, [handleGameData]);
+
+    const handleOpponentDisconnected = useCallback(({ playerName: name, graceMs }) => {
+        setSessionMessage(`📡 ${name || opponentName} se desconectó. Esperando ${Math.round(graceMs / 1000)}s a que vuelva...`);
+    }, [opponentName]);
+
+    const handleOpponentReconnected = useCallback(() => {
+        setSessionMessage(null);
+    }, []);
+
+    const handleSessionExpired = useCallback(({ message }) => {
+        setSessionMessage(`⚠️ ${message}`);
+    }, []);
 
     // Subscribe to events - IMPORTANTE: game:started para datos iniciales
     useSocketEvent('game:started', handleGameData);
@@ -178,34 +411,65 @@ const MultiplayerGame = ({
     useSocketEvent('game:opponentReady', handleOpponentReady);
     useSocketEvent('game:roundResult', handleRoundResult);
     useSocketEvent('game:over', handleGameOver);
+    useSocketEvent('game:error', handleGameError);
+    useSocketEvent('game:spellCast', handleSpellCast);
+    useSocketEvent('game:deckUpdated', handleDeckUpdated);
+    useSocketEvent('team:draft', handleTeamDraft);
+    useSocketEvent('draft:start', handleGameData);
+    useSocketEvent('draft:pick', handleDraftPick);
+    useSocketEvent('draft:done', handleGameData);
+    useSocketEvent('session:resumed', handleSessionResumed);
+    useSocketEvent('session:opponentDisconnected', handleOpponentDisconnected);
+    useSocketEvent('session:opponentReconnected', handleOpponentReconnected);
+    useSocketEvent('session:expired', handleSessionExpired);
+
+    // Modo equipos: cada cambio de la expresión (o de la respuesta al despejar x) le llega al compañero
+    const draftText = equation ? equationAnswer : expression;
+    useEffect(() => {
+        if (!teamMode || submitted) return;
+        socket.emit('team:draft', { roomCode, expression: draftText });
+    }, [socket, roomCode, teamMode, submitted, draftText]);
 
     // ========================================
     // Expression Building - IGUAL QUE MODO LOCAL
     // ========================================
 
     const getLastTokenType = (expr) => {
-        if (!expr || expr.length === 0) return 'empty';
-        const lastChar = expr[expr.length - 1];
+        const trimmed = (expr || '').trimEnd();
+        if (trimmed.length === 0) return 'empty';
+        if (trimmed.endsWith('mod')) return 'operator';
+        const lastChar = trimmed[trimmed.length - 1];
         if (/\d/.test(lastChar)) return 'number';
-        if (['x', 'y'].includes(lastChar)) return 'variable';
-        if (['+', '-', '*', '/'].includes(lastChar)) return 'operator';
+        if (/[a-zA-Z]/.test(lastChar)) return 'variable';
+        if (['+', '-', '*', '/', '^'].includes(lastChar)) return 'operator';
+        if (lastChar === '√') return 'prefix';
         if (lastChar === '(') return 'openParen';
-        if (lastChar === ')') return 'closeParen';
+        if (lastChar === ')' || lastChar === '!') return 'closeParen';
         return 'unknown';
     };
 
     const lastTokenType = getLastTokenType(expression);
-    const canAddNumber = lastTokenType === 'empty' || lastTokenType === 'operator' || lastTokenType === 'openParen';
+    const canAddNumber = lastTokenType === 'empty' || lastTokenType === 'operator' || lastTokenType === 'openParen' || lastTokenType === 'prefix';
     const canAddVariable = canAddNumber || lastTokenType === 'number' || lastTokenType === 'closeParen';
     const canAddOperator = lastTokenType === 'number' || lastTokenType === 'variable' || lastTokenType === 'closeParen';
-    const canAddOpenParen = lastTokenType === 'empty' || lastTokenType === 'operator' || lastTokenType === 'openParen';
+    const canAddOpenParen = lastTokenType === 'empty' || lastTokenType === 'operator' || lastTokenType === 'openParen' || lastTokenType === 'prefix';
+    const canAddPrefix = canAddOpenParen;
+    const canAddNegation = ['empty', 'openParen', 'operator'].includes(lastTokenType) && !expression.trimEnd().endsWith('-');
     const openParenCount = (expression.match(/\(/g) || []).length;
     const closeParenCount = (expression.match(/\)/g) || []).length;
     const canAddCloseParen = (lastTokenType === 'number' || lastTokenType === 'variable' || lastTokenType === 'closeParen') && openParenCount > closeParenCount;
 
     const handleCardClick = (cardValue, index) => {
+        // Modo mazo: con "Descartar" activo, la carta tocada se descarta
+        if (discarding) {
+            if (submitted || usedCards.includes(index)) return;
+            setDiscarding(false);
+            socket.emit('game:deckAction', { roomCode, action: 'discard', index });
+            return;
+        }
         if (submitted || usedCards.includes(index) || !canAddNumber) return;
         soundManager.playSelect();
+        setSubmitError(null);
         setExpression(prev => prev + cardValue);
         setUsedCards(prev => [...prev, index]);
     };
@@ -218,9 +482,12 @@ const MultiplayerGame = ({
     };
 
     const handleOperatorClick = (operator) => {
-        if (submitted || !canAddOperator) return;
+        const allowed = PREFIX_OPERATORS.includes(operator)
+            ? canAddPrefix
+            : canAddOperator || (operator === '-' && canAddNegation);
+        if (submitted || !allowed) return;
         soundManager.playPop();
-        setExpression(prev => prev + operator);
+        setExpression(prev => prev + getOperatorText(operator));
     };
 
     const handleParenthesis = (paren) => {
@@ -240,30 +507,70 @@ const MultiplayerGame = ({
         setExpression('');
         setUsedCards([]);
         setUsedVariables([]);
+        setSubmitError(null);
     };
 
     const evaluateExpression = () => {
         if (!expression) return null;
         try {
-            return evaluateExpressionWithVariables(expression, variableValues);
+            return evaluateExpressionWithVariables(expression, variableValues, { exact: Boolean(diffConfig.exactArithmetic) });
         } catch {
             return null;
         }
     };
 
     const handleSubmit = () => {
-        if (submitted || !expression.trim()) return;
+        if (submitted) return;
+
+        // Ronda "Despeja x": se envía el valor de x (el servidor comprueba la solución)
+        if (equation) {
+            if (parseEquationAnswer(equationAnswer, equation.variable) === null) {
+                setSubmitError(`Responde con el valor de ${equation.variable}, ej: 5`);
+                soundManager.playError();
+                return;
+            }
+            soundManager.playAttack();
+            socket.emit('game:submit', { roomCode, expression: equationAnswer });
+            return;
+        }
+
+        if (!expression.trim()) return;
 
-        const result = evaluateExpression();
-        if (result === null || isNaN(result)) {
+        // En rondas de incógnita no se conoce x: solo se valida la mano
+        const result = mystery ? null : evaluateExpression();
+        if (!mystery && result === null) {
             console.error('[Game] Expresión inválida');
             return;
         }
 
+        // Misma validación que hace el servidor, para avisar sin esperar la respuesta
+        const validation = validateExpressionForHand(expression, { cards, variables, difficulty: gameDifficulty });
+        if (!validation.valid) {
+            setSubmitError(validation.message);
+            soundManager.playError();
+            return;
+        }
+
         soundManager.playAttack();
         socket.emit('game:submit', { roomCode, expression });
     };
 
+    const handleMulligan = () => {
+        if (submitted) return;
+        setDiscarding(false);
+        socket.emit('game:deckAction', { roomCode, action: 'mulligan' });
+    };
+
+    const handleDraftCardPick = (index) => {
+        if (!draft?.myTurn) return;
+        socket.emit('draft:pick', { roomCode, index });
+    };
+
+    const handleCastSpell = (spell) => {
+        if (submitted || spellUsed || draft) return;
+        socket.emit('game:castSpell', { roomCode, spell });
+    };
+
     // SOLO EL HOST puede iniciar siguiente ronda
     const handleNextRound = () => {
         if (!isHost) return; // Seguridad extra en cliente
@@ -276,7 +583,13 @@ const MultiplayerGame = ({
         onLeave();
     };
 
-    const previewResult = evaluateExpression();
+    // En todos contra todos y en equipos se espera a todos los que siguen vivos
+    const othersReady = freeForAll || teamMode
+        ? players.filter(player => !player.isMe && !player.eliminated).every(player => player.submitted)
+        : opponentReady;
+
+    // Con x oculta, la vista previa es la expresión simplificada (ej: "3x + 12")
+    const previewResult = mystery ? toLinearForm(expression, mystery.variable)?.text : evaluateExpression();
 
     // ========================================
     // Render
@@ -297,16 +610,27 @@ const MultiplayerGame = ({
 
     // Game Over Screen
     if (gameOver) {
-        const isWinner = winner === playerName;
+        const isWinner = winner === playerName || (winningTeam !== null && winningTeam === myTeam);
+        // Sin ganador: el host cerró una sala de todos contra todos o de equipos
+        const noWinner = !winner || winner === 'draw';
         return (
             <div className="app-background multiplayer-gameover">
                 <div className="gameover-content liquid-glass">
                     <h1 className="gameover-title">
-                        {isWinner ? '🏆 ¡VICTORIA!' : '💀 DERROTA'}
+                        {isWinner ? '🏆 ¡VICTORIA!' : noWinner ? '🤝 FIN DE LA PARTIDA' : '💀 DERROTA'}
                     </h1>
                     <p className="gameover-winner">
-                        {isWinner ? '¡Has ganado la batalla!' : `${winner} ha ganado`}
+                        {isWinner
+                            ? (teamMode ? '¡Tu equipo ha ganado la batalla!' : '¡Has ganado la batalla!')
+                            : winner === 'draw'
+                                ? 'Nadie queda en pie: empate'
+                                : winner ? `${winner} ha ganado` : 'El host cerró la sala'}
                     </p>
+                    {matchSeed && (
+                        <p className="gameover-winner">
+                            🌱 Semilla: {matchSeed} (úsala al crear sala para repetir las mismas manos)
+                        </p>
+                    )}
                     <button onClick={handleExit} className="btn btn-primary">
                         Volver al Menú
                     </button>
@@ -315,7 +639,20 @@ const MultiplayerGame = ({
         );
     }
 
-    // Round Result Screen
+    // Round Result Screen (todos contra todos: tabla por puestos; equipos: tabla por equipos)
+    if (showResult && (roundResult?.freeForAll || roundResult?.teamMode)) {
+        return (
+            <RoundResult
+                result={roundResult}
+                playerName={playerName}
+                isHost={isHost}
+                hostName={players[0]?.name}
+                waitingForNextRound={waitingForNextRound}
+                onContinue={handleNextRound}
+            />
+        );
+    }
+
     if (showResult && roundResult) {
         const myData = isHost ? roundResult.player1 : roundResult.player2;
         const theirData = isHost ? roundResult.player2 : roundResult.player1;
@@ -325,7 +662,13 @@ const MultiplayerGame = ({
                 <div className="round-result-content liquid-glass">
                     <header className="result-header">
                         <h2>Ronda {roundResult.round}</h2>
-                        <p className="result-target">Target: {roundResult.target}</p>
+                        <p className="result-target">
+                            {roundResult.equation
+                                ? `🔍 ${roundResult.equation.equation} → ${roundResult.equation.variable} = ${roundResult.equation.solution}`
+                                : roundResult.mystery
+                                    ? `🎭 Target: ${roundResult.mystery.target} · ${roundResult.mystery.variable} = ${roundResult.variableValues[roundResult.mystery.variable]}`
+                                    : `Target: ${formatValue(roundResult.target)}`}
+                        </p>
                     </header>
 
                     <div className="result-winner-banner">
@@ -340,10 +683,13 @@ const MultiplayerGame = ({
                         <div className="result-card">
                             <h3>{playerName} (Tú)</h3>
                             <div className="result-expression">{myData.expression || '(Sin respuesta)'}</div>
-                            <div className="result-value">= {myData.result ?? '?'}</div>
+                            {!roundResult.equation && <div className="result-value">= {formatValue(myData.result ?? '?')}</div>}
+                            <EvaluationTrace steps={myData.trace} />
                             <div className="result-stats">
                                 <span className="result-damage">{myData.damageTaken > 0 ? `-${myData.damageTaken} HP` : 'Sin daño'}</span>
                                 <span className="result-hp">HP: {myData.currentHp}</span>
+                                {myData.doubled && <span className="result-spell">✨ x2</span>}
+                                {myData.blocked && <span className="result-spell">🛡️ Bloqueado</span>}
                             </div>
                         </div>
 
@@ -352,14 +698,29 @@ const MultiplayerGame = ({
                         <div className="result-card">
                             <h3>{opponentName}</h3>
                             <div className="result-expression">{theirData.expression || '(Sin respuesta)'}</div>
-                            <div className="result-value">= {theirData.result ?? '?'}</div>
+                            {!roundResult.equation && <div className="result-value">= {formatValue(theirData.result ?? '?')}</div>}
+                            <EvaluationTrace steps={theirData.trace} />
                             <div className="result-stats">
                                 <span className="result-damage">{theirData.damageTaken > 0 ? `-${theirData.damageTaken} HP` : 'Sin daño'}</span>
                                 <span className="result-hp">HP: {theirData.currentHp}</span>
+                                {theirData.doubled && <span className="result-spell">✨ x2</span>}
+                                {theirData.blocked && <span className="result-spell">🛡️ Bloqueado</span>}
                             </div>
                         </div>
                     </div>
 
+                    {roundResult.mystery && (
+                        <p className="result-target">💡 Una forma de llegar: {roundResult.mystery.solution}</p>
+                    )}
+
+                    {roundResult.bestPlay && (
+                        <BestPlay
+                            play={roundResult.bestPlay}
+                            exact={roundResult.bestPlay.exact}
+                            solutionCount={roundResult.bestPlay.solutionCount}
+                        />
+                    )}
+
                     {/* SOLO HOST puede continuar */}
                     {isHost ? (
                         <button
@@ -387,132 +748,247 @@ const MultiplayerGame = ({
                 <div className="mp-room-info">
                     <span className="mp-room-code">Sala: {roomCode}</span>
                     <span className="mp-round">Ronda {round}</span>
+                    {roundDeadline && !draft && (
+                        <RoundTimer key={roundDeadline} deadline={roundDeadline} clockOffset={clockOffset} />
+                    )}
                 </div>
             </header>
 
-            {/* Players Bar */}
-            <div className="mp-players-bar">
-                <div className="mp-player me">
-                    <div className="mp-player-name">{playerName}</div>
-                    <div className="mp-hp-bar">
-                        <div className="mp-hp-fill" style={{ width: `${(myHp / maxHp) * 100}%` }}></div>
-                        <span className="mp-hp-text">{myHp} HP</span>
+            {/* Players Bar (todos contra todos: la lista de jugadores; equipos: el HP de cada equipo) */}
+            {teamMode && teams ? (
+                <TeamPlayers teams={teams} players={players} myTeam={myTeam} />
+            ) : freeForAll ? (
+                <FreeForAllPlayers players={players} />
+            ) : (
+                <div className="mp-players-bar">
+                    <div className="mp-player me">
+                        <div className="mp-player-name">{playerName}</div>
+                        <div className="mp-hp-bar">
+                            <div className="mp-hp-fill" style={{ width: `${(myHp / maxHp) * 100}%` }}></div>
+                            <span className="mp-hp-text">{myHp} HP</span>
+                        </div>
+                        <StatusBadges statuses={myStatuses} />
+                        {submitted && <span className="mp-status ready">✓ Listo</span>}
                     </div>
-                    {submitted && <span className="mp-status ready">✓ Listo</span>}
-                </div>
 
-                <div className="mp-vs">VS</div>
+                    <div className="mp-vs">VS</div>
 
-                <div className="mp-player opponent">
-                    <div className="mp-player-name">{opponentName}</div>
-                    <div className="mp-hp-bar opponent-bar">
-                        <div className="mp-hp-fill" style={{ width: `${(opponentHp / maxHp) * 100}%` }}></div>
-                        <span className="mp-hp-text">{opponentHp} HP</span>
+                    <div className="mp-player opponent">
+                        <div className="mp-player-name">{opponentName}</div>
+                        <div className="mp-hp-bar opponent-bar">
+                            <div className="mp-hp-fill" style={{ width: `${(opponentHp / maxHp) * 100}%` }}></div>
+                            <span className="mp-hp-text">{opponentHp} HP</span>
+                        </div>
+                        <StatusBadges statuses={opponentStatuses} />
+                        {opponentDeck && <span className="mp-status">🂠 {opponentDeck.drawCount} en el mazo</span>}
+                        {opponentReady && <span className="mp-status ready">✓ Listo</span>}
                     </div>
-                    {opponentReady && <span className="mp-status ready">✓ Listo</span>}
                 </div>
-            </div>
+            )}
 
-            {/* Target Display */}
+            {/* Target Display (o la ecuación en una ronda "Despeja x") */}
             <div className="mp-target-display liquid-glass">
-                <span className="mp-target-label">TARGET</span>
-                <span className="mp-target-value">{target}</span>
+                {equation ? (
+                    <>
+                        <span className="mp-target-label">🔍 DESPEJA {equation.variable.toUpperCase()}</span>
+                        <span className="equation-display">{equation.equation}</span>
+                    </>
+                ) : mystery ? (
+                    <>
+                        <span className="mp-target-label">🎭 FORMA LA EXPRESIÓN</span>
+                        <span className="equation-display">{mystery.target}</span>
+                    </>
+                ) : (
+                    <>
+                        <span className="mp-target-label">TARGET</span>
+                        <span className="mp-target-value">{formatValue(target)}</span>
+                        <TargetRating rating={targetRating} />
+                    </>
+                )}
             </div>
 
-            {/* Variables Display */}
-            {Object.keys(variableValues).length > 0 && (
-                <div className="mp-variables liquid-glass">
-                    <span className="mp-variables-label">Variables:</span>
-                    <div className="mp-variables-list">
-                        {Object.entries(variableValues).map(([name, value]) => (
-                            <span key={name} className="mp-variable">{name} = {value}</span>
-                        ))}
-                    </div>
+            {eliminated && (
+                <div className="mp-waiting-message mp-error-message liquid-glass">
+                    💀 Estás eliminado: la partida sigue hasta que quede uno
                 </div>
             )}
 
-            {/* Expression Builder */}
-            <div className="mp-expression-area liquid-glass">
-                <div className="mp-expression-display">
-                    <span className="mp-expression-text">
-                        {expression || 'Construye tu expresión...'}
-                    </span>
-                    {expression && (
-                        <span className="mp-expression-preview">
-                            = {previewResult ?? '?'}
-                        </span>
-                    )}
+            {/* Modo equipos: lo que está escribiendo el compañero */}
+            {teamMode && teammateDraft && (
+                <div className="mp-teammate-draft liquid-glass">
+                    🤝 {teammateDraft.playerName}: <span className="mp-expression-text">{teammateDraft.expression || '...'}</span>
                 </div>
-            </div>
+            )}
 
-            {/* Cards - Cartas numéricas */}
-            <div className="mp-cards-area">
-                {cards.map((cardValue, index) => (
-                    <button
-                        key={`card-${index}`}
-                        className={`mp-card ${usedCards.includes(index) ? 'used' : ''}`}
-                        onClick={() => handleCardClick(cardValue, index)}
-                        disabled={submitted || usedCards.includes(index)}
-                    >
-                        {cardValue}
-                    </button>
-                ))}
-                {/* Variables como cartas */}
-                {variables.map((variable, index) => (
-                    <button
-                        key={`var-${variable.symbol}`}
-                        className={`mp-card variable-card ${usedVariables.includes(variable.symbol) ? 'used' : ''}`}
-                        onClick={() => handleVariableClick(variable)}
-                        disabled={submitted || usedVariables.includes(variable.symbol)}
-                    >
-                        {variable.symbol}
-                    </button>
-                ))}
-            </div>
+            {equation && !eliminated && (
+                <EquationPanel
+                    equation={equation}
+                    answer={equationAnswer}
+                    onAnswerChange={(value) => {
+                        setEquationAnswer(value);
+                        setSubmitError(null);
+                    }}
+                    onSubmit={handleSubmit}
+                    disabled={submitted}
+                    submitLabel={submitted ? '⏳ Esperando...' : '✅ Enviar'}
+                />
+            )}
 
-            {/* Operators */}
-            <div className="mp-operators-area">
-                {diffConfig.operatorSymbols.map((op, i) => (
-                    <button
-                        key={op}
-                        className="mp-operator"
-                        onClick={() => handleOperatorClick(diffConfig.operators[i])}
-                        disabled={submitted}
-                    >
-                        {op}
-                    </button>
-                ))}
-                {diffConfig.allowParentheses && (
-                    <>
-                        <button className="mp-operator" onClick={() => handleParenthesis('(')} disabled={submitted}>(</button>
-                        <button className="mp-operator" onClick={() => handleParenthesis(')')} disabled={submitted}>)</button>
-                    </>
-                )}
-            </div>
+            {/* Modo draft: antes de jugar se eligen las cartas del pool */}
+            {!equation && draft && (
+                <DraftPanel
+                    key={draft.picksLeft}
+                    draft={draft}
+                    myCards={cards}
+                    opponentName={opponentName}
+                    onPick={handleDraftCardPick}
+                />
+            )}
+
+            {/* Cartas, operadores y expresión (no se usan al despejar x ni durante el draft) */}
+            {!equation && !draft && !eliminated && (
+                <>
+                    {/* Variables Display */}
+                    {mystery && (
+                        <div className="mp-variables liquid-glass">
+                            <span className="mp-variables-label">Variables:</span>
+                            <div className="mp-variables-list">
+                                <span className="mp-variable">{mystery.variable} = ❓</span>
+                            </div>
+                        </div>
+                    )}
+                    {Object.keys(variableValues).length > 0 && (
+                        <div className="mp-variables liquid-glass">
+                            <span className="mp-variables-label">Variables:</span>
+                            <div className="mp-variables-list">
+                                {Object.entries(variableValues).map(([name, value]) => (
+                                    <span key={name} className="mp-variable">{name} = {value}</span>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Expression Builder */}
+                    <div className="mp-expression-area liquid-glass">
+                        <div className="mp-expression-display">
+                            <span className="mp-expression-text">
+                                {expression || 'Construye tu expresión...'}
+                            </span>
+                            {expression && (
+                                <span className="mp-expression-preview">
+                                    = {formatValue(previewResult ?? '?')}
+                                </span>
+                            )}
+                        </div>
+                    </div>
+
+                    {/* Cards - Cartas numéricas */}
+                    <div className="mp-cards-area">
+                        {cards.map((cardValue, index) => (
+                            <button
+                                key={`card-${index}`}
+                                className={`mp-card ${usedCards.includes(index) ? 'used' : ''} ${discarding ? 'discarding' : ''}`}
+                                onClick={() => handleCardClick(cardValue, index)}
+                                disabled={submitted || usedCards.includes(index)}
+                            >
+                                {cardValue}
+                            </button>
+                        ))}
+                        {/* Variables como cartas */}
+                        {variables.map((variable, index) => (
+                            <button
+                                key={`var-${variable.symbol}`}
+                                className={`mp-card variable-card ${usedVariables.includes(variable.symbol) ? 'used' : ''}`}
+                                onClick={() => handleVariableClick(variable)}
+                                disabled={submitted || usedVariables.includes(variable.symbol)}
+                            >
+                                {variable.symbol}
+                            </button>
+                        ))}
+                    </div>
+
+                    {/* Modo mazo: cartas restantes, descartes y mulligan */}
+                    {myDeck && (
+                        <DeckPanel
+                            deck={myDeck}
+                            streak={myStreak}
+                            discarding={discarding}
+                            onToggleDiscard={() => setDiscarding(prev => !prev)}
+                            onMulligan={handleMulligan}
+                            disabled={submitted}
+                        />
+                    )}
+
+                    {/* Operators */}
+                    <div className="mp-operators-area">
+                        {diffConfig.operatorSymbols.map((op, i) => (
+                            <button
+                                key={op}
+                                className="mp-operator"
+                                onClick={() => handleOperatorClick(diffConfig.operators[i])}
+                                disabled={submitted}
+                            >
+                                {op}
+                            </button>
+                        ))}
+                        {diffConfig.allowParentheses && (
+                            <>
+                                <button className="mp-operator" onClick={() => handleParenthesis('(')} disabled={submitted}>(</button>
+                                <button className="mp-operator" onClick={() => handleParenthesis(')')} disabled={submitted}>)</button>
+                            </>
+                        )}
+                    </div>
 
-            {/* Actions */}
-            <div className="mp-actions-area">
-                <button className="btn btn-secondary" onClick={handleClear} disabled={submitted}>
-                    🗑️ Limpiar
-                </button>
-                <button
-                    className={`btn btn-primary ${submitted ? '' : 'pulse-btn'}`}
-                    onClick={handleSubmit}
-                    disabled={submitted || !expression}
-                >
-                    {submitted ? '⏳ Esperando...' : '✅ Enviar'}
-                </button>
+                    {/* Actions */}
+                    <div className="mp-actions-area">
+                        <button className="btn btn-secondary" onClick={handleClear} disabled={submitted}>
+                            🗑️ Limpiar
+                        </button>
+                        <button
+                            className={`btn btn-primary ${submitted ? '' : 'pulse-btn'}`}
+                            onClick={handleSubmit}
+                            disabled={submitted || !expression}
+                        >
+                            {submitted ? '⏳ Esperando...' : '✅ Enviar'}
+                        </button>
+                    </div>
+                </>
+            )}
+
+            {/* Hechizos (uno por ronda, antes de enviar) */}
+            <div className="mp-spells-area">
+                <SpellCards spells={mySpells} onCast={handleCastSpell} disabled={submitted || spellUsed || Boolean(draft) || eliminated} />
             </div>
 
             {/* Status Messages */}
-            {submitted && !opponentReady && (
+            {!isConnected && (
+                <div className="mp-waiting-message mp-error-message liquid-glass">
+                    📡 Conexión perdida. Reconectando...
+                </div>
+            )}
+            {sessionMessage && (
+                <div className="mp-waiting-message liquid-glass">
+                    {sessionMessage}
+                </div>
+            )}
+            {spellMessage && (
+                <div className="mp-waiting-message liquid-glass">
+                    {spellMessage}
+                </div>
+            )}
+            {submitError && !submitted && (
+                <div className="mp-waiting-message mp-error-message liquid-glass">
+                    ⚠️ {submitError}
+                </div>
+            )}
+            {submitted && !othersReady && (
                 <div className="mp-waiting-message liquid-glass">
-                    ⏳ Esperando a que {opponentName} envíe su respuesta...
+                    ⏳ Esperando a que {freeForAll || teamMode ? 'el resto de jugadores' : opponentName} envíe su respuesta...
                 </div>
             )}
-            {submitted && opponentReady && (
+            {submitted && othersReady && (
                 <div className="mp-waiting-message liquid-glass">
-                    ✅ ¡Ambos listos! Calculando resultados...
+                    ✅ ¡{freeForAll || teamMode ? 'Todos' : 'Ambos'} listos! Calculando resultados...
                 </div>
             )}
         </div>
@@ -5,23 +5,29 @@
  * Estados:
  * - 'lobby': Pantalla de selección/creación de salas
  * - 'game': Partida en progreso
+ * - 'spectate': Viendo la partida de otros como espectador (solo lectura)
+ *
+ * Si la conexión se corta en plena partida, la partida sigue en pantalla:
+ * useSocket pide recuperar el asiento al reconectar (session:resume).
  */
 
-import React, { useState } from 'react';
+import React, { useState, useCallback } from 'react';
 import LobbyScreen from './LobbyScreen';
 import MultiplayerGame from './MultiplayerGame';
-import { useSocket } from '../../hooks/useSocket';
+import SpectatorView from './SpectatorView';
+import { useSocket, useSocketEvent } from '../../hooks/useSocket';
 
 const MultiplayerScreen = ({ difficulty, onExit }) => {
     const { socket, isConnected } = useSocket();
 
     // Estados del flujo
-    const [screen, setScreen] = useState('lobby'); // 'lobby' | 'game'
+    const [screen, setScreen] = useState('lobby'); // 'lobby' | 'game' | 'spectate'
     const [playerName, setPlayerName] = useState('');
     const [roomCode, setRoomCode] = useState(null);
     const [isHost, setIsHost] = useState(false);
     const [opponentName, setOpponentName] = useState('');
     const [initialGameState, setInitialGameState] = useState(null); // Datos iniciales del servidor
+    const [spectateData, setSpectateData] = useState(null); // spectate:joined (solo en modo espectador)
 
     // Handler cuando se inicia el juego desde el lobby
     const handleGameStart = (gameData) => {
@@ -32,6 +38,26 @@ const MultiplayerScreen = ({ difficulty, onExit }) => {
         setScreen('game');
     };
 
+    // Handler al recuperar el asiento desde fuera de la partida (ej: tras recargar la pestaña);
+    // dentro de la partida lo maneja MultiplayerGame
+    const handleSessionResumed = useCallback((data) => {
+        if (screen === 'game') return;
+        setPlayerName(data.playerName);
+        setRoomCode(data.roomCode);
+        setIsHost(data.isHost);
+        setOpponentName(data.opponentName);
+        setInitialGameState(data.state);
+        setScreen('game');
+    }, [screen]);
+
+    useSocketEvent('session:resumed', handleSessionResumed);
+
+    // Handler al entrar a mirar una sala
+    const handleSpectate = (data) => {
+        setSpectateData(data);
+        setScreen('spectate');
+    };
+
     // Handler cuando termina el juego
     const handleGameOver = (data) => {
         console.log('[MultiplayerScreen] Game Over:', data);
@@ -43,10 +69,11 @@ const MultiplayerScreen = ({ difficulty, onExit }) => {
         setScreen('lobby');
         setRoomCode(null);
         setInitialGameState(null);
+        setSpectateData(null);
     };
 
-    // Si no está conectado, mostrar pantalla de conexión
-    if (!isConnected) {
+    // Si no está conectado, mostrar pantalla de conexión (en partida o mirando se avisa dentro)
+    if (!isConnected && screen === 'lobby') {
         return (
             <div className="app-background multiplayer-connecting">
                 <div className="connecting-content liquid-glass">
@@ -72,12 +99,25 @@ const MultiplayerScreen = ({ difficulty, onExit }) => {
                 isHost={isHost}
                 difficulty={difficulty}
                 initialGameState={initialGameState}
+                isConnected={isConnected}
                 onLeave={handleLeaveGame}
                 onGameOver={handleGameOver}
             />
         );
     }
 
+    if (screen === 'spectate' && spectateData) {
+        return (
+            <SpectatorView
+                socket={socket}
+                spectateData={spectateData}
+                playerName={playerName}
+                isConnected={isConnected}
+                onLeave={handleLeaveGame}
+            />
+        );
+    }
+
     // Lobby por defecto
     return (
         <LobbyScreen
@@ -86,6 +126,7 @@ const MultiplayerScreen = ({ difficulty, onExit }) => {
             playerName={playerName}
             setPlayerName={setPlayerName}
             onGameStart={handleGameStart}
+            onSpectate={handleSpectate}
             onExit={onExit}
         />
     );
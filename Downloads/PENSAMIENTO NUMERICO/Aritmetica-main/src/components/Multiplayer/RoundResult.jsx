@@ -1,29 +1,48 @@
 /**
  * @file src/components/Multiplayer/RoundResult.jsx
- * @description Pantalla de resultados de ronda para multijugador
+ * @description Resultado de una ronda de todos contra todos o por equipos: tabla con cada jugador
+ *
+ * El resumen del servidor (game:roundResult) trae en `players` a quienes jugaron la ronda,
+ * con su puesto (`rank`, 1 = el más cercano al target), el daño recibido y si quedaron eliminados.
+ * En el modo equipos cada entrada trae su `team` y si fue la respuesta que contó (`counted`),
+ * y `teams` el golpe y el HP de cada equipo.
  */
 
 import React from 'react';
+import { formatValue } from '../../../shared/rational';
+import { FFA_DAMAGE_RULES } from '../../../shared/freeForAll';
+import { TEAMS } from '../../../shared/teams';
+import BestPlay from '../Game/BestPlay';
+import EvaluationTrace from '../Game/EvaluationTrace';
 
-const RoundResult = ({ result, isHost, playerName, opponentName, onContinue }) => {
-    // Determinar datos según si es host o guest
-    const myResult = isHost ? result.player1 : result.player2;
-    const theirResult = isHost ? result.player2 : result.player1;
-    const myName = isHost ? playerName : playerName;
-    const theirName = opponentName;
+/**
+ * @param {Object} props
+ * @param {Object} props.result - Resumen de la ronda (game:roundResult)
+ * @param {string} props.playerName - Nuestro nombre (si ya estábamos eliminados no sale en la tabla)
+ * @param {boolean} props.isHost - Solo el host inicia la siguiente ronda
+ * @param {string} props.hostName
+ * @param {boolean} props.waitingForNextRound - El host ya pidió la siguiente ronda
+ * @param {() => void} props.onContinue
+ */
+const RoundResult = ({ result, playerName, isHost, hostName, waitingForNextRound, onContinue }) => {
+    // Modo equipos: juntos los de cada equipo, primero la respuesta que contó
+    const ranking = result.teamMode
+        ? [...result.players].sort((a, b) => a.team.localeCompare(b.team) || b.counted - a.counted)
+        : [...result.players].sort((a, b) => a.rank - b.rank);
+    const mine = ranking.find(player => player.name === playerName);
+    const rule = result.teamMode ? null : FFA_DAMAGE_RULES[result.ffaRule];
 
-    // Determinar ganador de la ronda
     const getRoundWinnerText = () => {
-        if (result.roundWinner === 'draw') {
-            return '🤝 ¡EMPATE!';
+        if (result.roundWinner === 'draw' || result.roundWinner === 'draw_miss') return '🤝 ¡EMPATE!';
+        if (result.teamMode) {
+            return mine && TEAMS[mine.team].name === result.roundWinner
+                ? '🎉 ¡TU EQUIPO GANA LA RONDA!'
+                : `💥 Gana el ${result.roundWinner}`;
         }
-        const winnerName = result.roundWinner;
-        if (winnerName === myName || winnerName === playerName ||
-            (isHost && result.roundWinner === 'Player1') ||
-            (!isHost && result.roundWinner === 'Player2')) {
-            return '🎉 ¡GANASTE LA RONDA!';
-        }
-        return '😔 Perdiste la ronda';
+        if (!mine) return `🎉 Gana ${result.roundWinner}`;
+        if (mine.rank === 1) return '🎉 ¡GANASTE LA RONDA!';
+        if (mine.eliminated) return '💀 Has quedado eliminado';
+        return `🪜 Quedaste ${mine.rank}º`;
     };
 
     const getResultClass = (res) => {
@@ -38,46 +57,94 @@ const RoundResult = ({ result, isHost, playerName, opponentName, onContinue }) =
             <div className="round-result-content liquid-glass">
                 <header className="result-header">
                     <h2>Ronda {result.round}</h2>
-                    <p className="result-target">Target: {result.target}</p>
+                    <p className="result-target">
+                        {result.equation
+                            ? `🔍 ${result.equation.equation} → ${result.equation.variable} = ${result.equation.solution}`
+                            : result.mystery
+                                ? `🎭 Target: ${result.mystery.target} · ${result.mystery.variable} = ${result.variableValues[result.mystery.variable]}`
+                                : `Target: ${formatValue(result.target)}`}
+                    </p>
+                    {rule && <p className="result-target">{rule.emoji} {rule.name}</p>}
                 </header>
 
                 <div className="result-winner-banner">
                     {getRoundWinnerText()}
                 </div>
 
-                <div className="results-comparison">
-                    {/* Mi resultado */}
-                    <div className={`result-card ${getResultClass(myResult)}`}>
-                        <h3 className="result-player-name">{myName} (Tú)</h3>
-                        <div className="result-expression">{myResult.expression || '(Sin respuesta)'}</div>
-                        <div className="result-value">= {myResult.result ?? '?'}</div>
-                        <div className="result-stats">
-                            <span className="result-damage">
-                                {myResult.damageTaken > 0 ? `-${myResult.damageTaken} HP` : 'Sin daño'}
-                            </span>
-                            <span className="result-hp">HP: {myResult.currentHp}</span>
-                        </div>
+                {result.teams && (
+                    <div className="team-round-summary">
+                        {result.teams.map((team) => (
+                            <p key={team.team} className={`team-${team.team}`}>
+                                {TEAMS[team.team].emoji} {team.name}: cuenta {team.best}
+                                {team.blocked && ' 🛡️'} · {team.damageTaken > 0 ? `-${team.damageTaken}` : 'sin daño'} · {team.currentHp} HP
+                            </p>
+                        ))}
                     </div>
+                )}
 
-                    <div className="result-vs-divider">VS</div>
+                <table className="ffa-ranking">
+                    <thead>
+                        <tr>
+                            <th>{result.teamMode ? 'Equipo' : '#'}</th>
+                            <th>Jugador</th>
+                            <th>Respuesta</th>
+                            <th>Daño</th>
+                            <th>HP</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {ranking.map((player) => (
+                            <tr
+                                key={player.name}
+                                className={`${getResultClass(player)} ${player === mine ? 'mine' : ''} ${player.eliminated ? 'eliminated' : ''}`}
+                            >
+                                <td>{result.teamMode ? TEAMS[player.team].emoji : player.rank}</td>
+                                <td>
+                                    {player.name}{player === mine && ' (Tú)'}
+                                    {player.counted && <span className="result-spell" title="Su respuesta es la que contó"> ⭐</span>}
+                                    {player.doubled && <span className="result-spell"> ✨</span>}
+                                    {player.blocked && <span className="result-spell"> 🛡️</span>}
+                                </td>
+                                <td className="result-expression">
+                                    {player.expression}
+                                    {!result.equation && player.result != null && ` = ${formatValue(player.result)}`}
+                                </td>
+                                <td className="result-damage">{player.damageTaken > 0 ? `-${player.damageTaken}` : '—'}</td>
+                                <td className="result-hp">{player.eliminated ? '💀' : player.currentHp}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
 
-                    {/* Resultado del oponente */}
-                    <div className={`result-card ${getResultClass(theirResult)}`}>
-                        <h3 className="result-player-name">{theirName}</h3>
-                        <div className="result-expression">{theirResult.expression || '(Sin respuesta)'}</div>
-                        <div className="result-value">= {theirResult.result ?? '?'}</div>
-                        <div className="result-stats">
-                            <span className="result-damage">
-                                {theirResult.damageTaken > 0 ? `-${theirResult.damageTaken} HP` : 'Sin daño'}
-                            </span>
-                            <span className="result-hp">HP: {theirResult.currentHp}</span>
-                        </div>
-                    </div>
-                </div>
+                {/* El desglose, solo el propio: en la tabla no cabe */}
+                {mine && <EvaluationTrace steps={mine.trace} />}
+
+                {result.mystery && (
+                    <p className="result-target">💡 Una forma de llegar: {result.mystery.solution}</p>
+                )}
+
+                {result.bestPlay && (
+                    <BestPlay
+                        play={result.bestPlay}
+                        exact={result.bestPlay.exact}
+                        solutionCount={result.bestPlay.solutionCount}
+                    />
+                )}
 
-                <button onClick={onContinue} className="btn btn-primary continue-btn pulse-btn">
-                    Siguiente Ronda ➡️
-                </button>
+                {/* SOLO HOST puede continuar */}
+                {isHost ? (
+                    <button
+                        onClick={onContinue}
+                        className="btn btn-primary continue-btn pulse-btn"
+                        disabled={waitingForNextRound}
+                    >
+                        {waitingForNextRound ? '⏳ Iniciando...' : 'Siguiente Ronda ➡️'}
+                    </button>
+                ) : (
+                    <p style={{ textAlign: 'center', color: 'rgba(255,255,255,0.7)', marginTop: '1.5rem' }}>
+                        ⏳ Esperando a que {hostName} inicie la siguiente ronda...
+                    </p>
+                )}
             </div>
         </div>
     );
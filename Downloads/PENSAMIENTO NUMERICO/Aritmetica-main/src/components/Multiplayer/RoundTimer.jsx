@@ -0,0 +1,30 @@
+import React, { useState, useEffect } from 'react';
+import { getSecondsLeft } from '../../../shared/roundTimer';
+
+/**
+ * Cuenta atrás de la ronda (ver shared/roundTimer.js). El tiempo lo lleva el
+ * servidor: aquí solo se muestra su hora límite corregida con la diferencia de relojes.
+ * Se monta con `key` de la hora límite: cada ronda empieza una cuenta nueva.
+ *
+ * @param {Object} props
+ * @param {number} props.deadline - `roundDeadline` del servidor
+ * @param {number} props.clockOffset - Reloj del servidor menos el local
+ */
+const RoundTimer = ({ deadline, clockOffset }) => {
+    const [secondsLeft, setSecondsLeft] = useState(() => getSecondsLeft(deadline, clockOffset));
+
+    useEffect(() => {
+        const interval = setInterval(() => {
+            const left = getSecondsLeft(deadline, clockOffset);
+            setSecondsLeft(left);
+            if (left === 0) clearInterval(interval);
+        }, 250);
+        return () => clearInterval(interval);
+    }, [deadline, clockOffset]);
+
+    return (
+        <span className={`mp-round-timer ${secondsLeft <= 10 ? 'urgent' : ''}`}>⏱️ {secondsLeft}s</span>
+    );
+};
+
+export default RoundTimer;
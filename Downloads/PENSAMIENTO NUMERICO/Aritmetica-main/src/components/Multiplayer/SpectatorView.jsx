@@ -0,0 +1,195 @@
+/**
+ * @file SpectatorView.jsx
+ * @description Vista de solo lectura para los espectadores de una sala multijugador
+ *
+ * El servidor manda spectate:state con cada cambio de la partida (HP, quién está listo,
+ * target, resumen de la ronda al resolverse). Desde aquí no se puede jugar: el servidor
+ * rechaza cualquier acción de un socket que no sea uno de los jugadores.
+ * En todos contra todos se ve la lista de jugadores y el resumen va ordenado por puestos;
+ * en el modo equipos, el HP de cada equipo (los borradores del equipo no llegan a los espectadores).
+ */
+
+import React, { useState, useCallback } from 'react';
+import { useSocketEvent } from '../../hooks/useSocket';
+import { formatValue } from '../../../shared/rational';
+import { TEAMS } from '../../../shared/teams';
+import TargetRating from '../Game/TargetRating';
+import StatusBadges from '../Game/StatusBadges';
+import RoundTimer from './RoundTimer';
+import FreeForAllPlayers from './FreeForAllPlayers';
+import TeamPlayers from './TeamPlayers';
+
+/**
+ * Ficha de un jugador: nombre, HP, estados y si ya envió
+ */
+const SpectatedPlayer = ({ player, className = '' }) => (
+    <div className={`mp-player ${className}`}>
+        <div className="mp-player-name">{player.name}</div>
+        <div className={`mp-hp-bar ${className === 'opponent' ? 'opponent-bar' : ''}`}>
+            <div className="mp-hp-fill" style={{ width: `${(player.hp / player.maxHp) * 100}%` }}></div>
+            <span className="mp-hp-text">{player.hp} HP</span>
+        </div>
+        <StatusBadges statuses={player.statuses} />
+        {player.submitted && <span className="mp-status ready">✓ Listo</span>}
+    </div>
+);
+
+/**
+ * @param {Object} props
+ * @param {Socket} props.socket
+ * @param {Object} props.spectateData - Datos de spectate:joined (sala, nombres y estado inicial)
+ * @param {string} props.playerName - Nombre con el que se entró a mirar
+ * @param {boolean} props.isConnected
+ * @param {() => void} props.onLeave
+ */
+const SpectatorView = ({ socket, spectateData, playerName, isConnected, onLeave }) => {
+    const { roomCode } = spectateData;
+    const [state, setState] = useState(spectateData.state);
+    const [clockOffset, setClockOffset] = useState(() => ( // Reloj del servidor menos el local
+        spectateData.state?.serverTime ? spectateData.state.serverTime - Date.now() : 0
+    ));
+    const [showExpressions, setShowExpressions] = useState(true);
+    const [winner, setWinner] = useState(null);
+    const [endedMessage, setEndedMessage] = useState(null);
+
+    const handleState = useCallback((nextState) => {
+        setState(nextState);
+        if (nextState?.serverTime) setClockOffset(nextState.serverTime - Date.now());
+    }, []);
+
+    // Tras un corte el servidor ya nos olvidó: se vuelve a entrar a mirar
+    const handleReconnect = useCallback(() => {
+        socket.emit('lobby:spectate', { playerName, roomCode });
+    }, [socket, playerName, roomCode]);
+
+    const handleJoined = useCallback((data) => handleState(data.state), [handleState]);
+
+    const handleGameOver = useCallback((data) => {
+        setWinner(data.winner);
+    }, []);
+
+    const handleEnded = useCallback(({ message }) => {
+        setEndedMessage(message);
+    }, []);
+
+    useSocketEvent('spectate:state', handleState);
+    useSocketEvent('spectate:joined', handleJoined);
+    useSocketEvent('spectate:ended', handleEnded);
+    useSocketEvent('game:over', handleGameOver);
+    useSocketEvent('connect', handleReconnect);
+
+    const handleExit = () => {
+        socket.emit('lobby:leave');
+        onLeave();
+    };
+
+    const roundResult = state?.roundResult;
+    let resultPlayers = roundResult?.players;
+    if (roundResult?.freeForAll) resultPlayers = [...roundResult.players].sort((a, b) => a.rank - b.rank);
+    else if (roundResult?.teamMode) resultPlayers = [...roundResult.players].sort((a, b) => a.team.localeCompare(b.team));
+
+    return (
+        <div className="app-background multiplayer-game spectator-view">
+            <header className="mp-game-header">
+                <div className="mp-room-info">
+                    <span className="mp-room-code">👁️ Sala: {roomCode}</span>
+                    {state && <span className="mp-round">Ronda {state.round}</span>}
+                    {state?.status === 'playing' && state.roundDeadline && (
+                        <RoundTimer key={state.roundDeadline} deadline={state.roundDeadline} clockOffset={clockOffset} />
+                    )}
+                </div>
+            </header>
+
+            {!state ? (
+                <div className="mp-waiting-message liquid-glass">
+                    ⏳ Esperando a que empiece la partida de {spectateData.hostName}...
+                </div>
+            ) : (
+                <>
+                    {state.teamMode ? (
+                        <TeamPlayers teams={state.teams} players={state.players} />
+                    ) : state.freeForAll ? (
+                        <FreeForAllPlayers players={state.players} />
+                    ) : (
+                        <div className="mp-players-bar">
+                            <SpectatedPlayer player={state.player1} className="me" />
+                            <div className="mp-vs">VS</div>
+                            <SpectatedPlayer player={state.player2} className="opponent" />
+                        </div>
+                    )}
+
+                    <div className="mp-target-display liquid-glass">
+                        {state.equation ? (
+                            <>
+                                <span className="mp-target-label">🔍 DESPEJA {state.equation.variable.toUpperCase()}</span>
+                                <span className="equation-display">{state.equation.equation}</span>
+                            </>
+                        ) : state.mystery ? (
+                            <>
+                                <span className="mp-target-label">🎭 FORMA LA EXPRESIÓN</span>
+                                <span className="equation-display">{state.mystery.target}</span>
+                            </>
+                        ) : (
+                            <>
+                                <span className="mp-target-label">TARGET</span>
+                                <span className="mp-target-value">{formatValue(state.target)}</span>
+                                <TargetRating rating={state.targetRating} />
+                            </>
+                        )}
+                    </div>
+
+                    {state.drafting && (
+                        <div className="mp-waiting-message liquid-glass">🔀 Los jugadores eligen sus cartas del pool...</div>
+                    )}
+
+                    {/* Resumen de la ronda: las expresiones solo se conocen tras resolverse */}
+                    {roundResult && (
+                        <div className="mp-spectator-result liquid-glass">
+                            <h3>
+                                Ronda {roundResult.round}:{' '}
+                                {roundResult.roundWinner === 'draw' || roundResult.roundWinner === 'draw_miss'
+                                    ? '🤝 Empate'
+                                    : `🎉 Gana ${roundResult.roundWinner}`}
+                            </h3>
+                            <label className="mp-spectator-toggle">
+                                <input
+                                    type="checkbox"
+                                    checked={showExpressions}
+                                    onChange={(e) => setShowExpressions(e.target.checked)}
+                                />
+                                Mostrar expresiones
+                            </label>
+                            {showExpressions && resultPlayers.map((player) => (
+                                <div key={player.name} className="mp-spectator-expression">
+                                    {player.rank && `${player.rank}º `}{player.team && `${TEAMS[player.team].emoji} `}<strong>{player.name}:</strong> {player.expression}
+                                    {!roundResult.equation && player.result != null && ` = ${formatValue(player.result)}`}
+                                    {player.damageTaken > 0 && <span className="result-damage"> -{player.damageTaken} HP</span>}
+                                    {player.counted && ' ⭐'}
+                                    {player.eliminated && ' 💀'}
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </>
+            )}
+
+            {winner && (
+                <div className="mp-waiting-message liquid-glass">🏆 {winner} ha ganado la partida</div>
+            )}
+            {endedMessage && (
+                <div className="mp-waiting-message mp-error-message liquid-glass">⚠️ {endedMessage}</div>
+            )}
+            {!isConnected && (
+                <div className="mp-waiting-message mp-error-message liquid-glass">📡 Conexión perdida. Reconectando...</div>
+            )}
+
+            <div className="mp-actions-area">
+                <button className="btn btn-secondary" onClick={handleExit}>
+                    Dejar de mirar
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default SpectatorView;
@@ -0,0 +1,41 @@
+import React from 'react';
+import { TEAMS } from '../../../shared/teams';
+import StatusBadges from '../Game/StatusBadges';
+
+/**
+ * Equipos de una partida 2 vs 2: el HP compartido de cada equipo y sus jugadores
+ * (estados y si ya enviaron). El equipo propio va primero.
+ *
+ * @param {Object} props
+ * @param {Array<{ team: string, hp: number, maxHp: number }>} props.teams - Resumen de equipos del servidor
+ * @param {Array<{ name: string, team: string, submitted: boolean, statuses: string[], eliminated: boolean, isMe?: boolean }>} props.players
+ * @param {string|null} [props.myTeam] - Nuestro equipo (null para los espectadores)
+ */
+const TeamPlayers = ({ teams, players, myTeam = null }) => {
+    const ordered = [...teams].sort((a, b) => (b.team === myTeam) - (a.team === myTeam));
+
+    return (
+        <div className="mp-players-bar mp-team-players">
+            {ordered.map((team) => (
+                <div key={team.team} className={`mp-player team-${team.team} ${team.team === myTeam ? 'me' : ''}`}>
+                    <div className="mp-player-name">
+                        {TEAMS[team.team].emoji} {TEAMS[team.team].name}{team.team === myTeam && ' (Tu equipo)'}
+                    </div>
+                    <div className={`mp-hp-bar ${team.team === myTeam ? '' : 'opponent-bar'}`}>
+                        <div className="mp-hp-fill" style={{ width: `${(team.hp / team.maxHp) * 100}%` }}></div>
+                        <span className="mp-hp-text">{team.hp} HP</span>
+                    </div>
+                    {players.filter(player => player.team === team.team).map((player) => (
+                        <div key={player.name} className={`mp-team-member ${player.eliminated ? 'eliminated' : ''}`}>
+                            {player.eliminated && '💀 '}{player.name}{player.isMe && ' (Tú)'}
+                            <StatusBadges statuses={player.statuses} />
+                            {player.submitted && !player.eliminated && <span className="mp-status ready">✓ Listo</span>}
+                        </div>
+                    ))}
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default TeamPlayers;
@@ -0,0 +1,110 @@
+/**
+ * @file EquationRound.jsx
+ * @description Componente de ronda "Despeja x" para el modo Singleplayer.
+ *
+ * Presenta una ecuación lineal (ver shared/equations.js) y el jugador responde
+ * el valor de x. La complejidad sube con la ronda: un paso, dos pasos y x en ambos lados.
+ */
+
+import React, { useState } from 'react';
+import { EQUATION_TYPES, generateEquation, scoreEquationAnswer } from '../../../shared/equations';
+import { soundManager } from '../../utils/SoundManager';
+
+/** Tipo de ecuación de cada ronda de práctica (la última se repite). */
+const TYPE_BY_ROUND = ['oneStep', 'oneStep', 'twoStep', 'twoStep', 'bothSides'];
+
+const EquationRound = ({ onComplete, roundNumber, isLastRound, random = Math.random }) => {
+    const [equation] = useState(() => generateEquation(random, {
+        type: TYPE_BY_ROUND[Math.min(roundNumber, TYPE_BY_ROUND.length) - 1]
+    }));
+    const [userAnswer, setUserAnswer] = useState('');
+    const [isCorrect, setIsCorrect] = useState(null);
+    const [invalidAnswer, setInvalidAnswer] = useState(false);
+
+    const typeConfig = EQUATION_TYPES[equation.type];
+    const answered = isCorrect !== null;
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!userAnswer.trim() || answered) return;
+
+        const score = scoreEquationAnswer({ equation, answer: userAnswer });
+        if (score.value === null) {
+            setInvalidAnswer(true);
+            soundManager.playError();
+            return;
+        }
+
+        setIsCorrect(score.correct);
+        if (score.correct) {
+            soundManager.playWin();
+        } else {
+            soundManager.playError();
+        }
+    };
+
+    return (
+        <div className="ruleta-round">
+            {/* Encabezado de ronda */}
+            <div className="ruleta-header">
+                <span className="round-badge">Ronda {roundNumber}</span>
+                <h2>🔍 Despeja {equation.variable}</h2>
+            </div>
+
+            <div className="expression-challenge animate-in">
+                <p className="challenge-label">{typeConfig.emoji} {typeConfig.name}</p>
+                <div className="challenge-expression">{equation.equation}</div>
+
+                <form onSubmit={handleSubmit} className="answer-form">
+                    <input
+                        type="text"
+                        inputMode="numeric"
+                        className={`answer-input ${answered ? (isCorrect ? 'correct' : 'incorrect') : ''}`}
+                        value={userAnswer}
+                        onChange={(e) => {
+                            setUserAnswer(e.target.value);
+                            setInvalidAnswer(false);
+                        }}
+                        placeholder={`${equation.variable} = ?`}
+                        autoFocus
+                        disabled={answered}
+                    />
+                    {!answered && (
+                        <button type="submit" className="btn btn-primary submit-btn">
+                            ✓ Verificar
+                        </button>
+                    )}
+                </form>
+                {invalidAnswer && (
+                    <p className="feedback-explanation">Responde con un número, ej: {equation.variable} = 5</p>
+                )}
+            </div>
+
+            {/* Feedback */}
+            {answered && (
+                <div className={`feedback-display ${isCorrect ? 'correct' : 'incorrect'}`}>
+                    {isCorrect ? (
+                        <>
+                            <span className="feedback-emoji">✅</span>
+                            <h3>¡Correcto!</h3>
+                            <p>{equation.variable} = {equation.solution}</p>
+                        </>
+                    ) : (
+                        <>
+                            <span className="feedback-emoji">❌</span>
+                            <h3>Incorrecto</h3>
+                            <p>Respuesta correcta: <strong>{equation.variable} = {equation.solution}</strong></p>
+                        </>
+                    )}
+
+                    {/* Botón para continuar */}
+                    <button onClick={() => onComplete(isCorrect, equation.type)} className="btn btn-primary btn-continue">
+                        {isLastRound ? '📊 Ver Resultados' : '➡️ Siguiente Ronda'}
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default EquationRound;
@@ -10,7 +10,7 @@ import React, { useState, useCallback } from 'react';
 import { ALGEBRAIC_PROPERTIES, generateExpressionByProperty, validateAnswer, selectRandomProperty } from '../../utils/singleplayerLogic';
 import { soundManager } from '../../utils/SoundManager';
 
-const RuletaRound = ({ onComplete, roundNumber, isLastRound }) => {
+const RuletaRound = ({ onComplete, roundNumber, isLastRound, random = Math.random }) => {
     // Fases: 'ready' (esperando girar), 'spinning', 'showing', 'input', 'feedback'
     const [phase, setPhase] = useState('ready');
     const [challenge, setChallenge] = useState(null);
@@ -31,7 +31,7 @@ const RuletaRound = ({ onComplete, roundNumber, isLastRound }) => {
         soundManager.playPop();
 
         // Seleccionar propiedad aleatoria
-        const newProperty = selectRandomProperty();
+        const newProperty = selectRandomProperty(random);
         setSelectedProperty(newProperty);
 
         // Calcular ángulo de la nueva propiedad
@@ -51,11 +51,11 @@ const RuletaRound = ({ onComplete, roundNumber, isLastRound }) => {
 
         // Después de mostrar, generar challenge y pasar a input
         setTimeout(() => {
-            const newChallenge = generateExpressionByProperty(newProperty);
+            const newChallenge = generateExpressionByProperty(newProperty, random);
             setChallenge(newChallenge);
             setPhase('input');
         }, 4000);
-    }, [phase, spinAngle, propertyKeys]);
+    }, [phase, spinAngle, propertyKeys, random]);
 
     const handleSubmit = (e) => {
         e.preventDefault();
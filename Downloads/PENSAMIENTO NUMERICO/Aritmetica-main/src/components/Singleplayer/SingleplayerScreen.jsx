@@ -4,7 +4,7 @@
  * 
  * Gestiona el flujo de juego singleplayer:
  * 1. Pantalla de selección de modo
- * 2. Rondas según el modo seleccionado (Ruleta o Venn)
+ * 2. Rondas según el modo seleccionado (Ruleta, Venn o Despeja x)
  * 3. Tracking de puntuación y progreso
  */
 
@@ -12,7 +12,10 @@ import React, { useState, useCallback } from 'react';
 import { ALGEBRAIC_PROPERTIES } from '../../utils/singleplayerLogic';
 import { SET_CONDITIONS } from '../../utils/vennLogic';
 import { soundManager } from '../../utils/SoundManager';
+import { createRandom, createSeedCode } from '../../../shared/random';
+import { EQUATION_TYPES } from '../../../shared/equations';
 import RuletaRound from './RuletaRound';
+import EquationRound from './EquationRound';
 import VennRound from './VennRound';
 import LiquidCard from '../UI/LiquidCard';
 
@@ -33,6 +36,13 @@ const GAME_MODES = {
         emoji: '🔵',
         description: 'Clasifica números en el diagrama de Venn',
         color: '#34C759'
+    },
+    despeja: {
+        id: 'despeja',
+        name: 'Despeja x',
+        emoji: '🔍',
+        description: 'Resuelve ecuaciones lineales cada vez más difíciles',
+        color: '#0A84FF'
     }
 };
 
@@ -43,10 +53,16 @@ const SingleplayerScreen = ({ onExit }) => {
     const [score, setScore] = useState({ correct: 0, total: 0 });
     const [roundHistory, setRoundHistory] = useState([]);
     const [roundKey, setRoundKey] = useState(0);
+    // Semilla de la sesión: con el mismo código se repiten los mismos retos
+    const [seed, setSeed] = useState(null);
+    const [random, setRandom] = useState(() => Math.random);
 
     // Iniciar juego con modo seleccionado
-    const startGame = (mode) => {
+    const startGame = (mode, seedCode = createSeedCode()) => {
         soundManager.playPop();
+        // Actualizador en forma de función: el PRNG también es una función
+        setRandom(() => createRandom(seedCode));
+        setSeed(seedCode);
         setSelectedMode(mode);
         setCurrentRound(1);
         setScore({ correct: 0, total: 0 });
@@ -93,6 +109,11 @@ const SingleplayerScreen = ({ onExit }) => {
         startGame(selectedMode);
     };
 
+    // Repetir exactamente los mismos retos
+    const replaySeed = () => {
+        startGame(selectedMode, seed);
+    };
+
     // ==================
     // PANTALLA DE CONFIG
     // ==================
@@ -139,6 +160,22 @@ const SingleplayerScreen = ({ onExit }) => {
                                 <span className="preview-badge">∅</span>
                             </div>
                         </button>
+
+                        {/* Modo Despeja x */}
+                        <button
+                            className="sp-mode-card"
+                            onClick={() => startGame('despeja')}
+                            style={{ '--mode-color': GAME_MODES.despeja.color }}
+                        >
+                            <span className="mode-emoji">{GAME_MODES.despeja.emoji}</span>
+                            <h3>{GAME_MODES.despeja.name}</h3>
+                            <p>{GAME_MODES.despeja.description}</p>
+                            <div className="mode-preview">
+                                {Object.values(EQUATION_TYPES).map((type, i) => (
+                                    <span key={i} className="preview-badge">{type.emoji}</span>
+                                ))}
+                            </div>
+                        </button>
                     </div>
 
                     <div className="sp-config-info">
@@ -190,6 +227,7 @@ const SingleplayerScreen = ({ onExit }) => {
                     {selectedMode === 'ruleta' && (
                         <RuletaRound
                             key={roundKey}
+                            random={random}
                             onComplete={handleRoundComplete}
                             roundNumber={currentRound}
                             isLastRound={currentRound >= TOTAL_ROUNDS}
@@ -204,6 +242,16 @@ const SingleplayerScreen = ({ onExit }) => {
                             isLastRound={currentRound >= TOTAL_ROUNDS}
                         />
                     )}
+
+                    {selectedMode === 'despeja' && (
+                        <EquationRound
+                            key={roundKey}
+                            random={random}
+                            onComplete={handleRoundComplete}
+                            roundNumber={currentRound}
+                            isLastRound={currentRound >= TOTAL_ROUNDS}
+                        />
+                    )}
                 </div>
             </div>
         );
@@ -237,6 +285,7 @@ const SingleplayerScreen = ({ onExit }) => {
                         <p className="score-detail">
                             {score.correct} de {score.total} correctas
                         </p>
+                        <p className="score-detail">🌱 Semilla: <strong>{seed}</strong></p>
                     </div>
 
                     <div className="sp-results-history">
@@ -250,7 +299,8 @@ const SingleplayerScreen = ({ onExit }) => {
                                     <span className="entry-round">R{entry.round}</span>
                                     <span className="entry-property">
                                         {modeInfo?.emoji} {entry.mode === 'venn' ? 'Venn Sorter' :
-                                            (ALGEBRAIC_PROPERTIES[entry.detail]?.name || entry.detail)}
+                                            (ALGEBRAIC_PROPERTIES[entry.detail]?.name ||
+                                                EQUATION_TYPES[entry.detail]?.name || entry.detail)}
                                     </span>
                                     <span className="entry-result">
                                         {entry.correct ? '✓' : '✗'}
@@ -264,6 +314,9 @@ const SingleplayerScreen = ({ onExit }) => {
                         <button onClick={restartGame} className="btn btn-primary">
                             🔄 Jugar de Nuevo
                         </button>
+                        <button onClick={replaySeed} className="btn btn-secondary">
+                            🌱 Repetir mismos retos
+                        </button>
                         <button onClick={backToConfig} className="btn btn-secondary">
                             🎯 Cambiar Modo
                         </button>
@@ -23,6 +23,28 @@ const getServerUrl = () => {
 // Singleton socket instance
 let socket = null;
 
+// Token de sesión de la sala actual (lobby:created / lobby:joined): con él el
+// servidor nos devuelve el asiento si la conexión se corta a mitad de partida.
+// En sessionStorage para sobrevivir también a recargar la pestaña.
+const SESSION_TOKEN_KEY = 'aritmetica-session-token';
+
+const saveSessionToken = ({ sessionToken }) => {
+    if (sessionToken) sessionStorage.setItem(SESSION_TOKEN_KEY, sessionToken);
+};
+
+const clearSessionToken = () => {
+    sessionStorage.removeItem(SESSION_TOKEN_KEY);
+};
+
+/**
+ * Al (re)conectar, si hay una sala pendiente se pide recuperar el asiento
+ * (responde session:resumed o session:expired)
+ */
+const resumeSession = () => {
+    const token = sessionStorage.getItem(SESSION_TOKEN_KEY);
+    if (token) socket.emit('session:resume', { token });
+};
+
 /**
  * Hook para obtener la instancia del socket
  * @returns {{ socket: Socket, isConnected: boolean }}
@@ -35,12 +57,19 @@ export function useSocket() {
             const serverUrl = getServerUrl();
             console.log('[Socket] Connecting to:', serverUrl);
 
+            // Sin límite de intentos: el servidor guarda el asiento un rato tras un corte
             socket = io(serverUrl, {
                 autoConnect: true,
                 reconnection: true,
                 reconnectionDelay: 1000,
-                reconnectionAttempts: 5
+                reconnectionAttempts: Infinity
             });
+
+            socket.on('connect', resumeSession);
+            socket.on('lobby:created', saveSessionToken);
+            socket.on('lobby:joined', saveSessionToken);
+            socket.on('game:over', clearSessionToken);
+            socket.on('session:expired', clearSessionToken);
         }
 
         const handleConnect = () => {
@@ -12,7 +12,10 @@
  * - Learning: Simula un jugador novato con más fallos.
  */
 
-import { findSolution, DIFFICULTY_CONFIG } from './gameLogic';
+// Con extensión: además del cliente lo importa la simulación de balance en Node (sim-balance.mjs)
+import { solveHand, getDifficultyConfig, evaluateExpressionWithVariables, getDamageThresholds, getOperatorsFromExpression } from '../../shared/gameLogic.js';
+import { NEGATION } from '../../shared/expressionParser.js';
+import { absoluteDifference, compareValues, formatValue } from '../../shared/rational.js';
 
 /**
  * AI Play Strategies
@@ -34,27 +37,31 @@ export const AI_STRATEGY = {
  * Genera una jugada de la CPU basada en la situación actual del tablero.
  * 
  * El proceso es:
- * 1. Calcula primero la solución óptima (Target exacto).
+ * 1. Calcula primero la mejor jugada posible con el solver completo (la de más daño;
+ *    si no hay solución exacta, la más cercana al target).
  * 2. Decide si usar esa solución o "equivocarse" basado en la estrategia y tasa de error.
  * 3. Si decide equivocarse, genera una jugada "cercana" o un "fallo total".
  * 
  * @param {Object} params - Parámetros del estado del juego
- * @param {number} params.target - El número objetivo
+ * @param {number|{num: number, den: number}} params.target - El número objetivo (racional en modo Fracciones)
  * @param {number[]} params.cards - Las cartas disponibles en mano
- * @param {string} params.difficulty - Dificultad actual (afecta la tolerancia de errores)
+ * @param {Object} [params.variableValues] - Valores de las variables repartidas, ej: { x: 4 }
+ * @param {string|Object} params.difficulty - Dificultad actual o configuración personalizada (afecta la tolerancia de errores)
  * @param {string} params.strategy - Estrategia base (PERFECT, REALISTIC, LEARNING)
  * @param {number} params.errorRate - [Opcional] Probabilidad específica de cometer error (0.0 - 1.0)
  * @param {number} params.complexity - [Opcional] Preferencia por jugadas complejas (usar más cartas)
+ * @param {() => number} [params.random=Math.random] - PRNG (con `createRandom` la simulación es reproducible)
  * @returns {Object} Objeto de jugada (expression, result, commentary, type, cardsUsed)
  */
-export function generateCpuPlay({ target, cards, difficulty = 'medium', strategy = AI_STRATEGY.REALISTIC, errorRate, complexity }) {
-    const config = DIFFICULTY_CONFIG[difficulty];
+export function generateCpuPlay({ target, cards, variableValues = {}, difficulty = 'medium', strategy = AI_STRATEGY.REALISTIC, errorRate, complexity, random = Math.random }) {
+    const config = getDifficultyConfig(difficulty);
+    const thresholds = getDamageThresholds(difficulty);
 
-    // Find the optimal solution
-    const optimalSolution = findSolution(target, cards, difficulty);
+    // Find the best possible play (most damage)
+    const bestPlay = solveHand(target, cards, difficulty, variableValues, { maxSolutions: 1 }).best;
 
     // Determine if AI should make a "mistake" based on strategy
-    const roll = Math.random();
+    const roll = random();
     let play = {
         expression: '',
         result: 0,
@@ -66,15 +73,15 @@ export function generateCpuPlay({ target, cards, difficulty = 'medium', strategy
     switch (strategy) {
         case AI_STRATEGY.PERFECT:
             // Always use optimal solution
-            play = buildPerfectPlay(optimalSolution, target, cards);
+            play = buildBestPlay(bestPlay, thresholds);
             break;
 
         case AI_STRATEGY.REALISTIC:
             // 70% perfect, 20% near-perfect, 10% miss
             if (roll < 0.7) {
-                play = buildPerfectPlay(optimalSolution, target, cards);
+                play = buildBestPlay(bestPlay, thresholds);
             } else if (roll < 0.9) {
-                play = buildNearPerfectPlay(target, cards, config);
+                play = buildNearPerfectPlay(target, cards, config, thresholds, random);
             } else {
                 play = buildMissPlay(target, cards, config);
             }
@@ -83,30 +90,44 @@ export function generateCpuPlay({ target, cards, difficulty = 'medium', strategy
         case AI_STRATEGY.LEARNING:
             // 40% perfect, 30% near, 30% miss (more mistakes for tutorial)
             if (roll < 0.4) {
-                play = buildPerfectPlay(optimalSolution, target, cards);
+                play = buildBestPlay(bestPlay, thresholds);
             } else if (roll < 0.7) {
-                play = buildNearPerfectPlay(target, cards, config);
+                play = buildNearPerfectPlay(target, cards, config, thresholds, random);
             } else {
                 play = buildMissPlay(target, cards, config);
             }
             break;
 
         default:
-            play = buildPerfectPlay(optimalSolution, target, cards);
+            play = buildBestPlay(bestPlay, thresholds);
     }
 
     return play;
 }
 
 /**
- * Builds a perfect play (exact target hit)
+ * Builds the best play found by the solver (exact hit, or the closest value when
+ * the hand cannot reach the target)
  */
-function buildPerfectPlay(solution, target, cards) {
-    // Count cards used in solution
-    const cardsUsed = countCardsInExpression(solution, cards);
-    const hasParentheses = solution.includes('(');
-    const hasDivision = solution.includes('/');
-    const operators = countUniqueOperators(solution);
+function buildBestPlay(best, thresholds) {
+    const { expression, value, difference, cardsUsed, damage } = best;
+
+    if (compareValues(difference, 0) !== 0) {
+        const isClose = compareValues(difference, thresholds.close) <= 0;
+        const isFar = !isClose && compareValues(difference, thresholds.far) <= 0;
+        return {
+            expression,
+            result: value,
+            commentary: `🧮 No hay solución exacta: lo más cercano es ${formatValue(value)} (±${formatValue(difference)}, ${damage} de daño)`,
+            type: isClose ? 'close' : isFar ? 'far' : 'miss',
+            cardsUsed,
+            difference,
+        };
+    }
+
+    const hasParentheses = expression.includes('(');
+    const hasDivision = expression.includes('/');
+    const operators = countUniqueOperators(expression);
 
     let commentary = '🎯 ¡PERFECTO! ';
 
@@ -123,50 +144,52 @@ function buildPerfectPlay(solution, target, cards) {
     }
 
     return {
-        expression: solution,
-        result: target,
-        commentary,
+        expression,
+        result: value,
+        commentary: `${commentary} (${damage} de daño)`,
         type: 'perfect',
         cardsUsed,
-        difference: 0,
+        difference,
     };
 }
 
 /**
  * Builds a near-perfect play (close to target)
  */
-function buildNearPerfectPlay(target, cards, config) {
+function buildNearPerfectPlay(target, cards, config, thresholds, random) {
     // Use 2-3 cards with simple operations
-    const numCards = Math.random() < 0.5 ? 2 : 3;
+    const numCards = random() < 0.5 ? 2 : 3;
     const selectedCards = cards.slice(0, numCards);
 
     // Build a simple expression
     let expr = selectedCards[0].toString();
-    let result = selectedCards[0];
 
     for (let i = 1; i < selectedCards.length; i++) {
         const ops = config.operators;
-        const op = ops[Math.floor(Math.random() * Math.min(2, ops.length))]; // Prefer + and -
+        const op = ops[Math.floor(random() * Math.min(2, ops.length))]; // Prefer + and -
         expr += ` ${op} ${selectedCards[i]}`;
-        result = evalSimple(result, op, selectedCards[i]);
     }
 
-    const difference = Math.abs(result - target);
+    // Same evaluator as the players (exact fractions in "Fracciones")
+    const result = evaluateExpressionWithVariables(expr, {}, { exact: Boolean(config.exactArithmetic) });
+    const difference = absoluteDifference(result, target);
+    const isClose = compareValues(difference, thresholds.close) <= 0;
+    const isFar = !isClose && compareValues(difference, thresholds.far) <= 0;
     let commentary = '';
 
-    if (difference <= 5) {
-        commentary = `📊 Cerca del target (±${difference}) - Recibe 75% del daño`;
-    } else if (difference <= 10) {
-        commentary = `📉 Lejos del target (±${difference}) - Solo 50% del daño`;
+    if (isClose) {
+        commentary = `📊 Cerca del target (±${formatValue(difference)}) - Recibe 75% del daño`;
+    } else if (isFar) {
+        commentary = `📉 Lejos del target (±${formatValue(difference)}) - Solo 50% del daño`;
     } else {
-        commentary = `❌ MISS! Diferencia de ${difference} - Sin daño`;
+        commentary = `❌ MISS! Diferencia de ${formatValue(difference)} - Sin daño`;
     }
 
     return {
         expression: expr,
         result,
         commentary,
-        type: difference <= 5 ? 'close' : difference <= 10 ? 'far' : 'miss',
+        type: isClose ? 'close' : isFar ? 'far' : 'miss',
         cardsUsed: numCards,
         difference,
     };
@@ -180,60 +203,31 @@ function buildMissPlay(target, cards, config) {
     const card = cards[0];
     const expr = card.toString();
     const result = card;
-    const difference = Math.abs(result - target);
+    const difference = absoluteDifference(result, target);
 
     return {
         expression: expr,
         result,
-        commentary: `❌ MISS! Solo usa 1 carta y falla por ${difference}. ¡La racha se rompe!`,
+        commentary: `❌ MISS! Solo usa 1 carta y falla por ${formatValue(difference)}. ¡La racha se rompe!`,
         type: 'miss',
         cardsUsed: 1,
         difference,
     };
 }
 
-/**
- * Helper: Count cards used in an expression
- */
-function countCardsInExpression(expr, cards) {
-    let count = 0;
-    const numbers = expr.match(/\\d+/g) || [];
-    for (const num of numbers) {
-        if (cards.includes(parseInt(num))) count++;
-    }
-    return Math.min(count, 4);
-}
-
 /**
  * Helper: Count unique operators in expression
  */
 function countUniqueOperators(expr) {
-    const ops = new Set();
-    if (expr.includes('+')) ops.add('+');
-    if (expr.includes('-')) ops.add('-');
-    if (expr.includes('*') || expr.includes('×')) ops.add('*');
-    if (expr.includes('/') || expr.includes('÷')) ops.add('/');
-    return ops.size;
-}
-
-/**
- * Helper: Simple eval for 2 numbers
- */
-function evalSimple(a, op, b) {
-    switch (op) {
-        case '+': return a + b;
-        case '-': return a - b;
-        case '*': return a * b;
-        case '/': return b !== 0 ? a / b : 0;
-        default: return a + b;
-    }
+    // Mismo conteo que el bonus de variedad (incluye ^, √, mod y !; la negación no cuenta)
+    return new Set(getOperatorsFromExpression(expr).filter(op => op !== NEGATION)).size;
 }
 
 /**
  * Generate commentary for a streak event
  */
 export function getStreakCommentary(streak, difficulty) {
-    const config = DIFFICULTY_CONFIG[difficulty];
+    const config = getDifficultyConfig(difficulty);
     const tier = config.streakConfig.find(t => streak >= t.minStreak && streak < (config.streakConfig[config.streakConfig.indexOf(t) + 1]?.minStreak || Infinity));
 
     if (!tier || tier.bonus === 0) return null;
@@ -0,0 +1,66 @@
+/**
+ * @file customDifficulties.js
+ * @description Persistencia de las dificultades personalizadas en localStorage.
+ *
+ * Se guardan como un array JSON de configuraciones. Al leer, cada entrada se vuelve
+ * a normalizar y validar (sin la comprobación de targets, que es costosa): una entrada
+ * corrupta o editada a mano se descarta en lugar de romper el menú.
+ */
+
+import { validateCustomDifficulty } from '../../shared/customDifficulty';
+
+const STORAGE_KEY = 'aritmetica-pvp:custom-difficulties';
+
+/** Máximo de dificultades guardadas (el menú tiene espacio limitado). */
+export const MAX_SAVED_DIFFICULTIES = 6;
+
+/**
+ * Lee las dificultades personalizadas guardadas.
+ *
+ * @returns {Object[]} Configuraciones válidas (vacío si no hay o localStorage no está disponible)
+ */
+export function loadCustomDifficulties() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+        if (!Array.isArray(stored)) return [];
+
+        return stored
+            .map(entry => validateCustomDifficulty(entry, { checkReachability: false }))
+            .filter(result => result.valid)
+            .map(result => result.config)
+            .slice(0, MAX_SAVED_DIFFICULTIES);
+    } catch (error) {
+        console.warn('No se pudieron leer las dificultades personalizadas:', error);
+        return [];
+    }
+}
+
+function writeCustomDifficulties(difficulties) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(difficulties));
+    } catch (error) {
+        console.warn('No se pudieron guardar las dificultades personalizadas:', error);
+    }
+    return difficulties;
+}
+
+/**
+ * Guarda (o reemplaza, por `id`) una dificultad ya validada.
+ *
+ * @param {Object} config - Configuración normalizada
+ * @returns {Object[]} Lista actualizada
+ */
+export function saveCustomDifficulty(config) {
+    const others = loadCustomDifficulties().filter(saved => saved.id !== config.id);
+    return writeCustomDifficulties([config, ...others].slice(0, MAX_SAVED_DIFFICULTIES));
+}
+
+/**
+ * Borra una dificultad guardada.
+ *
+ * @param {string} id - Identificador de la configuración
+ * @returns {Object[]} Lista actualizada
+ */
+export function deleteCustomDifficulty(id) {
+    return writeCustomDifficulties(loadCustomDifficulties().filter(saved => saved.id !== id));
+}
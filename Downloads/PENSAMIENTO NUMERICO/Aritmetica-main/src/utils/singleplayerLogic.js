@@ -6,8 +6,14 @@
  * - Propiedad Distributiva: a(b + c) → ab + ac
  * - Propiedad Conmutativa: a + b → b + a, a * b → b * a
  * - Propiedad Asociativa: (a + b) + c → a + (b + c)
+ *
+ * Todos los generadores aceptan un PRNG opcional (`random`, ver shared/random.js):
+ * con la misma semilla se repite la misma secuencia de retos.
  */
 
+import { randomInt, randomChoice } from '../../shared/random';
+import { VARIABLE_SYMBOLS } from '../../shared/gameLogic';
+
 /**
  * Configuración de las propiedades algebraicas
  */
@@ -35,31 +41,21 @@ export const ALGEBRAIC_PROPERTIES = {
     }
 };
 
-/**
- * Genera un número aleatorio entre min y max (inclusive)
- */
-const randomInt = (min, max) => Math.floor(Math.random() * (max - min + 1)) + min;
-
-/**
- * Selecciona un elemento aleatorio de un array
- */
-const randomChoice = (arr) => arr[Math.floor(Math.random() * arr.length)];
-
 /**
  * Genera una expresión de propiedad distributiva
  * Formato: a(x + b) → ax + ab  o  a(b + c) → ab + ac
  * 
  * @returns {Object} { expression, answer, explanation, property }
  */
-export const generateDistributiveExpression = () => {
-    const useVariable = Math.random() > 0.3; // 70% usa variable
-    const a = randomInt(2, 9);
+export const generateDistributiveExpression = (random = Math.random) => {
+    const useVariable = random() > 0.3; // 70% usa variable
+    const a = randomInt(random, 2, 9);
 
     if (useVariable) {
         // Formato: a(x + b) → ax + ab
-        const variable = randomChoice(['x', 'y']);
-        const b = randomInt(1, 9);
-        const operation = randomChoice(['+', '-']);
+        const variable = randomChoice(random, VARIABLE_SYMBOLS);
+        const b = randomInt(random, 1, 9);
+        const operation = randomChoice(random, ['+', '-']);
 
         const expression = `${a}(${variable} ${operation} ${b})`;
 
@@ -85,9 +81,9 @@ export const generateDistributiveExpression = () => {
         };
     } else {
         // Formato numérico: a(b + c) → ab + ac
-        const b = randomInt(1, 9);
-        const c = randomInt(1, 9);
-        const operation = randomChoice(['+', '-']);
+        const b = randomInt(random, 1, 9);
+        const c = randomInt(random, 1, 9);
+        const operation = randomChoice(random, ['+', '-']);
 
         const expression = `${a}(${b} ${operation} ${c})`;
 
@@ -123,13 +119,13 @@ export const generateDistributiveExpression = () => {
  * 
  * @returns {Object} { expression, answer, explanation, property }
  */
-export const generateCommutativeExpression = () => {
-    const useMultiplication = Math.random() > 0.5;
-    const useVariable = Math.random() > 0.5;
+export const generateCommutativeExpression = (random = Math.random) => {
+    const useMultiplication = random() > 0.5;
+    const useVariable = random() > 0.5;
 
     if (useVariable) {
-        const variable = randomChoice(['x', 'y']);
-        const num = randomInt(2, 15);
+        const variable = randomChoice(random, VARIABLE_SYMBOLS);
+        const num = randomInt(random, 2, 15);
 
         if (useMultiplication) {
             // 3x → x·3 o x·3
@@ -168,8 +164,8 @@ export const generateCommutativeExpression = () => {
             };
         }
     } else {
-        const a = randomInt(2, 20);
-        const b = randomInt(2, 20);
+        const a = randomInt(random, 2, 20);
+        const b = randomInt(random, 2, 20);
         const operator = useMultiplication ? '×' : '+';
         const operatorAlt = useMultiplication ? '*' : '+';
 
@@ -199,17 +195,17 @@ export const generateCommutativeExpression = () => {
  * 
  * @returns {Object} { expression, answer, explanation, property }
  */
-export const generateAssociativeExpression = () => {
-    const useMultiplication = Math.random() > 0.6; // 40% multiplicación
-    const a = randomInt(2, 10);
-    const b = randomInt(2, 10);
-    const c = randomInt(2, 10);
+export const generateAssociativeExpression = (random = Math.random) => {
+    const useMultiplication = random() > 0.6; // 40% multiplicación
+    const a = randomInt(random, 2, 10);
+    const b = randomInt(random, 2, 10);
+    const c = randomInt(random, 2, 10);
 
     const operator = useMultiplication ? '×' : '+';
     const operatorAlt = useMultiplication ? '*' : '+';
 
     // Decidir dirección: (a○b)○c → a○(b○c) o viceversa
-    const leftToRight = Math.random() > 0.5;
+    const leftToRight = random() > 0.5;
 
     if (leftToRight) {
         const expression = `(${a} ${operator} ${b}) ${operator} ${c}`;
@@ -250,26 +246,27 @@ export const generateAssociativeExpression = () => {
  * Selecciona una propiedad aleatoria
  * @returns {string} Clave de la propiedad
  */
-export const selectRandomProperty = () => {
+export const selectRandomProperty = (random = Math.random) => {
     const properties = Object.keys(ALGEBRAIC_PROPERTIES);
-    return randomChoice(properties);
+    return randomChoice(random, properties);
 };
 
 /**
  * Genera una expresión según la propiedad especificada
  * @param {string} property - 'distributiva', 'conmutativa', o 'asociativa'
+ * @param {() => number} [random=Math.random] - PRNG (ver shared/random.js)
  * @returns {Object} Expresión generada
  */
-export const generateExpressionByProperty = (property) => {
+export const generateExpressionByProperty = (property, random = Math.random) => {
     switch (property) {
         case 'distributiva':
-            return generateDistributiveExpression();
+            return generateDistributiveExpression(random);
         case 'conmutativa':
-            return generateCommutativeExpression();
+            return generateCommutativeExpression(random);
         case 'asociativa':
-            return generateAssociativeExpression();
+            return generateAssociativeExpression(random);
         default:
-            return generateDistributiveExpression();
+            return generateDistributiveExpression(random);
     }
 };
 
@@ -317,10 +314,10 @@ export const validateAnswer = (userAnswer, correctAnswer, alternativeAnswers = [
  * Genera una ronda completa de Ruleta Algebraica
  * @returns {Object} { property, propertyConfig, challenge }
  */
-export const generateRuletaRound = () => {
-    const propertyKey = selectRandomProperty();
+export const generateRuletaRound = (random = Math.random) => {
+    const propertyKey = selectRandomProperty(random);
     const propertyConfig = ALGEBRAIC_PROPERTIES[propertyKey];
-    const challenge = generateExpressionByProperty(propertyKey);
+    const challenge = generateExpressionByProperty(propertyKey, random);
 
     return {
         property: propertyKey,
@@ -0,0 +1,100 @@
+/**
+ * @file solverClient.js
+ * @description Cliente del Web Worker del solver.
+ *
+ * Genera targets y resuelve manos fuera del hilo de la UI, así las manos grandes
+ * (5-6 números, operadores avanzados) no congelan la partida. Si el navegador no
+ * soporta workers o el worker falla, las tareas se ejecutan en el hilo principal:
+ * el resultado es el mismo, solo cambia dónde se calcula.
+ *
+ * El PRNG de la partida no se puede enviar al worker: el worker calcula los candidatos
+ * y el target se elige aquí con `pickRatedTarget`, así las semillas siguen siendo reproducibles.
+ */
+
+import { pickRatedTarget } from '../../shared/gameLogic';
+import { runSolverTask } from '../../shared/solverTasks';
+
+/** @type {Worker|null|false} null = sin crear, false = no disponible */
+let worker = null;
+let nextTaskId = 1;
+/** @type {Map<number, {type: string, args: Array, resolve: Function, reject: Function}>} */
+const pendingTasks = new Map();
+
+function runLocally({ type, args, resolve, reject }) {
+    try {
+        resolve(runSolverTask(type, args));
+    } catch (error) {
+        reject(error);
+    }
+}
+
+function getWorker() {
+    if (worker !== null) return worker;
+
+    try {
+        worker = new Worker(new URL('../workers/solverWorker.js', import.meta.url), { type: 'module' });
+    } catch (error) {
+        console.warn('[Solver] Web Worker no disponible, se usa el hilo principal:', error);
+        worker = false;
+        return worker;
+    }
+
+    worker.onmessage = ({ data: { id, result, error } }) => {
+        const task = pendingTasks.get(id);
+        if (!task) return;
+        pendingTasks.delete(id);
+        if (error) task.reject(new Error(error));
+        else task.resolve(result);
+    };
+
+    // Si el worker no arranca, lo pendiente se resuelve en el hilo principal
+    worker.onerror = (event) => {
+        console.warn('[Solver] Error en el Web Worker, se usa el hilo principal:', event.message);
+        worker.terminate();
+        worker = false;
+        const tasks = Array.from(pendingTasks.values());
+        pendingTasks.clear();
+        tasks.forEach(runLocally);
+    };
+
+    return worker;
+}
+
+function runTask(type, args) {
+    return new Promise((resolve, reject) => {
+        const task = { type, args, resolve, reject };
+        const solverWorker = getWorker();
+
+        if (!solverWorker) {
+            runLocally(task);
+            return;
+        }
+
+        const id = nextTaskId++;
+        pendingTasks.set(id, task);
+        solverWorker.postMessage({ id, type, args });
+    });
+}
+
+/**
+ * `generateRatedTarget` en el worker.
+ *
+ * @param {string|Object} difficulty - Clave de dificultad o configuración personalizada
+ * @param {number[]} cards - Cartas numéricas
+ * @param {Object} variableValues - Valores de las variables, ej: { x: 4, y: 7 }
+ * @param {Object} [options] - `{ random, band }`, como en `generateRatedTarget`
+ * @returns {Promise<{target: number|{num: number, den: number}, rating: Object|null}>}
+ */
+export async function generateRatedTargetAsync(difficulty, cards, variableValues = {}, { random = Math.random, band } = {}) {
+    const rated = await runTask('rateTargets', [difficulty, cards, variableValues]);
+    return pickRatedTarget(difficulty, rated, { random, band });
+}
+
+/**
+ * `solveHand` en el worker.
+ *
+ * @returns {Promise<Object>} Mismo resultado que `solveHand`
+ */
+export function solveHandAsync(target, cards, difficulty, variableValues = {}, options = {}) {
+    return runTask('solveHand', [target, cards, difficulty, variableValues, options]);
+}
@@ -0,0 +1,11 @@
+/**
+ * @file solverWorker.js
+ * @description Web Worker del solver: genera targets y resuelve manos sin bloquear la UI.
+ * Se usa a través de src/utils/solverClient.js.
+ */
+
+import { handleSolverMessage } from '../../shared/solverTasks';
+
+self.onmessage = (event) => {
+    self.postMessage(handleSolverMessage(event.data));
+};
@@ -12,7 +12,7 @@ import {
     generateTargetByDifficulty,
     findSolution,
     DIFFICULTY_CONFIG
-} from './src/utils/gameLogic.js';
+} from './shared/gameLogic.js';
 
 const ROUNDS = 100;
 const DIFFICULTY = 'hard';